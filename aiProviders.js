@@ -0,0 +1,513 @@
+// AI providers for social post generation.
+// A provider turns a post request into post texts:
+//   { name, model, isConfigured(): boolean, generatePosts(request): Promise<string[]> }
+// Built in: "gemini" (Google Gemini), "openai" (any OpenAI-compatible chat completions endpoint,
+// e.g. a local model server) and "template" (deterministic fill-in-the-blanks posts, for
+// offline use and tests). Providers are tried in order - the primary, then the fallbacks -
+// and the first one that is configured and succeeds wins.
+// Posts are checked against the platform's rules (postValidator.js); a provider whose posts
+// break them is asked again with the problems spelled out, AI_POST_REPAIR_ATTEMPTS times.
+//   AI_PROVIDER              - primary provider (default gemini)
+//   AI_FALLBACK_PROVIDERS    - comma-separated providers to try when the primary fails (default none;
+//                              "template" opts in to template posts when the model is unavailable)
+//   AI_REQUEST_TIMEOUT_MS    - timeout for one provider call
+//   AI_POST_REPAIR_ATTEMPTS  - corrective retries per provider (default 1)
+//   GEMINI_API_KEY, GEMINI_MODEL
+//   OPENAI_BASE_URL, OPENAI_API_KEY (optional for local servers), OPENAI_MODEL
+
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+const {
+  MAX_HASHTAGS,
+  PostFormatError,
+  getPlatformRules,
+  measurePost,
+  validatePost,
+  parsePostsOutput,
+} = require("./postValidator");
+
+const AI_PROVIDER = process.env.AI_PROVIDER || "gemini";
+const AI_FALLBACK_PROVIDERS = (process.env.AI_FALLBACK_PROVIDERS || "")
+  .split(",")
+  .map((name) => name.trim())
+  .filter(Boolean);
+const AI_REQUEST_TIMEOUT_MS =
+  parseInt(process.env.AI_REQUEST_TIMEOUT_MS) || 60000;
+const AI_POST_REPAIR_ATTEMPTS = isNaN(
+  parseInt(process.env.AI_POST_REPAIR_ATTEMPTS)
+)
+  ? 1
+  : parseInt(process.env.AI_POST_REPAIR_ATTEMPTS);
+const GEMINI_MODEL = process.env.GEMINI_MODEL || "gemini-2.5-flash";
+const OPENAI_BASE_URL = (
+  process.env.OPENAI_BASE_URL || "https://api.openai.com/v1"
+).replace(/\/+$/, "");
+const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
+const X_MAX_CHARS = getPlatformRules("X").maxLength;
+
+// --- Prompt ---
+
+/**
+ * @typedef {object} PostRequest
+ * @property {string} platform Display name, e.g. "X" or "Instagram".
+ * @property {number} variations Number of posts to generate.
+ * @property {string} title
+ * @property {string} description
+ * @property {string|null} authorName
+ * @property {string} buyLink The shareable buy link every post must contain.
+ * @property {string} [locale] BCP 47 tag of the language to write in (default "en").
+ * @property {Voice} [voice] The creator's brand voice.
+ * @property {Corrections} [corrections] Why the previous answer was rejected, when asking again.
+ */
+
+/**
+ * @typedef {object} Voice
+ * @property {string|null} tone e.g. "playful, no hype".
+ * @property {string|null} audience e.g. "indie game developers".
+ * @property {string[]} bannedWords Words posts may not contain.
+ * @property {string[]} preferredHashtags Hashtags to use when relevant, with "#".
+ */
+
+/**
+ * @typedef {object} Corrections
+ * @property {string} [error] The previous answer could not be parsed at all.
+ * @property {Array<{text: string, issues: string[]}>} [posts] Rejected posts and what was wrong.
+ */
+
+/**
+ * Builds the prompt asking a language model for posts as a JSON array of strings.
+ * @param {PostRequest} request
+ * @returns {string}
+ */
+function buildSocialPostPrompt({
+  platform,
+  variations,
+  title,
+  description,
+  authorName,
+  buyLink,
+  locale = "en",
+  voice,
+  corrections,
+}) {
+  let specificPlatformInstruction = `Generate ${variations} catchy social media post(s) for ${platform} to promote the following content with the intent to sell access. Each post must NOT exceed ${getPlatformRules(platform).maxLength} characters.`;
+  let returnStructureExample = `For example, if ${variations} is 1, return ["Post 1 text..."] or if ${variations} is 2, return ["Post 1 text...", "Post 2 text..."]`;
+
+  if (platform === "X") {
+    specificPlatformInstruction = `Generate ${variations} catchy tweet(s) for X (Twitter) to promote the following content with the intent to sell access. Each tweet, *including the buy link* (which X counts as 23 characters, like every link), must NOT exceed ${X_MAX_CHARS} characters in total.`;
+    if (variations === 1) {
+      returnStructureExample = `This means for X, you must return a JSON array of exactly one string: ["Tweet text (max ${X_MAX_CHARS} chars total)..."]`;
+    } else {
+      returnStructureExample = `This means for X, if ${variations} is 2, you must return a JSON array of exactly two strings: ["Tweet 1 (max ${X_MAX_CHARS} chars total)...", "Tweet 2 (max ${X_MAX_CHARS} chars total)..."]`;
+    }
+  }
+
+  return `
+${specificPlatformInstruction}
+
+The goal is to maximize clicks on the buy link.
+
+Content Title: "${title}"
+Content Description: "${description}"
+Buy Link: ${buyLink}
+${authorName ? `Author Name (e.g., Channel, Site): "${authorName}"` : ""}
+
+General Instructions for all posts:
+- Each post should be engaging and create a sense of urgency or exclusivity.
+- Include ${MAX_HASHTAGS} hashtags at max.
+- Ensure the buy link (${buyLink}) is clearly presented.
+- If an Author Name is provided, consider incorporating it naturally if it enhances the post (e.g., "New article from [Author Name]!").
+- If generating multiple variations, ensure they are distinct from each other.
+- Write the posts in ${describeLocale(locale)}. Keep the buy link exactly as given.
+${voice ? buildVoiceInstruction(voice) : ""}
+Platform-Specific Hints:
+${
+  platform === "Instagram"
+    ? "- For Instagram, suggest relevant emojis and a strong call to action. If the buy link is long, you can say 'Link in bio!' and still include the link directly in the text for copy-pasting ease."
+    : ""
+}
+${
+  platform === "X"
+    ? `- For X (Twitter), each tweet must be concise, impactful, and strictly adhere to the ${X_MAX_CHARS} character limit *inclusive of the buy link*. Use strong call-to-actions.`
+    : ""
+}
+
+Output Format Instructions:
+Return the response strictly as a JSON array of strings, where each string is a complete post text.
+${returnStructureExample}.
+Make sure to properly escape all special characters (like quotes, newlines \\n) within the post strings so that the entire response is a single, valid JSON array.
+If you cannot generate posts for any reason, return an empty JSON array [].
+Do not use any markdown (like \`\`\`json) in your response; only the raw JSON array.
+Make sure to escape special characters in the posts so that JSON parsing works.
+${corrections ? buildCorrectionsInstruction(corrections, variations) : ""}`;
+}
+
+/**
+ * Names a locale for a prompt, e.g. "Spanish (Mexico) (es-MX)".
+ * @param {string} locale
+ * @returns {string}
+ */
+function describeLocale(locale) {
+  try {
+    const name = new Intl.DisplayNames(["en"], { type: "language" }).of(locale);
+    return name && name !== locale ? `${name} (${locale})` : locale;
+  } catch (error) {
+    return locale;
+  }
+}
+
+/**
+ * Builds the part of a prompt that describes the creator's brand voice.
+ * @param {Voice} voice
+ * @returns {string}
+ */
+function buildVoiceInstruction({
+  tone,
+  audience,
+  bannedWords,
+  preferredHashtags,
+}) {
+  const lines = [];
+  if (tone) {
+    lines.push(`- Tone: ${tone}`);
+  }
+  if (audience) {
+    lines.push(`- Audience: ${audience}`);
+  }
+  if (bannedWords.length > 0) {
+    lines.push(`- Never use these words: ${bannedWords.join(", ")}`);
+  }
+  if (preferredHashtags.length > 0) {
+    lines.push(
+      `- Prefer these hashtags when they fit (still at most ${MAX_HASHTAGS}): ${preferredHashtags.join(" ")}`
+    );
+  }
+  return lines.length > 0
+    ? `\nCreator's Brand Voice (follow it in every post):\n${lines.join("\n")}\n`
+    : "";
+}
+
+/**
+ * Builds the part of a prompt that explains why the previous answer was rejected.
+ * @param {Corrections} corrections
+ * @param {number} variations
+ * @returns {string}
+ */
+function buildCorrectionsInstruction({ error, posts = [] }, variations) {
+  const problems = error
+    ? [`- Your answer could not be used: ${error}`]
+    : posts.map(
+        (post) =>
+          `- ${JSON.stringify(post.text)}\n  Problems: ${post.issues.join(" ")}`
+      );
+  return `
+Your previous answer was rejected:
+${problems.join("\n")}
+Write ${variations} new post(s) that follow every rule above and fix these problems.
+`;
+}
+
+// --- Providers ---
+
+/**
+ * Google Gemini.
+ * @returns {object} The provider.
+ */
+function createGeminiProvider() {
+  const apiKey = process.env.GEMINI_API_KEY;
+  const model = apiKey
+    ? new GoogleGenerativeAI(apiKey).getGenerativeModel({ model: GEMINI_MODEL })
+    : null;
+  return {
+    name: "gemini",
+    model: GEMINI_MODEL,
+    isConfigured: () => model !== null,
+    async generatePosts(request) {
+      const result = await model.generateContent(
+        buildSocialPostPrompt(request),
+        { timeout: AI_REQUEST_TIMEOUT_MS }
+      );
+      return parsePostsOutput(result.response.text());
+    },
+  };
+}
+
+/**
+ * Any server implementing the OpenAI chat completions API (OpenAI, vLLM, Ollama, llama.cpp, ...).
+ * @returns {object} The provider.
+ */
+function createOpenAiCompatibleProvider() {
+  const apiKey = process.env.OPENAI_API_KEY;
+  const hasCustomServer = !!process.env.OPENAI_BASE_URL; // Local servers often need no key
+  return {
+    name: "openai",
+    model: OPENAI_MODEL,
+    isConfigured: () => !!apiKey || hasCustomServer,
+    async generatePosts(request) {
+      const response = await fetch(`${OPENAI_BASE_URL}/chat/completions`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({
+          model: OPENAI_MODEL,
+          messages: [{ role: "user", content: buildSocialPostPrompt(request) }],
+          temperature: 0.8,
+        }),
+        signal: AbortSignal.timeout(AI_REQUEST_TIMEOUT_MS),
+      });
+      if (!response.ok) {
+        throw new Error(
+          `${OPENAI_BASE_URL} responded with HTTP ${response.status}: ${(await response.text()).slice(0, 200)}`
+        );
+      }
+      const completion = await response.json();
+      const choice = completion.choices && completion.choices[0];
+      if (
+        !choice ||
+        !choice.message ||
+        typeof choice.message.content !== "string"
+      ) {
+        throw new Error("Completion has no message content.");
+      }
+      return parsePostsOutput(choice.message.content);
+    },
+  };
+}
+
+// Deterministic post templates: {title}, {by} (" by <author>" or "") and {link}
+const POST_TEMPLATES = {
+  default: [
+    "New: {title}{by}. Get access here: {link}",
+    "Don't miss {title}{by}. Unlock it now: {link}",
+    "{title}{by} is live. Grab your access: {link}",
+  ],
+  instagram: [
+    "✨ {title}{by} ✨\nUnlock it now 👉 {link}",
+    "🔥 Just dropped: {title}{by}\nGet access 👉 {link}",
+  ],
+};
+
+/**
+ * Fills in templates; the same request always gives the same posts. Never calls out.
+ * The templates are English, so other locales are refused and the next provider is tried.
+ * @returns {object} The provider.
+ */
+function createTemplateProvider() {
+  return {
+    name: "template",
+    model: "template-v1",
+    isConfigured: () => true,
+    async generatePosts({
+      platform,
+      variations,
+      title,
+      authorName,
+      buyLink,
+      locale = "en",
+      voice,
+    }) {
+      if (locale.split("-")[0].toLowerCase() !== "en") {
+        throw new Error(`Templates are English only, not ${locale}.`);
+      }
+      const templates =
+        POST_TEMPLATES[platform.toLowerCase()] || POST_TEMPLATES.default;
+      const by = authorName ? ` by ${authorName}` : "";
+      // The creator's hashtags are all the voice templates carry
+      const hashtags = voice
+        ? voice.preferredHashtags.slice(0, MAX_HASHTAGS).join(" ")
+        : "";
+      return Array.from({ length: variations }, (_, index) => {
+        let template = templates[index % templates.length];
+        if (hashtags) {
+          template = `${template} ${hashtags}`;
+        }
+        // Function replacers, so "$&" and the like in the values are kept literally
+        let text = template
+          .replace("{title}", () => title)
+          .replace("{by}", () => by)
+          .replace("{link}", () => buyLink);
+        // Shorten the title to fit, never the link
+        const maxLength = getPlatformRules(platform).maxLength;
+        const characters = [...title];
+        let cut = characters.length;
+        while (cut > 0 && measurePost(platform, text) > maxLength) {
+          cut = Math.max(cut - 10, 0);
+          text = template
+            .replace("{title}", () => `${characters.slice(0, cut).join("")}…`)
+            .replace("{by}", () => "")
+            .replace("{link}", () => buyLink);
+        }
+        return text;
+      });
+    },
+  };
+}
+
+const providerFactories = {
+  gemini: createGeminiProvider,
+  openai: createOpenAiCompatibleProvider,
+  template: createTemplateProvider,
+};
+const providers = {};
+
+/**
+ * Registers an additional provider factory under a name usable in AI_PROVIDER and AI_FALLBACK_PROVIDERS.
+ * @param {string} name
+ * @param {function(): object} factory Returns {name, model, isConfigured, generatePosts}.
+ */
+function registerAiProvider(name, factory) {
+  providerFactories[name] = factory;
+  delete providers[name];
+}
+
+/**
+ * Returns a provider by name, creating it on first use.
+ * @param {string} name
+ * @returns {object|null} The provider, or null for an unknown name.
+ */
+function getProvider(name) {
+  if (!providers[name] && providerFactories[name]) {
+    providers[name] = providerFactories[name]();
+  }
+  return providers[name] || null;
+}
+
+/**
+ * Lists the configured providers in the order they are tried.
+ * @returns {Array<object>}
+ */
+function getProviderChain() {
+  const names = [...new Set([AI_PROVIDER, ...AI_FALLBACK_PROVIDERS])];
+  return names
+    .map((name) => {
+      const provider = getProvider(name);
+      if (!provider) {
+        console.warn(`AI: unknown provider "${name}" in configuration.`);
+      }
+      return provider;
+    })
+    .filter((provider) => provider && provider.isConfigured());
+}
+
+/**
+ * @typedef {object} PostValidationReport
+ * @property {number} attempts Calls made to the provider, corrective retries included.
+ * @property {Array<object>} posts validatePost() results of the accepted posts, in order.
+ * @property {Array<{text: string, issues: Array<object>}>} rejected Posts dropped for breaking a rule.
+ * @property {Array<string>} errors Answers that could not be parsed at all.
+ */
+
+/**
+ * Asks one provider for posts until enough of them pass validation or the retries run out.
+ * Posts that pass are kept; only the missing ones are asked for again.
+ * @param {object} provider
+ * @param {PostRequest} request
+ * @returns {Promise<{posts: string[], validation: PostValidationReport}>}
+ * @throws {Error} If the provider fails, or no post passed validation.
+ */
+async function generateValidPosts(provider, request) {
+  const accepted = [];
+  const validation = { attempts: 0, posts: [], rejected: [], errors: [] };
+  let corrections;
+
+  while (
+    accepted.length < request.variations &&
+    validation.attempts <= AI_POST_REPAIR_ATTEMPTS
+  ) {
+    validation.attempts++;
+    const wanted = request.variations - accepted.length;
+    let posts;
+    try {
+      posts = await provider.generatePosts({
+        ...request,
+        variations: wanted,
+        corrections: corrections,
+      });
+    } catch (error) {
+      if (!(error instanceof PostFormatError)) {
+        throw error;
+      }
+      validation.errors.push(error.message);
+      corrections = { error: error.message };
+      continue;
+    }
+
+    const failed = [];
+    for (const text of posts.slice(0, wanted)) {
+      const report = validatePost(request.platform, text, request.buyLink, {
+        bannedWords: request.voice ? request.voice.bannedWords : [],
+      });
+      if (report.valid) {
+        accepted.push(text);
+        validation.posts.push(report);
+      } else {
+        failed.push({ text: text, issues: report.issues });
+      }
+    }
+    validation.rejected.push(...failed);
+    // Posts that were missing rather than rejected need no corrections
+    corrections =
+      failed.length > 0
+        ? {
+            posts: failed.map((post) => ({
+              text: post.text,
+              issues: post.issues.map((issue) => issue.message),
+            })),
+          }
+        : undefined;
+  }
+
+  if (accepted.length === 0) {
+    throw new Error(
+      `No valid posts after ${validation.attempts} attempt(s): ${[
+        ...validation.errors,
+        ...validation.rejected.flatMap((post) =>
+          post.issues.map((issue) => issue.message)
+        ),
+      ].join(" ")}`
+    );
+  }
+  return { posts: accepted, validation: validation };
+}
+
+/**
+ * Generates valid posts with the first provider in the chain that succeeds.
+ * @param {PostRequest} request
+ * @returns {Promise<{posts: string[], provider: string, model: string, validation: PostValidationReport}>}
+ * @throws {Error} If no provider is configured or every provider failed.
+ */
+async function generateSocialPosts(request) {
+  const chain = getProviderChain();
+  if (chain.length === 0) {
+    throw new Error(
+      "No AI provider is configured. Set AI_PROVIDER and its credentials."
+    );
+  }
+  const failures = [];
+  for (const provider of chain) {
+    try {
+      const { posts, validation } = await generateValidPosts(provider, request);
+      return {
+        posts: posts,
+        provider: provider.name,
+        model: provider.model,
+        validation: validation,
+      };
+    } catch (error) {
+      console.warn(
+        `AI: ${provider.name} failed for ${request.platform}:`,
+        error.message
+      );
+      failures.push(`${provider.name}: ${error.message}`);
+    }
+  }
+  throw new Error(`Every AI provider failed (${failures.join("; ")}).`);
+}
+
+module.exports = {
+  buildSocialPostPrompt,
+  registerAiProvider,
+  getProviderChain,
+  generateSocialPosts,
+};
@@ -0,0 +1,265 @@
+// Wallet authentication (Sign-In with Ethereum, EIP-4361).
+// A creator asks for a nonce, signs the returned SIWE message with personal_sign and
+// exchanges message + signature for a session token. The token is sent back as
+// `Authorization: Bearer <token>` on creator-only endpoints.
+// Only a SHA-256 hash of each token is stored, so a DB leak does not leak live sessions.
+//   AUTH_DOMAIN                - domain the SIWE message must name (defaults to the host of GIVABIT_APP_URL)
+//   AUTH_NONCE_TTL_SECONDS     - how long a nonce can be used to sign in
+//   AUTH_SESSION_TTL_HOURS     - how long a session token stays valid
+
+const crypto = require("crypto");
+const ethers = require("ethers");
+const db = require("./database");
+
+const AUTH_BASE_URL =
+  process.env.GIVABIT_APP_URL ||
+  "https://givabit-server-krlus.ondigitalocean.app";
+const AUTH_DOMAIN = process.env.AUTH_DOMAIN || new URL(AUTH_BASE_URL).host;
+const AUTH_NONCE_TTL_SECONDS =
+  parseInt(process.env.AUTH_NONCE_TTL_SECONDS) || 600; // 10 minutes by default
+const AUTH_SESSION_TTL_HOURS =
+  parseInt(process.env.AUTH_SESSION_TTL_HOURS) || 24;
+const SIWE_STATEMENT = "Sign in to GivaBit to manage your gated links.";
+
+/**
+ * Builds an EIP-4361 message for a wallet to sign.
+ * @param {object} fields
+ * @param {string} fields.address Checksummed wallet address.
+ * @param {string} fields.chainId
+ * @param {string} fields.nonce
+ * @param {Date} fields.issuedAt
+ * @param {Date} fields.expiresAt
+ * @returns {string}
+ */
+function buildSiweMessage({ address, chainId, nonce, issuedAt, expiresAt }) {
+  return [
+    `${AUTH_DOMAIN} wants you to sign in with your Ethereum account:`,
+    address,
+    "",
+    SIWE_STATEMENT,
+    "",
+    `URI: ${AUTH_BASE_URL}`,
+    "Version: 1",
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt.toISOString()}`,
+    `Expiration Time: ${expiresAt.toISOString()}`,
+  ].join("\n");
+}
+
+/**
+ * Parses the fields this server relies on out of an EIP-4361 message.
+ * @param {string} message
+ * @returns {{domain: string, address: string, uri: string|null, chainId: string|null, nonce: string, issuedAt: string, expirationTime: string|null}|null}
+ *   The parsed fields, or null if the message is not a SIWE message.
+ */
+function parseSiweMessage(message) {
+  const lines = message.split("\n");
+  const header = lines[0].match(
+    /^(\S+) wants you to sign in with your Ethereum account:$/
+  );
+  if (!header || !lines[1] || !ethers.isAddress(lines[1].trim())) {
+    return null;
+  }
+  const field = (name) => {
+    const line = lines.find((l) => l.startsWith(`${name}: `));
+    return line ? line.slice(name.length + 2).trim() : null;
+  };
+  const nonce = field("Nonce");
+  if (!nonce || field("Version") !== "1") {
+    return null;
+  }
+  return {
+    domain: header[1],
+    address: lines[1].trim(),
+    uri: field("URI"),
+    chainId: field("Chain ID"),
+    nonce: nonce,
+    issuedAt: field("Issued At"),
+    expirationTime: field("Expiration Time"),
+  };
+}
+
+/**
+ * Hashes a session token for storage and lookup.
+ * @param {string} token
+ * @returns {string}
+ */
+function hashSessionToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Issues a sign-in nonce and the SIWE message the wallet should sign.
+ * @param {string} walletAddress
+ * @param {string} chainId
+ * @returns {Promise<{nonce: string, message: string, expiresAt: Date}>}
+ */
+async function issueSignInNonce(walletAddress, chainId) {
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const issuedAt = new Date();
+  const expiresAt = new Date(
+    issuedAt.getTime() + AUTH_NONCE_TTL_SECONDS * 1000
+  );
+  const message = buildSiweMessage({
+    address: ethers.getAddress(walletAddress),
+    chainId: chainId,
+    nonce: nonce,
+    issuedAt: issuedAt,
+    expiresAt: expiresAt,
+  });
+  await db.storeAuthNonce(nonce, walletAddress, expiresAt, message);
+  return { nonce, message, expiresAt };
+}
+
+/**
+ * Verifies a signed SIWE message and opens a session for the signer.
+ * The message must be exactly the one issued with its nonce, so its chain id and URI are
+ * the ones this server asked for.
+ * @param {string} message The exact message that was signed.
+ * @param {string} signature
+ * @returns {Promise<{ok: true, token: string, walletAddress: string, expiresAt: Date}|{ok: false, error: string}>}
+ */
+async function signIn(message, signature) {
+  const fields = parseSiweMessage(message);
+  if (!fields) {
+    return { ok: false, error: "Malformed sign-in message." };
+  }
+  if (fields.domain !== AUTH_DOMAIN) {
+    return { ok: false, error: "Sign-in message is for a different domain." };
+  }
+  if (fields.uri !== AUTH_BASE_URL) {
+    return { ok: false, error: "Sign-in message is for a different URI." };
+  }
+  if (
+    fields.expirationTime &&
+    new Date(fields.expirationTime).getTime() <= Date.now()
+  ) {
+    return { ok: false, error: "Sign-in message has expired." };
+  }
+
+  let recoveredAddress;
+  try {
+    recoveredAddress = ethers.verifyMessage(message, signature);
+  } catch (error) {
+    return { ok: false, error: "Invalid signature." };
+  }
+  if (recoveredAddress.toLowerCase() !== fields.address.toLowerCase()) {
+    return {
+      ok: false,
+      error: "Signature does not match the message address.",
+    };
+  }
+
+  // Single use: a replayed message fails here, and so does one that differs from the
+  // issued message in any field (e.g. another Chain ID)
+  const consumed = await db.consumeAuthNonce(
+    fields.nonce,
+    fields.address,
+    message
+  );
+  if (!consumed) {
+    return {
+      ok: false,
+      error:
+        "Nonce is invalid, expired or already used, or the message differs from the one issued.",
+    };
+  }
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiresAt = new Date(
+    Date.now() + AUTH_SESSION_TTL_HOURS * 60 * 60 * 1000
+  );
+  await db.storeAuthSession(hashSessionToken(token), fields.address, expiresAt);
+  return {
+    ok: true,
+    token: token,
+    walletAddress: fields.address.toLowerCase(),
+    expiresAt: expiresAt,
+  };
+}
+
+/**
+ * Reads the bearer token from a request.
+ * @param {import("express").Request} req
+ * @returns {string|null}
+ */
+function getBearerToken(req) {
+  const header = req.get("Authorization") || "";
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Revokes the session whose token is on the request.
+ * @param {import("express").Request} req
+ * @returns {Promise<boolean>} True if a session was revoked.
+ */
+async function signOut(req) {
+  const token = getBearerToken(req);
+  return token ? db.revokeAuthSession(hashSessionToken(token)) : false;
+}
+
+/**
+ * Express middleware that attaches `req.session = {walletAddress, expiresAt}` when the
+ * request carries a valid session token. Requests without one pass through unauthenticated.
+ */
+async function loadSession(req, res, next) {
+  const token = getBearerToken(req);
+  if (!token) {
+    return next();
+  }
+  try {
+    const session = await db.getActiveAuthSession(hashSessionToken(token));
+    if (session) {
+      req.session = {
+        walletAddress: session.wallet_address,
+        expiresAt: session.expires_at,
+      };
+    }
+    next();
+  } catch (error) {
+    console.error("Error loading session:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to verify session", details: error.message });
+  }
+}
+
+/**
+ * Express middleware that rejects requests without a valid session with 401.
+ */
+function requireSession(req, res, next) {
+  loadSession(req, res, () => {
+    if (!req.session) {
+      return res.status(401).json({
+        error:
+          "Authentication required. Sign in via /auth/nonce and /auth/verify and send the token as a Bearer token.",
+      });
+    }
+    next();
+  });
+}
+
+/**
+ * Checks whether the request's session belongs to the given wallet.
+ * @param {import("express").Request} req
+ * @param {string} walletAddress
+ * @returns {boolean}
+ */
+function isSessionWallet(req, walletAddress) {
+  return (
+    !!req.session &&
+    !!walletAddress &&
+    req.session.walletAddress === walletAddress.toLowerCase()
+  );
+}
+
+module.exports = {
+  issueSignInNonce,
+  signIn,
+  signOut,
+  loadSession,
+  requireSession,
+  isSessionWallet,
+};
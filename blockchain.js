@@ -1,10 +1,13 @@
 const ethers = require('ethers');
+const { createTxManager } = require('./txManager');
+const networks = require('./networks');
 
 // --- Environment Variables ---
 // Ensure these are set in your environment (e.g., .env file)
+// The same server wallet is used on every network; RPC URLs and contracts come from the network registry (networks.js).
 const PRIVATE_KEY = process.env.SERVER_WALLET_PRIVATE_KEY;
-const RPC_URL = process.env.AVALANCHE_RPC_URL || 'https://138.68.175.242.sslip.io/ext/bc/mvVnPTEvCKjGqEvZaAXseWSiLtZ9uc3MgiQzkLzGQtBDebxGY/rpc'; // Fuji testnet default
-const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS;
+// How long a lagging RPC endpoint is given before the next one is tried
+const RPC_STALL_TIMEOUT_MS = parseInt(process.env.RPC_STALL_TIMEOUT_MS) || 2000;
 
 // --- Contract ABI (Application Binary Interface) ---
 // You need to replace this with the actual ABI of your GatedLinkAccessManager.sol contract
@@ -45,101 +48,644 @@ const CONTRACT_ABI = [
   "error StringTooLong(string str)"
 ];
 
-if (!PRIVATE_KEY || !CONTRACT_ADDRESS) {
-  console.error("Missing critical environment variables: SERVER_WALLET_PRIVATE_KEY or CONTRACT_ADDRESS");
+// The parts of the payment token's ERC20 interface needed to display amounts
+const ERC20_ABI = [
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)"
+];
+
+if (!PRIVATE_KEY) {
+  console.error("Missing critical environment variable: SERVER_WALLET_PRIVATE_KEY");
   // In a real app, you might want to prevent the server from starting or throw a more specific error.
-  // For now, functions will likely fail if these are not set.
+  // For now, functions will likely fail if this is not set.
 }
 
-// --- Ethers.js Setup ---
-const provider = new ethers.JsonRpcProvider(RPC_URL);
-const wallet = PRIVATE_KEY ? new ethers.Wallet(PRIVATE_KEY, provider) : null; // Only create wallet if private key is available
-const contract = CONTRACT_ADDRESS && CONTRACT_ABI.length > 2 && wallet ? new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, wallet) : null;
+const contractInterface = new ethers.Interface(CONTRACT_ABI);
 
-console.log(contract.interface.functions);
+// EIP-712 type of the payForAccessWithSignature message.
+// Must match the PAY_FOR_ACCESS typehash in GatedLinkAccessManager.sol.
+const PAY_FOR_ACCESS_TYPES = {
+  PayForAccess: [
+    { name: 'linkId', type: 'bytes32' },
+    { name: 'beneficiary', type: 'address' },
+    { name: 'payer', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
 
 /**
- * Creates a new gated link on the blockchain.
- * @param {string} linkId The keccak256 hash of the URL (bytes32).
- * @param {string} creatorAddress The address of the content creator.
- * @param {string} priceInERC20 The price in the smallest unit of the ERC20 token.
- * @param {boolean} initialIsActive Whether the link is active by default.
- * @returns {Promise<ethers.providers.TransactionReceipt>} The transaction receipt.
- * @throws {Error} If blockchain interaction fails or setup is incomplete.
+ * Creates a provider for a network. With several RPC URLs, requests go to the first
+ * healthy one and fail over to the next when it errors or stalls.
+ * @param {object} network A network from the registry.
+ * @returns {ethers.Provider}
  */
-async function createLinkOnChain(linkId, creatorAddress, priceInERC20, initialIsActive) {
-  if (!contract || !wallet) {
-    throw new Error('Blockchain interaction module is not properly initialized. Check private key and contract address.');
-  }
-  try {
-    console.log(`Attempting to create link on chain: ${linkId} by ${creatorAddress} for price ${priceInERC20}`);
-    const tx = await contract.createLink(linkId, creatorAddress, priceInERC20, initialIsActive);
-    console.log('Transaction sent:', tx.hash);
-    const receipt = await tx.wait(); // Wait for the transaction to be mined
-    console.log('Transaction confirmed:', receipt.transactionHash);
-    return receipt;
-  } catch (error) {
-    console.error('Error in createLinkOnChain:', error);
-    throw new Error(`Failed to create link on blockchain: ${error.message}`);
+function createProvider(network) {
+  const staticNetwork = network.chainId ? ethers.Network.from(BigInt(network.chainId)) : undefined;
+  const providers = network.rpcUrls.map((url) => new ethers.JsonRpcProvider(url, staticNetwork, { staticNetwork }));
+  if (providers.length === 1) {
+    return providers[0];
   }
+  return new ethers.FallbackProvider(
+    providers.map((provider, index) => ({ provider, priority: index + 1, stallTimeout: RPC_STALL_TIMEOUT_MS, weight: 1 })),
+    staticNetwork,
+    { quorum: 1 }
+  );
 }
 
 /**
- * Sets the active status of a link on the blockchain.
- * @param {string} linkId The keccak256 hash of the URL (bytes32).
- * @param {boolean} newActiveState The new active state (true or false).
- * @returns {Promise<ethers.providers.TransactionReceipt>} The transaction receipt.
- * @throws {Error} If blockchain interaction fails or setup is incomplete.
+ * Creates the blockchain client for one network: provider, server wallet, contract and
+ * transaction manager, plus every contract call bound to them.
+ * @param {object} network A network from the registry.
+ * @returns {object} The client API.
  */
-async function setLinkActivityOnChain(linkId, newActiveState) {
-  if (!contract || !wallet) {
-    throw new Error('Blockchain interaction module is not properly initialized. Check private key and contract address.');
-  }
-  try {
-    console.log(`Attempting to set link activity for ${linkId} to ${newActiveState}`);
-    const tx = await contract.setLinkActivity(linkId, newActiveState);
-    console.log('Transaction sent:', tx.hash);
-    const receipt = await tx.wait(); // Wait for the transaction to be mined
-    console.log('Transaction confirmed:', receipt.transactionHash);
-    return receipt;
-  } catch (error) {
-    console.error('Error in setLinkActivityOnChain:', error);
-    throw new Error(`Failed to set link activity on blockchain: ${error.message}`);
+function createNetworkClient(network) {
+  const CONTRACT_ADDRESS = network.contractAddress;
+
+  // --- Ethers.js Setup ---
+  const provider = createProvider(network);
+  const wallet = PRIVATE_KEY ? new ethers.Wallet(PRIVATE_KEY, provider) : null; // Only create wallet if private key is available
+  const contract = CONTRACT_ADDRESS && CONTRACT_ABI.length > 2 && wallet ? new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, wallet) : null;
+  // All writes go through the transaction manager (serial nonces, persistence, stuck-tx replacement)
+  const txManager = wallet ? createTxManager(wallet) : null;
+
+  /**
+   * Creates a new gated link on the blockchain.
+   * @param {string} linkId The keccak256 hash of the URL (bytes32).
+   * @param {string} creatorAddress The address of the content creator.
+   * @param {string} priceInERC20 The price in the smallest unit of the ERC20 token.
+   * @param {boolean} initialIsActive Whether the link is active by default.
+   * @returns {Promise<ethers.TransactionReceipt>} The receipt of the mined transaction (`hash` may differ from the first broadcast if it was sped up).
+   * @throws {Error} If blockchain interaction fails or setup is incomplete.
+   */
+  async function createLinkOnChain(linkId, creatorAddress, priceInERC20, initialIsActive) {
+    if (!contract || !wallet) {
+      throw new Error('Blockchain interaction module is not properly initialized. Check private key and contract address.');
+    }
+    try {
+      console.log(`Attempting to create link on chain: ${linkId} by ${creatorAddress} for price ${priceInERC20}`);
+      const txRequest = await contract.createLink.populateTransaction(linkId, creatorAddress, priceInERC20, initialIsActive);
+      const { hash } = await txManager.sendTransaction(txRequest, 'createLink');
+      console.log('Transaction sent:', hash);
+      const receipt = await txManager.waitForTransaction(hash); // Wait for the transaction (or its replacement) to be mined
+      console.log('Transaction confirmed:', receipt.hash);
+      return receipt;
+    } catch (error) {
+      console.error('Error in createLinkOnChain:', error);
+      throw new Error(`Failed to create link on blockchain: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sets the active status of a link on the blockchain.
+   * @param {string} linkId The keccak256 hash of the URL (bytes32).
+   * @param {boolean} newActiveState The new active state (true or false).
+   * @returns {Promise<ethers.TransactionReceipt>} The receipt of the mined transaction (`hash` may differ from the first broadcast if it was sped up).
+   * @throws {Error} If blockchain interaction fails or setup is incomplete.
+   */
+  async function setLinkActivityOnChain(linkId, newActiveState) {
+    if (!contract || !wallet) {
+      throw new Error('Blockchain interaction module is not properly initialized. Check private key and contract address.');
+    }
+    try {
+      console.log(`Attempting to set link activity for ${linkId} to ${newActiveState}`);
+      const txRequest = await contract.setLinkActivity.populateTransaction(linkId, newActiveState);
+      const { hash } = await txManager.sendTransaction(txRequest, 'setLinkActivity');
+      console.log('Transaction sent:', hash);
+      const receipt = await txManager.waitForTransaction(hash); // Wait for the transaction (or its replacement) to be mined
+      console.log('Transaction confirmed:', receipt.hash);
+      return receipt;
+    } catch (error) {
+      console.error('Error in setLinkActivityOnChain:', error);
+      throw new Error(`Failed to set link activity on blockchain: ${error.message}`);
+    }
+  }
+
+  /**
+   * Broadcasts a createLink transaction without waiting for it to be mined.
+   * Used by the transaction outbox worker, which tracks confirmation separately.
+   * @param {string} linkId The keccak256 hash of the URL (bytes32).
+   * @param {string} creatorAddress The address of the content creator.
+   * @param {string} priceInERC20 The price in the smallest unit of the ERC20 token.
+   * @param {boolean} initialIsActive Whether the link is active by default.
+   * @returns {Promise<string>} The transaction hash.
+   * @throws {Error} If broadcasting fails or setup is incomplete.
+   */
+  async function sendCreateLinkTransaction(linkId, creatorAddress, priceInERC20, initialIsActive) {
+    if (!contract || !wallet) {
+      throw new Error('Blockchain interaction module is not properly initialized. Check private key and contract address.');
+    }
+    try {
+      const txRequest = await contract.createLink.populateTransaction(linkId, creatorAddress, priceInERC20, initialIsActive);
+      const { hash } = await txManager.sendTransaction(txRequest, 'createLink');
+      console.log('Transaction sent (createLink):', hash);
+      return hash;
+    } catch (error) {
+      console.error('Error in sendCreateLinkTransaction:', error);
+      throw new Error(`Failed to send createLink transaction: ${error.message}`);
+    }
+  }
+
+  /**
+   * Broadcasts a setLinkActivity transaction without waiting for it to be mined.
+   * @param {string} linkId The keccak256 hash of the URL (bytes32).
+   * @param {boolean} newActiveState The new active state (true or false).
+   * @returns {Promise<string>} The transaction hash.
+   * @throws {Error} If broadcasting fails or setup is incomplete.
+   */
+  async function sendSetLinkActivityTransaction(linkId, newActiveState) {
+    if (!contract || !wallet) {
+      throw new Error('Blockchain interaction module is not properly initialized. Check private key and contract address.');
+    }
+    try {
+      const txRequest = await contract.setLinkActivity.populateTransaction(linkId, newActiveState);
+      const { hash } = await txManager.sendTransaction(txRequest, 'setLinkActivity');
+      console.log('Transaction sent (setLinkActivity):', hash);
+      return hash;
+    } catch (error) {
+      console.error('Error in sendSetLinkActivityTransaction:', error);
+      throw new Error(`Failed to send setLinkActivity transaction: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reports the state of a transaction sent by the server wallet, following fee-bump replacements.
+   * @param {string} txHash The transaction hash.
+   * @returns {Promise<{state: string, hash: string, status?: number, blockNumber?: number, confirmations?: number}>}
+   *   `state` is "pending", "mined" or "dropped"; for mined transactions `hash` is the hash that was included.
+   * @throws {Error} If the RPC call fails or setup is incomplete.
+   */
+  async function getTransactionStatus(txHash) {
+    if (!txManager) {
+      throw new Error('Blockchain interaction module is not properly initialized. Check private key.');
+    }
+    try {
+      return await txManager.getTransactionStatus(txHash);
+    } catch (error) {
+      console.error('Error in getTransactionStatus:', error);
+      throw new Error(`Failed to get transaction status for ${txHash}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Starts the background monitor that speeds up or re-broadcasts stuck server wallet transactions.
+   * @returns {{stop: function(): void}|null} A handle to stop the monitor, or null if no wallet is configured.
+   */
+  function startTransactionMonitor() {
+    return txManager ? txManager.startMonitor() : null;
   }
+
+  /**
+   * Relays a pre-signed payForAccess transaction to the blockchain.
+   * The server's wallet pays the gas for this meta-transaction.
+   * @param {string} linkId The keccak256 hash of the URL (bytes32).
+   * @param {string} beneficiaryAddress The address of the beneficiary.
+   * @param {string} payerAddress The address of the EOA that signed the transaction.
+   * @param {string | number} deadline The deadline for the signature.
+   * @param {string} signature The EOA's signature.
+   * @returns {Promise<ethers.TransactionReceipt>} The receipt of the mined transaction (`hash` may differ from the first broadcast if it was sped up).
+   * @throws {Error} If blockchain interaction fails or setup is incomplete. Once the transaction was sent, the error
+   *   carries its `txHash`, plus the `receipt` if it reverted on-chain (`code` "TX_REVERTED").
+   */
+  async function relayPayForAccessWithSignature(linkId, beneficiaryAddress, payerAddress, deadline, signature) {
+    if (!contract || !wallet) {
+      throw new Error('Blockchain interaction module is not properly initialized. Check private key and contract address.');
+    }
+    try {
+      console.log(`Attempting to relay payForAccessWithSignature for linkId: ${linkId}, beneficiary: ${beneficiaryAddress}, payer: ${payerAddress}, deadline: ${deadline}`);
+      const txRequest = await contract.payForAccessWithSignature.populateTransaction(linkId, beneficiaryAddress, payerAddress, deadline, signature);
+      const { hash } = await txManager.sendTransaction(txRequest, 'payForAccessWithSignature');
+      console.log('Transaction sent via relayer (payForAccessWithSignature):', hash);
+      let receipt;
+      try {
+        receipt = await txManager.waitForTransaction(hash); // Wait for the transaction (or its replacement) to be mined
+      } catch (error) {
+        error.txHash = error.txHash || hash; // It reached the chain and may still spend gas
+        throw error;
+      }
+      console.log('Transaction confirmed via relayer (payForAccessWithSignature):', receipt.hash);
+      return receipt;
+    } catch (error) {
+      console.error('Error in relayPayForAccessWithSignature:', error);
+      // code, txHash and receipt tell a relay that never reached the chain from one that spent gas
+      throw Object.assign(new Error(`Failed to relay payForAccessWithSignature on blockchain: ${error.message}`), {
+        code: error.code,
+        txHash: error.txHash,
+        receipt: error.receipt,
+      });
+    }
+  }
+
+  let cachedEip712Domain = null;
+
+  /**
+   * Returns the contract's EIP-712 domain, as reported by eip712Domain().
+   * @returns {Promise<{name: string, version: string, chainId: bigint, verifyingContract: string}>}
+   * @throws {Error} If blockchain interaction fails or setup is incomplete.
+   */
+  async function getEip712Domain() {
+    if (!contract) {
+      throw new Error('Blockchain interaction module is not properly initialized. Check private key and contract address.');
+    }
+    if (cachedEip712Domain) {
+      return cachedEip712Domain;
+    }
+    try {
+      const domain = await contract.eip712Domain();
+      cachedEip712Domain = {
+        name: domain.name,
+        version: domain.version,
+        chainId: domain.chainId,
+        verifyingContract: domain.verifyingContract,
+      };
+      return cachedEip712Domain;
+    } catch (error) {
+      console.error('Error in getEip712Domain:', error);
+      throw new Error(`Failed to get EIP-712 domain from blockchain: ${error.message}`);
+    }
+  }
+
+  /**
+   * Recovers the signer of a payForAccessWithSignature message, using the payer's current on-chain nonce.
+   * @param {string} linkId The keccak256 hash of the URL (bytes32).
+   * @param {string} beneficiaryAddress The address that will be granted access.
+   * @param {string} payerAddress The address the signature claims to come from.
+   * @param {bigint} deadline The deadline for the signature (unix seconds).
+   * @param {string} signature The EOA's signature.
+   * @returns {Promise<{signer: string|null, nonce: bigint}>} The recovered signer (null if the signature is malformed) and the nonce used.
+   * @throws {Error} If blockchain interaction fails or setup is incomplete.
+   */
+  async function recoverPayForAccessSigner(linkId, beneficiaryAddress, payerAddress, deadline, signature) {
+    if (!contract) {
+      throw new Error('Blockchain interaction module is not properly initialized. Check private key and contract address.');
+    }
+    let nonce;
+    try {
+      nonce = await contract.getNonce(payerAddress);
+    } catch (error) {
+      console.error('Error in recoverPayForAccessSigner:', error);
+      throw new Error(`Failed to get payer nonce from blockchain: ${error.message}`);
+    }
+    const domain = await getEip712Domain();
+    const message = { linkId, beneficiary: beneficiaryAddress, payer: payerAddress, nonce, deadline };
+    try {
+      return { signer: ethers.verifyTypedData(domain, PAY_FOR_ACCESS_TYPES, message, signature), nonce };
+    } catch (error) {
+      return { signer: null, nonce };
+    }
+  }
+
+  /**
+   * Simulates payForAccessWithSignature with eth_call, without sending a transaction.
+   * @param {string} linkId The keccak256 hash of the URL (bytes32).
+   * @param {string} beneficiaryAddress The address of the beneficiary.
+   * @param {string} payerAddress The address of the EOA that signed the transaction.
+   * @param {bigint} deadline The deadline for the signature.
+   * @param {string} signature The EOA's signature.
+   * @returns {Promise<string|null>} Null if the call would succeed, otherwise the revert reason.
+   * @throws {Error} If the RPC call fails for a reason other than a revert, or setup is incomplete.
+   */
+  async function simulatePayForAccessWithSignature(linkId, beneficiaryAddress, payerAddress, deadline, signature) {
+    if (!contract) {
+      throw new Error('Blockchain interaction module is not properly initialized. Check private key and contract address.');
+    }
+    try {
+      await contract.payForAccessWithSignature.staticCall(linkId, beneficiaryAddress, payerAddress, deadline, signature);
+      return null;
+    } catch (error) {
+      if (error.code === 'CALL_EXCEPTION') {
+        if (error.revert) {
+          return `${error.revert.name}(${error.revert.args.join(', ')})`;
+        }
+        return error.reason || error.shortMessage || 'execution reverted';
+      }
+      console.error('Error in simulatePayForAccessWithSignature:', error);
+      throw new Error(`Failed to simulate payForAccessWithSignature: ${error.message}`);
+    }
+  }
+
+  /**
+   * Estimates the most a relayed payForAccessWithSignature may cost the server wallet:
+   * its gas estimate at the current max fee per gas (or gas price on legacy networks).
+   * @param {string} linkId The keccak256 hash of the URL (bytes32).
+   * @param {string} beneficiaryAddress The address of the beneficiary.
+   * @param {string} payerAddress The address of the EOA that signed the transaction.
+   * @param {bigint} deadline The deadline for the signature.
+   * @param {string} signature The EOA's signature.
+   * @returns {Promise<bigint>} The maximum fee in wei.
+   * @throws {Error} If estimation fails (e.g. the call would revert) or setup is incomplete.
+   */
+  async function estimatePayForAccessWithSignatureMaxFee(linkId, beneficiaryAddress, payerAddress, deadline, signature) {
+    if (!contract) {
+      throw new Error('Blockchain interaction module is not properly initialized. Check private key and contract address.');
+    }
+    try {
+      const [gasLimit, feeData] = await Promise.all([
+        contract.payForAccessWithSignature.estimateGas(linkId, beneficiaryAddress, payerAddress, deadline, signature),
+        provider.getFeeData(),
+      ]);
+      const feePerGas = feeData.maxFeePerGas !== null ? feeData.maxFeePerGas : feeData.gasPrice;
+      return gasLimit * feePerGas;
+    } catch (error) {
+      console.error('Error in estimatePayForAccessWithSignatureMaxFee:', error);
+      throw new Error(`Failed to estimate payForAccessWithSignature fee: ${error.message}`);
+    }
+  }
+
+  /**
+   * Returns the native (AVAX) balance of the server wallet.
+   * @returns {Promise<bigint>} The balance in wei.
+   * @throws {Error} If the RPC call fails or setup is incomplete.
+   */
+  async function getWalletBalance() {
+    if (!wallet) {
+      throw new Error('Blockchain interaction module is not properly initialized. Check private key.');
+    }
+    try {
+      return await provider.getBalance(wallet.address);
+    } catch (error) {
+      console.error('Error in getWalletBalance:', error);
+      throw new Error(`Failed to get server wallet balance: ${error.message}`);
+    }
+  }
+
+  /**
+   * Checks whether a user has paid for access to a link on the blockchain.
+   * @param {string} linkId The keccak256 hash of the URL (bytes32).
+   * @param {string} userAddress The address of the user requesting access.
+   * @returns {Promise<boolean>} True if the contract reports the user has access.
+   * @throws {Error} If blockchain interaction fails or setup is incomplete.
+   */
+  async function checkAccessOnChain(linkId, userAddress) {
+    if (!contract) {
+      throw new Error('Blockchain interaction module is not properly initialized. Check private key and contract address.');
+    }
+    try {
+      return await contract.checkAccess(linkId, userAddress);
+    } catch (error) {
+      console.error('Error in checkAccessOnChain:', error);
+      throw new Error(`Failed to check access on blockchain: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reads the current details of a link from the blockchain.
+   * @param {string} linkId The keccak256 hash of the URL (bytes32).
+   * @returns {Promise<{linkId: string, creator: string, priceInERC20: string, isActive: boolean}>}
+   *   The on-chain link details. `creator` is the zero address if the link was never created.
+   * @throws {Error} If blockchain interaction fails or setup is incomplete.
+   */
+  async function getLinkDetailsOnChain(linkId) {
+    if (!contract) {
+      throw new Error('Blockchain interaction module is not properly initialized. Check private key and contract address.');
+    }
+    try {
+      const details = await contract.getLinkDetails(linkId);
+      return {
+        linkId: details.linkId,
+        creator: details.creator,
+        priceInERC20: details.priceInERC20.toString(),
+        isActive: details.isActive,
+      };
+    } catch (error) {
+      console.error('Error in getLinkDetailsOnChain:', error);
+      throw new Error(`Failed to get link details from blockchain: ${error.message}`);
+    }
+  }
+
+  // The payment token (and its decimals/symbol) and chain id are immutable for a deployed contract, so they are fetched once per network.
+  let cachedPaymentTokenAddress = null;
+  let cachedChainId = null;
+  let paymentTokenInfoPromise = null;
+
+  /**
+   * Returns the address of the ERC20 token the contract accepts as payment.
+   * @returns {Promise<string>} The ERC20 token address.
+   * @throws {Error} If blockchain interaction fails or setup is incomplete.
+   */
+  async function getPaymentTokenAddress() {
+    if (network.tokenAddress) {
+      return network.tokenAddress;
+    }
+    if (!contract) {
+      throw new Error('Blockchain interaction module is not properly initialized. Check private key and contract address.');
+    }
+    if (cachedPaymentTokenAddress) {
+      return cachedPaymentTokenAddress;
+    }
+    try {
+      cachedPaymentTokenAddress = await contract.yourERC20Token();
+      return cachedPaymentTokenAddress;
+    } catch (error) {
+      console.error('Error in getPaymentTokenAddress:', error);
+      throw new Error(`Failed to get payment token address from blockchain: ${error.message}`);
+    }
+  }
+
+  /**
+   * Returns the payment token's address, decimals and symbol.
+   * Fetched once per network; concurrent callers share the same request, and a failed request is retried on the next call.
+   * @returns {Promise<{address: string, decimals: number, symbol: string}>}
+   * @throws {Error} If blockchain interaction fails or setup is incomplete.
+   */
+  function getPaymentTokenInfo() {
+    if (!paymentTokenInfoPromise) {
+      paymentTokenInfoPromise = (async () => {
+        const address = await getPaymentTokenAddress();
+        try {
+          const token = new ethers.Contract(address, ERC20_ABI, provider);
+          const [decimals, symbol] = await Promise.all([token.decimals(), token.symbol()]);
+          return { address, decimals: Number(decimals), symbol };
+        } catch (error) {
+          console.error('Error in getPaymentTokenInfo:', error);
+          throw new Error(`Failed to get payment token details from blockchain: ${error.message}`);
+        }
+      })();
+      paymentTokenInfoPromise.catch(() => {
+        paymentTokenInfoPromise = null;
+      });
+    }
+    return paymentTokenInfoPromise;
+  }
+
+  /**
+   * Returns the chain id of the network the provider is connected to.
+   * @returns {Promise<string>} The chain id as a decimal string.
+   * @throws {Error} If the RPC call fails.
+   */
+  async function getChainId() {
+    if (network.chainId) {
+      return network.chainId;
+    }
+    if (cachedChainId) {
+      return cachedChainId;
+    }
+    try {
+      const providerNetwork = await provider.getNetwork();
+      cachedChainId = providerNetwork.chainId.toString();
+      return cachedChainId;
+    } catch (error) {
+      console.error('Error in getChainId:', error);
+      throw new Error(`Failed to get chain id: ${error.message}`);
+    }
+  }
+
+  /**
+   * Returns the latest block number known to the provider.
+   * @returns {Promise<number>} The latest block number.
+   * @throws {Error} If the RPC call fails.
+   */
+  async function getLatestBlockNumber() {
+    try {
+      return await provider.getBlockNumber();
+    } catch (error) {
+      console.error('Error in getLatestBlockNumber:', error);
+      throw new Error(`Failed to get latest block number: ${error.message}`);
+    }
+  }
+
+  /**
+   * Returns the hash of a block, used to detect chain reorganizations.
+   * @param {number} blockNumber The block number.
+   * @returns {Promise<string|null>} The block hash, or null if the block does not exist.
+   * @throws {Error} If the RPC call fails.
+   */
+  async function getBlockHash(blockNumber) {
+    try {
+      const block = await provider.getBlock(blockNumber);
+      return block ? block.hash : null;
+    } catch (error) {
+      console.error('Error in getBlockHash:', error);
+      throw new Error(`Failed to get block ${blockNumber}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fetches and decodes the contract's events in an inclusive block range.
+   * Logs that do not match the ABI are skipped.
+   * @param {number} fromBlock First block of the range.
+   * @param {number} toBlock Last block of the range.
+   * @returns {Promise<Array<{name: string, args: ethers.Result, blockNumber: number, blockHash: string, transactionHash: string, logIndex: number}>>}
+   *   The decoded events in chain order.
+   * @throws {Error} If the RPC call fails or setup is incomplete.
+   */
+  async function getContractEvents(fromBlock, toBlock) {
+    if (!CONTRACT_ADDRESS) {
+      throw new Error('Blockchain interaction module is not properly initialized. Check contract address.');
+    }
+    try {
+      const logs = await provider.getLogs({ address: CONTRACT_ADDRESS, fromBlock, toBlock });
+      const events = [];
+      for (const log of logs) {
+        const parsed = contractInterface.parseLog(log);
+        if (!parsed) {
+          continue;
+        }
+        events.push({
+          name: parsed.name,
+          args: parsed.args,
+          blockNumber: log.blockNumber,
+          blockHash: log.blockHash,
+          transactionHash: log.transactionHash,
+          logIndex: log.index,
+        });
+      }
+      return events;
+    } catch (error) {
+      console.error('Error in getContractEvents:', error);
+      throw new Error(`Failed to get contract events for blocks ${fromBlock}-${toBlock}: ${error.message}`);
+    }
+  }
+  return {
+    network,
+    createLinkOnChain,
+    setLinkActivityOnChain,
+    relayPayForAccessWithSignature,
+    sendCreateLinkTransaction,
+    sendSetLinkActivityTransaction,
+    getTransactionStatus,
+    startTransactionMonitor,
+    checkAccessOnChain,
+    getWalletBalance,
+    getEip712Domain,
+    recoverPayForAccessSigner,
+    simulatePayForAccessWithSignature,
+    estimatePayForAccessWithSignatureMaxFee,
+    getLinkDetailsOnChain,
+    getPaymentTokenAddress,
+    getPaymentTokenInfo,
+    getChainId,
+    getLatestBlockNumber,
+    getBlockHash,
+    getContractEvents,
+    CONTRACT_ADDRESS,
+  };
 }
 
+const clients = new Map();
+
 /**
- * Relays a pre-signed payForAccess transaction to the blockchain.
- * The server's wallet pays the gas for this meta-transaction.
- * @param {string} linkId The keccak256 hash of the URL (bytes32).
- * @param {string} beneficiaryAddress The address of the beneficiary.
- * @param {string} payerAddress The address of the EOA that signed the transaction.
- * @param {string | number} deadline The deadline for the signature.
- * @param {string} signature The EOA's signature.
- * @returns {Promise<ethers.providers.TransactionReceipt>} The transaction receipt.
- * @throws {Error} If blockchain interaction fails or setup is incomplete.
+ * Returns the client for a network, creating it on first use.
+ * @param {string|null} [networkKey] A registry key; the default network if omitted.
+ * @returns {object} The network client.
+ * @throws {Error} If the network is unknown.
  */
-async function relayPayForAccessWithSignature(linkId, beneficiaryAddress, payerAddress, deadline, signature) {
-  if (!contract || !wallet) {
-    throw new Error('Blockchain interaction module is not properly initialized. Check private key and contract address.');
-  }
-  try {
-    console.log(`Attempting to relay payForAccessWithSignature for linkId: ${linkId}, beneficiary: ${beneficiaryAddress}, payer: ${payerAddress}, deadline: ${deadline}`);
-    const tx = await contract.payForAccessWithSignature(linkId, beneficiaryAddress, payerAddress, deadline, signature);
-    console.log('Transaction sent via relayer (payForAccessWithSignature):', tx.hash);
-    const receipt = await tx.wait(); // Wait for the transaction to be mined
-    console.log('Transaction confirmed via relayer (payForAccessWithSignature):', receipt.transactionHash);
-    return receipt;
-  } catch (error) {
-    console.error('Error in relayPayForAccessWithSignature:', error);
-    throw new Error(`Failed to relay payForAccessWithSignature on blockchain: ${error.message}`);
+function forNetwork(networkKey) {
+  const network = networks.getNetwork(networkKey);
+  if (!clients.has(network.key)) {
+    clients.set(network.key, createNetworkClient(network));
   }
+  return clients.get(network.key);
+}
+
+/**
+ * Returns the client for the network a link was created on.
+ * Links record the chain id and contract they were created on, and only a registry entry
+ * that still has both is used: a redeployed contract or repointed network never receives
+ * an older link's calls. Links created before networks were tracked belong to the default network.
+ * @param {object} link A GatedLinks row (network, chain_id, contract_address).
+ * @returns {Promise<object>} The network client.
+ * @throws {Error} If no network in the registry has the link's chain and contract any more.
+ */
+async function forLink(link) {
+  if (!link.chain_id && !link.contract_address) {
+    return forNetwork(link.network);
+  }
+  // The link's own network first, then any other with the same deployment
+  const candidates = networks
+    .listEnabledNetworks()
+    .sort((a, b) => (b.key === link.network) - (a.key === link.network));
+  for (const network of candidates) {
+    if (link.contract_address && (network.contractAddress || '').toLowerCase() !== link.contract_address.toLowerCase()) {
+      continue;
+    }
+    const client = forNetwork(network.key);
+    if (link.chain_id && (await client.getChainId()) !== String(link.chain_id)) {
+      continue;
+    }
+    return client;
+  }
+  throw new Error(
+    `Link ${link.link_hash} was created on chain ${link.chain_id} at contract ${link.contract_address}, ` +
+      `but no enabled network has that deployment any more; check the "${link.network}" entry in the network registry.`
+  );
+}
+
+/**
+ * Starts the stuck-transaction monitor on every enabled network.
+ * @returns {Array<{stop: function(): void}>} Handles to stop the monitors.
+ */
+function startTransactionMonitors() {
+  return networks
+    .listEnabledNetworks()
+    .map((network) => forNetwork(network.key).startTransactionMonitor())
+    .filter(Boolean);
 }
 
 module.exports = {
-  createLinkOnChain,
-  setLinkActivityOnChain,
-  relayPayForAccessWithSignature,
+  forNetwork,
+  forLink,
+  startTransactionMonitors,
   // You can export the provider, wallet, or contract instance if needed elsewhere,
   // but it's generally better to keep interactions encapsulated within this module.
-}; 
\ No newline at end of file
+};
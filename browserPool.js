@@ -0,0 +1,309 @@
+// Shared headless Chromium for metadata extraction.
+// One long-lived browser serves every request; each task gets its own context and page, so
+// cookies and storage never leak between sites. Concurrency is bounded: tasks beyond the pool
+// size wait in a queue (bounded too) and fail fast once it is full or they waited too long.
+// The browser is recycled after a number of pages and closed when idle, which keeps Chromium's
+// memory growth in check on small machines.
+// Every request a page makes must pass the fetch policy (fetchPolicy.js). Chromium never
+// connects anywhere itself: requests are made by policyFetch, pinned to the checked addresses
+// and capped in size, with redirects handed back to Chromium so each hop is checked as well.
+// Only GET and HEAD are made; websockets and service workers, which routing does not see, are
+// refused.
+//   BROWSER_POOL_SIZE             - pages open at the same time
+//   BROWSER_QUEUE_LIMIT           - tasks allowed to wait for a page
+//   BROWSER_QUEUE_TIMEOUT_MS      - how long a task may wait for a page
+//   BROWSER_PAGE_TIMEOUT_MS       - how long a task may use its page, navigation included
+//   BROWSER_RECYCLE_AFTER_PAGES   - pages served before the browser is replaced
+//   BROWSER_IDLE_CLOSE_MS         - close the browser after this long without tasks
+
+const playwright = require("playwright");
+const { policyFetch, UrlPolicyError } = require("./fetchPolicy");
+
+const BROWSER_POOL_SIZE = parseInt(process.env.BROWSER_POOL_SIZE) || 2;
+const BROWSER_QUEUE_LIMIT = parseInt(process.env.BROWSER_QUEUE_LIMIT) || 20;
+const BROWSER_QUEUE_TIMEOUT_MS =
+  parseInt(process.env.BROWSER_QUEUE_TIMEOUT_MS) || 15000;
+const BROWSER_PAGE_TIMEOUT_MS =
+  parseInt(process.env.BROWSER_PAGE_TIMEOUT_MS) || 15000;
+const BROWSER_RECYCLE_AFTER_PAGES =
+  parseInt(process.env.BROWSER_RECYCLE_AFTER_PAGES) || 100;
+const BROWSER_IDLE_CLOSE_MS =
+  parseInt(process.env.BROWSER_IDLE_CLOSE_MS) || 5 * 60 * 1000;
+const BROWSER_USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36";
+// Metadata lives in the document; skipping these keeps pages light
+const BLOCKED_RESOURCE_TYPES = new Set(["image", "media", "font"]);
+const FETCHABLE_METHODS = new Set(["GET", "HEAD"]);
+// Connection-level headers, set by our own request or no longer true of the decoded body
+const HOP_HEADERS = new Set([
+  "host",
+  "connection",
+  "content-length",
+  "content-encoding",
+  "accept-encoding",
+  "transfer-encoding",
+  "keep-alive",
+]);
+
+let busySlots = 0;
+const waitQueue = [];
+
+// The browser new tasks are given: {browserPromise, activePages, pagesServed, retired, idleTimer}
+let current = null;
+
+/**
+ * Waits for a free page slot.
+ * @returns {Promise<void>}
+ * @throws {Error} If the wait queue is full or the wait times out.
+ */
+function acquireSlot() {
+  if (busySlots < BROWSER_POOL_SIZE) {
+    busySlots++;
+    return Promise.resolve();
+  }
+  if (waitQueue.length >= BROWSER_QUEUE_LIMIT) {
+    return Promise.reject(
+      new Error("Browser pool is busy; too many pages are queued.")
+    );
+  }
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve };
+    waiter.timer = setTimeout(() => {
+      waitQueue.splice(waitQueue.indexOf(waiter), 1);
+      reject(
+        new Error(
+          `Timed out after ${BROWSER_QUEUE_TIMEOUT_MS}ms waiting for a browser page.`
+        )
+      );
+    }, BROWSER_QUEUE_TIMEOUT_MS);
+    waitQueue.push(waiter);
+  });
+}
+
+/**
+ * Hands the slot to the next queued task, or frees it.
+ */
+function releaseSlot() {
+  const next = waitQueue.shift();
+  if (next) {
+    clearTimeout(next.timer);
+    next.resolve(); // The slot passes straight to the waiter
+  } else {
+    busySlots--;
+  }
+}
+
+/**
+ * Launches a browser instance. A crash or failed launch drops it, so the next task starts a new one.
+ * @returns {object} The instance record.
+ */
+function launchInstance() {
+  const instance = {
+    browserPromise: null,
+    activePages: 0,
+    pagesServed: 0,
+    retired: false,
+    idleTimer: null,
+  };
+  instance.browserPromise = playwright.chromium
+    .launch({ headless: true })
+    .then((browser) => {
+      browser.on("disconnected", () => {
+        if (current === instance) {
+          current = null;
+        }
+      });
+      return browser;
+    });
+  instance.browserPromise.catch((error) => {
+    console.error("Browser pool: failed to launch Chromium:", error.message);
+    if (current === instance) {
+      current = null;
+    }
+  });
+  return instance;
+}
+
+/**
+ * Closes an instance's browser.
+ * @param {object} instance
+ */
+function closeInstance(instance) {
+  instance.browserPromise
+    .then((browser) => browser.close())
+    .catch((error) =>
+      console.warn("Browser pool: error closing Chromium:", error.message)
+    );
+}
+
+/**
+ * Stops giving tasks to an instance and closes it once its pages are done.
+ * @param {object} instance
+ */
+function retireInstance(instance) {
+  instance.retired = true;
+  clearTimeout(instance.idleTimer);
+  if (current === instance) {
+    current = null;
+  }
+  if (instance.activePages === 0) {
+    closeInstance(instance);
+  }
+}
+
+/**
+ * Returns the instance for a new page, recycling the browser after BROWSER_RECYCLE_AFTER_PAGES pages.
+ * @returns {object}
+ */
+function checkOutInstance() {
+  if (current && current.pagesServed >= BROWSER_RECYCLE_AFTER_PAGES) {
+    console.log(
+      `Browser pool: recycling Chromium after ${current.pagesServed} pages.`
+    );
+    retireInstance(current);
+  }
+  if (!current) {
+    current = launchInstance();
+  }
+  clearTimeout(current.idleTimer);
+  current.activePages++;
+  current.pagesServed++;
+  return current;
+}
+
+/**
+ * Returns a page's instance; closes retired instances and schedules the idle close.
+ * @param {object} instance
+ */
+function checkInInstance(instance) {
+  instance.activePages--;
+  if (instance.activePages > 0) {
+    return;
+  }
+  if (instance.retired) {
+    closeInstance(instance);
+  } else {
+    instance.idleTimer = setTimeout(
+      () => retireInstance(instance),
+      BROWSER_IDLE_CLOSE_MS
+    );
+    instance.idleTimer.unref();
+  }
+}
+
+/**
+ * Copies headers without the connection-level ones; repeated headers are joined by newlines,
+ * as Playwright expects.
+ * @param {object} headers
+ * @returns {Object<string, string>}
+ */
+function forwardableHeaders(headers) {
+  const forwarded = {};
+  for (const [name, value] of Object.entries(headers)) {
+    if (!HOP_HEADERS.has(name.toLowerCase()) && value !== undefined) {
+      forwarded[name] = Array.isArray(value) ? value.join("\n") : value;
+    }
+  }
+  return forwarded;
+}
+
+/**
+ * Makes a page request through the fetch policy and hands the response to Chromium.
+ * @param {import("playwright").Route} route
+ * @returns {Promise<void>}
+ */
+async function handleRoute(route) {
+  const request = route.request();
+  if (BLOCKED_RESOURCE_TYPES.has(request.resourceType())) {
+    return route.abort();
+  }
+  if (!FETCHABLE_METHODS.has(request.method())) {
+    return route.abort("blockedbyclient");
+  }
+  try {
+    // Redirects go back to Chromium, which routes the next hop through here again
+    const response = await policyFetch(request.url(), {
+      method: request.method(),
+      headers: forwardableHeaders(request.headers()),
+      followRedirects: false,
+    });
+    await route.fulfill({
+      status: response.status,
+      headers: forwardableHeaders(response.headers),
+      body: response.body,
+    });
+  } catch (error) {
+    if (error instanceof UrlPolicyError) {
+      console.warn(
+        `Browser pool: blocked request to ${request.url()}: ${error.message}`
+      );
+    }
+    await route.abort("blockedbyclient").catch(() => {}); // The page may already be closed
+  }
+}
+
+/**
+ * Runs a task with a fresh page from the shared browser.
+ * The page's context is closed afterwards, which also aborts a task that ran past its timeout.
+ * @template T
+ * @param {function(import("playwright").Page): Promise<T>} task
+ * @returns {Promise<T>}
+ * @throws {Error} If no page becomes available, the task fails or it exceeds BROWSER_PAGE_TIMEOUT_MS.
+ */
+async function withPage(task) {
+  await acquireSlot();
+  const instance = checkOutInstance();
+  let context = null;
+  let timer = null;
+  try {
+    const browser = await instance.browserPromise;
+    context = await browser.newContext({
+      userAgent: BROWSER_USER_AGENT,
+      serviceWorkers: "block", // Their requests would bypass routing
+    });
+    await context.route("**/*", handleRoute);
+    await context.routeWebSocket(/.*/, (webSocket) =>
+      webSocket.close({ code: 1008, reason: "Blocked by the fetch policy." })
+    );
+    const page = await context.newPage();
+    page.setDefaultTimeout(BROWSER_PAGE_TIMEOUT_MS);
+
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () =>
+          reject(
+            new Error(
+              `Browser page timed out after ${BROWSER_PAGE_TIMEOUT_MS}ms.`
+            )
+          ),
+        BROWSER_PAGE_TIMEOUT_MS
+      );
+    });
+    return await Promise.race([task(page), timeout]);
+  } finally {
+    clearTimeout(timer);
+    if (context) {
+      await context.close().catch(() => {});
+    }
+    checkInInstance(instance);
+    releaseSlot();
+  }
+}
+
+/**
+ * Reports the pool's current load, for logging and health checks.
+ * @returns {{size: number, busy: number, queued: number, browserRunning: boolean}}
+ */
+function getBrowserPoolStats() {
+  return {
+    size: BROWSER_POOL_SIZE,
+    busy: busySlots,
+    queued: waitQueue.length,
+    browserRunning: current !== null,
+  };
+}
+
+module.exports = {
+  withPage,
+  getBrowserPoolStats,
+};
@@ -181,17 +181,20 @@ initializeDb().catch((initErr) => {
 /**
  * Stores a new gated link in the database.
  * @param {object} linkData
+ * @param {import("pg").Pool|import("pg").PoolClient} client Pass a transaction client to store the link as part of a larger transaction.
  * @returns {Promise<number>} The ID of the newly inserted row.
  */
-async function storeGatedLink(linkData) {
+async function storeGatedLink(linkData, client = pool) {
   // In PostgreSQL, query parameters are $1, $2, etc.
   // The RETURNING id clause gets the id of the inserted row.
   const sql = `INSERT INTO GatedLinks (
                  original_url, link_hash, buy_short_code, access_short_code, title, 
                  creator_address, price_in_erc20, tx_hash, is_active,
-                 description, author_name, author_profile_picture_url, content_vignette_url, publication_date, extracted_metadata, ai_social_posts
+                 description, author_name, author_profile_picture_url, content_vignette_url, publication_date, extracted_metadata, ai_social_posts,
+                 chain_status, canonical_url, link_version, link_id_scheme, previous_link_hash,
+                 network, chain_id, contract_address
                )
-               VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+               VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24)
                RETURNING id`;
   const params = [
     linkData.original_url,
@@ -212,9 +215,17 @@ async function storeGatedLink(linkData) {
       ? JSON.stringify(linkData.extracted_metadata)
       : null, // Ensure metadata is stringified if it's an object
     null, // Initialize ai_social_posts as null
+    linkData.chain_status || "confirmed",
+    linkData.canonical_url || null,
+    linkData.link_version || 1,
+    linkData.link_id_scheme || "url",
+    linkData.previous_link_hash || null,
+    linkData.network || null,
+    linkData.chain_id || null,
+    linkData.contract_address ? linkData.contract_address.toLowerCase() : null,
   ];
   try {
-    const result = await pool.query(sql, params);
+    const result = await client.query(sql, params);
     return result.rows[0].id; // PostgreSQL returns the id in rows[0].id
   } catch (err) {
     console.error(
@@ -352,6 +363,8 @@ async function getLinksByCreator(creatorAddress) {
       id, original_url, link_hash, buy_short_code, access_short_code, title, 
       creator_address, price_in_erc20, tx_hash, status_update_tx_hash, is_active, 
       description, author_name, author_profile_picture_url, content_vignette_url, publication_date, extracted_metadata, ai_social_posts,
+      chain_status, link_version, previous_link_hash, superseded_by_link_hash,
+      network, chain_id, contract_address,
       created_at, updated_at
     FROM GatedLinks
     WHERE creator_address = $1
@@ -376,62 +389,153 @@ async function getLinksByCreator(creatorAddress) {
   }
 }
 
-async function replaceGatedLinkByHash(linkData) {
+// The GatedLinks columns a metadata revision covers
+const METADATA_REVISION_COLUMNS = [
+  "title",
+  "description",
+  "author_name",
+  "author_profile_picture_url",
+  "content_vignette_url",
+  "publication_date",
+  "extracted_metadata",
+];
+
+/**
+ * Inserts a metadata revision row.
+ * @param {import("pg").PoolClient} client The transaction client.
+ * @param {string} linkHash
+ * @param {number} revisionNumber
+ * @param {object} revision The metadata columns, source, and optionally based_on_revision, created_by and created_at.
+ * @returns {Promise<object>} The inserted row.
+ */
+async function insertMetadataRevision(
+  client,
+  linkHash,
+  revisionNumber,
+  revision
+) {
+  const sql = `INSERT INTO LinkMetadataRevisions (
+                 link_hash, revision, source, title, description, author_name,
+                 author_profile_picture_url, content_vignette_url, publication_date, extracted_metadata,
+                 based_on_revision, created_by, created_at
+               )
+               VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, COALESCE($13, CURRENT_TIMESTAMP))
+               RETURNING *`;
+  const { rows } = await client.query(sql, [
+    linkHash,
+    revisionNumber,
+    revision.source,
+    revision.title || null,
+    revision.description || null,
+    revision.author_name || null,
+    revision.author_profile_picture_url || null,
+    revision.content_vignette_url || null,
+    revision.publication_date || null,
+    revision.extracted_metadata
+      ? JSON.stringify(revision.extracted_metadata)
+      : null,
+    revision.based_on_revision || null,
+    revision.created_by ? revision.created_by.toLowerCase() : null,
+    revision.created_at || null,
+  ]);
+  return rows[0];
+}
+
+/**
+ * Records a new metadata revision for a link and makes it current, unless the link is pinned.
+ * The link row is updated in place. A link from before revisions were kept first gets its
+ * current metadata saved as revision 1 (source "initial"), so nothing is lost.
+ * @param {string} linkHash
+ * @param {object} revision The metadata columns plus `source`; optionally `based_on_revision` and `created_by`.
+ * @param {object} [options]
+ * @param {boolean} [options.force] Apply the revision even if the link is pinned (creator edits and rollbacks).
+ * @param {boolean} [options.pinned] Pin or unpin the link; unchanged if omitted.
+ * @returns {Promise<{revision: object, applied: boolean, link: object}|null>} The new revision, whether
+ *   it became current and the link as it is now, or null if the link does not exist.
+ */
+async function addMetadataRevision(
+  linkHash,
+  revision,
+  { force = false, pinned } = {}
+) {
   const client = await pool.connect();
   try {
-    await client.query("BEGIN"); // Start transaction
-
-    const deleteSql = `DELETE FROM GatedLinks WHERE link_hash = $1`;
-    await client.query(deleteSql, [linkData.link_hash]);
-
-    // All columns from the table definition, excluding id (auto-generated) and updated_at (trigger-handled)
-    const insertSql = `INSERT INTO GatedLinks (
-                         original_url, link_hash, buy_short_code, access_short_code, title, 
-                         creator_address, price_in_erc20, tx_hash, status_update_tx_hash, is_active,
-                         description, author_name, author_profile_picture_url, content_vignette_url, 
-                         publication_date, extracted_metadata, created_at, ai_social_posts
-                       )
-                       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
-                       RETURNING id`;
-    const params = [
-      linkData.original_url,
-      linkData.link_hash,
-      linkData.buy_short_code,
-      linkData.access_short_code,
-      linkData.title,
-      linkData.creator_address ? linkData.creator_address.toLowerCase() : null,
-      linkData.price_in_erc20,
-      linkData.tx_hash, // Preserving original creation tx_hash
-      linkData.status_update_tx_hash, // Preserving status update tx_hash
-      linkData.is_active === undefined ? true : linkData.is_active,
-      linkData.description,
-      linkData.author_name,
-      linkData.author_profile_picture_url,
-      linkData.content_vignette_url,
-      linkData.publication_date,
-      linkData.extracted_metadata
-        ? JSON.stringify(linkData.extracted_metadata)
-        : null,
-      linkData.created_at ? new Date(linkData.created_at) : new Date(), // Preserve original created_at, or use current time if somehow missing
-      linkData.ai_social_posts
-        ? JSON.stringify(linkData.ai_social_posts)
-        : null, // Preserve ai_social_posts
-    ];
-
-    const result = await client.query(insertSql, params);
-    await client.query("COMMIT"); // Commit transaction
-    return result.rows[0].id;
+    await client.query("BEGIN");
+    const { rows: linkRows } = await client.query(
+      `SELECT * FROM GatedLinks WHERE link_hash = $1 FOR UPDATE`,
+      [linkHash]
+    );
+    let link = linkRows[0];
+    if (!link) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    if (
+      link.metadata_revision === null &&
+      METADATA_REVISION_COLUMNS.some((column) => link[column] !== null)
+    ) {
+      await insertMetadataRevision(client, linkHash, 1, {
+        ...link,
+        source: "initial",
+        created_by: null,
+        created_at: link.created_at,
+      });
+      link.metadata_revision = 1;
+    }
+
+    const { rows: latestRows } = await client.query(
+      `SELECT COALESCE(MAX(revision), 0) AS latest FROM LinkMetadataRevisions WHERE link_hash = $1`,
+      [linkHash]
+    );
+    const inserted = await insertMetadataRevision(
+      client,
+      linkHash,
+      latestRows[0].latest + 1,
+      revision
+    );
+
+    const applied = force || !link.metadata_pinned;
+    const newPinned = pinned === undefined ? link.metadata_pinned : pinned;
+    // updated_at will be handled by the trigger
+    const { rows: updatedRows } = applied
+      ? await client.query(
+          `UPDATE GatedLinks
+           SET title = $1, description = $2, author_name = $3, author_profile_picture_url = $4,
+               content_vignette_url = $5, publication_date = $6, extracted_metadata = $7,
+               metadata_revision = $8, metadata_pinned = $9
+           WHERE link_hash = $10
+           RETURNING *`,
+          [
+            inserted.title,
+            inserted.description,
+            inserted.author_name,
+            inserted.author_profile_picture_url,
+            inserted.content_vignette_url,
+            inserted.publication_date,
+            inserted.extracted_metadata
+              ? JSON.stringify(inserted.extracted_metadata)
+              : null,
+            inserted.revision,
+            newPinned,
+            linkHash,
+          ]
+        )
+      : await client.query(
+          `UPDATE GatedLinks SET metadata_revision = $1, metadata_pinned = $2 WHERE link_hash = $3 RETURNING *`,
+          [link.metadata_revision, newPinned, linkHash]
+        );
+    link = updatedRows[0];
+
+    await client.query("COMMIT");
+    return { revision: inserted, applied: applied, link: link };
   } catch (err) {
-    await client.query("ROLLBACK"); // Rollback transaction on error
+    await client.query("ROLLBACK");
     console.error(
-      "Error replacing gated link. Message:",
+      "Error adding metadata revision. Message:",
       err.message,
-      "SQL (delete):",
-      deleteSql,
-      "SQL (insert):",
-      insertSql,
       "Params:",
-      params,
+      [linkHash, revision.source, force, pinned],
       "Stack:",
       err.stack
     );
@@ -442,35 +546,311 @@ async function replaceGatedLinkByHash(linkData) {
 }
 
 /**
- * Updates the ai_social_posts for a link by its buy_short_code.
- * @param {string} buyShortCode
- * @param {object} aiSocialPosts - The JSON object containing social media posts.
- * @returns {Promise<object|null>} The updated link data or null if not found/updated.
+ * Retrieves a link's metadata revisions.
+ * @param {string} linkHash
+ * @returns {Promise<Array<object>>} The revisions, newest first.
+ */
+async function getMetadataRevisions(linkHash) {
+  const sql = `SELECT * FROM LinkMetadataRevisions WHERE link_hash = $1 ORDER BY revision DESC`;
+  try {
+    const result = await pool.query(sql, [linkHash]);
+    return result.rows;
+  } catch (err) {
+    console.error(
+      "Error fetching metadata revisions. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      [linkHash],
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Retrieves one metadata revision of a link.
+ * @param {string} linkHash
+ * @param {number} revision
+ * @returns {Promise<object|null>} The revision or null if not found.
+ */
+async function getMetadataRevision(linkHash, revision) {
+  const sql = `SELECT * FROM LinkMetadataRevisions WHERE link_hash = $1 AND revision = $2`;
+  try {
+    const result = await pool.query(sql, [linkHash, revision]);
+    return result.rows[0] || null;
+  } catch (err) {
+    console.error(
+      "Error fetching metadata revision. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      [linkHash, revision],
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Pins or unpins a link's current metadata. Refreshes of a pinned link are recorded but not applied.
+ * @param {string} linkHash
+ * @param {boolean} pinned
+ * @returns {Promise<object|null>} The updated link or null if not found.
  */
-async function updateAISocialPosts(buyShortCode, aiSocialPosts) {
+async function setMetadataPinned(linkHash, pinned) {
   // updated_at will be handled by the trigger
-  const sql = `UPDATE GatedLinks SET ai_social_posts = $1 WHERE buy_short_code = $2 RETURNING *`;
+  const sql = `UPDATE GatedLinks SET metadata_pinned = $1 WHERE link_hash = $2 RETURNING *`;
   try {
-    const result = await pool.query(sql, [
-      aiSocialPosts ? JSON.stringify(aiSocialPosts) : null,
-      buyShortCode,
-    ]);
-    if (result.rowCount === 0) {
-      console.warn(
-        `No link found with buy_short_code '${buyShortCode}' to update AI social posts.`
-      );
+    const result = await pool.query(sql, [pinned, linkHash]);
+    return result.rows[0] || null;
+  } catch (err) {
+    console.error(
+      "Error setting metadata pin. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      [pinned, linkHash],
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Inserts a social post revision row.
+ * @param {import("pg").PoolClient} client The transaction client.
+ * @param {string} linkHash
+ * @param {number} revisionNumber
+ * @param {object} revision `source`, `social_posts`, and optionally `platforms`, `post_id` and `created_by`.
+ * @returns {Promise<object>} The inserted row.
+ */
+async function insertSocialPostRevision(
+  client,
+  linkHash,
+  revisionNumber,
+  revision
+) {
+  const sql = `INSERT INTO SocialPostRevisions (
+                 link_hash, revision, source, platforms, post_id, social_posts, created_by
+               )
+               VALUES ($1, $2, $3, $4, $5, $6, $7)
+               RETURNING *`;
+  const { rows } = await client.query(sql, [
+    linkHash,
+    revisionNumber,
+    revision.source,
+    revision.platforms || [],
+    revision.post_id || null,
+    JSON.stringify(revision.social_posts),
+    revision.created_by ? revision.created_by.toLowerCase() : null,
+  ]);
+  return rows[0];
+}
+
+/**
+ * Changes a link's social posts and records the result as a new revision.
+ * The link row is locked while the change is computed, so concurrent edits and generations
+ * cannot overwrite each other. A link whose posts predate revisions first gets them saved as
+ * revision 1 (source "initial").
+ * @param {string} linkHash
+ * @param {function(object): object|null} applyChange Gets the current posts (keyed by lowercase
+ *   platform) and returns the new posts, or null to leave them unchanged.
+ * @param {object} change
+ * @param {string} change.source generated, creator_edit, marked or deleted.
+ * @param {string[]} [change.platforms] The platforms the change touches.
+ * @param {string} [change.postId] The post the change touches, if one.
+ * @param {string} [change.createdBy] Wallet that made the change.
+ * @returns {Promise<{revision: object|null, link: object}|null>} The new revision (null if
+ *   nothing changed) and the link as it is now, or null if the link does not exist.
+ */
+async function updateSocialPosts(
+  linkHash,
+  applyChange,
+  { source, platforms = [], postId = null, createdBy = null }
+) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const { rows: linkRows } = await client.query(
+      `SELECT * FROM GatedLinks WHERE link_hash = $1 FOR UPDATE`,
+      [linkHash]
+    );
+    const link = linkRows[0];
+    if (!link) {
+      await client.query("ROLLBACK");
       return null;
     }
-    console.log(`AI social posts updated for buy_short_code: ${buyShortCode}`);
-    return result.rows[0]; // Return the updated row
+    const current = link.ai_social_posts || {};
+    const updatedPosts = applyChange(current);
+    if (!updatedPosts) {
+      await client.query("ROLLBACK");
+      return { revision: null, link: link };
+    }
+
+    if (
+      link.social_posts_revision === null &&
+      Object.keys(current).length > 0
+    ) {
+      await insertSocialPostRevision(client, linkHash, 1, {
+        source: "initial",
+        platforms: Object.keys(current),
+        social_posts: current,
+      });
+    }
+    const { rows: latestRows } = await client.query(
+      `SELECT COALESCE(MAX(revision), 0) AS latest FROM SocialPostRevisions WHERE link_hash = $1`,
+      [linkHash]
+    );
+    const inserted = await insertSocialPostRevision(
+      client,
+      linkHash,
+      latestRows[0].latest + 1,
+      {
+        source: source,
+        platforms: platforms,
+        post_id: postId,
+        social_posts: updatedPosts,
+        created_by: createdBy,
+      }
+    );
+
+    // updated_at will be handled by the trigger
+    const { rows: updatedRows } = await client.query(
+      `UPDATE GatedLinks SET ai_social_posts = $1, social_posts_revision = $2 WHERE link_hash = $3 RETURNING *`,
+      [JSON.stringify(updatedPosts), inserted.revision, linkHash]
+    );
+
+    await client.query("COMMIT");
+    console.log(
+      `AI social posts updated for link ${linkHash} (revision ${inserted.revision}, ${source}).`
+    );
+    return { revision: inserted, link: updatedRows[0] };
   } catch (err) {
+    await client.query("ROLLBACK");
     console.error(
       "Error updating AI social posts. Message:",
       err.message,
+      "Params:",
+      [linkHash, source, platforms, postId],
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Retrieves a link's social post revisions.
+ * @param {string} linkHash
+ * @param {string} [platform] Only revisions that touched this platform (lowercase).
+ * @returns {Promise<Array<object>>} The revisions, newest first.
+ */
+async function getSocialPostRevisions(linkHash, platform = null) {
+  const sql = `SELECT * FROM SocialPostRevisions
+               WHERE link_hash = $1 AND ($2::TEXT IS NULL OR $2 = ANY(platforms))
+               ORDER BY revision DESC`;
+  try {
+    const result = await pool.query(sql, [linkHash, platform]);
+    return result.rows;
+  } catch (err) {
+    console.error(
+      "Error fetching social post revisions. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      [linkHash, platform],
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Saves a creator's brand voice profile as a new version.
+ * @param {string} creatorAddress
+ * @param {object} profile
+ * @param {string|null} profile.tone
+ * @param {string|null} profile.audience
+ * @param {string[]} profile.banned_words
+ * @param {string[]} profile.preferred_hashtags
+ * @param {string} profile.default_language BCP 47 language tag.
+ * @returns {Promise<object>} The stored version.
+ */
+async function saveVoiceProfile(creatorAddress, profile) {
+  const client = await pool.connect();
+  const params = [
+    creatorAddress.toLowerCase(),
+    profile.tone,
+    profile.audience,
+    JSON.stringify(profile.banned_words),
+    JSON.stringify(profile.preferred_hashtags),
+    profile.default_language,
+  ];
+  try {
+    await client.query("BEGIN");
+    // Serializes saves per creator, so two saves cannot take the same version number
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext($1))`, [
+      `voice-profile:${params[0]}`,
+    ]);
+    const { rows } = await client.query(
+      `INSERT INTO CreatorVoiceProfiles (
+         creator_address, version, tone, audience, banned_words, preferred_hashtags, default_language
+       )
+       SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4, $5, $6
+       FROM CreatorVoiceProfiles WHERE creator_address = $1
+       RETURNING *`,
+      params
+    );
+    await client.query("COMMIT");
+    return rows[0];
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error(
+      "Error saving voice profile. Message:",
+      err.message,
+      "Params:",
+      params,
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Retrieves the current version of a creator's brand voice profile.
+ * @param {string} creatorAddress
+ * @returns {Promise<object|null>} The profile, or null if the creator never saved one.
+ */
+async function getVoiceProfile(creatorAddress) {
+  const sql = `SELECT * FROM CreatorVoiceProfiles
+               WHERE creator_address = $1
+               ORDER BY version DESC
+               LIMIT 1`;
+  try {
+    const result = await pool.query(sql, [creatorAddress.toLowerCase()]);
+    return result.rows[0] || null;
+  } catch (err) {
+    console.error(
+      "Error fetching voice profile. Message:",
+      err.message,
       "SQL:",
       sql,
       "Params:",
-      [aiSocialPosts, buyShortCode],
+      [creatorAddress],
       "Stack:",
       err.stack
     );
@@ -497,10 +877,10 @@ async function getLatestLinksForFeed(
       id, original_url, link_hash, buy_short_code, access_short_code, title, 
       creator_address, price_in_erc20, tx_hash, status_update_tx_hash, is_active, 
       description, author_name, author_profile_picture_url, content_vignette_url, 
-      publication_date, extracted_metadata, ai_social_posts,
+      publication_date, extracted_metadata, ai_social_posts, network, chain_id, contract_address,
       created_at, updated_at
     FROM GatedLinks
-    WHERE is_active = true
+    WHERE is_active = true AND chain_status = 'confirmed'
     ORDER BY created_at DESC
     LIMIT $1 OFFSET $2;
   `;
@@ -523,6 +903,2046 @@ async function getLatestLinksForFeed(
   }
 }
 
+/**
+ * Stores a content access challenge issued to a wallet.
+ * @param {object} challenge
+ * @returns {Promise<object>} The stored challenge row.
+ */
+async function storeAccessChallenge(challenge) {
+  const sql = `INSERT INTO AccessChallenges (nonce, access_short_code, wallet_address, message, expires_at)
+               VALUES ($1, $2, $3, $4, $5)
+               RETURNING *`;
+  const params = [
+    challenge.nonce,
+    challenge.access_short_code,
+    challenge.wallet_address.toLowerCase(),
+    challenge.message,
+    challenge.expires_at,
+  ];
+  try {
+    const result = await pool.query(sql, params);
+    return result.rows[0];
+  } catch (err) {
+    console.error(
+      "Error storing access challenge. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      params,
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Retrieves an unused, unexpired access challenge.
+ * @param {string} nonce
+ * @param {string} accessShortCode
+ * @param {string} walletAddress
+ * @returns {Promise<object|null>} The challenge or null if not found, used or expired.
+ */
+async function getPendingAccessChallenge(nonce, accessShortCode, walletAddress) {
+  const sql = `SELECT * FROM AccessChallenges
+               WHERE nonce = $1 AND access_short_code = $2 AND wallet_address = $3
+                 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP`;
+  const params = [nonce, accessShortCode, walletAddress.toLowerCase()];
+  try {
+    const result = await pool.query(sql, params);
+    return result.rows[0] || null;
+  } catch (err) {
+    console.error(
+      "Error fetching access challenge. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      params,
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Marks an access challenge as used so its signature cannot be replayed.
+ * @param {string} nonce
+ * @returns {Promise<boolean>} True if this call consumed the challenge.
+ */
+async function consumeAccessChallenge(nonce) {
+  const sql = `UPDATE AccessChallenges SET used_at = CURRENT_TIMESTAMP
+               WHERE nonce = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP`;
+  try {
+    const result = await pool.query(sql, [nonce]);
+    return result.rowCount === 1;
+  } catch (err) {
+    console.error(
+      "Error consuming access challenge. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      [nonce],
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+// Event tables written by the blockchain indexer, keyed by contract event name.
+// Each entry lists the event-specific columns; block/tx/log columns are shared.
+const INDEXED_EVENT_TABLES = {
+  PaymentMade: {
+    table: "PaymentEvents",
+    columns: ["link_hash", "buyer_address", "creator_address", "amount_paid"],
+  },
+  AccessGranted: {
+    table: "AccessGrantEvents",
+    columns: ["link_hash", "beneficiary_address"],
+  },
+  LinkCreated: {
+    table: "LinkCreatedEvents",
+    columns: ["link_hash", "creator_address", "price_in_erc20", "is_active"],
+  },
+  LinkActivitySet: {
+    table: "LinkActivityEvents",
+    columns: ["link_hash", "is_active"],
+  },
+  MetaTransactionExecuted: {
+    table: "MetaTransactionEvents",
+    columns: [
+      "link_hash",
+      "payer_address",
+      "beneficiary_address",
+      "relayer_address",
+    ],
+  },
+};
+
+/**
+ * Retrieves the indexer cursor for a contract.
+ * @param {string} chainId
+ * @param {string} contractAddress
+ * @returns {Promise<object|null>} The cursor row or null if indexing never ran.
+ */
+async function getIndexerCursor(chainId, contractAddress) {
+  const sql = `SELECT * FROM IndexerCursors WHERE chain_id = $1 AND contract_address = $2`;
+  try {
+    const result = await pool.query(sql, [chainId, contractAddress.toLowerCase()]);
+    return result.rows[0] || null;
+  } catch (err) {
+    console.error(
+      "Error fetching indexer cursor. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      [chainId, contractAddress],
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Retrieves the most recent block checkpoints recorded by the indexer, newest first.
+ * @param {string} chainId
+ * @param {string} contractAddress
+ * @param {number} limit
+ * @returns {Promise<Array<object>>} Checkpoint rows with block_number and block_hash.
+ */
+async function getIndexerCheckpoints(chainId, contractAddress, limit = 128) {
+  const sql = `SELECT block_number, block_hash FROM IndexerCheckpoints
+               WHERE chain_id = $1 AND contract_address = $2
+               ORDER BY block_number DESC
+               LIMIT $3`;
+  try {
+    const result = await pool.query(sql, [chainId, contractAddress.toLowerCase(), limit]);
+    return result.rows || [];
+  } catch (err) {
+    console.error(
+      "Error fetching indexer checkpoints. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      [chainId, contractAddress, limit],
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Stores the events of an indexed block range and advances the cursor, atomically.
+ * @param {string} chainId
+ * @param {string} contractAddress
+ * @param {Array<object>} events Normalized events, each with an `event` name and the columns of its table.
+ * @param {number} toBlock The last block of the indexed range.
+ * @param {string} toBlockHash The hash of `toBlock`, kept for reorg detection.
+ * @returns {Promise<void>}
+ */
+async function saveIndexedBlockRange(chainId, contractAddress, events, toBlock, toBlockHash) {
+  const normalizedContractAddress = contractAddress.toLowerCase();
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    for (const event of events) {
+      const definition = INDEXED_EVENT_TABLES[event.event];
+      if (!definition) {
+        continue;
+      }
+      const columns = [
+        "chain_id",
+        "contract_address",
+        ...definition.columns,
+        "block_number",
+        "block_hash",
+        "tx_hash",
+        "log_index",
+      ];
+      const params = [
+        chainId,
+        normalizedContractAddress,
+        ...definition.columns.map((column) => event[column]),
+        event.block_number,
+        event.block_hash,
+        event.tx_hash,
+        event.log_index,
+      ];
+      const placeholders = params.map((_, i) => `$${i + 1}`).join(", ");
+      await client.query(
+        `INSERT INTO ${definition.table} (${columns.join(", ")})
+         VALUES (${placeholders})
+         ON CONFLICT (chain_id, tx_hash, log_index) DO NOTHING`,
+        params
+      );
+    }
+
+    await client.query(
+      `INSERT INTO IndexerCursors (chain_id, contract_address, last_indexed_block, last_block_hash, updated_at)
+       VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+       ON CONFLICT (chain_id, contract_address) DO UPDATE
+       SET last_indexed_block = EXCLUDED.last_indexed_block,
+           last_block_hash = EXCLUDED.last_block_hash,
+           updated_at = CURRENT_TIMESTAMP`,
+      [chainId, normalizedContractAddress, toBlock, toBlockHash]
+    );
+    await client.query(
+      `INSERT INTO IndexerCheckpoints (chain_id, contract_address, block_number, block_hash)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (chain_id, contract_address, block_number) DO UPDATE SET block_hash = EXCLUDED.block_hash`,
+      [chainId, normalizedContractAddress, toBlock, toBlockHash]
+    );
+
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error(
+      "Error saving indexed block range. Message:",
+      err.message,
+      "Params:",
+      [chainId, contractAddress, events.length, toBlock, toBlockHash],
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Removes everything the indexer recorded after a block (used on chain reorganizations)
+ * and moves the cursor back to that block.
+ * @param {string} chainId
+ * @param {string} contractAddress
+ * @param {number} blockNumber The last block that is still considered canonical.
+ * @param {string|null} blockHash The hash of `blockNumber`, if known.
+ * @returns {Promise<void>}
+ */
+async function rollbackIndexedEvents(chainId, contractAddress, blockNumber, blockHash) {
+  const normalizedContractAddress = contractAddress.toLowerCase();
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    for (const { table } of Object.values(INDEXED_EVENT_TABLES)) {
+      await client.query(
+        `DELETE FROM ${table} WHERE chain_id = $1 AND contract_address = $2 AND block_number > $3`,
+        [chainId, normalizedContractAddress, blockNumber]
+      );
+    }
+    await client.query(
+      `DELETE FROM IndexerCheckpoints WHERE chain_id = $1 AND contract_address = $2 AND block_number > $3`,
+      [chainId, normalizedContractAddress, blockNumber]
+    );
+    await client.query(
+      `UPDATE IndexerCursors
+       SET last_indexed_block = $3, last_block_hash = $4, updated_at = CURRENT_TIMESTAMP
+       WHERE chain_id = $1 AND contract_address = $2`,
+      [chainId, normalizedContractAddress, blockNumber, blockHash]
+    );
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error(
+      "Error rolling back indexed events. Message:",
+      err.message,
+      "Params:",
+      [chainId, contractAddress, blockNumber, blockHash],
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Deletes old indexer checkpoints, keeping only the most recent ones.
+ * @param {string} chainId
+ * @param {string} contractAddress
+ * @param {number} keep Number of checkpoints to keep.
+ * @returns {Promise<number>} The number of checkpoints deleted.
+ */
+async function pruneIndexerCheckpoints(chainId, contractAddress, keep = 128) {
+  const sql = `DELETE FROM IndexerCheckpoints
+               WHERE chain_id = $1 AND contract_address = $2 AND block_number < (
+                 SELECT MIN(block_number) FROM (
+                   SELECT block_number FROM IndexerCheckpoints
+                   WHERE chain_id = $1 AND contract_address = $2
+                   ORDER BY block_number DESC
+                   LIMIT $3
+                 ) AS recent
+               )`;
+  try {
+    const result = await pool.query(sql, [chainId, contractAddress.toLowerCase(), keep]);
+    return result.rowCount;
+  } catch (err) {
+    console.error(
+      "Error pruning indexer checkpoints. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      [chainId, contractAddress, keep],
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Retrieves the links a wallet was granted access to, according to indexed events.
+ * @param {string} walletAddress
+ * @returns {Promise<Array<object>>} Access grants joined with their link details, newest first.
+ */
+async function getPurchasesByWallet(walletAddress) {
+  const sql = `
+    SELECT
+      ag.link_hash, ag.tx_hash, ag.block_number,
+      gl.buy_short_code, gl.access_short_code, gl.title, gl.original_url,
+      gl.content_vignette_url, gl.creator_address, gl.price_in_erc20
+    FROM AccessGrantEvents ag
+    LEFT JOIN GatedLinks gl ON gl.link_hash = ag.link_hash
+    WHERE ag.beneficiary_address = $1
+    ORDER BY ag.block_number DESC, ag.log_index DESC;
+  `;
+  try {
+    const result = await pool.query(sql, [walletAddress.toLowerCase()]);
+    return result.rows || [];
+  } catch (err) {
+    console.error(
+      "Error fetching purchases by wallet. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      [walletAddress],
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Retrieves a creator's earnings per link, according to indexed PaymentMade events.
+ * @param {string} creatorAddress
+ * @returns {Promise<Array<object>>} One row per link with the payment count and total earned.
+ */
+async function getCreatorEarnings(creatorAddress) {
+  const sql = `
+    SELECT
+      pe.link_hash, gl.buy_short_code, gl.title,
+      COUNT(*)::int AS payment_count,
+      SUM(pe.amount_paid)::text AS total_earned
+    FROM PaymentEvents pe
+    LEFT JOIN GatedLinks gl ON gl.link_hash = pe.link_hash
+    WHERE pe.creator_address = $1
+    GROUP BY pe.link_hash, gl.buy_short_code, gl.title
+    ORDER BY SUM(pe.amount_paid) DESC;
+  `;
+  try {
+    const result = await pool.query(sql, [creatorAddress.toLowerCase()]);
+    return result.rows || [];
+  } catch (err) {
+    console.error(
+      "Error fetching creator earnings. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      [creatorAddress],
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Stores a new gated link as pending and queues the chain operation that will register it,
+ * in a single transaction so the link row and its outbox entry can never diverge.
+ * @param {object} linkData
+ * @param {object} operationPayload The arguments of the on-chain call.
+ * @param {string[]} [jobTypes] Background jobs to queue for the link (see jobs.js).
+ * @returns {Promise<{linkRowId: number, operationId: number}>}
+ */
+async function storePendingGatedLink(linkData, operationPayload, jobTypes = []) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const linkRowId = await storeGatedLink(
+      { ...linkData, chain_status: "pending" },
+      client
+    );
+    const operationId = await enqueueChainOperation(
+      "create_link",
+      linkData.link_hash,
+      operationPayload,
+      client
+    );
+    for (const jobType of jobTypes) {
+      await enqueueLinkJob(jobType, linkData.link_hash, {}, client);
+    }
+    await client.query("COMMIT");
+    return { linkRowId, operationId };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error(
+      "Error storing pending gated link. Message:",
+      err.message,
+      "Params:",
+      [linkData.link_hash, operationPayload],
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Queues an on-chain operation in the transaction outbox.
+ * @param {string} operationType "create_link" or "set_link_activity".
+ * @param {string} linkHash
+ * @param {object} payload The arguments of the on-chain call.
+ * @param {import("pg").Pool|import("pg").PoolClient} client
+ * @returns {Promise<number>} The operation ID.
+ */
+async function enqueueChainOperation(operationType, linkHash, payload, client = pool) {
+  const sql = `INSERT INTO ChainOperations (operation_type, link_hash, payload)
+               VALUES ($1, $2, $3)
+               RETURNING id`;
+  const params = [operationType, linkHash, JSON.stringify(payload)];
+  try {
+    const result = await client.query(sql, params);
+    return result.rows[0].id;
+  } catch (err) {
+    console.error(
+      "Error enqueuing chain operation. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      params,
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Retrieves a chain operation by ID.
+ * @param {number} operationId
+ * @returns {Promise<object|null>} The operation or null if not found.
+ */
+async function getChainOperation(operationId) {
+  const sql = `SELECT * FROM ChainOperations WHERE id = $1`;
+  try {
+    const result = await pool.query(sql, [operationId]);
+    return result.rows[0] || null;
+  } catch (err) {
+    console.error(
+      "Error fetching chain operation. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      [operationId],
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Locks and returns the next chain operation that is due, oldest first.
+ * SKIP LOCKED lets several workers poll the outbox without picking the same row.
+ * @param {number} lockSeconds How long the claim is held before another worker may take over.
+ * @returns {Promise<object|null>} The claimed operation (with its link's `network`) or null if nothing is due.
+ */
+async function claimNextChainOperation(lockSeconds) {
+  const sql = `UPDATE ChainOperations
+               SET locked_until = CURRENT_TIMESTAMP + make_interval(secs => $1), updated_at = CURRENT_TIMESTAMP
+               WHERE id = (
+                 SELECT id FROM ChainOperations
+                 WHERE status IN ('queued', 'submitted')
+                   AND next_attempt_at <= CURRENT_TIMESTAMP
+                   AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP)
+                 ORDER BY id
+                 FOR UPDATE SKIP LOCKED
+                 LIMIT 1
+               )
+               RETURNING *,
+                 (SELECT network FROM GatedLinks WHERE link_hash = ChainOperations.link_hash) AS network,
+                 (SELECT chain_id FROM GatedLinks WHERE link_hash = ChainOperations.link_hash) AS chain_id,
+                 (SELECT contract_address FROM GatedLinks WHERE link_hash = ChainOperations.link_hash) AS contract_address`;
+  try {
+    const result = await pool.query(sql, [lockSeconds]);
+    return result.rows[0] || null;
+  } catch (err) {
+    console.error(
+      "Error claiming chain operation. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      [lockSeconds],
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Records that an operation's transaction was broadcast.
+ * @param {number} operationId
+ * @param {string} txHash
+ * @param {number} delaySeconds When to check for the receipt.
+ * @returns {Promise<void>}
+ */
+async function markChainOperationSubmitted(operationId, txHash, delaySeconds) {
+  const sql = `UPDATE ChainOperations
+               SET status = 'submitted', tx_hash = $2, attempts = attempts + 1, last_error = NULL,
+                   submitted_at = CURRENT_TIMESTAMP, locked_until = NULL,
+                   next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $3),
+                   updated_at = CURRENT_TIMESTAMP
+               WHERE id = $1`;
+  try {
+    await pool.query(sql, [operationId, txHash, delaySeconds]);
+  } catch (err) {
+    console.error(
+      "Error marking chain operation submitted. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      [operationId, txHash, delaySeconds],
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Releases a claimed operation and schedules its next attempt.
+ * @param {number} operationId
+ * @param {object} options
+ * @param {string} [options.status] New status; unchanged if omitted.
+ * @param {string|null} [options.error] Error to record; a non-null error also counts as a failed attempt.
+ * @param {number} options.delaySeconds When the operation becomes due again.
+ * @returns {Promise<void>}
+ */
+async function rescheduleChainOperation(operationId, { status, error = null, delaySeconds }) {
+  const sql = `UPDATE ChainOperations
+               SET status = COALESCE($2, status),
+                   last_error = COALESCE($3, last_error),
+                   attempts = attempts + CASE WHEN $3::text IS NULL THEN 0 ELSE 1 END,
+                   locked_until = NULL,
+                   next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $4),
+                   updated_at = CURRENT_TIMESTAMP
+               WHERE id = $1`;
+  const params = [operationId, status || null, error, delaySeconds];
+  try {
+    await pool.query(sql, params);
+  } catch (err) {
+    console.error(
+      "Error rescheduling chain operation. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      params,
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Marks an operation confirmed and applies its result to GatedLinks, atomically.
+ * @param {object} operation The operation row.
+ * @param {string|null} txHash The confirmed transaction hash (null if the chain already had the change).
+ * @returns {Promise<void>}
+ */
+async function completeChainOperation(operation, txHash) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    if (operation.operation_type === "create_link") {
+      await client.query(
+        `UPDATE GatedLinks SET chain_status = 'confirmed', tx_hash = COALESCE($2, tx_hash) WHERE link_hash = $1`,
+        [operation.link_hash, txHash]
+      );
+    } else if (operation.operation_type === "set_link_activity") {
+      await client.query(
+        `UPDATE GatedLinks SET is_active = $2, status_update_tx_hash = COALESCE($3, status_update_tx_hash) WHERE link_hash = $1`,
+        [operation.link_hash, operation.payload.isActive, txHash]
+      );
+    }
+    await client.query(
+      `UPDATE ChainOperations
+       SET status = 'confirmed', tx_hash = COALESCE($2, tx_hash), last_error = NULL, locked_until = NULL,
+           confirmed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [operation.id, txHash]
+    );
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error(
+      "Error completing chain operation. Message:",
+      err.message,
+      "Params:",
+      [operation.id, txHash],
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Marks an operation as permanently failed. A failed link creation also marks the link failed and inactive.
+ * @param {object} operation The operation row.
+ * @param {string} errorMessage
+ * @returns {Promise<void>}
+ */
+async function failChainOperation(operation, errorMessage) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    if (operation.operation_type === "create_link") {
+      await client.query(
+        `UPDATE GatedLinks SET chain_status = 'failed', is_active = false WHERE link_hash = $1`,
+        [operation.link_hash]
+      );
+    }
+    await client.query(
+      `UPDATE ChainOperations
+       SET status = 'failed', last_error = $2, locked_until = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [operation.id, errorMessage]
+    );
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error(
+      "Error failing chain operation. Message:",
+      err.message,
+      "Params:",
+      [operation.id, errorMessage],
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Queues a background job for a link. A job of the same type that is still queued or running
+ * makes this a no-op, so repeated triggers do not pile up.
+ * @param {string} jobType e.g. "extract_metadata"; see jobs.js.
+ * @param {string} linkHash
+ * @param {object} [payload]
+ * @param {import("pg").Pool|import("pg").PoolClient} client
+ * @returns {Promise<number|null>} The job ID, or null if one was already pending.
+ */
+async function enqueueLinkJob(jobType, linkHash, payload = {}, client = pool) {
+  const sql = `INSERT INTO LinkJobs (job_type, link_hash, payload)
+               VALUES ($1, $2, $3)
+               ON CONFLICT (link_hash, job_type) WHERE status IN ('queued', 'running') DO NOTHING
+               RETURNING id`;
+  const params = [jobType, linkHash, JSON.stringify(payload)];
+  try {
+    const result = await client.query(sql, params);
+    return result.rows[0] ? result.rows[0].id : null;
+  } catch (err) {
+    console.error(
+      "Error enqueuing link job. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      params,
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Locks and returns the next link job that is due, oldest first, counting the attempt.
+ * A running job whose lock expired (its worker died) is taken over.
+ * @param {number} lockSeconds How long the claim is held before another worker may take over.
+ * @returns {Promise<object|null>} The claimed job or null if nothing is due.
+ */
+async function claimNextLinkJob(lockSeconds) {
+  const sql = `UPDATE LinkJobs
+               SET status = 'running', attempts = attempts + 1, started_at = CURRENT_TIMESTAMP,
+                   locked_until = CURRENT_TIMESTAMP + make_interval(secs => $1), updated_at = CURRENT_TIMESTAMP
+               WHERE id = (
+                 SELECT id FROM LinkJobs
+                 WHERE (status = 'queued' AND next_attempt_at <= CURRENT_TIMESTAMP)
+                    OR (status = 'running' AND locked_until < CURRENT_TIMESTAMP)
+                 ORDER BY id
+                 FOR UPDATE SKIP LOCKED
+                 LIMIT 1
+               )
+               RETURNING *`;
+  try {
+    const result = await pool.query(sql, [lockSeconds]);
+    return result.rows[0] || null;
+  } catch (err) {
+    console.error(
+      "Error claiming link job. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      [lockSeconds],
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Records the outcome of a claimed link job.
+ * @param {number} jobId
+ * @param {object} outcome
+ * @param {"completed"|"queued"|"dead"} outcome.status "queued" schedules a retry.
+ * @param {string|null} [outcome.error]
+ * @param {number} [outcome.delaySeconds] For retries, when the job becomes due again.
+ * @returns {Promise<void>}
+ */
+async function finishLinkJob(jobId, { status, error = null, delaySeconds = 0 }) {
+  const sql = `UPDATE LinkJobs
+               SET status = $2, last_error = $3, locked_until = NULL,
+                   next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $4),
+                   completed_at = CASE WHEN $2 = 'completed' THEN CURRENT_TIMESTAMP ELSE completed_at END,
+                   updated_at = CURRENT_TIMESTAMP
+               WHERE id = $1`;
+  const params = [jobId, status, error, delaySeconds];
+  try {
+    await pool.query(sql, params);
+  } catch (err) {
+    console.error(
+      "Error finishing link job. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      params,
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Puts a dead-lettered job back in the queue with fresh attempts.
+ * @param {number} jobId
+ * @returns {Promise<object|null>} The requeued job, or null if it is not dead or a job of the
+ *   same type is already pending for the link.
+ */
+async function requeueDeadLinkJob(jobId) {
+  const sql = `UPDATE LinkJobs j
+               SET status = 'queued', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP,
+                   updated_at = CURRENT_TIMESTAMP
+               WHERE j.id = $1 AND j.status = 'dead'
+                 AND NOT EXISTS (
+                   SELECT 1 FROM LinkJobs p
+                   WHERE p.link_hash = j.link_hash AND p.job_type = j.job_type
+                     AND p.status IN ('queued', 'running')
+                 )
+               RETURNING *`;
+  try {
+    const result = await pool.query(sql, [jobId]);
+    return result.rows[0] || null;
+  } catch (err) {
+    console.error(
+      "Error requeuing link job. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      [jobId],
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Retrieves a link's background jobs, newest first.
+ * @param {string} linkHash
+ * @returns {Promise<Array<object>>}
+ */
+async function getLinkJobs(linkHash) {
+  const sql = `SELECT * FROM LinkJobs WHERE link_hash = $1 ORDER BY id DESC`;
+  try {
+    const result = await pool.query(sql, [linkHash]);
+    return result.rows || [];
+  } catch (err) {
+    console.error(
+      "Error fetching link jobs. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      [linkHash],
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Retrieves the latest job of each type for several links.
+ * @param {string[]} linkHashes
+ * @returns {Promise<Array<object>>}
+ */
+async function getLatestLinkJobs(linkHashes) {
+  const sql = `SELECT DISTINCT ON (link_hash, job_type) *
+               FROM LinkJobs
+               WHERE link_hash = ANY($1::text[])
+               ORDER BY link_hash, job_type, id DESC`;
+  try {
+    const result = await pool.query(sql, [linkHashes]);
+    return result.rows || [];
+  } catch (err) {
+    console.error(
+      "Error fetching latest link jobs. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      [linkHashes],
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Swaps image URLs of a link for cached copies, in the link and in its metadata revisions.
+ * A cached copy is the same image, so this is not a new revision. The original URL is kept in
+ * `extracted_metadata.source_images`, as at extraction. A field that changed in the meantime
+ * (no longer the original URL) is left alone.
+ * @param {string} linkHash
+ * @param {Object<string, {from: string, to: string}>} replacements Keyed by
+ *   `content_vignette_url` or `author_profile_picture_url`.
+ * @returns {Promise<void>}
+ */
+async function replaceLinkImageUrls(linkHash, replacements) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    for (const [field, { from, to }] of Object.entries(replacements)) {
+      if (
+        !["content_vignette_url", "author_profile_picture_url"].includes(field)
+      ) {
+        throw new Error(`Not an image field: ${field}`);
+      }
+      for (const table of ["GatedLinks", "LinkMetadataRevisions"]) {
+        await client.query(
+          `UPDATE ${table}
+           SET ${field} = $3,
+               extracted_metadata = COALESCE(extracted_metadata, '{}'::jsonb) || jsonb_build_object(
+                 'source_images',
+                 COALESCE(extracted_metadata->'source_images', '{}'::jsonb) || jsonb_build_object($4::text, $2::text)
+               )
+           WHERE link_hash = $1 AND ${field} = $2`,
+          [linkHash, from, to, field]
+        );
+      }
+    }
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error(
+      "Error replacing link image URLs. Message:",
+      err.message,
+      "Params:",
+      [linkHash, replacements],
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Persists a transaction broadcast by the server wallet.
+ * @param {object} tx
+ * @returns {Promise<number>} The ID of the new row.
+ */
+async function insertWalletTransaction(tx) {
+  const sql = `INSERT INTO WalletTransactions (
+                 wallet_address, chain_id, nonce, label, to_address, data, value, gas_limit,
+                 max_fee_per_gas, max_priority_fee_per_gas, gas_price, tx_hash
+               )
+               VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+               RETURNING id`;
+  const params = [
+    tx.wallet_address.toLowerCase(),
+    tx.chain_id,
+    tx.nonce,
+    tx.label,
+    tx.to_address.toLowerCase(),
+    tx.data,
+    tx.value || "0",
+    tx.gas_limit,
+    tx.max_fee_per_gas,
+    tx.max_priority_fee_per_gas,
+    tx.gas_price,
+    tx.tx_hash,
+  ];
+  try {
+    const result = await pool.query(sql, params);
+    return result.rows[0].id;
+  } catch (err) {
+    console.error(
+      "Error storing wallet transaction. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      params,
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Retrieves the server wallet's transactions that are not mined yet, lowest nonce first.
+ * @param {string} walletAddress
+ * @param {string} chainId
+ * @returns {Promise<Array<object>>}
+ */
+async function getPendingWalletTransactions(walletAddress, chainId) {
+  const sql = `SELECT * FROM WalletTransactions
+               WHERE wallet_address = $1 AND chain_id = $2 AND status = 'pending'
+               ORDER BY nonce ASC`;
+  const params = [walletAddress.toLowerCase(), chainId];
+  try {
+    const result = await pool.query(sql, params);
+    return result.rows || [];
+  } catch (err) {
+    console.error(
+      "Error fetching pending wallet transactions. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      params,
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Returns the highest nonce among the wallet's pending transactions.
+ * @param {string} walletAddress
+ * @param {string} chainId
+ * @returns {Promise<number|null>} The nonce, or null if nothing is pending.
+ */
+async function getMaxPendingWalletNonce(walletAddress, chainId) {
+  const sql = `SELECT MAX(nonce) AS max_nonce FROM WalletTransactions
+               WHERE wallet_address = $1 AND chain_id = $2 AND status = 'pending'`;
+  const params = [walletAddress.toLowerCase(), chainId];
+  try {
+    const result = await pool.query(sql, params);
+    const maxNonce = result.rows[0].max_nonce;
+    return maxNonce === null ? null : Number(maxNonce);
+  } catch (err) {
+    console.error(
+      "Error fetching max pending wallet nonce. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      params,
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Finds a wallet transaction by its current hash or any hash it replaced.
+ * @param {string} txHash
+ * @returns {Promise<object|null>}
+ */
+async function findWalletTransactionByHash(txHash) {
+  const sql = `SELECT * FROM WalletTransactions
+               WHERE tx_hash = $1 OR $1 = ANY(replaced_hashes)
+               ORDER BY id DESC
+               LIMIT 1`;
+  try {
+    const result = await pool.query(sql, [txHash]);
+    return result.rows[0] || null;
+  } catch (err) {
+    console.error(
+      "Error finding wallet transaction by hash. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      [txHash],
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Records a fee-bumped replacement of a pending wallet transaction (same nonce, new hash).
+ * @param {number} id
+ * @param {string} newTxHash
+ * @param {object} fees The new max_fee_per_gas / max_priority_fee_per_gas / gas_price.
+ * @returns {Promise<void>}
+ */
+async function recordWalletTransactionReplacement(id, newTxHash, fees) {
+  const sql = `UPDATE WalletTransactions
+               SET replaced_hashes = array_append(replaced_hashes, tx_hash),
+                   tx_hash = $2,
+                   max_fee_per_gas = $3,
+                   max_priority_fee_per_gas = $4,
+                   gas_price = $5,
+                   replacement_count = replacement_count + 1,
+                   last_broadcast_at = CURRENT_TIMESTAMP,
+                   updated_at = CURRENT_TIMESTAMP
+               WHERE id = $1`;
+  const params = [
+    id,
+    newTxHash,
+    fees.max_fee_per_gas,
+    fees.max_priority_fee_per_gas,
+    fees.gas_price,
+  ];
+  try {
+    await pool.query(sql, params);
+  } catch (err) {
+    console.error(
+      "Error recording wallet transaction replacement. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      params,
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Moves a wallet transaction out of the pending state.
+ * @param {number} id
+ * @param {string} status "mined", "reverted" or "dropped".
+ * @param {string|null} minedTxHash The hash that was actually mined, if any.
+ * @param {number|null} blockNumber
+ * @returns {Promise<void>}
+ */
+async function finalizeWalletTransaction(id, status, minedTxHash, blockNumber) {
+  const sql = `UPDATE WalletTransactions
+               SET status = $2, mined_tx_hash = $3, block_number = $4, updated_at = CURRENT_TIMESTAMP
+               WHERE id = $1`;
+  const params = [id, status, minedTxHash, blockNumber];
+  try {
+    await pool.query(sql, params);
+  } catch (err) {
+    console.error(
+      "Error finalizing wallet transaction. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      params,
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Retrieves every gated link (used by the DB/chain reconciliation job).
+ * @returns {Promise<Array<object>>}
+ */
+async function getAllGatedLinks() {
+  const sql = `SELECT id, link_hash, buy_short_code, creator_address, price_in_erc20, is_active, chain_status, network,
+                      chain_id, contract_address
+               FROM GatedLinks
+               ORDER BY id`;
+  try {
+    const result = await pool.query(sql);
+    return result.rows || [];
+  } catch (err) {
+    console.error(
+      "Error fetching all gated links. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Retrieves the links the indexer saw being created on-chain.
+ * @returns {Promise<Array<object>>} One row per link_hash with its creation tx.
+ */
+async function getIndexedCreatedLinks() {
+  const sql = `SELECT DISTINCT ON (link_hash) link_hash, creator_address, price_in_erc20::text AS price_in_erc20, tx_hash, block_number
+               FROM LinkCreatedEvents
+               ORDER BY link_hash, block_number`;
+  try {
+    const result = await pool.query(sql);
+    return result.rows || [];
+  } catch (err) {
+    console.error(
+      "Error fetching indexed created links. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Overwrites a link's chain-derived fields with the values read from the contract.
+ * @param {string} linkHash
+ * @param {object} chainState
+ * @param {string} chainState.creator_address
+ * @param {string} chainState.price_in_erc20
+ * @param {boolean} chainState.is_active
+ * @param {string} chainState.chain_status
+ * @returns {Promise<number>} The number of rows updated.
+ */
+async function repairGatedLinkFromChain(linkHash, chainState) {
+  const sql = `UPDATE GatedLinks
+               SET creator_address = $2, price_in_erc20 = $3, is_active = $4, chain_status = $5
+               WHERE link_hash = $1`;
+  const params = [
+    linkHash,
+    chainState.creator_address.toLowerCase(),
+    chainState.price_in_erc20,
+    chainState.is_active,
+    chainState.chain_status,
+  ];
+  try {
+    const result = await pool.query(sql, params);
+    return result.rowCount;
+  } catch (err) {
+    console.error(
+      "Error repairing gated link from chain. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      params,
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Stores the outcome of a reconciliation run.
+ * @param {object} report
+ * @returns {Promise<number>} The report ID.
+ */
+async function storeReconciliationReport(report) {
+  const sql = `INSERT INTO ReconciliationReports (dry_run, links_checked, drift_count, repaired_count, report)
+               VALUES ($1, $2, $3, $4, $5)
+               RETURNING id`;
+  const params = [
+    report.dryRun,
+    report.linksChecked,
+    report.driftCount,
+    report.repairedCount,
+    JSON.stringify(report),
+  ];
+  try {
+    const result = await pool.query(sql, params);
+    return result.rows[0].id;
+  } catch (err) {
+    console.error(
+      "Error storing reconciliation report. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      params.slice(0, 4),
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Checks a relay against the current usage and reserves it in one transaction, so it counts
+ * towards rate limits and gas caps before it is sent. Reservations on a chain are serialized,
+ * so concurrent relays cannot all pass the same check.
+ * Pending relays count at their maximum fee, confirmed and reverted ones at the fee they paid;
+ * only failed relays, which never reached the chain, are left out.
+ * @param {object} relay
+ * @param {string} relay.chain_id
+ * @param {string} relay.link_hash
+ * @param {string} relay.payer_address
+ * @param {string} relay.beneficiary_address
+ * @param {string} relay.max_fee_wei The most this relay may cost.
+ * @param {object} windows
+ * @param {Date} windows.rateLimitSince Start of the rate limit window.
+ * @param {Date} windows.feesSince Start of the gas cap window.
+ * @param {function(object): (object|null)} evaluate Receives the usage ({payer_address, beneficiary_address,
+ *   link_hash} counts, spent_wei and payer_spent_wei as bigints) and returns null to reserve, or a rejection.
+ * @returns {Promise<{id: number}|{rejection: object}>} The reservation ID, or the rejection from evaluate.
+ */
+async function reserveRelayedTransaction(relay, windows, evaluate) {
+  const client = await pool.connect();
+  const params = [
+    relay.chain_id,
+    relay.link_hash,
+    relay.payer_address.toLowerCase(),
+    relay.beneficiary_address.toLowerCase(),
+    relay.max_fee_wei,
+  ];
+  try {
+    await client.query("BEGIN");
+    // One lock per chain: the daily cap and the beneficiary and link limits span payers
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext($1))`, [
+      `relay:${relay.chain_id}`,
+    ]);
+    const { rows } = await client.query(
+      `SELECT
+         COUNT(*) FILTER (WHERE link_hash = $2 AND created_at >= $5)::int AS link_hash,
+         COUNT(*) FILTER (WHERE payer_address = $3 AND created_at >= $5)::int AS payer_address,
+         COUNT(*) FILTER (WHERE beneficiary_address = $4 AND created_at >= $5)::int AS beneficiary_address,
+         COALESCE(SUM(CASE WHEN status = 'pending' THEN max_fee_wei ELSE fee_wei END)
+           FILTER (WHERE created_at >= $6), 0)::text AS spent_wei,
+         COALESCE(SUM(CASE WHEN status = 'pending' THEN max_fee_wei ELSE fee_wei END)
+           FILTER (WHERE created_at >= $6 AND payer_address = $3), 0)::text AS payer_spent_wei
+       FROM RelayedTransactions
+       WHERE chain_id = $1 AND status <> 'failed' AND created_at >= LEAST($5::timestamptz, $6::timestamptz)`,
+      [...params.slice(0, 4), windows.rateLimitSince, windows.feesSince]
+    );
+    const usage = {
+      payer_address: rows[0].payer_address,
+      beneficiary_address: rows[0].beneficiary_address,
+      link_hash: rows[0].link_hash,
+      spent_wei: BigInt(rows[0].spent_wei),
+      payer_spent_wei: BigInt(rows[0].payer_spent_wei),
+    };
+    const rejection = evaluate(usage);
+    if (rejection) {
+      await client.query("ROLLBACK");
+      return { rejection };
+    }
+    const result = await client.query(
+      `INSERT INTO RelayedTransactions (chain_id, link_hash, payer_address, beneficiary_address, max_fee_wei)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      params
+    );
+    await client.query("COMMIT");
+    return { id: result.rows[0].id };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error(
+      "Error reserving relayed transaction. Message:",
+      err.message,
+      "Params:",
+      params,
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Records the outcome of a relayed transaction, including the gas it cost.
+ * @param {number} id
+ * @param {object} outcome
+ * @param {string} outcome.status "confirmed", "reverted" (mined but reverted, still paid for),
+ *   "pending" (sent, outcome unknown) or "failed" (never reached the chain).
+ * @param {string|null} [outcome.tx_hash]
+ * @param {string|null} [outcome.gas_used]
+ * @param {string|null} [outcome.effective_gas_price]
+ * @param {string|null} [outcome.fee_wei]
+ * @param {string|null} [outcome.error]
+ * @returns {Promise<void>}
+ */
+async function updateRelayedTransaction(id, outcome) {
+  const sql = `UPDATE RelayedTransactions
+               SET status = $2, tx_hash = $3, gas_used = $4, effective_gas_price = $5, fee_wei = $6, error = $7,
+                   updated_at = CURRENT_TIMESTAMP
+               WHERE id = $1`;
+  const params = [
+    id,
+    outcome.status,
+    outcome.tx_hash || null,
+    outcome.gas_used || null,
+    outcome.effective_gas_price || null,
+    outcome.fee_wei || null,
+    outcome.error || null,
+  ];
+  try {
+    await pool.query(sql, params);
+  } catch (err) {
+    console.error(
+      "Error updating relayed transaction. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      params,
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Settles relays still pending on a transaction the monitor has finalized, e.g. ones whose
+ * wait timed out.
+ * @param {Array<string>} txHashes The transaction's hash and its replacements' hashes.
+ * @param {object} outcome As for updateRelayedTransaction.
+ * @returns {Promise<number>} The number of relays settled.
+ */
+async function settlePendingRelayedTransactions(txHashes, outcome) {
+  const sql = `UPDATE RelayedTransactions
+               SET status = $2, tx_hash = COALESCE($3, tx_hash), gas_used = $4, effective_gas_price = $5, fee_wei = $6,
+                   error = COALESCE($7, error), updated_at = CURRENT_TIMESTAMP
+               WHERE status = 'pending' AND tx_hash = ANY($1::text[])`;
+  const params = [
+    txHashes,
+    outcome.status,
+    outcome.tx_hash || null,
+    outcome.gas_used || null,
+    outcome.effective_gas_price || null,
+    outcome.fee_wei || null,
+    outcome.error || null,
+  ];
+  try {
+    const result = await pool.query(sql, params);
+    return result.rowCount;
+  } catch (err) {
+    console.error(
+      "Error settling pending relayed transactions. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      params,
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Sums the gas fees the relayer has spent or reserved on a chain since a point in time,
+ * optionally for one payer. Pending relays count at their maximum fee.
+ * @param {string} chainId
+ * @param {Date} since
+ * @param {string|null} payerAddress
+ * @returns {Promise<bigint>} Total fees in wei.
+ */
+async function sumRelayFeesSince(chainId, since, payerAddress = null) {
+  const sql = `SELECT COALESCE(SUM(CASE WHEN status = 'pending' THEN max_fee_wei ELSE fee_wei END), 0)::text AS total
+               FROM RelayedTransactions
+               WHERE chain_id = $1 AND created_at >= $2 AND status <> 'failed' AND ($3::text IS NULL OR payer_address = $3)`;
+  const params = [
+    chainId,
+    since,
+    payerAddress ? payerAddress.toLowerCase() : null,
+  ];
+  try {
+    const result = await pool.query(sql, params);
+    return BigInt(result.rows[0].total);
+  } catch (err) {
+    console.error(
+      "Error summing relay fees. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      params,
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Retrieves the relayer gas consumed by payments for each of a creator's links.
+ * @param {string} creatorAddress
+ * @returns {Promise<Array<object>>}
+ */
+async function getRelayGasUsageByCreator(creatorAddress) {
+  const sql = `
+    SELECT
+      gl.link_hash, gl.buy_short_code, gl.title,
+      COUNT(rt.id)::int AS relay_count,
+      COALESCE(SUM(rt.gas_used), 0)::text AS total_gas_used,
+      COALESCE(SUM(rt.fee_wei), 0)::text AS total_fee_wei
+    FROM GatedLinks gl
+    JOIN RelayedTransactions rt ON rt.link_hash = gl.link_hash AND rt.status = 'confirmed'
+    WHERE gl.creator_address = $1
+    GROUP BY gl.link_hash, gl.buy_short_code, gl.title
+    ORDER BY SUM(rt.fee_wei) DESC;
+  `;
+  try {
+    const result = await pool.query(sql, [creatorAddress.toLowerCase()]);
+    return result.rows || [];
+  } catch (err) {
+    console.error(
+      "Error fetching relay gas usage by creator. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      [creatorAddress],
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Stores a sign-in nonce issued to a wallet, with the message it was issued in.
+ * @param {string} nonce
+ * @param {string} walletAddress
+ * @param {Date} expiresAt
+ * @param {string} message The SIWE message the wallet is asked to sign.
+ * @returns {Promise<void>}
+ */
+async function storeAuthNonce(nonce, walletAddress, expiresAt, message) {
+  const sql = `INSERT INTO AuthNonces (nonce, wallet_address, expires_at, message) VALUES ($1, $2, $3, $4)`;
+  const params = [nonce, walletAddress.toLowerCase(), expiresAt, message];
+  try {
+    await pool.query(sql, params);
+  } catch (err) {
+    console.error(
+      "Error storing auth nonce. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      params,
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Marks a sign-in nonce as used, if it was issued to the wallet in exactly this message,
+ * is unused and has not expired.
+ * @param {string} nonce
+ * @param {string} walletAddress
+ * @param {string} message The signed SIWE message.
+ * @returns {Promise<boolean>} True if this call consumed the nonce.
+ */
+async function consumeAuthNonce(nonce, walletAddress, message) {
+  const sql = `UPDATE AuthNonces SET used_at = CURRENT_TIMESTAMP
+               WHERE nonce = $1 AND wallet_address = $2 AND message = $3
+                 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP`;
+  const params = [nonce, walletAddress.toLowerCase(), message];
+  try {
+    const result = await pool.query(sql, params);
+    return result.rowCount === 1;
+  } catch (err) {
+    console.error(
+      "Error consuming auth nonce. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      params,
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Stores a session for a wallet. Only a hash of the token is kept.
+ * @param {string} tokenHash
+ * @param {string} walletAddress
+ * @param {Date} expiresAt
+ * @returns {Promise<void>}
+ */
+async function storeAuthSession(tokenHash, walletAddress, expiresAt) {
+  const sql = `INSERT INTO AuthSessions (token_hash, wallet_address, expires_at) VALUES ($1, $2, $3)`;
+  const params = [tokenHash, walletAddress.toLowerCase(), expiresAt];
+  try {
+    await pool.query(sql, params);
+  } catch (err) {
+    console.error(
+      "Error storing auth session. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      [walletAddress, expiresAt],
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Retrieves an unexpired, unrevoked session by token hash.
+ * @param {string} tokenHash
+ * @returns {Promise<object|null>}
+ */
+async function getActiveAuthSession(tokenHash) {
+  const sql = `SELECT wallet_address, expires_at FROM AuthSessions
+               WHERE token_hash = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP`;
+  try {
+    const result = await pool.query(sql, [tokenHash]);
+    return result.rows[0] || null;
+  } catch (err) {
+    console.error(
+      "Error fetching auth session. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Revokes a session.
+ * @param {string} tokenHash
+ * @returns {Promise<boolean>} True if a session was revoked.
+ */
+async function revokeAuthSession(tokenHash) {
+  const sql = `UPDATE AuthSessions SET revoked_at = CURRENT_TIMESTAMP WHERE token_hash = $1 AND revoked_at IS NULL`;
+  try {
+    const result = await pool.query(sql, [tokenHash]);
+    return result.rowCount === 1;
+  } catch (err) {
+    console.error(
+      "Error revoking auth session. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Retrieves the highest-version link a creator has for a canonical URL.
+ * @param {string} creatorAddress
+ * @param {string} canonicalUrl
+ * @returns {Promise<object|null>} The link or null if the creator never gated this URL.
+ */
+async function getLatestLinkVersion(creatorAddress, canonicalUrl) {
+  const sql = `SELECT * FROM GatedLinks
+               WHERE creator_address = $1 AND canonical_url = $2
+               ORDER BY link_version DESC
+               LIMIT 1`;
+  const params = [creatorAddress.toLowerCase(), canonicalUrl];
+  try {
+    const result = await pool.query(sql, params);
+    return result.rows[0] || null;
+  } catch (err) {
+    console.error(
+      "Error fetching latest link version. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      params,
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Relists a link: stores the new version as pending, links the two rows and queues
+ * createLink for the new ID plus setLinkActivity(false) for the old one, all in one transaction.
+ * @param {string} oldLinkHash
+ * @param {object} newLinkData The new GatedLinks row (including previous_link_hash).
+ * @param {object} createPayload The createLink operation payload.
+ * @param {string[]} [jobTypes] Background jobs to queue for the new link (see jobs.js).
+ * @returns {Promise<{createOperationId: number, deactivateOperationId: number|null}|null>}
+ *   The queued operations, or null if the old link was already relisted.
+ */
+async function relistGatedLink(oldLinkHash, newLinkData, createPayload, jobTypes = []) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const { rows } = await client.query(
+      `SELECT is_active, superseded_by_link_hash FROM GatedLinks WHERE link_hash = $1 FOR UPDATE`,
+      [oldLinkHash]
+    );
+    if (!rows[0] || rows[0].superseded_by_link_hash) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    await storeGatedLink({ ...newLinkData, chain_status: "pending" }, client);
+    await client.query(
+      `UPDATE GatedLinks SET superseded_by_link_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE link_hash = $2`,
+      [newLinkData.link_hash, oldLinkHash]
+    );
+    const createOperationId = await enqueueChainOperation(
+      "create_link",
+      newLinkData.link_hash,
+      createPayload,
+      client
+    );
+    let deactivateOperationId = null;
+    if (rows[0].is_active) {
+      deactivateOperationId = await enqueueChainOperation(
+        "set_link_activity",
+        oldLinkHash,
+        { isActive: false },
+        client
+      );
+    }
+    for (const jobType of jobTypes) {
+      await enqueueLinkJob(jobType, newLinkData.link_hash, {}, client);
+    }
+    await client.query("COMMIT");
+    return { createOperationId, deactivateOperationId };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error(
+      "Error relisting gated link. Message:",
+      err.message,
+      "Params:",
+      [oldLinkHash, newLinkData.link_hash, createPayload],
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Retrieves every version of a link, following relist pointers in both directions.
+ * @param {string} linkHash Any version's link hash.
+ * @returns {Promise<Array<object>>} The versions, oldest first.
+ */
+async function getLinkHistory(linkHash) {
+  const sql = `
+    WITH RECURSIVE
+      older AS (
+        SELECT * FROM GatedLinks WHERE link_hash = $1
+        UNION
+        SELECT gl.* FROM GatedLinks gl JOIN older o ON gl.link_hash = o.previous_link_hash
+      ),
+      newer AS (
+        SELECT * FROM GatedLinks WHERE link_hash = $1
+        UNION
+        SELECT gl.* FROM GatedLinks gl JOIN newer n ON gl.link_hash = n.superseded_by_link_hash
+      )
+    SELECT * FROM older
+    UNION
+    SELECT * FROM newer
+    ORDER BY created_at ASC, id ASC;
+  `;
+  try {
+    const result = await pool.query(sql, [linkHash]);
+    return result.rows;
+  } catch (err) {
+    console.error(
+      "Error fetching link history. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      [linkHash],
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Finds the current (not relisted) link for a URL, preferring one owned by the given creator.
+ * Legacy rows without a canonical_url are matched on their original_url.
+ * @param {string} canonicalUrl
+ * @param {string} originalUrl The URL as submitted.
+ * @param {string} creatorAddress
+ * @returns {Promise<object|null>} The link or null if the URL is not gated yet.
+ */
+async function findLinkByUrl(canonicalUrl, originalUrl, creatorAddress) {
+  const sql = `SELECT * FROM GatedLinks
+               WHERE superseded_by_link_hash IS NULL
+                 AND (canonical_url = $1 OR (canonical_url IS NULL AND original_url IN ($1, $2)))
+               ORDER BY (creator_address = $3) DESC, created_at DESC
+               LIMIT 1`;
+  const params = [canonicalUrl, originalUrl, creatorAddress.toLowerCase()];
+  try {
+    const result = await pool.query(sql, params);
+    return result.rows[0] || null;
+  } catch (err) {
+    console.error(
+      "Error fetching link by URL. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      params,
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Claims an idempotency key for a request. Expired keys, and in-progress keys whose
+ * request never finished (e.g. the process crashed), can be claimed again.
+ * @param {object} key
+ * @param {string} key.idempotencyKey
+ * @param {string} key.walletAddress
+ * @param {string} key.scope The endpoint the key is used on.
+ * @param {string} key.requestHash
+ * @param {Date} key.expiresAt
+ * @param {number} staleAfterSeconds
+ * @returns {Promise<boolean>} True if this request now owns the key.
+ */
+async function claimIdempotencyKey(
+  { idempotencyKey, walletAddress, scope, requestHash, expiresAt },
+  staleAfterSeconds
+) {
+  const sql = `INSERT INTO IdempotencyKeys (idempotency_key, wallet_address, scope, request_hash, expires_at)
+               VALUES ($1, $2, $3, $4, $5)
+               ON CONFLICT (idempotency_key, wallet_address, scope) DO UPDATE
+                 SET request_hash = EXCLUDED.request_hash,
+                     status = 'in_progress',
+                     response_status = NULL,
+                     response_body = NULL,
+                     expires_at = EXCLUDED.expires_at,
+                     created_at = CURRENT_TIMESTAMP,
+                     updated_at = CURRENT_TIMESTAMP
+                 WHERE IdempotencyKeys.expires_at <= CURRENT_TIMESTAMP
+                    OR (IdempotencyKeys.status = 'in_progress'
+                        AND IdempotencyKeys.updated_at < CURRENT_TIMESTAMP - make_interval(secs => $6))
+               RETURNING idempotency_key`;
+  const params = [
+    idempotencyKey,
+    walletAddress.toLowerCase(),
+    scope,
+    requestHash,
+    expiresAt,
+    staleAfterSeconds,
+  ];
+  try {
+    const result = await pool.query(sql, params);
+    return result.rowCount === 1;
+  } catch (err) {
+    console.error(
+      "Error claiming idempotency key. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      params,
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Retrieves a stored idempotency key.
+ * @param {string} idempotencyKey
+ * @param {string} walletAddress
+ * @param {string} scope
+ * @returns {Promise<object|null>}
+ */
+async function getIdempotencyKey(idempotencyKey, walletAddress, scope) {
+  const sql = `SELECT * FROM IdempotencyKeys
+               WHERE idempotency_key = $1 AND wallet_address = $2 AND scope = $3`;
+  const params = [idempotencyKey, walletAddress.toLowerCase(), scope];
+  try {
+    const result = await pool.query(sql, params);
+    return result.rows[0] || null;
+  } catch (err) {
+    console.error(
+      "Error fetching idempotency key. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      params,
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Stores the response of the request that owns an idempotency key.
+ * @param {string} idempotencyKey
+ * @param {string} walletAddress
+ * @param {string} scope
+ * @param {number} responseStatus
+ * @param {object} responseBody
+ * @returns {Promise<void>}
+ */
+async function completeIdempotencyKey(
+  idempotencyKey,
+  walletAddress,
+  scope,
+  responseStatus,
+  responseBody
+) {
+  const sql = `UPDATE IdempotencyKeys
+               SET status = 'completed', response_status = $4, response_body = $5, updated_at = CURRENT_TIMESTAMP
+               WHERE idempotency_key = $1 AND wallet_address = $2 AND scope = $3`;
+  const params = [
+    idempotencyKey,
+    walletAddress.toLowerCase(),
+    scope,
+    responseStatus,
+    JSON.stringify(responseBody),
+  ];
+  try {
+    await pool.query(sql, params);
+  } catch (err) {
+    console.error(
+      "Error completing idempotency key. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      params,
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Deletes an idempotency key so the request can be retried (used after server errors).
+ * @param {string} idempotencyKey
+ * @param {string} walletAddress
+ * @param {string} scope
+ * @returns {Promise<void>}
+ */
+async function releaseIdempotencyKey(idempotencyKey, walletAddress, scope) {
+  const sql = `DELETE FROM IdempotencyKeys
+               WHERE idempotency_key = $1 AND wallet_address = $2 AND scope = $3`;
+  const params = [idempotencyKey, walletAddress.toLowerCase(), scope];
+  try {
+    await pool.query(sql, params);
+  } catch (err) {
+    console.error(
+      "Error releasing idempotency key. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      params,
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Stores the per-row results of a batch link creation.
+ * @param {string} walletAddress
+ * @param {Array<object>} results
+ * @returns {Promise<number>} The batch ID.
+ */
+async function storeLinkBatch(walletAddress, results) {
+  const sql = `INSERT INTO LinkBatches (wallet_address, row_count, results)
+               VALUES ($1, $2, $3)
+               RETURNING id`;
+  const params = [
+    walletAddress.toLowerCase(),
+    results.length,
+    JSON.stringify(results),
+  ];
+  try {
+    const result = await pool.query(sql, params);
+    return result.rows[0].id;
+  } catch (err) {
+    console.error(
+      "Error storing link batch. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      params,
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Retrieves a batch by ID.
+ * @param {number} batchId
+ * @returns {Promise<object|null>}
+ */
+async function getLinkBatch(batchId) {
+  const sql = `SELECT * FROM LinkBatches WHERE id = $1`;
+  try {
+    const result = await pool.query(sql, [batchId]);
+    return result.rows[0] || null;
+  } catch (err) {
+    console.error(
+      "Error fetching link batch. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      [batchId],
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
+/**
+ * Retrieves several chain operations at once.
+ * @param {Array<number>} operationIds
+ * @returns {Promise<Array<object>>}
+ */
+async function getChainOperationsByIds(operationIds) {
+  const sql = `SELECT * FROM ChainOperations WHERE id = ANY($1::int[])`;
+  try {
+    const result = await pool.query(sql, [operationIds]);
+    return result.rows;
+  } catch (err) {
+    console.error(
+      "Error fetching chain operations. Message:",
+      err.message,
+      "SQL:",
+      sql,
+      "Params:",
+      [operationIds],
+      "Stack:",
+      err.stack
+    );
+    throw err;
+  }
+}
+
 module.exports = {
   // initializeDb, // Not typically exported directly, called on module load
   storeGatedLink,
@@ -531,9 +2951,71 @@ module.exports = {
   getLinkByHash,
   updateLinkStatus,
   getLinksByCreator,
-  replaceGatedLinkByHash, // Export the new function
-  updateAISocialPosts,
+  addMetadataRevision,
+  getMetadataRevisions,
+  getMetadataRevision,
+  setMetadataPinned,
+  updateSocialPosts,
+  getSocialPostRevisions,
+  saveVoiceProfile,
+  getVoiceProfile,
   getLatestLinksForFeed, // Export the new feed function
+  storeAccessChallenge,
+  getPendingAccessChallenge,
+  consumeAccessChallenge,
+  getIndexerCursor,
+  getIndexerCheckpoints,
+  saveIndexedBlockRange,
+  rollbackIndexedEvents,
+  pruneIndexerCheckpoints,
+  getPurchasesByWallet,
+  getCreatorEarnings,
+  storePendingGatedLink,
+  enqueueChainOperation,
+  getChainOperation,
+  claimNextChainOperation,
+  markChainOperationSubmitted,
+  rescheduleChainOperation,
+  completeChainOperation,
+  failChainOperation,
+  enqueueLinkJob,
+  claimNextLinkJob,
+  finishLinkJob,
+  requeueDeadLinkJob,
+  getLinkJobs,
+  getLatestLinkJobs,
+  replaceLinkImageUrls,
+  insertWalletTransaction,
+  getPendingWalletTransactions,
+  getMaxPendingWalletNonce,
+  findWalletTransactionByHash,
+  recordWalletTransactionReplacement,
+  finalizeWalletTransaction,
+  getAllGatedLinks,
+  getIndexedCreatedLinks,
+  repairGatedLinkFromChain,
+  storeReconciliationReport,
+  reserveRelayedTransaction,
+  updateRelayedTransaction,
+  settlePendingRelayedTransactions,
+  sumRelayFeesSince,
+  getRelayGasUsageByCreator,
+  storeAuthNonce,
+  consumeAuthNonce,
+  storeAuthSession,
+  getActiveAuthSession,
+  revokeAuthSession,
+  getLatestLinkVersion,
+  relistGatedLink,
+  getLinkHistory,
+  findLinkByUrl,
+  claimIdempotencyKey,
+  getIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+  storeLinkBatch,
+  getLinkBatch,
+  getChainOperationsByIds,
   // Export pool if direct access is needed elsewhere, though usually not recommended
   // pool
 };
@@ -0,0 +1,416 @@
+// Fetch policy for server-side requests to user-supplied URLs (metadata extraction).
+// Only http and https are allowed, and a host may not resolve to a private, loopback,
+// link-local or otherwise non-public address. Every redirect hop is checked again, and the
+// connection is pinned to the addresses that passed the check, so a DNS answer that changes
+// between the check and the request (DNS rebinding) cannot reach an internal host.
+// Responses are capped in size, redirect count and total time.
+//   METADATA_FETCH_TIMEOUT_MS       - total time for one fetch, redirects and body included
+//   METADATA_MAX_REDIRECTS          - redirects followed per fetch
+//   METADATA_MAX_RESPONSE_BYTES     - largest (decompressed) response body accepted
+// Rejections are UrlPolicyErrors, which carry the 4xx status to answer the API caller with.
+
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const zlib = require("zlib");
+
+const METADATA_FETCH_TIMEOUT_MS =
+  parseInt(process.env.METADATA_FETCH_TIMEOUT_MS) || 10000;
+const METADATA_MAX_REDIRECTS = isNaN(
+  parseInt(process.env.METADATA_MAX_REDIRECTS)
+)
+  ? 5
+  : parseInt(process.env.METADATA_MAX_REDIRECTS);
+const METADATA_MAX_RESPONSE_BYTES =
+  parseInt(process.env.METADATA_MAX_RESPONSE_BYTES) || 5 * 1024 * 1024;
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const DECODERS = {
+  gzip: zlib.createGunzip,
+  "x-gzip": zlib.createGunzip,
+  deflate: zlib.createInflate,
+  br: zlib.createBrotliDecompress,
+};
+
+// Special-purpose ranges from the IANA IPv4 and IPv6 registries; none of them is a public website.
+// BlockList matches IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) against the IPv4 ranges; the
+// other IPv6 forms that carry an IPv4 address are decoded by embeddedIpv4() and checked as such.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8], // "This" network
+  ["10.0.0.0", 8], // Private
+  ["100.64.0.0", 10], // Carrier-grade NAT
+  ["127.0.0.0", 8], // Loopback
+  ["169.254.0.0", 16], // Link-local, including cloud metadata endpoints
+  ["172.16.0.0", 12], // Private
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.0.2.0", 24], // Documentation
+  ["192.88.99.0", 24], // 6to4 relay anycast
+  ["192.168.0.0", 16], // Private
+  ["198.18.0.0", 15], // Benchmarking
+  ["198.51.100.0", 24], // Documentation
+  ["203.0.113.0", 24], // Documentation
+  ["224.0.0.0", 4], // Multicast
+  ["240.0.0.0", 4], // Reserved, including broadcast
+].forEach(([address, prefix]) =>
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv4")
+);
+[
+  ["::", 128], // Unspecified
+  ["::1", 128], // Loopback
+  ["64:ff9b:1::", 48], // Local-use IPv4/IPv6 translation
+  ["100::", 64], // Discard-only
+  ["2001::", 32], // Teredo, whose embedded addresses are obfuscated
+  ["2001:db8::", 32], // Documentation
+  ["fc00::", 7], // Unique local
+  ["fe80::", 10], // Link-local
+  ["fec0::", 10], // Site-local (deprecated)
+  ["ff00::", 8], // Multicast
+].forEach(([address, prefix]) =>
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv6")
+);
+
+/**
+ * A URL or response refused by the fetch policy.
+ * `status` is the HTTP status to return to the API caller.
+ */
+class UrlPolicyError extends Error {
+  /**
+   * @param {number} status
+   * @param {string} message
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = "UrlPolicyError";
+    this.status = status;
+  }
+}
+
+/**
+ * Splits an IPv6 address into its eight 16-bit groups.
+ * @param {string} address A valid IPv6 address, possibly ending in a dotted IPv4 part.
+ * @returns {number[]}
+ */
+function ipv6Groups(address) {
+  let text = address.split("%")[0]; // Zone index, e.g. fe80::1%eth0
+  const dotted = text.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted[2].split(".").map(Number);
+    text = `${dotted[1]}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split("::");
+  const parse = (part) =>
+    part ? part.split(":").map((group) => parseInt(group, 16)) : [];
+  const headGroups = parse(head);
+  const tailGroups = parse(tail);
+  const zeros =
+    tail === undefined
+      ? []
+      : new Array(8 - headGroups.length - tailGroups.length).fill(0);
+  return [...headGroups, ...zeros, ...tailGroups];
+}
+
+/**
+ * Extracts the IPv4 address an IPv6 address carries: IPv4-compatible (::a.b.c.d), NAT64
+ * (64:ff9b::/96) and 6to4 (2002::/16) addresses all reach the IPv4 host they embed.
+ * @param {string} address A valid IPv6 address.
+ * @returns {string|null} The dotted IPv4 address, or null if there is none.
+ */
+function embeddedIpv4(address) {
+  const groups = ipv6Groups(address);
+  const toIpv4 = (high, low) =>
+    [high >> 8, high & 0xff, low >> 8, low & 0xff].join(".");
+  if (groups.slice(0, 6).every((group) => group === 0)) {
+    return toIpv4(groups[6], groups[7]);
+  }
+  if (
+    groups[0] === 0x64 &&
+    groups[1] === 0xff9b &&
+    groups.slice(2, 6).every((group) => group === 0)
+  ) {
+    return toIpv4(groups[6], groups[7]);
+  }
+  if (groups[0] === 0x2002) {
+    return toIpv4(groups[1], groups[2]);
+  }
+  return null;
+}
+
+/**
+ * Checks whether an IP address is in a blocked (non-public) range.
+ * @param {string} address
+ * @returns {boolean}
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) {
+    return BLOCKED_ADDRESSES.check(address, "ipv4");
+  }
+  if (family === 6) {
+    const ipv4 = embeddedIpv4(address);
+    return (
+      BLOCKED_ADDRESSES.check(address, "ipv6") ||
+      (ipv4 !== null && BLOCKED_ADDRESSES.check(ipv4, "ipv4"))
+    );
+  }
+  return true; // Not an IP address at all
+}
+
+/**
+ * Rejects a promise once the signal aborts. DNS lookups take no signal of their own.
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {AbortSignal} signal
+ * @returns {Promise<T>}
+ */
+function abortable(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    if (signal.aborted) {
+      return onAbort();
+    }
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => {
+      signal.removeEventListener("abort", onAbort);
+    });
+  });
+}
+
+/**
+ * Validates a URL and resolves its host to the addresses a request may connect to.
+ * @param {string} url
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<{url: URL, addresses: Array<{address: string, family: number}>}>}
+ * @throws {UrlPolicyError} If the URL is malformed, uses another scheme, carries credentials,
+ *   cannot be resolved or resolves to a blocked address.
+ */
+async function resolveAllowedUrl(url, signal) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    throw new UrlPolicyError(400, "Invalid URL format.");
+  }
+  if (parsedUrl.protocol !== "http:" && parsedUrl.protocol !== "https:") {
+    throw new UrlPolicyError(
+      400,
+      `Only http and https URLs are allowed, not ${parsedUrl.protocol.slice(0, -1)}.`
+    );
+  }
+  if (parsedUrl.username || parsedUrl.password) {
+    throw new UrlPolicyError(400, "URLs with credentials are not allowed.");
+  }
+
+  const hostname = parsedUrl.hostname.replace(/^\[|\]$/g, ""); // IPv6 literals are bracketed
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [{ address: hostname, family: net.isIP(hostname) }];
+  } else {
+    try {
+      addresses = await abortable(
+        dns.promises.lookup(hostname, { all: true, verbatim: true }),
+        signal
+      );
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw error;
+      }
+      throw new UrlPolicyError(
+        422,
+        `Could not resolve host ${hostname} (${error.code || error.message}).`
+      );
+    }
+  }
+  // Every address must be public: the connection may use any of them
+  if (
+    addresses.length === 0 ||
+    addresses.some((a) => isBlockedAddress(a.address))
+  ) {
+    throw new UrlPolicyError(
+      403,
+      `URL host ${hostname} points to a private or reserved network address, which is not allowed.`
+    );
+  }
+  return { url: parsedUrl, addresses: addresses };
+}
+
+/**
+ * Checks a URL against the policy without fetching it.
+ * @param {string} url
+ * @returns {Promise<{allowed: true}|{allowed: false, status: number, error: string}>}
+ */
+async function checkUrl(url) {
+  try {
+    await resolveAllowedUrl(url);
+    return { allowed: true };
+  } catch (error) {
+    if (error instanceof UrlPolicyError) {
+      return { allowed: false, status: error.status, error: error.message };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Makes one request, connecting only to the given (already checked) addresses.
+ * @param {URL} url
+ * @param {Array<{address: string, family: number}>} addresses
+ * @param {string} method GET or HEAD.
+ * @param {object} headers
+ * @param {AbortSignal} signal
+ * @returns {Promise<http.IncomingMessage>}
+ */
+function requestOnce(url, addresses, method, headers, signal) {
+  const client = url.protocol === "https:" ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = client.request(
+      url,
+      {
+        method: method,
+        headers: headers,
+        signal: signal,
+        agent: false,
+        lookup: (hostname, options, callback) => {
+          if (options && options.all) {
+            callback(null, addresses);
+          } else {
+            callback(null, addresses[0].address, addresses[0].family);
+          }
+        },
+      },
+      resolve
+    );
+    request.on("error", reject);
+    request.end();
+  });
+}
+
+/**
+ * Reads a response body, decompressing it, up to METADATA_MAX_RESPONSE_BYTES.
+ * @param {http.IncomingMessage} response
+ * @param {string} url For error messages.
+ * @returns {Promise<Buffer>}
+ * @throws {UrlPolicyError} If the body is larger than allowed.
+ */
+function readBody(response, url) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () =>
+      new UrlPolicyError(
+        422,
+        `${url} returned more than ${METADATA_MAX_RESPONSE_BYTES} bytes.`
+      );
+    const encoding = (response.headers["content-encoding"] || "")
+      .trim()
+      .toLowerCase();
+    const declaredLength = parseInt(response.headers["content-length"]);
+    if (!DECODERS[encoding] && declaredLength > METADATA_MAX_RESPONSE_BYTES) {
+      reject(tooLarge());
+      return response.destroy();
+    }
+
+    let body = response;
+    if (DECODERS[encoding]) {
+      body = response.pipe(DECODERS[encoding]());
+      response.on("error", (error) => body.destroy(error));
+    }
+    const chunks = [];
+    let size = 0;
+    body.on("data", (chunk) => {
+      size += chunk.length; // Counted after decompression, so small compressed bombs are caught too
+      if (size > METADATA_MAX_RESPONSE_BYTES) {
+        reject(tooLarge()); // Before destroying, which reports the connection as aborted
+        response.destroy();
+        body.destroy();
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    body.on("end", () => resolve(Buffer.concat(chunks)));
+    body.on("error", reject);
+    response.on("aborted", () =>
+      reject(
+        new Error(`Connection to ${url} closed before the response ended.`)
+      )
+    );
+  });
+}
+
+/**
+ * Fetches a URL under the fetch policy, following redirects manually so each hop is checked.
+ * @param {string} url
+ * @param {object} [options]
+ * @param {object} [options.headers] Request headers, e.g. Accept and User-Agent.
+ * @param {string} [options.method] GET (default) or HEAD.
+ * @param {boolean} [options.followRedirects] False returns a redirect as the response, for a
+ *   caller that follows it itself (the browser pool).
+ * @returns {Promise<{url: string, status: number, ok: boolean, headers: object, body: Buffer, text: function(): string, json: function(): *}>}
+ *   The final URL and the response; the body is already read, so text() and json() are synchronous.
+ * @throws {UrlPolicyError} If a URL on the way is refused or a limit is exceeded.
+ * @throws {Error} On network errors and timeouts.
+ */
+async function policyFetch(
+  url,
+  { headers = {}, method = "GET", followRedirects = true } = {}
+) {
+  const signal = AbortSignal.timeout(METADATA_FETCH_TIMEOUT_MS);
+  const requestHeaders = { "Accept-Encoding": "gzip, deflate, br", ...headers };
+  let currentUrl = url;
+
+  try {
+    for (let redirects = 0; ; redirects++) {
+      const target = await resolveAllowedUrl(currentUrl, signal);
+      const response = await requestOnce(
+        target.url,
+        target.addresses,
+        method,
+        requestHeaders,
+        signal
+      );
+
+      if (
+        followRedirects &&
+        REDIRECT_STATUSES.has(response.statusCode) &&
+        response.headers.location
+      ) {
+        response.resume(); // Discard the redirect's body
+        if (redirects >= METADATA_MAX_REDIRECTS) {
+          throw new UrlPolicyError(
+            422,
+            `${url} redirected more than ${METADATA_MAX_REDIRECTS} times.`
+          );
+        }
+        currentUrl = new URL(response.headers.location, target.url).href;
+        continue;
+      }
+
+      const body = await readBody(response, target.url.href);
+      return {
+        url: target.url.href,
+        status: response.statusCode,
+        ok: response.statusCode >= 200 && response.statusCode < 300,
+        headers: response.headers,
+        body: body,
+        text: () => body.toString("utf8"),
+        json: () => JSON.parse(body.toString("utf8")),
+      };
+    }
+  } catch (error) {
+    if (signal.aborted && !(error instanceof UrlPolicyError)) {
+      throw new Error(
+        `Fetching ${url} took longer than ${METADATA_FETCH_TIMEOUT_MS}ms.`
+      );
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  UrlPolicyError,
+  resolveAllowedUrl,
+  checkUrl,
+  policyFetch,
+};
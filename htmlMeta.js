@@ -0,0 +1,260 @@
+// Static HTML metadata parsing: <title>, <meta> and <link> tags and JSON-LD blocks.
+// Deliberately regex-based: only the tags in the page source matter and nothing is executed,
+// which keeps this cheap enough to run before falling back to a real browser.
+
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+// JSON-LD types that describe the content behind a link
+const CONTENT_TYPES = new Set([
+  "Article",
+  "NewsArticle",
+  "BlogPosting",
+  "Report",
+  "SocialMediaPosting",
+  "VideoObject",
+  "PodcastEpisode",
+  "MusicRecording",
+  "WebPage",
+]);
+
+/**
+ * Decodes HTML character references.
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const codePoint =
+        code[1] === "x" || code[1] === "X"
+          ? parseInt(code.slice(2), 16)
+          : parseInt(code.slice(1), 10);
+      return codePoint > 0 && codePoint <= 0x10ffff
+        ? String.fromCodePoint(codePoint)
+        : entity;
+    }
+    const named = NAMED_ENTITIES[code.toLowerCase()];
+    return named !== undefined ? named : entity;
+  });
+}
+
+/**
+ * Parses the attributes of a start tag.
+ * @param {string} source The text between the tag name and the closing ">".
+ * @returns {object} Lower-cased attribute name -> decoded value.
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern =
+    /([^\s"'=<>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    const value = match[2] ?? match[3] ?? match[4] ?? "";
+    attributes[match[1].toLowerCase()] = decodeEntities(value);
+  }
+  return attributes;
+}
+
+/**
+ * Resolves a possibly relative URL against the page URL.
+ * @param {string} value
+ * @param {string} pageUrl
+ * @returns {string|null}
+ */
+function absoluteUrl(value, pageUrl) {
+  if (!value) {
+    return null;
+  }
+  try {
+    return new URL(value.trim(), pageUrl).href;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Flattens JSON-LD blocks (arrays and @graph containers) into a list of nodes.
+ * @param {*} value
+ * @param {Array<object>} nodes Accumulator.
+ * @returns {Array<object>}
+ */
+function flattenJsonLd(value, nodes = []) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => flattenJsonLd(item, nodes));
+  } else if (value && typeof value === "object") {
+    nodes.push(value);
+    if (value["@graph"]) {
+      flattenJsonLd(value["@graph"], nodes);
+    }
+  }
+  return nodes;
+}
+
+/**
+ * Extracts the raw metadata of an HTML document.
+ * @param {string} html
+ * @param {string} pageUrl The URL the document was served from, for resolving relative links.
+ * @returns {{title: string|null, meta: object, links: Array<{rel: string, type: string|null, href: string}>, jsonLd: Array<object>}}
+ *   `meta` maps each lower-cased name/property to its first content value.
+ */
+function parseHtmlMetadata(html, pageUrl) {
+  const titleMatch = html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+  const meta = {};
+  const links = [];
+  const jsonLd = [];
+
+  const tagPattern = /<(meta|link)\b([^>]*)>/gi;
+  let match;
+  while ((match = tagPattern.exec(html)) !== null) {
+    const attributes = parseAttributes(match[2]);
+    if (match[1].toLowerCase() === "meta") {
+      const key = (
+        attributes.property ||
+        attributes.name ||
+        attributes.itemprop ||
+        ""
+      ).toLowerCase();
+      if (key && attributes.content !== undefined && !(key in meta)) {
+        meta[key] = attributes.content.trim();
+      }
+    } else if (attributes.rel && attributes.href) {
+      const href = absoluteUrl(attributes.href, pageUrl);
+      if (href) {
+        links.push({
+          rel: attributes.rel.toLowerCase(),
+          type: attributes.type ? attributes.type.toLowerCase() : null,
+          href: href,
+        });
+      }
+    }
+  }
+
+  const scriptPattern =
+    /<script\b[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi;
+  while ((match = scriptPattern.exec(html)) !== null) {
+    try {
+      flattenJsonLd(JSON.parse(match[1].trim()), jsonLd);
+    } catch (error) {
+      // Malformed JSON-LD is common; the meta tags usually carry the same data
+    }
+  }
+
+  return {
+    title: titleMatch ? decodeEntities(titleMatch[1]).trim() || null : null,
+    meta: meta,
+    links: links,
+    jsonLd: jsonLd,
+  };
+}
+
+/**
+ * Checks whether a page has Open Graph or Twitter card tags, i.e. was built to be previewed.
+ * @param {object} parsed The output of parseHtmlMetadata.
+ * @returns {boolean}
+ */
+function hasSocialTags(parsed) {
+  return Object.keys(parsed.meta).some(
+    (key) => key.startsWith("og:") || key.startsWith("twitter:")
+  );
+}
+
+/**
+ * Returns the first JSON-LD node that describes the page's content.
+ * @param {Array<object>} nodes
+ * @returns {object|null}
+ */
+function findContentNode(nodes) {
+  return (
+    nodes.find((node) => {
+      const types = Array.isArray(node["@type"])
+        ? node["@type"]
+        : [node["@type"]];
+      return types.some((type) => CONTENT_TYPES.has(type));
+    }) || null
+  );
+}
+
+/**
+ * Reads a URL out of a JSON-LD image value (a string, an ImageObject or a list of either).
+ * @param {*} image
+ * @returns {string|null}
+ */
+function jsonLdImageUrl(image) {
+  if (Array.isArray(image)) {
+    return jsonLdImageUrl(image[0]);
+  }
+  if (typeof image === "string") {
+    return image;
+  }
+  return image && typeof image.url === "string" ? image.url : null;
+}
+
+/**
+ * Maps parsed page metadata onto the GatedLinks metadata fields.
+ * Open Graph and Twitter tags win; JSON-LD fills the gaps, notably the author's picture.
+ * @param {object} parsed The output of parseHtmlMetadata.
+ * @param {string} pageUrl
+ * @returns {object} title, description, author_name, author_profile_picture_url,
+ *   content_vignette_url and publication_date; missing fields are null.
+ */
+function toLinkMetadata(parsed, pageUrl) {
+  const { meta } = parsed;
+  const content = findContentNode(parsed.jsonLd) || {};
+  const author = Array.isArray(content.author)
+    ? content.author[0]
+    : content.author;
+
+  return {
+    title:
+      meta["og:title"] ||
+      meta["twitter:title"] ||
+      content.headline ||
+      content.name ||
+      parsed.title ||
+      null,
+    description:
+      meta["og:description"] ||
+      meta["twitter:description"] ||
+      meta["description"] ||
+      content.description ||
+      null,
+    author_name:
+      meta["author"] ||
+      meta["article:author"] ||
+      (author && typeof author.name === "string" ? author.name : null) ||
+      meta["og:site_name"] ||
+      null,
+    author_profile_picture_url: absoluteUrl(
+      author ? jsonLdImageUrl(author.image) : null,
+      pageUrl
+    ),
+    content_vignette_url: absoluteUrl(
+      meta["og:image:secure_url"] ||
+        meta["og:image"] ||
+        meta["twitter:image"] ||
+        meta["twitter:image:src"] ||
+        jsonLdImageUrl(content.image || content.thumbnailUrl),
+      pageUrl
+    ),
+    publication_date:
+      meta["article:published_time"] ||
+      content.datePublished ||
+      content.uploadDate ||
+      meta["og:updated_time"] ||
+      null,
+  };
+}
+
+module.exports = {
+  decodeEntities,
+  parseHtmlMetadata,
+  hasSocialTags,
+  toLinkMetadata,
+};
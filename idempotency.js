@@ -0,0 +1,130 @@
+// Idempotency-Key support for endpoints that create links.
+// The first request with a given key runs normally and its response is stored; retries
+// with the same key (same wallet, same endpoint) get the stored response back instead of
+// creating another link and queuing another createLink transaction.
+// Keys are scoped per session wallet, so this middleware must run after auth.requireSession.
+//   IDEMPOTENCY_KEY_TTL_HOURS  - how long a stored response is replayed
+
+const crypto = require("crypto");
+const db = require("./database");
+
+const IDEMPOTENCY_KEY_TTL_HOURS =
+  parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+const IDEMPOTENCY_KEY_MAX_LENGTH = 255;
+// An in-progress key older than this is assumed abandoned (e.g. the process crashed)
+const IDEMPOTENCY_STALE_SECONDS = 60;
+
+/**
+ * Hashes a request body so a reused key with a different payload can be detected.
+ * @param {object} body
+ * @returns {string}
+ */
+function hashRequestBody(body) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(body || {}))
+    .digest("hex");
+}
+
+/**
+ * Creates middleware that makes an endpoint idempotent when the client sends an Idempotency-Key header.
+ * Requests without the header are passed through unchanged.
+ * @param {string} scope A name for the endpoint, so one key can't replay another endpoint's response.
+ * @returns {import("express").RequestHandler}
+ */
+function idempotent(scope) {
+  return async (req, res, next) => {
+    const idempotencyKey = req.get("Idempotency-Key");
+    if (idempotencyKey === undefined) {
+      return next();
+    }
+    if (!idempotencyKey || idempotencyKey.length > IDEMPOTENCY_KEY_MAX_LENGTH) {
+      return res.status(400).json({
+        error: `Idempotency-Key must be 1-${IDEMPOTENCY_KEY_MAX_LENGTH} characters.`,
+      });
+    }
+
+    const walletAddress = req.session.walletAddress;
+    const requestHash = hashRequestBody(req.body);
+
+    try {
+      const claimed = await db.claimIdempotencyKey(
+        {
+          idempotencyKey,
+          walletAddress,
+          scope,
+          requestHash,
+          expiresAt: new Date(
+            Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000
+          ),
+        },
+        IDEMPOTENCY_STALE_SECONDS
+      );
+
+      if (!claimed) {
+        const stored = await db.getIdempotencyKey(
+          idempotencyKey,
+          walletAddress,
+          scope
+        );
+        if (!stored) {
+          // Released between our claim attempt and the lookup; let the client retry
+          res.set("Retry-After", "1");
+          return res.status(409).json({
+            error: "A request with this Idempotency-Key is being processed.",
+          });
+        }
+        if (stored.request_hash !== requestHash) {
+          return res.status(422).json({
+            error:
+              "Idempotency-Key has already been used with a different request body.",
+          });
+        }
+        if (stored.status !== "completed") {
+          res.set("Retry-After", "1");
+          return res.status(409).json({
+            error: "A request with this Idempotency-Key is being processed.",
+          });
+        }
+        res.set("Idempotent-Replayed", "true");
+        return res.status(stored.response_status).json(stored.response_body);
+      }
+    } catch (error) {
+      console.error("Error checking idempotency key:", error);
+      return res.status(500).json({
+        error: "Failed to check Idempotency-Key",
+        details: error.message,
+      });
+    }
+
+    // Store the response before sending it, so a retry arriving right after sees it.
+    // Server errors release the key instead: the request did not take effect and may be retried.
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      const settle =
+        res.statusCode >= 500
+          ? db.releaseIdempotencyKey(idempotencyKey, walletAddress, scope)
+          : db.completeIdempotencyKey(
+              idempotencyKey,
+              walletAddress,
+              scope,
+              res.statusCode,
+              body
+            );
+      settle
+        .catch((error) =>
+          console.error(
+            `Failed to store response for Idempotency-Key ${idempotencyKey}:`,
+            error.message
+          )
+        )
+        .finally(() => sendJson(body));
+      return res;
+    };
+    next();
+  };
+}
+
+module.exports = {
+  idempotent,
+};
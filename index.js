@@ -1,19 +1,52 @@
 require("dotenv").config(); // Load environment variables from .env file
 
 const express = require("express");
-const crypto = require("crypto"); // Used for generating mock transaction hashes
+const crypto = require("crypto"); // Used for generating random challenge nonces
 const ethers = require("ethers");
 const { nanoid } = require("nanoid");
 const path = require("path"); // Ensure path module is required
-const playwright = require("playwright");
-const { google } = require("googleapis");
-const { GoogleGenerativeAI } = require("@google/generative-ai");
 
 // Database interactions
 const db = require("./database");
 
-// Blockchain interactions
-const { createLinkOnChain, setLinkActivityOnChain, relayPayForAccessWithSignature } = require("./blockchain");
+// Blockchain event indexer (PaymentMade, AccessGranted, ...)
+const { startIndexer } = require("./indexer");
+
+// Transaction outbox worker (submits and confirms queued chain operations)
+const { startOutboxWorker } = require("./outbox");
+
+// Background jobs after link creation (metadata, media caching, social posts)
+const { initialJobTypes, startJobWorker } = require("./jobs");
+
+// Scheduled DB <-> chain reconciliation
+const { startReconciliationJob } = require("./reconcile");
+
+// Relayer quotas, gas budget and balance guard
+const relayerPolicy = require("./relayerPolicy");
+
+// Wallet sign-in (SIWE) and session middleware
+const auth = require("./auth");
+
+// Idempotency-Key handling for link creation
+const { idempotent } = require("./idempotency");
+
+// JSON/CSV input parsing for batch link creation
+const { parseLinkBatch } = require("./linkBatch");
+
+// Token amounts: decimal prices <-> base units
+const { parsePrice, formatPrice } = require("./tokenAmounts");
+
+// Link metadata extraction (YouTube, Vimeo, Spotify, articles, X, oEmbed, Playwright fallback)
+const { extractMetadata } = require("./metadataExtractors");
+const { getBrowserPoolStats } = require("./browserPool");
+const fetchPolicy = require("./fetchPolicy");
+const mediaCache = require("./mediaCache");
+const socialPosts = require("./socialPosts");
+const postValidator = require("./postValidator");
+
+// Blockchain interactions, routed per network (see networks.js)
+const blockchain = require("./blockchain");
+const networks = require("./networks");
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -36,23 +69,84 @@ app.use(express.static("public")); // Serve static files from 'public' directory
 const GIVABIT_BASE_URL =
   process.env.GIVABIT_APP_URL ||
   "https://givabit-server-krlus.ondigitalocean.app";
-const YOUTUBE_API_KEY = process.env.YOUTUBE_API_KEY;
 const DEFAULT_RELAYER_PAYER_ADDRESS = process.env.DEFAULT_RELAYER_PAYER_ADDRESS;
+const ACCESS_CHALLENGE_TTL_SECONDS =
+  parseInt(process.env.ACCESS_CHALLENGE_TTL_SECONDS) || 300; // 5 minutes by default
+
+// Query parameters that only track where a click came from and never change the content
+const TRACKING_QUERY_PARAMS = new Set([
+  "fbclid",
+  "gclid",
+  "igshid",
+  "si",
+  "ref_src",
+]);
 
-const youtube = google.youtube({
-  version: "v3",
-  auth: YOUTUBE_API_KEY,
-});
+/**
+ * Normalizes a URL so trivially different spellings of the same content share a link ID:
+ * drops the fragment, tracking parameters and trailing slashes and sorts the query.
+ * Scheme and host are lowercased and default ports dropped by the URL parser.
+ * @param {string} url
+ * @returns {string} The canonical URL.
+ * @throws {TypeError} If the URL cannot be parsed.
+ */
+function canonicalizeUrl(url) {
+  const parsed = new URL(url.trim());
+  parsed.hash = "";
+  for (const key of [...parsed.searchParams.keys()]) {
+    if (/^utm_/i.test(key) || TRACKING_QUERY_PARAMS.has(key)) {
+      parsed.searchParams.delete(key);
+    }
+  }
+  parsed.searchParams.sort();
+  if (parsed.pathname.length > 1) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, "");
+  }
+  return parsed.toString();
+}
+
+/**
+ * Derives a creator-scoped linkId: keccak256(abi.encode(canonicalUrl, creator, version)).
+ * The same URL can be gated by several creators, and relisted by one creator under a new version.
+ * @param {string} canonicalUrl The output of canonicalizeUrl.
+ * @param {string} creatorAddress
+ * @param {number} version 1 for the first listing, incremented on each relist.
+ * @returns {string} The bytes32 linkId as a 0x-prefixed hex string.
+ */
+function generateLinkId(canonicalUrl, creatorAddress, version) {
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ["string", "address", "uint256"],
+      [canonicalUrl, ethers.getAddress(creatorAddress), version]
+    )
+  );
+}
 
 /**
- * Generates a keccak256 hash for a given string (URL).
- * @param {string} data The string to hash.
- * @returns {string} The hex string of the hash, prefixed with 0x.
+ * Builds the message a wallet must sign to prove control before accessing content.
+ * @param {string} accessShortCode The access short code being requested.
+ * @param {string} walletAddress The wallet address claiming access.
+ * @param {string} nonce A single-use random nonce.
+ * @param {Date} issuedAt When the challenge was issued.
+ * @param {Date} expiresAt When the challenge stops being accepted.
+ * @returns {string} The plain-text message to be signed with personal_sign.
  */
-function generateLinkHash(data) {
-  // Ensure the data is UTF-8 encoded bytes before hashing
-  const dataBytes = ethers.toUtf8Bytes(data);
-  return ethers.keccak256(dataBytes);
+function buildAccessChallengeMessage(
+  accessShortCode,
+  walletAddress,
+  nonce,
+  issuedAt,
+  expiresAt
+) {
+  return [
+    "GivaBit wants you to prove ownership of this wallet to access gated content.",
+    "",
+    `Wallet: ${walletAddress}`,
+    `Content: ${accessShortCode}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt.toISOString()}`,
+    `Expiration Time: ${expiresAt.toISOString()}`,
+  ].join("\n");
 }
 
 /**
@@ -63,65 +157,490 @@ function generateShortCode() {
   return nanoid(7); // Generates a 7-character short ID, e.g., 'abc123X'
 }
 
+/**
+ * Responds with 401/403 unless the request's session belongs to the link's creator.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {object} link The GatedLinks row.
+ * @returns {boolean} True if a response was sent and the handler should stop.
+ */
+function rejectUnlessLinkCreator(req, res, link) {
+  if (!req.session) {
+    res.status(401).json({ error: "Authentication required." });
+    return true;
+  }
+  if (!auth.isSessionWallet(req, link.creator_address)) {
+    res
+      .status(403)
+      .json({ error: "Only the link's creator can perform this action." });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Builds the 409 body returned when a URL is already gated.
+ * @param {object} existingLink The GatedLinks row returned by db.findLinkByUrl.
+ * @param {boolean} ownedByCaller Whether the existing link belongs to the requesting creator.
+ * @returns {object}
+ */
+function buildDuplicateUrlConflict(existingLink, ownedByCaller) {
+  return {
+    error: ownedByCaller
+      ? "You have already gated this URL. Relist the existing link to change its price."
+      : "This URL has already been gated by another creator. Send allowDuplicateUrl: true to gate it anyway.",
+    code: "duplicate_url",
+    ownedByCaller: ownedByCaller,
+    existingLink: {
+      linkId: existingLink.link_hash,
+      buyShortCode: existingLink.buy_short_code,
+      shareableBuyLink: `${GIVABIT_BASE_URL}/buy/${existingLink.buy_short_code}`,
+      creatorAddress: existingLink.creator_address,
+      priceInERC20: existingLink.price_in_erc20,
+      isActive: existingLink.is_active,
+      chainStatus: existingLink.chain_status,
+    },
+    relistUrl: ownedByCaller
+      ? `${GIVABIT_BASE_URL}/links/${existingLink.link_hash}/relist`
+      : null,
+  };
+}
+
+/**
+ * Resolves the network a request targets, by key or chain id.
+ * @param {string|number|undefined} value The `network` field from the request; the default network if omitted.
+ * @returns {{network: object}|{error: string}} The enabled network, or a 400 error message.
+ */
+function resolveTargetNetwork(value) {
+  const key = networks.resolveNetworkKey(value);
+  const network = key ? networks.getNetwork(key) : null;
+  if (!network || !network.enabled) {
+    const available = networks
+      .listEnabledNetworks()
+      .map((enabled) => enabled.key)
+      .join(", ");
+    return {
+      error: `Unknown or disabled network: ${value}. Available networks: ${available}.`,
+    };
+  }
+  return { network };
+}
+
+/**
+ * Describes a link's price in its network's payment token.
+ * Best effort: when the token details can't be read, both fields are null.
+ * @param {object} link The GatedLinks row.
+ * @returns {Promise<{priceFormatted: string|null, tokenSymbol: string|null}>}
+ */
+async function describeLinkPrice(link) {
+  try {
+    const chain = await blockchain.forLink(link);
+    const token = await chain.getPaymentTokenInfo();
+    return {
+      priceFormatted: formatPrice(link.price_in_erc20, token.decimals),
+      tokenSymbol: token.symbol,
+    };
+  } catch (error) {
+    console.warn(
+      `Could not read payment token details for link ${link.link_hash}:`,
+      error.message
+    );
+    return { priceFormatted: null, tokenSymbol: null };
+  }
+}
+
+// Request body fields a creator may edit, and the GatedLinks columns they map to
+const EDITABLE_METADATA_FIELDS = {
+  title: "title",
+  description: "description",
+  authorName: "author_name",
+  authorProfilePictureUrl: "author_profile_picture_url",
+  contentVignetteUrl: "content_vignette_url",
+  publicationDate: "publication_date",
+};
+
+/**
+ * Validates a creator's metadata edit.
+ * @param {object} body The request body.
+ * @returns {{changes: object}|{error: string}} The edited columns, or a validation error.
+ */
+function parseMetadataEdit(body) {
+  const changes = {};
+  for (const [field, column] of Object.entries(EDITABLE_METADATA_FIELDS)) {
+    if (!(field in body)) {
+      continue;
+    }
+    const value = body[field];
+    if (value !== null && typeof value !== "string") {
+      return { error: `${field} must be a string or null.` };
+    }
+    const text = value === null ? null : value.trim() || null;
+    if (field === "title" && !text) {
+      return { error: "title cannot be empty." };
+    }
+    if (text && field.endsWith("Url")) {
+      let url;
+      try {
+        url = new URL(text);
+      } catch (error) {
+        return { error: `${field} must be a valid URL.` };
+      }
+      if (url.protocol !== "https:" && url.protocol !== "http:") {
+        return { error: `${field} must be an http or https URL.` };
+      }
+    }
+    if (text && field === "publicationDate" && isNaN(Date.parse(text))) {
+      return { error: "publicationDate must be an ISO 8601 date." };
+    }
+    changes[column] =
+      field === "publicationDate" && text ? new Date(text) : text;
+  }
+  return { changes: changes };
+}
+
+/**
+ * Formats a metadata revision for API responses.
+ * @param {object} revision The LinkMetadataRevisions row.
+ * @returns {object}
+ */
+function formatMetadataRevision(revision) {
+  return {
+    revision: revision.revision,
+    source: revision.source,
+    extractor: revision.extracted_metadata
+      ? revision.extracted_metadata.extractor || null
+      : null,
+    title: revision.title,
+    description: revision.description,
+    authorName: revision.author_name,
+    authorProfilePictureUrl: revision.author_profile_picture_url,
+    contentVignetteUrl: revision.content_vignette_url,
+    publicationDate: revision.publication_date,
+    basedOnRevision: revision.based_on_revision,
+    createdBy: revision.created_by,
+    createdAt: revision.created_at,
+  };
+}
+
+// Limits on a creator's brand voice profile
+const VOICE_PROFILE_LIMITS = {
+  tone: 200,
+  audience: 500,
+  bannedWords: 50,
+  preferredHashtags: 10,
+  wordLength: 50,
+};
+
+/**
+ * Validates a brand voice profile.
+ * @param {object} body The request body.
+ * @returns {{profile: object}|{error: string}} The CreatorVoiceProfiles columns, or a validation error.
+ */
+function parseVoiceProfile(body) {
+  const profile = {};
+  for (const field of ["tone", "audience"]) {
+    const value = body[field];
+    if (value !== undefined && value !== null && typeof value !== "string") {
+      return { error: `${field} must be a string or null.` };
+    }
+    const text = value ? value.trim() || null : null;
+    if (text && text.length > VOICE_PROFILE_LIMITS[field]) {
+      return {
+        error: `${field} must be at most ${VOICE_PROFILE_LIMITS[field]} characters.`,
+      };
+    }
+    profile[field] = text;
+  }
+
+  for (const field of ["bannedWords", "preferredHashtags"]) {
+    const value = body[field] === undefined ? [] : body[field];
+    if (
+      !Array.isArray(value) ||
+      !value.every((item) => typeof item === "string")
+    ) {
+      return { error: `${field} must be an array of strings.` };
+    }
+    if (value.length > VOICE_PROFILE_LIMITS[field]) {
+      return {
+        error: `${field} may have at most ${VOICE_PROFILE_LIMITS[field]} entries.`,
+      };
+    }
+    const items = [];
+    for (const item of value) {
+      let text = item.trim();
+      if (field === "preferredHashtags") {
+        text = text.replace(/^[#＃]+/, "");
+        if (text && !/^[\p{L}\p{N}_]*\p{L}[\p{L}\p{N}_]*$/u.test(text)) {
+          return { error: `"${item}" is not a valid hashtag.` };
+        }
+        text = text && `#${text}`;
+      }
+      if (text.length > VOICE_PROFILE_LIMITS.wordLength) {
+        return {
+          error: `${field} entries must be at most ${VOICE_PROFILE_LIMITS.wordLength} characters.`,
+        };
+      }
+      if (
+        text &&
+        !items.some((other) => other.toLowerCase() === text.toLowerCase())
+      ) {
+        items.push(text);
+      }
+    }
+    profile[field === "bannedWords" ? "banned_words" : "preferred_hashtags"] =
+      items;
+  }
+
+  if (body.defaultLanguage === undefined || body.defaultLanguage === null) {
+    profile.default_language = "en";
+  } else {
+    profile.default_language =
+      typeof body.defaultLanguage === "string"
+        ? socialPosts.parseLocale(body.defaultLanguage.trim())
+        : null;
+    if (!profile.default_language) {
+      return {
+        error:
+          "defaultLanguage must be a BCP 47 language tag, e.g. en or pt-BR.",
+      };
+    }
+  }
+  return { profile: profile };
+}
+
+/**
+ * Formats a brand voice profile for API responses.
+ * @param {object} profile The CreatorVoiceProfiles row.
+ * @returns {object}
+ */
+function formatVoiceProfile(profile) {
+  return {
+    creatorAddress: profile.creator_address,
+    version: profile.version,
+    tone: profile.tone,
+    audience: profile.audience,
+    bannedWords: profile.banned_words,
+    preferredHashtags: profile.preferred_hashtags,
+    defaultLanguage: profile.default_language,
+    createdAt: profile.created_at,
+  };
+}
+
+/**
+ * Formats a social post revision for API responses.
+ * @param {object} revision The SocialPostRevisions row.
+ * @param {string} [platform] Only include this platform's posts (lowercase).
+ * @returns {object}
+ */
+function formatSocialPostRevision(revision, platform) {
+  return {
+    revision: revision.revision,
+    source: revision.source,
+    platforms: revision.platforms,
+    postId: revision.post_id,
+    socialPosts: platform
+      ? { [platform]: revision.social_posts[platform] || [] }
+      : revision.social_posts,
+    createdBy: revision.created_by,
+    createdAt: revision.created_at,
+  };
+}
+
+/**
+ * Formats a background job for API responses.
+ * @param {object} job The LinkJobs row.
+ * @returns {object}
+ */
+function formatLinkJob(job) {
+  return {
+    jobId: job.id,
+    type: job.job_type,
+    status: job.status,
+    attempts: job.attempts,
+    lastError: job.last_error,
+    nextAttemptAt: job.status === "queued" ? job.next_attempt_at : null,
+    createdAt: job.created_at,
+    updatedAt: job.updated_at,
+    completedAt: job.completed_at,
+  };
+}
+
 // --- API Endpoints ---
 
-// req1: POST /create-gated-link
-app.post("/create-gated-link", async (req, res) => {
-  const {
-    url,
-    title,
-    priceInERC20,
-    creatorAddress,
-    // New optional metadata fields from request body
-    description,
-    authorName, // This is how client might send it, matching create-link-intent output
-    authorProfilePictureUrl,
-    contentVignetteUrl,
-    publicationDate,
-  } = req.body;
+// GET /auth/nonce?walletAddress=0x...
+// Issues a single-use nonce and the Sign-In with Ethereum message to sign.
+app.get("/auth/nonce", async (req, res) => {
+  const { walletAddress } = req.query;
+  if (!walletAddress || !ethers.isAddress(walletAddress)) {
+    return res
+      .status(400)
+      .json({ error: "A valid walletAddress query parameter is required." });
+  }
+
+  try {
+    const chainId =
+      process.env.AUTH_CHAIN_ID || (await blockchain.forNetwork().getChainId());
+    const { nonce, message, expiresAt } = await auth.issueSignInNonce(
+      walletAddress,
+      chainId
+    );
+    res.status(200).json({
+      nonce: nonce,
+      message: message,
+      expiresAt: expiresAt.toISOString(),
+    });
+  } catch (error) {
+    console.error("Error issuing sign-in nonce:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to issue sign-in nonce", details: error.message });
+  }
+});
 
-  if (!url || !priceInERC20 || !creatorAddress) {
-    // Title, description, authorName etc. are optional at the point of link creation
+// POST /auth/verify { message, signature } -> session token
+app.post("/auth/verify", async (req, res) => {
+  const { message, signature } = req.body;
+  if (typeof message !== "string" || typeof signature !== "string") {
     return res.status(400).json({
-      error: "Missing required fields: url, priceInERC20, creatorAddress",
+      error: "Missing required fields: message, signature",
     });
   }
 
   try {
-    const linkHash = generateLinkHash(url);
-    const buyShortCode = generateShortCode();
-    const accessShortCode = generateShortCode();
+    const result = await auth.signIn(message, signature);
+    if (!result.ok) {
+      return res.status(401).json({ error: result.error });
+    }
+    res.status(200).json({
+      token: result.token,
+      walletAddress: result.walletAddress,
+      expiresAt: result.expiresAt.toISOString(),
+    });
+  } catch (error) {
+    console.error("Error verifying sign-in:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to verify sign-in", details: error.message });
+  }
+});
 
-    // 1. Smart Contract Interaction
-    let actualTxHash = null;
-    try {
-      const txReceipt = await createLinkOnChain(
-        linkHash,
-        creatorAddress,
-        priceInERC20,
-        true
-      );
-      actualTxHash = txReceipt.transactionHash;
-      console.log("Blockchain transaction successful:", actualTxHash);
-    } catch (blockchainError) {
-      console.error("Blockchain interaction failed:", blockchainError.message);
-      return res.status(500).json({
-        error: "Smart contract interaction failed",
-        details: blockchainError.message,
+// POST /auth/logout - revokes the current session token
+app.post("/auth/logout", async (req, res) => {
+  try {
+    const revoked = await auth.signOut(req);
+    res.status(200).json({ revoked: revoked });
+  } catch (error) {
+    console.error("Error signing out:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to sign out", details: error.message });
+  }
+});
+
+// GET /auth/session - the wallet behind the current session token
+app.get("/auth/session", auth.requireSession, (req, res) => {
+  res.status(200).json({
+    walletAddress: req.session.walletAddress,
+    expiresAt: new Date(req.session.expiresAt).toISOString(),
+  });
+});
+
+// req1: POST /create-gated-link
+app.post(
+  "/create-gated-link",
+  auth.requireSession,
+  idempotent("create-gated-link"),
+  async (req, res) => {
+    const {
+      url,
+      title,
+      price, // Token amount, e.g. "0.1"; alternative to priceInERC20
+      priceInERC20,
+      creatorAddress,
+      // New optional metadata fields from request body
+      description,
+      authorName, // This is how client might send it, matching create-link-intent output
+      authorProfilePictureUrl,
+      contentVignetteUrl,
+      publicationDate,
+      allowDuplicateUrl, // Gate a URL another creator has already gated
+      network, // Network key or chain id; the default network if omitted
+    } = req.body;
+
+    if (!url || !(price || priceInERC20) || !creatorAddress) {
+      // Title, description, authorName etc. are optional at the point of link creation
+      return res.status(400).json({
+        error:
+          "Missing required fields: url, price (or priceInERC20), creatorAddress",
+      });
+    }
+    if (!ethers.isAddress(creatorAddress)) {
+      return res.status(400).json({ error: "Invalid creatorAddress format." });
+    }
+    if (!auth.isSessionWallet(req, creatorAddress)) {
+      return res.status(403).json({
+        error: "creatorAddress must match the signed-in wallet.",
       });
     }
 
-    // 2. Database Storage
+    let canonicalUrl;
     try {
-      await db.storeGatedLink({
+      canonicalUrl = canonicalizeUrl(url);
+    } catch (error) {
+      return res.status(400).json({ error: "Invalid url." });
+    }
+
+    const target = resolveTargetNetwork(network);
+    if (target.error) {
+      return res.status(400).json({ error: target.error });
+    }
+
+    try {
+      const chain = blockchain.forNetwork(target.network.key);
+      const [chainId, token] = await Promise.all([
+        chain.getChainId(),
+        chain.getPaymentTokenInfo(),
+      ]);
+      const parsedPrice = parsePrice({ price, priceInERC20 }, token.decimals);
+      if (parsedPrice.error) {
+        return res.status(400).json({ error: parsedPrice.error });
+      }
+      const priceInBaseUnits = parsedPrice.priceInERC20;
+
+      // A creator lists a URL once (changing the price goes through relisting).
+      // Gating a URL another creator already gated needs an explicit opt-in.
+      const existingLink = await db.findLinkByUrl(
+        canonicalUrl,
+        url,
+        creatorAddress
+      );
+      const ownedByCaller =
+        !!existingLink &&
+        existingLink.creator_address === creatorAddress.toLowerCase();
+      if (existingLink && (ownedByCaller || allowDuplicateUrl !== true)) {
+        return res
+          .status(409)
+          .json(buildDuplicateUrlConflict(existingLink, ownedByCaller));
+      }
+
+      const linkVersion = 1;
+      const linkHash = generateLinkId(
+        canonicalUrl,
+        creatorAddress,
+        linkVersion
+      );
+      const buyShortCode = generateShortCode();
+      const accessShortCode = generateShortCode();
+
+      const linkData = {
         original_url: url,
         link_hash: linkHash,
         buy_short_code: buyShortCode,
         access_short_code: accessShortCode,
         title: title,
         creator_address: creatorAddress,
-        price_in_erc20: priceInERC20,
-        tx_hash: actualTxHash,
+        price_in_erc20: priceInBaseUnits,
+        tx_hash: null,
         is_active: true,
         // Pass through new optional metadata fields
         description: description,
@@ -129,150 +648,1111 @@ app.post("/create-gated-link", async (req, res) => {
         author_profile_picture_url: authorProfilePictureUrl,
         content_vignette_url: contentVignetteUrl,
         publication_date: publicationDate ? new Date(publicationDate) : null,
+        canonical_url: canonicalUrl,
+        link_version: linkVersion,
+        link_id_scheme: "creator_scoped",
+        network: target.network.key,
+        chain_id: chainId,
+        contract_address: target.network.contractAddress,
+      };
+
+      // Store the link as pending and queue the createLink transaction in one DB transaction,
+      // together with the background jobs that fill in metadata and write social posts.
+      // The outbox worker submits the transaction and marks the link confirmed once mined.
+      let operationId;
+      try {
+        ({ operationId } = await db.storePendingGatedLink(
+          linkData,
+          {
+            creatorAddress: creatorAddress,
+            priceInERC20: priceInBaseUnits,
+            initialIsActive: true,
+          },
+          initialJobTypes(linkData)
+        ));
+      } catch (dbError) {
+        console.error("Database storage failed:", dbError.message);
+        return res.status(500).json({
+          error: "Failed to store link details in database",
+          details: dbError.message,
+        });
+      }
+
+      const shareableBuyLink = `${GIVABIT_BASE_URL}/buy/${buyShortCode}`;
+
+      res.status(202).json({
+        linkId: linkHash,
+        buyShortCode: buyShortCode,
+        accessShortCode: accessShortCode,
+        originalUrl: url,
+        canonicalUrl: canonicalUrl,
+        linkVersion: linkVersion,
+        title: title,
+        creatorAddress: creatorAddress,
+        priceInERC20: priceInBaseUnits,
+        priceFormatted: formatPrice(priceInBaseUnits, token.decimals),
+        tokenSymbol: token.symbol,
+        network: target.network.key,
+        chainId: chainId,
+        contractAddress: target.network.contractAddress,
+        chainStatus: "pending",
+        operationId: operationId,
+        operationStatusUrl: `${GIVABIT_BASE_URL}/operations/${operationId}`,
+        jobsStatusUrl: `${GIVABIT_BASE_URL}/links/${linkHash}/jobs`,
+        shareableBuyLink: shareableBuyLink,
+        // Return new optional metadata fields in response
+        description: description,
+        authorName: authorName,
+        authorProfilePictureUrl: authorProfilePictureUrl,
+        contentVignetteUrl: contentVignetteUrl,
+        publicationDate: publicationDate
+          ? new Date(publicationDate).toISOString()
+          : null,
+      });
+    } catch (error) {
+      console.error("Error creating gated link:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to create gated link", details: error.message });
+    }
+  }
+);
+
+// POST /create-gated-links/batch
+// Creates many links for the signed-in creator from a JSON array or a CSV upload.
+// Every row is validated first; valid rows are stored and their createLink calls queued
+// one by one, so a failing row does not stop the rest. The outbox worker submits the
+// queued transactions back to back; follow them via GET /create-gated-links/batch/:id.
+app.post(
+  "/create-gated-links/batch",
+  express.text({ type: "text/csv", limit: "1mb" }),
+  auth.requireSession,
+  idempotent("create-gated-links-batch"),
+  async (req, res) => {
+    const parsed = parseLinkBatch(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    const creatorAddress = req.session.walletAddress;
+    const allowDuplicateUrl =
+      !!req.body &&
+      !Array.isArray(req.body) &&
+      req.body.allowDuplicateUrl === true;
+    // The whole batch targets one network: {network} in a JSON body or ?network= for CSV uploads
+    const target = resolveTargetNetwork(
+      req.body && !Array.isArray(req.body) && req.body.network !== undefined
+        ? req.body.network
+        : req.query.network
+    );
+    if (target.error) {
+      return res.status(400).json({ error: target.error });
+    }
+
+    const chain = blockchain.forNetwork(target.network.key);
+    let chainId;
+    let token;
+    try {
+      [chainId, token] = await Promise.all([
+        chain.getChainId(),
+        chain.getPaymentTokenInfo(),
+      ]);
+    } catch (blockchainError) {
+      console.error(
+        "Batch: failed to read network details:",
+        blockchainError.message
+      );
+      return res.status(500).json({
+        error: "Failed to create gated link batch",
+        details: blockchainError.message,
+      });
+    }
+
+    // 1. Validate every row up front
+    const rowByCanonicalUrl = new Map();
+    const results = parsed.rows.map((input, index) => {
+      const result = {
+        row: index + 1,
+        url: input && typeof input.url === "string" ? input.url : null,
+        status: "invalid",
+      };
+      if (!input || typeof input !== "object") {
+        result.error =
+          "Row must be an object with url and price (or priceInERC20).";
+        return result;
+      }
+      if (!result.url) {
+        result.error = "Missing required field: url";
+        return result;
+      }
+      const parsedPrice = parsePrice(
+        { price: input.price, priceInERC20: input.priceInERC20 },
+        token.decimals
+      );
+      if (parsedPrice.error) {
+        result.error = parsedPrice.error;
+        return result;
+      }
+      if (
+        input.title !== undefined &&
+        input.title !== null &&
+        typeof input.title !== "string"
+      ) {
+        result.error = "title must be a string.";
+        return result;
+      }
+      let canonicalUrl;
+      try {
+        canonicalUrl = canonicalizeUrl(result.url);
+      } catch (error) {
+        result.error = "Invalid url.";
+        return result;
+      }
+      if (!/^https?:$/.test(new URL(canonicalUrl).protocol)) {
+        result.error = "Only http and https URLs can be gated.";
+        return result;
+      }
+      if (rowByCanonicalUrl.has(canonicalUrl)) {
+        result.error = `Same URL as row ${rowByCanonicalUrl.get(canonicalUrl)}.`;
+        return result;
+      }
+      rowByCanonicalUrl.set(canonicalUrl, result.row);
+      result.status = "valid";
+      result.canonicalUrl = canonicalUrl;
+      result.priceInERC20 = parsedPrice.priceInERC20;
+      result.priceFormatted = formatPrice(
+        parsedPrice.priceInERC20,
+        token.decimals
+      );
+      result.tokenSymbol = token.symbol;
+      result.title = input.title || null;
+      return result;
+    });
+
+    // 2. Store and queue each valid row; failures are recorded per row
+    try {
+      for (const result of results) {
+        if (result.status !== "valid") {
+          continue;
+        }
+        try {
+          const existingLink = await db.findLinkByUrl(
+            result.canonicalUrl,
+            result.url,
+            creatorAddress
+          );
+          const ownedByCaller =
+            !!existingLink && existingLink.creator_address === creatorAddress;
+          if (existingLink && (ownedByCaller || !allowDuplicateUrl)) {
+            const conflict = buildDuplicateUrlConflict(
+              existingLink,
+              ownedByCaller
+            );
+            Object.assign(result, {
+              status: "duplicate",
+              error: conflict.error,
+              ownedByCaller: conflict.ownedByCaller,
+              existingLink: conflict.existingLink,
+            });
+            continue;
+          }
+
+          const linkVersion = 1;
+          const linkHash = generateLinkId(
+            result.canonicalUrl,
+            creatorAddress,
+            linkVersion
+          );
+          const buyShortCode = generateShortCode();
+          const accessShortCode = generateShortCode();
+          const { operationId } = await db.storePendingGatedLink(
+            {
+              original_url: result.url,
+              link_hash: linkHash,
+              buy_short_code: buyShortCode,
+              access_short_code: accessShortCode,
+              title: result.title,
+              creator_address: creatorAddress,
+              price_in_erc20: result.priceInERC20,
+              tx_hash: null,
+              is_active: true,
+              canonical_url: result.canonicalUrl,
+              link_version: linkVersion,
+              link_id_scheme: "creator_scoped",
+              network: target.network.key,
+              chain_id: chainId,
+              contract_address: target.network.contractAddress,
+            },
+            {
+              creatorAddress: creatorAddress,
+              priceInERC20: result.priceInERC20,
+              initialIsActive: true,
+            },
+            ["extract_metadata"] // Rows carry no metadata beyond a title
+          );
+          Object.assign(result, {
+            status: "queued",
+            linkId: linkHash,
+            buyShortCode: buyShortCode,
+            accessShortCode: accessShortCode,
+            shareableBuyLink: `${GIVABIT_BASE_URL}/buy/${buyShortCode}`,
+            operationId: operationId,
+            operationStatusUrl: `${GIVABIT_BASE_URL}/operations/${operationId}`,
+            jobsStatusUrl: `${GIVABIT_BASE_URL}/links/${linkHash}/jobs`,
+          });
+        } catch (rowError) {
+          console.error(
+            `Batch: failed to store row ${result.row} (${result.url}):`,
+            rowError.message
+          );
+          result.status = "failed";
+          result.error = rowError.message;
+        }
+      }
+
+      const batchId = await db.storeLinkBatch(creatorAddress, results);
+      const summary = { total: results.length };
+      for (const status of ["queued", "invalid", "duplicate", "failed"]) {
+        summary[status] = results.filter((r) => r.status === status).length;
+      }
+      res.status(202).json({
+        batchId: batchId,
+        network: target.network.key,
+        batchStatusUrl: `${GIVABIT_BASE_URL}/create-gated-links/batch/${batchId}`,
+        summary: summary,
+        results: results,
+      });
+    } catch (error) {
+      console.error("Error creating gated link batch:", error);
+      res.status(500).json({
+        error: "Failed to create gated link batch",
+        details: error.message,
+      });
+    }
+  }
+);
+
+// GET /create-gated-links/batch/:id - per-row results with the current on-chain status
+app.get(
+  "/create-gated-links/batch/:id",
+  auth.requireSession,
+  async (req, res) => {
+    const batchId = parseInt(req.params.id);
+    if (!Number.isInteger(batchId) || batchId < 1) {
+      return res.status(400).json({ error: "Invalid batch id." });
+    }
+
+    try {
+      const batch = await db.getLinkBatch(batchId);
+      if (!batch || !auth.isSessionWallet(req, batch.wallet_address)) {
+        return res.status(404).json({ error: "Batch not found." });
+      }
+      const operationIds = batch.results
+        .filter((r) => r.operationId)
+        .map((r) => r.operationId);
+      const operations = await db.getChainOperationsByIds(operationIds);
+      const operationsById = new Map(operations.map((op) => [op.id, op]));
+
+      const results = batch.results.map((result) => {
+        const operation = operationsById.get(result.operationId);
+        if (!operation) {
+          return result;
+        }
+        return {
+          ...result,
+          chainStatus: operation.status,
+          transactionHash: operation.tx_hash,
+          lastError: operation.last_error,
+        };
+      });
+      res.status(200).json({
+        batchId: batch.id,
+        createdAt: batch.created_at,
+        results: results,
+      });
+    } catch (error) {
+      console.error(`Error fetching batch ${batchId}:`, error);
+      res
+        .status(500)
+        .json({ error: "Failed to retrieve batch", details: error.message });
+    }
+  }
+);
+
+// GET /content/:access_short_code/challenge
+// Issues a single-use message the wallet must sign before /content will redirect.
+app.get("/content/:access_short_code/challenge", async (req, res) => {
+  const { access_short_code } = req.params;
+  const { walletAddress } = req.query;
+
+  if (!walletAddress || !ethers.isAddress(walletAddress)) {
+    return res
+      .status(400)
+      .json({ error: "Invalid or missing walletAddress query parameter." });
+  }
+
+  try {
+    const link = await db.getLinkByAccessShortCode(access_short_code);
+    if (!link) {
+      return res.status(404).json({ error: "Content not found" });
+    }
+
+    const nonce = crypto.randomBytes(16).toString("hex");
+    const issuedAt = new Date();
+    const expiresAt = new Date(
+      issuedAt.getTime() + ACCESS_CHALLENGE_TTL_SECONDS * 1000
+    );
+    const message = buildAccessChallengeMessage(
+      access_short_code,
+      walletAddress.toLowerCase(),
+      nonce,
+      issuedAt,
+      expiresAt
+    );
+
+    await db.storeAccessChallenge({
+      nonce: nonce,
+      access_short_code: access_short_code,
+      wallet_address: walletAddress,
+      message: message,
+      expires_at: expiresAt,
+    });
+
+    res.status(200).json({
+      accessShortCode: access_short_code,
+      walletAddress: walletAddress.toLowerCase(),
+      nonce: nonce,
+      message: message,
+      expiresAt: expiresAt.toISOString(),
+    });
+  } catch (error) {
+    console.error(
+      `Error issuing access challenge for access_short_code ${access_short_code}:`,
+      error
+    );
+    res
+      .status(500)
+      .json({ error: "Failed to issue access challenge", details: error.message });
+  }
+});
+
+// req1: GET /content/:access_short_code?walletAddress=0x...&nonce=...&signature=0x...
+app.get("/content/:access_short_code", async (req, res) => {
+  const { access_short_code } = req.params;
+  const { walletAddress, nonce, signature } = req.query;
+  try {
+    // Database Query
+    const link = await db.getLinkByAccessShortCode(access_short_code);
+
+    if (!link || !link.original_url) {
+      return res.status(404).json({ error: "Content not found" });
+    }
+
+    const challengeUrl = `${GIVABIT_BASE_URL}/content/${access_short_code}/challenge`;
+    if (!walletAddress || !nonce || !signature) {
+      return res.status(401).json({
+        error:
+          "Wallet signature required: walletAddress, nonce and signature query parameters.",
+        challengeUrl: challengeUrl,
+      });
+    }
+    if (!ethers.isAddress(walletAddress) || !ethers.isHexString(signature)) {
+      return res
+        .status(400)
+        .json({ error: "Invalid walletAddress or signature format." });
+    }
+
+    // 1. Verify the caller controls the wallet
+    const challenge = await db.getPendingAccessChallenge(
+      nonce,
+      access_short_code,
+      walletAddress
+    );
+    if (!challenge) {
+      return res.status(401).json({
+        error: "Access challenge not found, already used or expired.",
+        challengeUrl: challengeUrl,
+      });
+    }
+
+    let recoveredAddress;
+    try {
+      recoveredAddress = ethers.verifyMessage(challenge.message, signature);
+    } catch (sigError) {
+      recoveredAddress = null;
+    }
+    if (
+      !recoveredAddress ||
+      recoveredAddress.toLowerCase() !== walletAddress.toLowerCase()
+    ) {
+      return res
+        .status(401)
+        .json({ error: "Signature does not match walletAddress." });
+    }
+
+    // Single use: a second request with the same signature must fail
+    const consumed = await db.consumeAccessChallenge(nonce);
+    if (!consumed) {
+      return res.status(401).json({
+        error: "Access challenge already used or expired.",
+        challengeUrl: challengeUrl,
+      });
+    }
+
+    // 2. Creators always get through to their own links
+    const isCreator =
+      link.creator_address.toLowerCase() === walletAddress.toLowerCase();
+    if (isCreator) {
+      return res.redirect(302, link.original_url);
+    }
+
+    if (!link.is_active) {
+      return res
+        .status(403)
+        .json({ error: "This link is currently inactive." });
+    }
+
+    // 3. Check payment on the smart contract
+    let hasAccess = false;
+    try {
+      const chain = await blockchain.forLink(link);
+      hasAccess = await chain.checkAccessOnChain(link.link_hash, walletAddress);
+    } catch (blockchainError) {
+      console.error(
+        "Blockchain access check failed:",
+        blockchainError.message
+      );
+      return res.status(500).json({
+        error: "Smart contract interaction failed for access check",
+        details: blockchainError.message,
+      });
+    }
+
+    if (!hasAccess) {
+      return res.status(402).json({
+        error: "Payment required to access this content.",
+        linkId: link.link_hash,
+        buyShortCode: link.buy_short_code,
+        shareableBuyLink: `${GIVABIT_BASE_URL}/buy/${link.buy_short_code}`,
+        priceInERC20: link.price_in_erc20,
+      });
+    }
+
+    res.redirect(302, link.original_url);
+  } catch (error) {
+    console.error(
+      `Error fetching content for access_short_code ${access_short_code}:`,
+      error
+    );
+    res
+      .status(500)
+      .json({ error: "Failed to retrieve content", details: error.message });
+  }
+});
+
+// New endpoint for buy/purchase landing (primarily for mobile app)
+// On-chain values win over the DB; any disagreement is flagged in the response.
+app.get("/buy/:buy_short_code", async (req, res) => {
+  const { buy_short_code } = req.params;
+
+  try {
+    const link = await db.getLinkByBuyShortCode(buy_short_code);
+    if (!link) {
+      return res
+        .status(404)
+        .json({ error: "Link not found with the provided buy_short_code." });
+    }
+    if (link.chain_status === "pending") {
+      return res.status(409).json({
+        error: "Link is still being registered on the blockchain.",
+        chainStatus: link.chain_status,
+      });
+    }
+
+    let chain;
+    let onChainDetails;
+    let token;
+    let chainId;
+    try {
+      chain = await blockchain.forLink(link);
+      [onChainDetails, token, chainId] = await Promise.all([
+        chain.getLinkDetailsOnChain(link.link_hash),
+        chain.getPaymentTokenInfo(),
+        chain.getChainId(),
+      ]);
+    } catch (blockchainError) {
+      console.error(
+        "Blockchain interaction for buy details failed:",
+        blockchainError.message
+      );
+      return res.status(500).json({
+        error: "Smart contract interaction failed for buy details",
+        details: blockchainError.message,
+      });
+    }
+
+    if (onChainDetails.creator === ethers.ZeroAddress) {
+      return res
+        .status(404)
+        .json({ error: "Link is not registered on the smart contract." });
+    }
+
+    const mismatchedFields = [];
+    if (
+      onChainDetails.creator.toLowerCase() !==
+      link.creator_address.toLowerCase()
+    ) {
+      mismatchedFields.push("creatorAddress");
+    }
+    if (onChainDetails.priceInERC20 !== link.price_in_erc20) {
+      mismatchedFields.push("priceInERC20");
+    }
+    if (onChainDetails.isActive !== link.is_active) {
+      mismatchedFields.push("isActive");
+    }
+    if (mismatchedFields.length > 0) {
+      console.warn(
+        `DB and chain disagree for buy_short_code ${buy_short_code} on: ${mismatchedFields.join(", ")}`
+      );
+    }
+
+    if (!onChainDetails.isActive) {
+      return res.status(403).json({
+        error: "This link is currently inactive.",
+        linkId: link.link_hash,
+        isActiveOnContract: false,
+        dbChainMismatch: mismatchedFields.length > 0,
+        mismatchedFields: mismatchedFields,
+      });
+    }
+
+    res.status(200).json({
+      linkId: link.link_hash,
+      buyShortCode: link.buy_short_code,
+      title: link.title,
+      description: link.description || null,
+      contentVignetteUrl: link.content_vignette_url || null,
+      creatorAddress: onChainDetails.creator,
+      priceInERC20: onChainDetails.priceInERC20,
+      priceFormatted: formatPrice(onChainDetails.priceInERC20, token.decimals),
+      tokenSymbol: token.symbol,
+      tokenDecimals: token.decimals,
+      erc20TokenAddress: token.address,
+      isActiveOnContract: onChainDetails.isActive,
+      paymentContractAddress: chain.CONTRACT_ADDRESS,
+      network: chain.network.key,
+      chainId: chainId,
+      dbChainMismatch: mismatchedFields.length > 0,
+      mismatchedFields: mismatchedFields,
+    });
+  } catch (error) {
+    console.error(`Error in /buy/${buy_short_code} endpoint:`, error);
+    res
+      .status(500)
+      .json({ error: "Failed to retrieve buy details", details: error.message });
+  }
+});
+
+// PATCH /links/{link_hash}/status
+app.patch("/links/:link_hash/status", auth.requireSession, async (req, res) => {
+  const { link_hash } = req.params;
+  const { isActive } = req.body;
+
+  if (typeof isActive !== "boolean") {
+    return res
+      .status(400)
+      .json({ error: "Invalid request body: isActive (boolean) is required." });
+  }
+
+  try {
+    // Verify link exists (optional but good practice)
+    const linkExists = await db.getLinkByHash(link_hash);
+    if (!linkExists) {
+      return res
+        .status(404)
+        .json({ error: "Link not found with the provided hash." });
+    }
+    if (rejectUnlessLinkCreator(req, res, linkExists)) {
+      return;
+    }
+    if (linkExists.chain_status !== "confirmed") {
+      return res.status(409).json({
+        error: "Link is not registered on the blockchain yet.",
+        chainStatus: linkExists.chain_status,
       });
-    } catch (dbError) {
-      console.error("Database storage failed:", dbError.message);
-      return res.status(500).json({
-        error: "Failed to store link details in database",
-        details: dbError.message,
+    }
+    if (isActive && linkExists.superseded_by_link_hash) {
+      return res.status(409).json({
+        error: "Link has been relisted; activate the new version instead.",
+        supersededByLinkId: linkExists.superseded_by_link_hash,
       });
     }
 
-    // Trigger social post generation in the background (fire-and-forget)
-    fetch(`${GIVABIT_BASE_URL}/social-posts/${buyShortCode}`);
-
-    const shareableBuyLink = `${GIVABIT_BASE_URL}/buy/${buyShortCode}`;
+    // Queue the setLinkActivity transaction; the DB is updated once it confirms
+    const operationId = await db.enqueueChainOperation(
+      "set_link_activity",
+      link_hash,
+      { isActive: isActive }
+    );
 
-    res.status(201).json({
-      linkId: linkHash,
-      buyShortCode: buyShortCode,
-      accessShortCode: accessShortCode,
-      originalUrl: url,
-      title: title,
-      creatorAddress: creatorAddress,
-      priceInERC20: priceInERC20,
-      transactionHash: actualTxHash,
-      shareableBuyLink: shareableBuyLink,
-      // Return new optional metadata fields in response
-      description: description,
-      authorName: authorName,
-      authorProfilePictureUrl: authorProfilePictureUrl,
-      contentVignetteUrl: contentVignetteUrl,
-      publicationDate: publicationDate
-        ? new Date(publicationDate).toISOString()
-        : null,
+    res.status(202).json({
+      linkId: link_hash,
+      isActive: isActive,
+      message: "Link status update queued.",
+      operationId: operationId,
+      operationStatusUrl: `${GIVABIT_BASE_URL}/operations/${operationId}`,
     });
   } catch (error) {
-    console.error("Error creating gated link:", error);
+    console.error(`Error updating status for link ${link_hash}:`, error);
     res
       .status(500)
-      .json({ error: "Failed to create gated link", details: error.message });
+      .json({ error: "Failed to update link status", details: error.message });
   }
 });
 
-// req1: GET /content/:access_short_code
-app.get("/content/:access_short_code", async (req, res) => {
-  const { access_short_code } = req.params;
-  try {
-    // Database Query
-    const link = await db.getLinkByAccessShortCode(access_short_code);
-    // const mockLink = { original_url: 'https://example.com/mock-redirect-target' } // Placeholder
+// POST /links/{link_hash}/relist { price | priceInERC20 }
+// Deactivates the link and lists the same URL again under a new linkId and price.
+app.post(
+  "/links/:link_hash/relist",
+  auth.requireSession,
+  idempotent("relist-link"),
+  async (req, res) => {
+    const { link_hash } = req.params;
+    const { price, priceInERC20 } = req.body;
+
+    if (!price && !priceInERC20) {
+      return res
+        .status(400)
+        .json({ error: "Missing required field: price (or priceInERC20)" });
+    }
+
+    try {
+      const oldLink = await db.getLinkByHash(link_hash);
+      if (!oldLink) {
+        return res
+          .status(404)
+          .json({ error: "Link not found with the provided hash." });
+      }
+      if (rejectUnlessLinkCreator(req, res, oldLink)) {
+        return;
+      }
+      if (oldLink.chain_status === "pending") {
+        return res.status(409).json({
+          error: "Link is not registered on the blockchain yet.",
+          chainStatus: oldLink.chain_status,
+        });
+      }
+      if (oldLink.superseded_by_link_hash) {
+        return res.status(409).json({
+          error: "Link has already been relisted.",
+          supersededByLinkId: oldLink.superseded_by_link_hash,
+        });
+      }
 
-    if (link && link.original_url) {
-      // Future: Add access check via smart contract here
-      // For now, also check if link is active in DB
-      if (!link.is_active) {
+      const oldChain = await blockchain.forLink(oldLink);
+      const token = await oldChain.getPaymentTokenInfo();
+      const parsedPrice = parsePrice({ price, priceInERC20 }, token.decimals);
+      if (parsedPrice.error) {
+        return res.status(400).json({ error: parsedPrice.error });
+      }
+      const priceInBaseUnits = parsedPrice.priceInERC20;
+
+      const canonicalUrl =
+        oldLink.canonical_url || canonicalizeUrl(oldLink.original_url);
+      const latest = await db.getLatestLinkVersion(
+        oldLink.creator_address,
+        canonicalUrl
+      );
+      const linkVersion =
+        Math.max(oldLink.link_version, latest ? latest.link_version : 0) + 1;
+      const newLinkHash = generateLinkId(
+        canonicalUrl,
+        oldLink.creator_address,
+        linkVersion
+      );
+      const buyShortCode = generateShortCode();
+      const accessShortCode = generateShortCode();
+
+      const operations = await db.relistGatedLink(
+        link_hash,
+        {
+          original_url: oldLink.original_url,
+          link_hash: newLinkHash,
+          buy_short_code: buyShortCode,
+          access_short_code: accessShortCode,
+          title: oldLink.title,
+          creator_address: oldLink.creator_address,
+          price_in_erc20: priceInBaseUnits,
+          tx_hash: null,
+          is_active: true,
+          description: oldLink.description,
+          author_name: oldLink.author_name,
+          author_profile_picture_url: oldLink.author_profile_picture_url,
+          content_vignette_url: oldLink.content_vignette_url,
+          publication_date: oldLink.publication_date,
+          extracted_metadata: oldLink.extracted_metadata,
+          canonical_url: canonicalUrl,
+          link_version: linkVersion,
+          link_id_scheme: "creator_scoped",
+          previous_link_hash: link_hash,
+          // A new version is listed on the same contract as the one it replaces
+          network: oldLink.network,
+          chain_id: oldLink.chain_id,
+          contract_address: oldLink.contract_address,
+        },
+        {
+          creatorAddress: oldLink.creator_address,
+          priceInERC20: priceInBaseUnits,
+          initialIsActive: true,
+        },
+        // Social posts point at the buy link, so the new version needs its own
+        ["generate_social_posts"]
+      );
+      if (!operations) {
         return res
-          .status(403)
-          .json({ error: "This link is currently inactive." });
+          .status(409)
+          .json({ error: "Link has already been relisted." });
       }
-      res.redirect(302, link.original_url);
-    } else {
-      res.status(404).json({ error: "Content not found" });
+
+      res.status(202).json({
+        linkId: newLinkHash,
+        previousLinkId: link_hash,
+        linkVersion: linkVersion,
+        buyShortCode: buyShortCode,
+        accessShortCode: accessShortCode,
+        originalUrl: oldLink.original_url,
+        priceInERC20: priceInBaseUnits,
+        priceFormatted: formatPrice(priceInBaseUnits, token.decimals),
+        tokenSymbol: token.symbol,
+        network: oldLink.network || networks.DEFAULT_NETWORK,
+        chainStatus: "pending",
+        operationId: operations.createOperationId,
+        operationStatusUrl: `${GIVABIT_BASE_URL}/operations/${operations.createOperationId}`,
+        deactivateOperationId: operations.deactivateOperationId,
+        jobsStatusUrl: `${GIVABIT_BASE_URL}/links/${newLinkHash}/jobs`,
+        shareableBuyLink: `${GIVABIT_BASE_URL}/buy/${buyShortCode}`,
+      });
+    } catch (error) {
+      console.error(`Error relisting link ${link_hash}:`, error);
+      res
+        .status(500)
+        .json({ error: "Failed to relist link", details: error.message });
     }
-  } catch (error) {
-    console.error(
-      `Error fetching content for access_short_code ${access_short_code}:`,
-      error
-    );
-    res
-      .status(500)
-      .json({ error: "Failed to retrieve content", details: error.message });
   }
-});
-
-// New endpoint for buy/purchase landing (primarily for mobile app)
-app.get("/buy/:buy_short_code", async (req, res) => {
-  res.status(200).send();
-});
+);
 
-// PATCH /links/{link_hash}/status
-app.patch("/links/:link_hash/status", async (req, res) => {
+// GET /links/{link_hash}/history - every version of a relisted link, oldest first
+app.get("/links/:link_hash/history", async (req, res) => {
   const { link_hash } = req.params;
-  const { isActive } = req.body;
-
-  if (typeof isActive !== "boolean") {
-    return res
-      .status(400)
-      .json({ error: "Invalid request body: isActive (boolean) is required." });
+  try {
+    const versions = await db.getLinkHistory(link_hash);
+    if (versions.length === 0) {
+      return res
+        .status(404)
+        .json({ error: "Link not found with the provided hash." });
+    }
+    res.status(200).json({
+      versions: versions.map((link) => ({
+        linkId: link.link_hash,
+        linkVersion: link.link_version,
+        buyShortCode: link.buy_short_code,
+        priceInERC20: link.price_in_erc20,
+        isActive: link.is_active,
+        chainStatus: link.chain_status,
+        previousLinkId: link.previous_link_hash,
+        supersededByLinkId: link.superseded_by_link_hash,
+        createdAt: link.created_at,
+      })),
+    });
+  } catch (error) {
+    console.error(`Error fetching history for link ${link_hash}:`, error);
+    res.status(500).json({
+      error: "Failed to retrieve link history",
+      details: error.message,
+    });
   }
+});
 
+// GET /links/{link_hash}/metadata/revisions - every version of a link's metadata, newest first
+app.get("/links/:link_hash/metadata/revisions", async (req, res) => {
+  const { link_hash } = req.params;
   try {
-    // Verify link exists (optional but good practice)
-    const linkExists = await db.getLinkByHash(link_hash);
-    if (!linkExists) {
+    const link = await db.getLinkByHash(link_hash);
+    if (!link) {
       return res
         .status(404)
         .json({ error: "Link not found with the provided hash." });
     }
+    const revisions = await db.getMetadataRevisions(link_hash);
+    res.status(200).json({
+      linkId: link_hash,
+      currentRevision: link.metadata_revision,
+      pinned: link.metadata_pinned,
+      revisions: revisions.map(formatMetadataRevision),
+    });
+  } catch (error) {
+    console.error(
+      `Error fetching metadata revisions for link ${link_hash}:`,
+      error
+    );
+    res.status(500).json({
+      error: "Failed to retrieve metadata revisions",
+      details: error.message,
+    });
+  }
+});
+
+// PATCH /links/{link_hash}/metadata { title?, description?, authorName?, authorProfilePictureUrl?,
+//   contentVignetteUrl?, publicationDate?, pinned? }
+// Edits are stored as a new revision and pinned unless pinned: false is sent.
+// With only pinned, pins or unpins the current metadata.
+app.patch(
+  "/links/:link_hash/metadata",
+  auth.requireSession,
+  async (req, res) => {
+    const { link_hash } = req.params;
+    const { pinned } = req.body;
+
+    if (pinned !== undefined && typeof pinned !== "boolean") {
+      return res.status(400).json({ error: "pinned must be a boolean." });
+    }
+    const edit = parseMetadataEdit(req.body);
+    if (edit.error) {
+      return res.status(400).json({ error: edit.error });
+    }
+    const hasChanges = Object.keys(edit.changes).length > 0;
+    if (!hasChanges && pinned === undefined) {
+      return res.status(400).json({
+        error: `Send at least one of ${Object.keys(EDITABLE_METADATA_FIELDS).join(", ")} or pinned.`,
+      });
+    }
 
-    // 1. Smart Contract Interaction
-    let actualUpdateTxHash =
-      "0xmockUpdateTxHash_default_" + crypto.randomBytes(10).toString("hex"); // Default mock
     try {
-      const txReceipt = await setLinkActivityOnChain(link_hash, isActive);
-      actualUpdateTxHash = txReceipt.transactionHash;
-      console.log("Blockchain status update successful:", actualUpdateTxHash);
-    } catch (blockchainError) {
-      console.error(
-        "Blockchain interaction for status update failed:",
-        blockchainError.message
-      );
-      return res.status(500).json({
-        error: "Smart contract interaction failed for status update",
-        details: blockchainError.message,
+      const link = await db.getLinkByHash(link_hash);
+      if (!link) {
+        return res
+          .status(404)
+          .json({ error: "Link not found with the provided hash." });
+      }
+      if (rejectUnlessLinkCreator(req, res, link)) {
+        return;
+      }
+
+      let updatedLink;
+      if (hasChanges) {
+        const saved = await db.addMetadataRevision(
+          link_hash,
+          {
+            ...link,
+            ...edit.changes,
+            source: "creator_edit",
+            based_on_revision: link.metadata_revision,
+            created_by: req.session.walletAddress,
+            created_at: null,
+          },
+          { force: true, pinned: pinned === undefined ? true : pinned }
+        );
+        updatedLink = saved.link;
+      } else {
+        updatedLink = await db.setMetadataPinned(link_hash, pinned);
+      }
+
+      res.status(200).json({
+        linkId: link_hash,
+        currentRevision: updatedLink.metadata_revision,
+        pinned: updatedLink.metadata_pinned,
+        title: updatedLink.title,
+        description: updatedLink.description,
+        authorName: updatedLink.author_name,
+        authorProfilePictureUrl: updatedLink.author_profile_picture_url,
+        contentVignetteUrl: updatedLink.content_vignette_url,
+        publicationDate: updatedLink.publication_date,
       });
+    } catch (error) {
+      console.error(`Error editing metadata for link ${link_hash}:`, error);
+      res.status(500).json({
+        error: "Failed to edit link metadata",
+        details: error.message,
+      });
+    }
+  }
+);
+
+// POST /links/{link_hash}/metadata/rollback { revision, pinned? }
+// Restores an earlier revision as a new revision, pinned unless pinned: false is sent.
+app.post(
+  "/links/:link_hash/metadata/rollback",
+  auth.requireSession,
+  async (req, res) => {
+    const { link_hash } = req.params;
+    const { revision, pinned } = req.body;
+
+    if (!Number.isInteger(revision) || revision < 1) {
+      return res
+        .status(400)
+        .json({ error: "revision must be a positive integer." });
+    }
+    if (pinned !== undefined && typeof pinned !== "boolean") {
+      return res.status(400).json({ error: "pinned must be a boolean." });
     }
 
-    // 2. Database Update
     try {
-      await db.updateLinkStatus(link_hash, isActive, actualUpdateTxHash);
-    } catch (dbError) {
+      const link = await db.getLinkByHash(link_hash);
+      if (!link) {
+        return res
+          .status(404)
+          .json({ error: "Link not found with the provided hash." });
+      }
+      if (rejectUnlessLinkCreator(req, res, link)) {
+        return;
+      }
+      const target = await db.getMetadataRevision(link_hash, revision);
+      if (!target) {
+        return res
+          .status(404)
+          .json({ error: `Revision ${revision} not found for this link.` });
+      }
+
+      const saved = await db.addMetadataRevision(
+        link_hash,
+        {
+          ...target,
+          source: "rollback",
+          based_on_revision: target.revision,
+          created_by: req.session.walletAddress,
+          created_at: null,
+        },
+        { force: true, pinned: pinned === undefined ? true : pinned }
+      );
+
+      res.status(200).json({
+        linkId: link_hash,
+        currentRevision: saved.link.metadata_revision,
+        pinned: saved.link.metadata_pinned,
+        revision: formatMetadataRevision(saved.revision),
+      });
+    } catch (error) {
       console.error(
-        `Database update for link status failed for ${link_hash}:`,
-        dbError.message
+        `Error rolling back metadata for link ${link_hash}:`,
+        error
       );
-      // If blockchain call was made, this could lead to inconsistent state.
-      return res.status(500).json({
-        error: "Failed to update link status in database",
-        details: dbError.message,
+      res.status(500).json({
+        error: "Failed to roll back link metadata",
+        details: error.message,
       });
     }
+  }
+);
+
+// GET /operations/:id - status of a queued on-chain operation
+app.get("/operations/:id", async (req, res) => {
+  const operationId = parseInt(req.params.id);
+  if (!Number.isInteger(operationId) || operationId < 1) {
+    return res.status(400).json({ error: "Invalid operation id." });
+  }
+
+  try {
+    const operation = await db.getChainOperation(operationId);
+    if (!operation) {
+      return res.status(404).json({ error: "Operation not found." });
+    }
+    res.status(200).json({
+      operationId: operation.id,
+      type: operation.operation_type,
+      linkId: operation.link_hash,
+      status: operation.status,
+      transactionHash: operation.tx_hash,
+      attempts: operation.attempts,
+      lastError: operation.last_error,
+      createdAt: operation.created_at,
+      updatedAt: operation.updated_at,
+      confirmedAt: operation.confirmed_at,
+    });
+  } catch (error) {
+    console.error(`Error fetching operation ${operationId}:`, error);
+    res
+      .status(500)
+      .json({ error: "Failed to retrieve operation", details: error.message });
+  }
+});
 
+// GET /links/{link_hash}/jobs - the link's background jobs, newest first, and the latest of each type
+app.get("/links/:link_hash/jobs", async (req, res) => {
+  const { link_hash } = req.params;
+  try {
+    const link = await db.getLinkByHash(link_hash);
+    if (!link) {
+      return res
+        .status(404)
+        .json({ error: "Link not found with the provided hash." });
+    }
+    const jobs = await db.getLinkJobs(link_hash);
+    const latest = {};
+    for (const job of jobs) {
+      latest[job.job_type] = latest[job.job_type] || job.status;
+    }
     res.status(200).json({
       linkId: link_hash,
-      isActive: isActive,
-      message: "Link status updated successfully.",
-      transactionHash: actualUpdateTxHash,
+      status: latest,
+      socialPostsReady: !!link.ai_social_posts,
+      jobs: jobs.map(formatLinkJob),
     });
   } catch (error) {
-    console.error(`Error updating status for link ${link_hash}:`, error);
+    console.error(`Error fetching jobs for link ${link_hash}:`, error);
     res
       .status(500)
-      .json({ error: "Failed to update link status", details: error.message });
+      .json({ error: "Failed to retrieve jobs", details: error.message });
   }
 });
 
+// POST /links/{link_hash}/jobs/{job_id}/retry - requeues a dead-lettered job
+app.post(
+  "/links/:link_hash/jobs/:job_id/retry",
+  auth.requireSession,
+  async (req, res) => {
+    const { link_hash } = req.params;
+    const jobId = parseInt(req.params.job_id);
+    if (!Number.isInteger(jobId) || jobId < 1) {
+      return res.status(400).json({ error: "Invalid job id." });
+    }
+
+    try {
+      const link = await db.getLinkByHash(link_hash);
+      if (!link) {
+        return res
+          .status(404)
+          .json({ error: "Link not found with the provided hash." });
+      }
+      if (rejectUnlessLinkCreator(req, res, link)) {
+        return;
+      }
+      const job = (await db.getLinkJobs(link_hash)).find(
+        (candidate) => candidate.id === jobId
+      );
+      if (!job) {
+        return res.status(404).json({ error: "Job not found for this link." });
+      }
+      if (job.status !== "dead") {
+        return res.status(409).json({
+          error: "Only dead-lettered jobs can be retried.",
+          job: formatLinkJob(job),
+        });
+      }
+      const requeued = await db.requeueDeadLinkJob(jobId);
+      if (!requeued) {
+        return res.status(409).json({
+          error: `A ${job.job_type} job is already pending for this link.`,
+        });
+      }
+      res.status(202).json({ linkId: link_hash, job: formatLinkJob(requeued) });
+    } catch (error) {
+      console.error(`Error retrying job ${jobId} of link ${link_hash}:`, error);
+      res
+        .status(500)
+        .json({ error: "Failed to retry job", details: error.message });
+    }
+  }
+);
+
 // Endpoint to get links by creatorAddress
 app.get("/links/creator/:creatorAddress", async (req, res) => {
   let { creatorAddress } = req.params; // Use let to allow reassignment
@@ -291,26 +1771,46 @@ app.get("/links/creator/:creatorAddress", async (req, res) => {
 
   try {
     const links = await db.getLinksByCreator(creatorAddress);
+    // Status of the latest background job of each type, per link
+    const jobStatuses = {};
+    for (const job of await db.getLatestLinkJobs(
+      links.map((link) => link.link_hash)
+    )) {
+      jobStatuses[job.link_hash] = jobStatuses[job.link_hash] || {};
+      jobStatuses[job.link_hash][job.job_type] = job.status;
+    }
 
-    const formattedLinks = links.map((link) => {
-      const shareableBuyLink = `${GIVABIT_BASE_URL}/buy/${link.buy_short_code}`;
-      const contentAuthorName = link.author_name || null;
-      const formattedLink = {
-        linkId: link.link_hash,
-        buyShortCode: link.buy_short_code,
-        accessShortCode: link.access_short_code,
-        originalUrl: link.original_url,
-        title: link.title,
-        priceInERC20: link.price_in_erc20,
-        isActive: link.is_active,
-        createdAt: link.created_at,
-        shareableBuyLink: shareableBuyLink,
-        contentVignetteUrl: link.content_vignette_url,
-        description: link.description || null,
-        authorName: link.author_name || null,
-      };
-      return formattedLink;
-    });
+    const formattedLinks = await Promise.all(
+      links.map(async (link) => {
+        const shareableBuyLink = `${GIVABIT_BASE_URL}/buy/${link.buy_short_code}`;
+        const contentAuthorName = link.author_name || null;
+        const formattedLink = {
+          linkId: link.link_hash,
+          buyShortCode: link.buy_short_code,
+          accessShortCode: link.access_short_code,
+          originalUrl: link.original_url,
+          title: link.title,
+          priceInERC20: link.price_in_erc20,
+          ...(await describeLinkPrice(link)),
+          isActive: link.is_active,
+          chainStatus: link.chain_status,
+          network: link.network || networks.DEFAULT_NETWORK,
+          chainId: link.chain_id,
+          contractAddress: link.contract_address,
+          linkVersion: link.link_version,
+          previousLinkId: link.previous_link_hash,
+          supersededByLinkId: link.superseded_by_link_hash,
+          createdAt: link.created_at,
+          shareableBuyLink: shareableBuyLink,
+          contentVignetteUrl: link.content_vignette_url,
+          description: link.description || null,
+          authorName: link.author_name || null,
+          jobs: jobStatuses[link.link_hash] || {},
+          socialPostsReady: !!link.ai_social_posts,
+        };
+        return formattedLink;
+      })
+    );
 
     console.log(
       "Formatted links for creator:",
@@ -330,155 +1830,8 @@ app.get("/links/creator/:creatorAddress", async (req, res) => {
   }
 });
 
-// --- Helper functions for metadata extraction ---
-
-async function getYoutubeVideoDetails(youtubeUrl) {
-  try {
-    const videoId = extractYoutubeVideoId(youtubeUrl);
-    if (!videoId) {
-      throw new Error("Invalid YouTube URL or unable to extract video ID.");
-    }
-
-    if (!YOUTUBE_API_KEY) {
-      console.warn(
-        "YOUTUBE_API_KEY not configured. Cannot fetch YouTube video details."
-      );
-      return {
-        title: "YouTube Video (ID: " + videoId + ")",
-        description: "API key not configured to fetch full details.",
-      };
-    }
-
-    const response = await youtube.videos.list({
-      part: "snippet,contentDetails",
-      id: videoId,
-    });
-
-    if (!response.data.items || response.data.items.length === 0) {
-      throw new Error("Video not found or API error.");
-    }
-
-    const video = response.data.items[0];
-    const snippet = video.snippet;
-    // const contentDetails = video.contentDetails; // Contains duration, dimension etc.
-
-    const thumbnails = snippet.thumbnails;
-    const thumbnailUrl =
-      thumbnails.maxres?.url ||
-      thumbnails.high?.url ||
-      thumbnails.medium?.url ||
-      thumbnails.default?.url;
-
-    return {
-      title: snippet.title,
-      description: snippet.description,
-      author_name: snippet.channelTitle,
-      // author_profile_picture_url: null, // YouTube API for videos doesn't directly give channel profile pic. Need separate channels.list call.
-      content_vignette_url: thumbnailUrl,
-      publication_date: snippet.publishedAt
-        ? new Date(snippet.publishedAt)
-        : null,
-      // extracted_metadata: { duration: contentDetails.duration } // Example
-    };
-  } catch (error) {
-    console.error(
-      `Error fetching YouTube video details for ${youtubeUrl}:`,
-      error.message
-    );
-    // Return a generic title if API fails or videoId is bad
-    const videoId = extractYoutubeVideoId(youtubeUrl) || "unknown_id";
-    return {
-      title: `YouTube Video (ID: ${videoId})`,
-      description: `Could not fetch details: ${error.message}`,
-    };
-  }
-}
-
-function extractYoutubeVideoId(url) {
-  const regExp = /^.*(youtu.be\/|v\/|u\/\w\/|embed\/|watch\?v=|&v=)([^#&?]*).*/;
-  const match = url.match(regExp);
-  return match && match[2].length === 11 ? match[2] : null;
-}
-
-async function getGenericPageMetadata(url) {
-  let browser = null;
-  try {
-    // Launch browser. Chromium is generally well-supported.
-    // You might need to install browser binaries if they are not found: npx playwright install
-    browser = await playwright.chromium.launch({ headless: true });
-    const context = await browser.newContext({
-      userAgent:
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
-    });
-    const page = await context.newPage();
-    await page.goto(url, { waitUntil: "networkidle", timeout: 30000 }); // Wait for network to be idle, timeout after 30s
-
-    const metadata = await page.evaluate(() => {
-      const getMetaContent = (name) => {
-        const element =
-          document.querySelector(`meta[name="${name}"]`) ||
-          document.querySelector(`meta[property="${name}"]`);
-        return element ? element.content : null;
-      };
-
-      let title =
-        getMetaContent("og:title") ||
-        getMetaContent("twitter:title") ||
-        document.title;
-      let description =
-        getMetaContent("og:description") ||
-        getMetaContent("twitter:description") ||
-        getMetaContent("description");
-      let authorName =
-        getMetaContent("author") || getMetaContent("og:site_name"); // or specific author tags if known
-      let profilePicUrl =
-        getMetaContent("og:image:secure_url") ||
-        getMetaContent("og:image") ||
-        getMetaContent("twitter:image"); // This is often content image, not author profile
-      let contentVignetteUrl = profilePicUrl; // Reuse, or look for specific article image
-      let publicationDate =
-        getMetaContent("article:published_time") ||
-        getMetaContent("og:updated_time");
-
-      // Try to clean up title and description
-      if (title) title = title.trim();
-      if (description) description = description.trim();
-      if (authorName) authorName = authorName.trim();
-
-      // More specific selectors if needed:
-      // Example: const h1Title = document.querySelector('h1')?.innerText;
-      // if (!title && h1Title) title = h1Title;
-
-      return {
-        title: title || "Untitled Page",
-        description: description,
-        author_name: authorName,
-        author_profile_picture_url: null, // Hard to get reliably without specific site knowledge or more complex scraping
-        content_vignette_url: contentVignetteUrl,
-        publication_date: publicationDate ? new Date(publicationDate) : null,
-        // extracted_metadata: {} // For additional fields
-      };
-    });
-
-    await browser.close();
-    return metadata;
-  } catch (error) {
-    console.error(
-      `Playwright - Error fetching generic page metadata for ${url}:`,
-      error.message
-    );
-    if (browser) {
-      await browser.close();
-    }
-    return {
-      title: `Web Page at ${url.substring(0, 50)}...`, // Truncate long URLs
-      description: `Could not fetch details: ${error.message}`,
-    };
-  }
-}
-
 // --- New Metadata Endpoint ---
-app.get("/metadata/:buy_short_code", async (req, res) => {
+app.get("/metadata/:buy_short_code", auth.loadSession, async (req, res) => {
   const { buy_short_code } = req.params;
   const forceRefresh = req.query.force === "true";
 
@@ -489,6 +1842,10 @@ app.get("/metadata/:buy_short_code", async (req, res) => {
         .status(404)
         .json({ error: "Link not found with the provided buy_short_code." });
     }
+    // Forced refreshes overwrite stored data, so only the creator may trigger them
+    if (forceRefresh && rejectUnlessLinkCreator(req, res, link)) {
+      return;
+    }
 
     // If not forcing refresh and a title already exists in DB, return cached data.
     // link.title being non-null implies metadata has been fetched at least once.
@@ -507,42 +1864,44 @@ app.get("/metadata/:buy_short_code", async (req, res) => {
         publicationDate: link.publication_date,
         creatorAddress: link.creator_address,
         priceInERC20: link.price_in_erc20,
+        ...(await describeLinkPrice(link)),
         isActive: link.is_active,
         buyShortCode: link.buy_short_code,
+        metadataRevision: link.metadata_revision,
+        metadataPinned: link.metadata_pinned,
       };
       return res.status(200).json(responseData);
     }
 
     // If we reach here, we need to refresh (either forced or title was null).
-    let extractedData = {};
-    const originalUrl = link.original_url;
-
-    if (extractYoutubeVideoId(originalUrl)) {
-      console.log(
-        `Refreshing metadata for link associated with buy_short_code: ${buy_short_code} (forceRefresh: ${forceRefresh})`
-      ); // Log only for YouTube refresh
-      console.log(`Fetching metadata for YouTube URL: ${originalUrl}`);
-      extractedData = await getYoutubeVideoDetails(originalUrl);
-    } else {
-      console.log(
-        `Fetching metadata for generic URL (buy_short_code: ${buy_short_code}, forceRefresh: ${forceRefresh}): ${originalUrl}`
-      );
-      extractedData = await getGenericPageMetadata(originalUrl);
-    }
-
-    // Merge with existing link data, prioritizing newly fetched data
-    const updatedLinkData = {
-      ...link,
-      title: extractedData.title || link.title, // Keep original title if new one is null/empty
-      description: extractedData.description,
-      author_name: extractedData.author_name,
-      author_profile_picture_url: extractedData.author_profile_picture_url,
-      content_vignette_url: extractedData.content_vignette_url,
-      publication_date: extractedData.publication_date,
-      extracted_metadata: extractedData.extracted_metadata, // Store any extra bits here
-    };
+    console.log(
+      `Fetching metadata (buy_short_code: ${buy_short_code}, forceRefresh: ${forceRefresh}): ${link.original_url}`
+    );
+    const extractedData = await mediaCache.cacheMetadataImages(
+      await extractMetadata(link.original_url)
+    );
 
-    await db.replaceGatedLinkByHash(updatedLinkData);
+    // A field the scrape came back without keeps its current value
+    const saved = await db.addMetadataRevision(link.link_hash, {
+      source: link.title === null ? "extractor" : "refresh",
+      title: extractedData.title || link.title,
+      description: extractedData.description || link.description,
+      author_name: extractedData.author_name || link.author_name,
+      author_profile_picture_url:
+        extractedData.author_profile_picture_url ||
+        link.author_profile_picture_url,
+      content_vignette_url:
+        extractedData.content_vignette_url || link.content_vignette_url,
+      publication_date: extractedData.publication_date || link.publication_date,
+      extracted_metadata: extractedData.extracted_metadata,
+    });
+    if (!saved) {
+      return res
+        .status(404)
+        .json({ error: "Link not found with the provided buy_short_code." });
+    }
+    // A pinned link keeps its metadata; the refresh is only recorded as a revision
+    const updatedLinkData = saved.link;
 
     // Prepare response (subset of fields, or all, depending on needs)
     const responseData = {
@@ -556,13 +1915,20 @@ app.get("/metadata/:buy_short_code", async (req, res) => {
       publicationDate: updatedLinkData.publication_date,
       creatorAddress: updatedLinkData.creator_address,
       priceInERC20: updatedLinkData.price_in_erc20,
+      ...(await describeLinkPrice(updatedLinkData)),
       isActive: updatedLinkData.is_active,
       buyShortCode: updatedLinkData.buy_short_code, // Useful for client
+      metadataRevision: updatedLinkData.metadata_revision,
+      metadataPinned: updatedLinkData.metadata_pinned,
+      refreshApplied: saved.applied,
       // extractedMetadata: updatedLinkData.extracted_metadata, // Optionally return this
     };
 
     res.status(200).json(responseData);
   } catch (error) {
+    if (error instanceof fetchPolicy.UrlPolicyError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error(`Error in /metadata/${buy_short_code} endpoint:`, error);
     res
       .status(500)
@@ -570,6 +1936,31 @@ app.get("/metadata/:buy_short_code", async (req, res) => {
   }
 });
 
+// Cached thumbnails and avatars. Images are addressed by content hash, so they never change.
+app.get("/media/:hash", async (req, res) => {
+  const variant = req.query.variant || undefined;
+  if (variant && !Object.hasOwn(mediaCache.MEDIA_VARIANTS, variant)) {
+    return res.status(400).json({
+      error: `Unknown variant. Use one of: ${Object.keys(mediaCache.MEDIA_VARIANTS).join(", ")}.`,
+    });
+  }
+
+  try {
+    const media = await mediaCache.readMedia(req.params.hash, variant);
+    if (!media) {
+      return res.status(404).json({ error: "Media not found." });
+    }
+    res.set({
+      "Cache-Control": "public, max-age=31536000, immutable",
+      "X-Content-Type-Options": "nosniff",
+    });
+    res.type(media.contentType).send(media.body);
+  } catch (error) {
+    console.error(`Error serving media ${req.params.hash}:`, error);
+    res.status(500).json({ error: "Failed to read media." });
+  }
+});
+
 // --- New Link Intent Endpoint (Metadata Extraction Only) ---
 app.post("/create-link-intent", async (req, res) => {
   const { url, creatorAddress } = req.body;
@@ -593,18 +1984,18 @@ app.post("/create-link-intent", async (req, res) => {
   }
 
   try {
+    // Refuse URLs we must not fetch (other schemes, internal hosts) before doing any work
+    const urlCheck = await fetchPolicy.checkUrl(url);
+    if (!urlCheck.allowed) {
+      return res.status(urlCheck.status).json({ error: urlCheck.error });
+    }
+
     console.log(
       `Received /create-link-intent for URL: ${url} by ${creatorAddress}`
     );
-    let extractedMetadata = {};
-
-    if (extractYoutubeVideoId(url)) {
-      console.log(`Fetching metadata for YouTube URL (intent): ${url}`);
-      extractedMetadata = await getYoutubeVideoDetails(url);
-    } else {
-      console.log(`Fetching metadata for generic URL (intent): ${url}`);
-      extractedMetadata = await getGenericPageMetadata(url);
-    }
+    const extractedMetadata = await mediaCache.cacheMetadataImages(
+      await extractMetadata(url)
+    );
 
     // Ensure essential fields from metadata are at least null if not found
     const responsePayload = {
@@ -617,14 +2008,15 @@ app.post("/create-link-intent", async (req, res) => {
         extractedMetadata.author_profile_picture_url || null,
       contentVignetteUrl: extractedMetadata.content_vignette_url || null,
       publicationDate: extractedMetadata.publication_date || null,
-      // Include any other specific or raw fields from extracted_metadata directly if needed
-      // For example, if extractedMetadata had a field like 'platformSpecificData':
-      // platformSpecificData: extractedMetadata.platformSpecificData || null,
+      extractor: extractedMetadata.extracted_metadata.extractor,
       status: "metadata_extracted",
     };
 
     res.status(200).json(responsePayload);
   } catch (error) {
+    if (error instanceof fetchPolicy.UrlPolicyError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error(`Error in /create-link-intent for URL ${url}:`, error);
     res.status(500).json({
       error: "Failed to process link intent and extract metadata",
@@ -634,10 +2026,12 @@ app.post("/create-link-intent", async (req, res) => {
 });
 
 // New endpoint for relaying signed payment transactions
+// The signature is verified off-chain and the call simulated before the server wallet spends gas.
 app.post("/relay-signed-payment", async (req, res) => {
   const {
     linkId,
     beneficiaryAddress,
+    payerAddress,
     deadline,
     signature
   } = req.body;
@@ -656,31 +2050,125 @@ app.post("/relay-signed-payment", async (req, res) => {
   if (!ethers.isAddress(beneficiaryAddress)) {
     return res.status(400).json({ error: "Invalid beneficiaryAddress format." });
   }
-  if (typeof deadline !== 'number' && (typeof deadline !== 'string' || isNaN(parseInt(deadline)))) {
-      return res.status(400).json({ error: "Invalid deadline format. Expected a number or numeric string." });
+  if (payerAddress !== undefined && !ethers.isAddress(payerAddress)) {
+    return res.status(400).json({ error: "Invalid payerAddress format." });
+  }
+  // Whole, non-negative seconds only; BigInt() would throw on "12abc" or 1.5
+  const isValidDeadline =
+    (typeof deadline === "number" && Number.isSafeInteger(deadline) && deadline >= 0) ||
+    (typeof deadline === "string" && /^\d+$/.test(deadline));
+  if (!isValidDeadline) {
+      return res.status(400).json({ error: "Invalid deadline format. Expected a non-negative integer or integer string." });
   }
   if (!ethers.isHexString(signature)) {
     return res.status(400).json({ error: "Invalid signature format. Expected a 0x-prefixed hex string." });
   }
 
-  const payerAddressToUse = DEFAULT_RELAYER_PAYER_ADDRESS;
+  // Clients should send the payer that signed; the configured default is kept for older app versions
+  const payerAddressToUse = payerAddress || DEFAULT_RELAYER_PAYER_ADDRESS;
+  if (!payerAddressToUse) {
+    return res.status(400).json({ error: "Missing required field: payerAddress" });
+  }
 
   try {
-    console.log(`Received /relay-signed-payment for linkId: ${linkId}, with configured payer: ${payerAddressToUse}`);
-    const txReceipt = await relayPayForAccessWithSignature(
+    const deadlineBigInt = BigInt(deadline);
+    console.log(`Received /relay-signed-payment for linkId: ${linkId}, payer: ${payerAddressToUse}`);
+
+    // 1. Deadline must still be in the future
+    const nowSeconds = BigInt(Math.floor(Date.now() / 1000));
+    if (deadlineBigInt <= nowSeconds) {
+      return res.status(400).json({ error: "Signature deadline has passed." });
+    }
+
+    // Relay on the network the link was created on (the default network for unknown links)
+    const link = await db.getLinkByHash(linkId);
+    const chain = link ? await blockchain.forLink(link) : blockchain.forNetwork(null);
+
+    // 2. The typed-data signature must recover to the payer
+    const { signer, nonce } = await chain.recoverPayForAccessSigner(
+      linkId,
+      beneficiaryAddress,
+      payerAddressToUse,
+      deadlineBigInt,
+      signature
+    );
+    if (!signer || signer.toLowerCase() !== payerAddressToUse.toLowerCase()) {
+      return res.status(401).json({
+        error: "Signature does not match payerAddress.",
+        payerAddress: payerAddressToUse,
+        recoveredSigner: signer,
+        nonce: nonce.toString(),
+      });
+    }
+
+    // 3. The link must exist and be active on-chain
+    const onChainDetails = await chain.getLinkDetailsOnChain(linkId);
+    if (onChainDetails.creator === ethers.ZeroAddress) {
+      return res.status(404).json({ error: "Link is not registered on the smart contract." });
+    }
+    if (!onChainDetails.isActive) {
+      return res.status(403).json({ error: "This link is currently inactive." });
+    }
+
+    // 4. Simulate the call; a revert here would otherwise burn relayer gas
+    const revertReason = await chain.simulatePayForAccessWithSignature(
+      linkId,
+      beneficiaryAddress,
+      payerAddressToUse,
+      deadlineBigInt,
+      signature
+    );
+    if (revertReason) {
+      return res.status(422).json({
+        error: "Payment transaction would revert.",
+        details: revertReason,
+      });
+    }
+
+    // 5. Relayer budget, quotas and balance; the relay is reserved at its maximum fee
+    const maxFeeWei = await chain.estimatePayForAccessWithSignatureMaxFee(
       linkId,
       beneficiaryAddress,
       payerAddressToUse,
-      BigInt(deadline),
+      deadlineBigInt,
       signature
     );
+    const policy = await relayerPolicy.reserveRelay({
+      linkId: linkId,
+      payerAddress: payerAddressToUse,
+      beneficiaryAddress: beneficiaryAddress,
+      network: chain.network.key,
+      maxFeeWei: maxFeeWei,
+    });
+    if (!policy.allowed) {
+      if (policy.retryAfterSeconds) {
+        res.set("Retry-After", String(policy.retryAfterSeconds));
+      }
+      return res.status(policy.status).json({ error: policy.error });
+    }
+    const reservationId = policy.reservationId;
+    let txReceipt;
+    try {
+      txReceipt = await chain.relayPayForAccessWithSignature(
+        linkId,
+        beneficiaryAddress,
+        payerAddressToUse,
+        deadlineBigInt,
+        signature
+      );
+    } catch (relayError) {
+      await relayerPolicy.recordRelayOutcome(reservationId, null, relayError);
+      throw relayError;
+    }
+    await relayerPolicy.recordRelayOutcome(reservationId, txReceipt);
 
     res.status(200).json({
       message: "Signed payment transaction relayed successfully.",
-      transactionHash: txReceipt.transactionHash,
+      transactionHash: txReceipt.hash,
       linkId: linkId,
       payerAddress: payerAddressToUse,
       beneficiaryAddress: beneficiaryAddress,
+      network: chain.network.key,
     });
   } catch (error) {
     console.error(`Error in /relay-signed-payment for linkId ${linkId} (payer: ${payerAddressToUse}):`, error);
@@ -691,10 +2179,103 @@ app.post("/relay-signed-payment", async (req, res) => {
   }
 });
 
+// Relayer gas consumed by payments for a creator's links
+app.get("/relayer/usage/:creatorAddress", async (req, res) => {
+  const { creatorAddress } = req.params;
+
+  if (!ethers.isAddress(creatorAddress)) {
+    return res.status(400).json({ error: "Invalid creatorAddress format." });
+  }
+
+  try {
+    const usage = await db.getRelayGasUsageByCreator(creatorAddress);
+    const totalFeeWei = usage.reduce(
+      (sum, row) => sum + BigInt(row.total_fee_wei),
+      0n
+    );
+    res.status(200).json({
+      creatorAddress: creatorAddress.toLowerCase(),
+      totalFeeAvax: ethers.formatEther(totalFeeWei),
+      links: usage.map((row) => ({
+        linkId: row.link_hash,
+        buyShortCode: row.buy_short_code,
+        title: row.title,
+        relayCount: row.relay_count,
+        totalGasUsed: row.total_gas_used,
+        totalFeeAvax: ethers.formatEther(BigInt(row.total_fee_wei)),
+      })),
+    });
+  } catch (error) {
+    console.error(`Error fetching relay usage for creator ${creatorAddress}:`, error);
+    res.status(500).json({
+      error: "Failed to retrieve relay usage",
+      details: error.message,
+    });
+  }
+});
+
+// Networks links can be created on (the `network` field of /create-gated-link)
+app.get("/networks", (req, res) => {
+  res.status(200).json({
+    defaultNetwork: networks.DEFAULT_NETWORK,
+    networks: networks.listEnabledNetworks().map((network) => ({
+      key: network.key,
+      name: network.name,
+      chainId: network.chainId,
+      contractAddress: network.contractAddress,
+      tokenAddress: network.tokenAddress,
+      isDefault: network.key === networks.DEFAULT_NETWORK,
+    })),
+  });
+});
+
+// Health check (reports unhealthy when the relayer wallet is low on funds or over budget on any network)
+app.get("/health", async (req, res) => {
+  try {
+    const relayer = {};
+    for (const network of networks.listEnabledNetworks()) {
+      relayer[network.key] = await relayerPolicy.getRelayerHealth(network.key);
+    }
+    const healthy = Object.values(relayer).every((health) => health.healthy);
+    res.status(healthy ? 200 : 503).json({
+      status: healthy ? "ok" : "unhealthy",
+      relayer: relayer,
+      browserPool: getBrowserPoolStats(),
+    });
+  } catch (error) {
+    console.error("Error in /health endpoint:", error);
+    res.status(503).json({ status: "unhealthy", details: error.message });
+  }
+});
+
 // --- New Social Post Generation Endpoint ---
-app.get("/social-posts/:buy_short_code", async (req, res) => {
+app.get("/social-posts/:buy_short_code", auth.loadSession, async (req, res) => {
   const { buy_short_code } = req.params;
   const forceRefresh = req.query.force === "true";
+  // ?platforms=x,telegram limits the platforms; ?locale=es-MX picks the language
+  const requested = socialPosts.parsePlatforms(req.query.platforms);
+  if (requested.error) {
+    return res.status(400).json({ error: requested.error });
+  }
+  const locale =
+    req.query.locale === undefined
+      ? null
+      : socialPosts.parseLocale(req.query.locale);
+  if (req.query.locale !== undefined && !locale) {
+    return res.status(400).json({
+      error: "locale must be a BCP 47 language tag, e.g. en or pt-BR.",
+    });
+  }
+  // ?variations= posts per platform; one by default
+  const variationsPerPlatform =
+    req.query.variations === undefined
+      ? 1
+      : socialPosts.parseVariations(req.query.variations);
+  if (variationsPerPlatform === null) {
+    return res.status(400).json({
+      error: `variations must be a whole number from 1 to ${socialPosts.MAX_POST_VARIATIONS}.`,
+    });
+  }
 
   try {
     const link = await db.getLinkByBuyShortCode(buy_short_code);
@@ -703,17 +2284,40 @@ app.get("/social-posts/:buy_short_code", async (req, res) => {
         .status(404)
         .json({ error: "Link not found with the provided buy_short_code." });
     }
+    // Forced refreshes overwrite stored data, so only the creator may trigger them
+    if (forceRefresh && rejectUnlessLinkCreator(req, res, link)) {
+      return;
+    }
 
-    // If not forcing refresh and AI social posts already exist, return them.
-    if (!forceRefresh && link.ai_social_posts) {
+    // If not forcing refresh and posts for every requested platform exist in the
+    // requested language, return them.
+    const profile = await db.getVoiceProfile(link.creator_address);
+    const postLocale = locale || (profile ? profile.default_language : "en");
+    const cachedPosts =
+      !forceRefresh &&
+      socialPosts.cachedPostsFor(
+        link.ai_social_posts,
+        requested.platforms,
+        postLocale
+      );
+    if (cachedPosts) {
       console.log(
         `Returning cached AI social posts for buy_short_code: ${buy_short_code}`
       );
+      const cachedBuyLink = socialPosts.shareableBuyLinkFor(link);
+      const voice = socialPosts.voiceFromProfile(profile);
       return res.status(200).json({
         linkId: link.link_hash,
         buyShortCode: link.buy_short_code,
-        shareableBuyLink: `${GIVABIT_BASE_URL}/buy/${link.buy_short_code}`,
-        socialPosts: link.ai_social_posts,
+        shareableBuyLink: cachedBuyLink,
+        socialPosts: cachedPosts,
+        validation: postValidator.validateSocialPosts(
+          cachedPosts,
+          cachedBuyLink,
+          { bannedWords: voice ? voice.bannedWords : [] }
+        ),
+        locale: postLocale,
+        voiceProfileVersion: profile ? profile.version : null,
         source: "cache",
       });
     }
@@ -722,203 +2326,415 @@ app.get("/social-posts/:buy_short_code", async (req, res) => {
       `Generating new AI social posts for buy_short_code: ${buy_short_code} (forceRefresh: ${forceRefresh})`
     );
 
-    const shareableBuyLink = `${GIVABIT_BASE_URL}/buy/${link.buy_short_code}`;
-    let generatedPosts = {};
-
-    // --- START ACTUAL AI INTEGRATION ---
-    const geminiApiKey = process.env.GEMINI_API_KEY;
-    if (!geminiApiKey) {
-      console.error("GEMINI_API_KEY is not set. Cannot generate AI posts.");
-      return res.status(500).json({ error: "AI service not configured." });
-    }
-
-    const genAI = new GoogleGenerativeAI(geminiApiKey);
-    const modelName = "gemini-2.5-flash-preview-05-20"; // Updated model name
-    const model = genAI.getGenerativeModel({ model: modelName });
-
-    const contentTitle = link.title || "Exclusive Content";
-    const contentDescription =
-      link.description || "Check out this amazing piece of content!";
-    const contentAuthorName = link.author_name || null;
-
-    const platforms = ["X", "Instagram", "Facebook", "Telegram", "Discord"];
-    // You can make variationsPerPlatform dynamic, e.g., from a query param or config
-    const variationsPerPlatform = parseInt(req.query.variations) || 1; // Default to 1 variation
-
+    let generated;
     try {
-      const platformGenerationPromises = platforms.map(async (platform) => {
-        // Estimate link length to help AI with character counts for X
-        const linkLength = shareableBuyLink.length;
-        const twitterMaxChars = 280;
-
-        let specificPlatformInstruction = `Generate ${variationsPerPlatform} catchy social media post(s) for ${platform} to promote the following content with the intent to sell access.`;
-        let returnStructureExample = `For example, if ${variationsPerPlatform} is 1, return ["Post 1 text..."] or if ${variationsPerPlatform} is 2, return ["Post 1 text...", "Post 2 text..."]`;
-
-        if (platform === "X") {
-          specificPlatformInstruction = `Generate ${variationsPerPlatform} catchy tweet(s) for X (Twitter) to promote the following content with the intent to sell access. Each tweet, *including the buy link* (which is ${linkLength} characters long), must NOT exceed ${twitterMaxChars} characters in total.`;
-          if (variationsPerPlatform === 1) {
-            returnStructureExample = `This means for X, you must return a JSON array of exactly one string: ["Tweet text (max ${twitterMaxChars} chars total)..."]`;
-          } else {
-            returnStructureExample = `This means for X, if ${variationsPerPlatform} is 2, you must return a JSON array of exactly two strings: ["Tweet 1 (max ${twitterMaxChars} chars total)...", "Tweet 2 (max ${twitterMaxChars} chars total)..."]`;
-          }
-        }
-
-        const prompt = `
-${specificPlatformInstruction}
+      generated = await socialPosts.generateLinkSocialPosts(link, {
+        variations: variationsPerPlatform,
+        platforms: requested.platforms,
+        locale: postLocale,
+        createdBy: req.session ? req.session.walletAddress : null,
+      });
+    } catch (aiError) {
+      if (aiError.code === "AI_NOT_CONFIGURED") {
+        console.error(
+          "No AI provider is configured. Cannot generate AI posts."
+        );
+        return res.status(503).json({ error: aiError.message });
+      }
+      if (aiError.code === "NO_POSTS") {
+        console.error("No social posts were successfully generated from AI.");
+        return res.status(500).json({
+          error: "Failed to generate any social posts from AI.",
+          details: aiError.message,
+          validation: aiError.validation,
+        });
+      }
+      throw aiError;
+    }
 
-The goal is to maximize clicks on the buy link.
+    res.status(200).json({
+      linkId: link.link_hash,
+      buyShortCode: link.buy_short_code,
+      shareableBuyLink: socialPosts.shareableBuyLinkFor(link),
+      socialPosts: generated.socialPosts,
+      validation: generated.validation,
+      locale: generated.locale,
+      voiceProfileVersion: generated.voiceProfileVersion,
+      source: "generated",
+    });
+  } catch (error) {
+    console.error(`Error in /social/${buy_short_code} endpoint:`, error);
+    res.status(500).json({
+      error: "Failed to generate or retrieve social posts",
+      details: error.message,
+    });
+  }
+});
 
-Content Title: "${contentTitle}"
-Content Description: "${contentDescription}"
-Buy Link: ${shareableBuyLink}
-${
-  contentAuthorName
-    ? `Author Name (e.g., Channel, Site): "${contentAuthorName}"`
-    : ""
-}
+// GET /links/{link_hash}/social-posts/history?platform=x
+// Every saved version of the link's posts, newest first.
+app.get("/links/:link_hash/social-posts/history", async (req, res) => {
+  const { link_hash } = req.params;
+  let platform = null;
+  if (req.query.platform !== undefined) {
+    const requested = socialPosts.parsePlatforms(req.query.platform);
+    if (requested.error || requested.platforms.length !== 1) {
+      return res.status(400).json({
+        error: requested.error || "platform must name a single platform.",
+      });
+    }
+    platform = requested.platforms[0].toLowerCase();
+  }
 
-General Instructions for all posts:
-- Each post should be engaging and create a sense of urgency or exclusivity.
-- Include 3 hashtags at max.
-- Ensure the buy link (${shareableBuyLink}) is clearly presented.
-- If an Author Name is provided, consider incorporating it naturally if it enhances the post (e.g., "New article from [Author Name]!").
-- If generating multiple variations, ensure they are distinct from each other.
-
-Platform-Specific Hints:
-${
-  platform === "Instagram"
-    ? "- For Instagram, suggest relevant emojis and a strong call to action. If the buy link is long, you can say 'Link in bio!' and still include the link directly in the text for copy-pasting ease."
-    : ""
-}
-${
-  platform === "X"
-    ? `- For X (Twitter), each tweet must be concise, impactful, and strictly adhere to the ${twitterMaxChars} character limit *inclusive of the buy link*. Use strong call-to-actions.`
-    : ""
-}
+  try {
+    const link = await db.getLinkByHash(link_hash);
+    if (!link) {
+      return res
+        .status(404)
+        .json({ error: "Link not found with the provided hash." });
+    }
+    const revisions = await db.getSocialPostRevisions(link_hash, platform);
+    res.status(200).json({
+      linkId: link_hash,
+      currentRevision: link.social_posts_revision,
+      revisions: revisions.map((revision) =>
+        formatSocialPostRevision(revision, platform)
+      ),
+    });
+  } catch (error) {
+    console.error(
+      `Error fetching social post history for link ${link_hash}:`,
+      error
+    );
+    res.status(500).json({
+      error: "Failed to retrieve social post history",
+      details: error.message,
+    });
+  }
+});
 
-Output Format Instructions:
-Return the response strictly as a JSON array of strings, where each string is a complete post text.
-${returnStructureExample}.
-Make sure to properly escape all special characters (like quotes, newlines \\n) within the post strings so that the entire response is a single, valid JSON array.
-If you cannot generate posts for any reason, return an empty JSON array [].
-Do not use any markdown (like \`\`\`json) in your response; only the raw JSON array.
-Make sure to escape special characters in the posts so that JSON parsing works.
-`;
-
-        console.log(
-          `Generating content for ${platform} with prompt (parallel)...`
-        );
-        // console.log("Prompt for", platform, ":", prompt); // Optional: for debugging the exact prompt
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        const text = response.text();
+// PATCH /links/{link_hash}/social-posts/{post_id} { text?, favorite?, used? }
+// Edits a post's text (checked like generated posts) and/or marks it as favorite or used.
+app.patch(
+  "/links/:link_hash/social-posts/:post_id",
+  auth.requireSession,
+  async (req, res) => {
+    const { link_hash, post_id } = req.params;
+    const { text, favorite, used } = req.body || {};
 
-        let platformPostsTexts = [];
-        try {
-          platformPostsTexts = JSON.parse(text);
-          if (
-            !Array.isArray(platformPostsTexts) ||
-            !platformPostsTexts.every((p) => typeof p === "string")
-          ) {
-            console.warn(
-              `Gemini response for ${platform} was not a valid JSON array of strings:`,
-              platformPostsTexts,
-              "Original raw text from AI:",
-              text
-            );
-            platformPostsTexts = [];
-          }
-        } catch (parseError) {
-          console.warn(
-            `Could not parse Gemini response for ${platform} as JSON:`,
-            parseError.message,
-            "Original raw text from AI:",
-            text
-          );
-          platformPostsTexts = [];
-        }
+    if (text !== undefined && (typeof text !== "string" || !text.trim())) {
+      return res
+        .status(400)
+        .json({ error: "text must be a non-empty string." });
+    }
+    for (const [field, value] of Object.entries({ favorite, used })) {
+      if (value !== undefined && typeof value !== "boolean") {
+        return res.status(400).json({ error: `${field} must be a boolean.` });
+      }
+    }
+    if (text === undefined && favorite === undefined && used === undefined) {
+      return res
+        .status(400)
+        .json({ error: "Send at least one of text, favorite or used." });
+    }
 
-        return {
-          platformName: platform.toLowerCase(),
-          posts: platformPostsTexts.map((postText) => ({
-            text: postText,
-            generated_at: new Date().toISOString(),
-            model_used: modelName,
-          })),
-        };
+    try {
+      const link = await db.getLinkByHash(link_hash);
+      if (!link) {
+        return res
+          .status(404)
+          .json({ error: "Link not found with the provided hash." });
+      }
+      if (rejectUnlessLinkCreator(req, res, link)) {
+        return;
+      }
+      const updated = await socialPosts.updateLinkSocialPost(
+        link,
+        post_id,
+        { text: text === undefined ? undefined : text.trim(), favorite, used },
+        req.session.walletAddress
+      );
+      res.status(200).json({
+        linkId: link_hash,
+        platform: updated.platform,
+        post: updated.post,
+        validation: updated.validation,
+        revision: updated.revision,
       });
-
-      const settledPlatformResults = await Promise.allSettled(
-        platformGenerationPromises
+    } catch (error) {
+      if (error.code === "POST_NOT_FOUND") {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.code === "INVALID_POST") {
+        return res
+          .status(400)
+          .json({ error: error.message, validation: error.validation });
+      }
+      console.error(
+        `Error updating social post ${post_id} of link ${link_hash}:`,
+        error
       );
+      res.status(500).json({
+        error: "Failed to update social post",
+        details: error.message,
+      });
+    }
+  }
+);
+
+// DELETE /links/{link_hash}/social-posts/{post_id}
+// Removes a post variation; it stays in the history.
+app.delete(
+  "/links/:link_hash/social-posts/:post_id",
+  auth.requireSession,
+  async (req, res) => {
+    const { link_hash, post_id } = req.params;
+    try {
+      const link = await db.getLinkByHash(link_hash);
+      if (!link) {
+        return res
+          .status(404)
+          .json({ error: "Link not found with the provided hash." });
+      }
+      if (rejectUnlessLinkCreator(req, res, link)) {
+        return;
+      }
+      const deleted = await socialPosts.deleteLinkSocialPost(
+        link,
+        post_id,
+        req.session.walletAddress
+      );
+      res.status(200).json({
+        linkId: link_hash,
+        platform: deleted.platform,
+        deletedPostId: post_id,
+        revision: deleted.revision,
+      });
+    } catch (error) {
+      if (error.code === "POST_NOT_FOUND") {
+        return res.status(404).json({ error: error.message });
+      }
+      console.error(
+        `Error deleting social post ${post_id} of link ${link_hash}:`,
+        error
+      );
+      res.status(500).json({
+        error: "Failed to delete social post",
+        details: error.message,
+      });
+    }
+  }
+);
+
+// POST /links/{link_hash}/social-posts/{platform}/regenerate { variations?, locale? }
+// Regenerates one platform's posts, keeping its favorite and edited posts and every other platform.
+app.post(
+  "/links/:link_hash/social-posts/:platform/regenerate",
+  auth.requireSession,
+  async (req, res) => {
+    const { link_hash, platform } = req.params;
+    const { variations, locale } = req.body || {};
+    const requested = socialPosts.parsePlatforms(platform);
+    if (requested.error || requested.platforms.length !== 1) {
+      return res.status(400).json({
+        error: requested.error || "Regenerate one platform at a time.",
+      });
+    }
+    const variationsPerPlatform =
+      variations === undefined ? 1 : socialPosts.parseVariations(variations);
+    if (variationsPerPlatform === null) {
+      return res.status(400).json({
+        error: `variations must be a whole number from 1 to ${socialPosts.MAX_POST_VARIATIONS}.`,
+      });
+    }
+    const postLocale =
+      locale === undefined ? undefined : socialPosts.parseLocale(locale);
+    if (postLocale === null) {
+      return res.status(400).json({
+        error: "locale must be a BCP 47 language tag, e.g. en or pt-BR.",
+      });
+    }
 
-      generatedPosts = settledPlatformResults.reduce((acc, result) => {
-        if (result.status === "fulfilled" && result.value) {
-          acc[result.value.platformName] = result.value.posts;
-        } else if (result.status === "rejected") {
-          // Log the error for the specific platform that failed
-          // You could choose to store a placeholder or error message for this platform if needed
-          console.error(
-            `Failed to generate content for a platform:`,
-            result.reason
-          );
-        }
-        return acc;
-      }, {});
-
-      // Check if any posts were successfully generated before trying to save
-      if (Object.keys(generatedPosts).length === 0) {
-        console.error(
-          "No social posts were successfully generated from AI after parallel execution."
-        );
-        // Depending on desired behavior, you might return an error or an empty socialPosts object
-        // For now, let's return the error that led to Promise.allSettled catching issues if it was an aiError
-        // This might need more nuanced error reporting if specific platforms fail vs a total AI outage
+    try {
+      const link = await db.getLinkByHash(link_hash);
+      if (!link) {
+        return res
+          .status(404)
+          .json({ error: "Link not found with the provided hash." });
+      }
+      if (rejectUnlessLinkCreator(req, res, link)) {
+        return;
+      }
+      const generated = await socialPosts.generateLinkSocialPosts(link, {
+        variations: variationsPerPlatform,
+        platforms: requested.platforms,
+        locale: postLocale,
+        createdBy: req.session.walletAddress,
+      });
+      res.status(200).json({
+        linkId: link_hash,
+        shareableBuyLink: socialPosts.shareableBuyLinkFor(link),
+        socialPosts: generated.socialPosts,
+        validation: generated.validation,
+        locale: generated.locale,
+        voiceProfileVersion: generated.voiceProfileVersion,
+        revision: generated.revision,
+      });
+    } catch (error) {
+      if (error.code === "AI_NOT_CONFIGURED") {
+        return res.status(503).json({ error: error.message });
+      }
+      if (error.code === "NO_POSTS") {
         return res.status(500).json({
           error: "Failed to generate any social posts from AI.",
-          details:
-            "All platform generation attempts either failed or returned no content.",
+          details: error.message,
+          validation: error.validation,
         });
       }
-    } catch (aiError) {
-      // This catch block might be less likely to be hit for individual AI call errors if using allSettled
       console.error(
-        "Error during the AI content generation process (Promise.allSettled context):",
-        aiError
+        `Error regenerating ${platform} posts for link ${link_hash}:`,
+        error
       );
-      return res.status(500).json({
-        error: "Failed to generate social posts from AI",
-        details: aiError.message,
+      res.status(500).json({
+        error: "Failed to regenerate social posts",
+        details: error.message,
       });
     }
-    // --- END ACTUAL AI INTEGRATION ---
+  }
+);
+
+// --- Creator Voice Profile Endpoints ---
+// GET /creators/{creatorAddress}/voice-profile
+// The creator's latest brand voice profile; only the creator may read it.
+app.get(
+  "/creators/:creatorAddress/voice-profile",
+  auth.requireSession,
+  async (req, res) => {
+    const { creatorAddress } = req.params;
+    if (!ethers.isAddress(creatorAddress)) {
+      return res.status(400).json({ error: "Invalid creatorAddress format." });
+    }
+    if (!auth.isSessionWallet(req, creatorAddress)) {
+      return res
+        .status(403)
+        .json({ error: "Only the creator can view their voice profile." });
+    }
 
-    // Persist the newly generated posts
-    const updatedLink = await db.updateAISocialPosts(
-      buy_short_code,
-      generatedPosts
-    );
-    if (!updatedLink) {
-      // This case should ideally not be hit if the initial link fetch was successful
+    try {
+      const profile = await db.getVoiceProfile(creatorAddress);
+      if (!profile) {
+        return res
+          .status(404)
+          .json({ error: "No voice profile saved for this creator." });
+      }
+      res.status(200).json(formatVoiceProfile(profile));
+    } catch (error) {
       console.error(
-        `Failed to update AI social posts for buy_short_code: ${buy_short_code} after generation.`
+        `Error fetching voice profile for ${creatorAddress}:`,
+        error
       );
+      res.status(500).json({
+        error: "Failed to retrieve voice profile",
+        details: error.message,
+      });
+    }
+  }
+);
+
+// PUT /creators/{creatorAddress}/voice-profile { tone?, audience?, bannedWords?, preferredHashtags?, defaultLanguage? }
+// Saves the profile as a new version; posts record the version that produced them.
+app.put(
+  "/creators/:creatorAddress/voice-profile",
+  auth.requireSession,
+  async (req, res) => {
+    const { creatorAddress } = req.params;
+    if (!ethers.isAddress(creatorAddress)) {
+      return res.status(400).json({ error: "Invalid creatorAddress format." });
+    }
+    if (!auth.isSessionWallet(req, creatorAddress)) {
       return res
-        .status(500)
-        .json({ error: "Failed to store generated social posts." });
+        .status(403)
+        .json({ error: "Only the creator can change their voice profile." });
+    }
+    const parsed = parseVoiceProfile(req.body || {});
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    try {
+      const profile = await db.saveVoiceProfile(creatorAddress, parsed.profile);
+      res.status(200).json(formatVoiceProfile(profile));
+    } catch (error) {
+      console.error(`Error saving voice profile for ${creatorAddress}:`, error);
+      res.status(500).json({
+        error: "Failed to save voice profile",
+        details: error.message,
+      });
     }
+  }
+);
 
+// --- Indexed Purchases & Earnings Endpoints ---
+// Served from events stored by the blockchain indexer (see indexer.js).
+app.get("/purchases/:walletAddress", async (req, res) => {
+  const { walletAddress } = req.params;
+
+  if (!ethers.isAddress(walletAddress)) {
+    return res.status(400).json({ error: "Invalid walletAddress format." });
+  }
+
+  try {
+    const purchases = await db.getPurchasesByWallet(walletAddress);
     res.status(200).json({
-      linkId: link.link_hash,
-      buyShortCode: link.buy_short_code,
-      shareableBuyLink: shareableBuyLink,
-      socialPosts: generatedPosts,
-      source: "generated",
+      walletAddress: walletAddress.toLowerCase(),
+      purchases: purchases.map((purchase) => ({
+        linkId: purchase.link_hash,
+        buyShortCode: purchase.buy_short_code,
+        accessShortCode: purchase.access_short_code,
+        title: purchase.title,
+        contentVignetteUrl: purchase.content_vignette_url,
+        creatorAddress: purchase.creator_address,
+        transactionHash: purchase.tx_hash,
+        blockNumber: Number(purchase.block_number),
+      })),
     });
   } catch (error) {
-    console.error(`Error in /social/${buy_short_code} endpoint:`, error);
+    console.error(`Error fetching purchases for wallet ${walletAddress}:`, error);
     res.status(500).json({
-      error: "Failed to generate or retrieve social posts",
+      error: "Failed to retrieve purchases",
+      details: error.message,
+    });
+  }
+});
+
+app.get("/earnings/:creatorAddress", async (req, res) => {
+  const { creatorAddress } = req.params;
+
+  if (!ethers.isAddress(creatorAddress)) {
+    return res.status(400).json({ error: "Invalid creatorAddress format." });
+  }
+
+  try {
+    const earnings = await db.getCreatorEarnings(creatorAddress);
+    const totalEarned = earnings.reduce(
+      (sum, row) => sum + BigInt(row.total_earned),
+      0n
+    );
+    res.status(200).json({
+      creatorAddress: creatorAddress.toLowerCase(),
+      totalEarnedInERC20: totalEarned.toString(),
+      links: earnings.map((row) => ({
+        linkId: row.link_hash,
+        buyShortCode: row.buy_short_code,
+        title: row.title,
+        paymentCount: row.payment_count,
+        totalEarnedInERC20: row.total_earned,
+      })),
+    });
+  } catch (error) {
+    console.error(`Error fetching earnings for creator ${creatorAddress}:`, error);
+    res.status(500).json({
+      error: "Failed to retrieve earnings",
       details: error.message,
     });
   }
@@ -959,25 +2775,28 @@ app.get("/feed/:walletAddress", async (req, res) => {
     const links = await db.getLatestLinksForFeed(limit, offset, walletAddress);
 
     // Format the links for the response
-    const formattedLinks = links.map((link) => {
-      const shareableBuyLink = `${GIVABIT_BASE_URL}/buy/${link.buy_short_code}`;
-      return {
-        linkId: link.link_hash,
-        buyShortCode: link.buy_short_code,
-        originalUrl: link.original_url,
-        title: link.title,
-        description: link.description,
-        authorName: link.author_name,
-        authorProfilePictureUrl: link.author_profile_picture_url,
-        contentVignetteUrl: link.content_vignette_url,
-        publicationDate: link.publication_date,
-        creatorAddress: link.creator_address,
-        priceInERC20: link.price_in_erc20,
-        isActive: link.is_active,
-        createdAt: link.created_at,
-        shareableBuyLink: shareableBuyLink,
-      };
-    });
+    const formattedLinks = await Promise.all(
+      links.map(async (link) => {
+        const shareableBuyLink = `${GIVABIT_BASE_URL}/buy/${link.buy_short_code}`;
+        return {
+          linkId: link.link_hash,
+          buyShortCode: link.buy_short_code,
+          originalUrl: link.original_url,
+          title: link.title,
+          description: link.description,
+          authorName: link.author_name,
+          authorProfilePictureUrl: link.author_profile_picture_url,
+          contentVignetteUrl: link.content_vignette_url,
+          publicationDate: link.publication_date,
+          creatorAddress: link.creator_address,
+          priceInERC20: link.price_in_erc20,
+          ...(await describeLinkPrice(link)),
+          isActive: link.is_active,
+          createdAt: link.created_at,
+          shareableBuyLink: shareableBuyLink,
+        };
+      })
+    );
 
     res.status(200).json({
       walletAddress: walletAddress,
@@ -999,6 +2818,18 @@ app.get("/feed/:walletAddress", async (req, res) => {
 
 app.listen(port, () => {
   console.log(`GivaBit server listening on port ${port}`);
+
+  blockchain.startTransactionMonitors();
+  if (process.env.OUTBOX_WORKER_ENABLED !== "false") {
+    startOutboxWorker();
+  }
+  if (process.env.JOBS_WORKER_ENABLED !== "false") {
+    startJobWorker();
+  }
+  if (process.env.INDEXER_ENABLED === "true") {
+    startIndexer();
+  }
+  startReconciliationJob();
   console.log(`Access the GivaBit interface at: http://localhost:${port}/`);
 
   const givabitAppPath = GIVABIT_BASE_URL.startsWith("http")
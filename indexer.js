@@ -0,0 +1,250 @@
+// Background indexer for GatedLinkAccessManager events.
+// Follows the contract's logs into Postgres so purchases, earnings and access grants
+// can be served from our own DB. Run in-process (INDEXER_ENABLED=true) or standalone:
+//   node indexer.js
+// Every enabled network in the registry (networks.js) is indexed, each with its own cursor
+// keyed by chain id and contract address (networks may share a contract address) and its own
+// start block (<KEY>_INDEXER_START_BLOCK, else INDEXER_START_BLOCK). The "anvil" network
+// indexes a local node with 0 confirmations, since local nodes only mine on demand.
+
+require("dotenv").config(); // Needed when run standalone; a no-op for already-set variables
+
+const blockchain = require("./blockchain");
+const networks = require("./networks");
+const db = require("./database");
+
+const INDEXER_START_BLOCK = parseInt(process.env.INDEXER_START_BLOCK) || 0;
+const INDEXER_CONFIRMATIONS = isNaN(parseInt(process.env.INDEXER_CONFIRMATIONS))
+  ? 3
+  : parseInt(process.env.INDEXER_CONFIRMATIONS);
+const INDEXER_BATCH_SIZE = parseInt(process.env.INDEXER_BATCH_SIZE) || 2000; // Max blocks per eth_getLogs call
+const INDEXER_POLL_INTERVAL_MS =
+  parseInt(process.env.INDEXER_POLL_INTERVAL_MS) || 5000;
+const INDEXER_CHECKPOINTS_TO_KEEP = 128;
+
+/**
+ * Converts a decoded contract event into the row shape stored by the database module.
+ * @param {object} event A decoded event from blockchain.getContractEvents.
+ * @returns {object|null} The row, or null for events we do not store.
+ */
+function normalizeEvent(event) {
+  const base = {
+    event: event.name,
+    link_hash: event.args.linkId,
+    block_number: event.blockNumber,
+    block_hash: event.blockHash,
+    tx_hash: event.transactionHash,
+    log_index: event.logIndex,
+  };
+
+  switch (event.name) {
+    case "PaymentMade":
+      return {
+        ...base,
+        buyer_address: event.args.buyer.toLowerCase(),
+        creator_address: event.args.creator.toLowerCase(),
+        amount_paid: event.args.amountPaid.toString(),
+      };
+    case "AccessGranted":
+      return {
+        ...base,
+        beneficiary_address: event.args.beneficiary.toLowerCase(),
+      };
+    case "LinkCreated":
+      return {
+        ...base,
+        creator_address: event.args.creator.toLowerCase(),
+        price_in_erc20: event.args.priceInERC20.toString(),
+        is_active: event.args.isActive,
+      };
+    case "LinkActivitySet":
+      return { ...base, is_active: event.args.isActive };
+    case "MetaTransactionExecuted":
+      return {
+        ...base,
+        payer_address: event.args.payer.toLowerCase(),
+        beneficiary_address: event.args.beneficiary.toLowerCase(),
+        relayer_address: event.args.relayer.toLowerCase(),
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Returns the first block to index on a network.
+ * @param {object} network
+ * @returns {number}
+ */
+function startBlockFor(network) {
+  return network.indexerStartBlock !== null
+    ? network.indexerStartBlock
+    : INDEXER_START_BLOCK;
+}
+
+/**
+ * Finds the newest checkpoint that is still on the canonical chain and rolls the
+ * indexed data back to it. Falls back to re-indexing from the start block.
+ * @param {object} chain The network client.
+ * @param {string} chainId
+ * @param {string} contractAddress
+ * @returns {Promise<number>} The block the cursor was rolled back to.
+ */
+async function rollbackToCommonAncestor(chain, chainId, contractAddress) {
+  const checkpoints = await db.getIndexerCheckpoints(
+    chainId,
+    contractAddress,
+    INDEXER_CHECKPOINTS_TO_KEEP
+  );
+  for (const checkpoint of checkpoints) {
+    const blockNumber = Number(checkpoint.block_number);
+    const canonicalHash = await chain.getBlockHash(blockNumber);
+    if (canonicalHash === checkpoint.block_hash) {
+      console.warn(
+        `Indexer: reorg detected, rolling back to block ${blockNumber}.`
+      );
+      await db.rollbackIndexedEvents(
+        chainId,
+        contractAddress,
+        blockNumber,
+        checkpoint.block_hash
+      );
+      return blockNumber;
+    }
+  }
+
+  const restartBlock = startBlockFor(chain.network) - 1;
+  console.warn(
+    `Indexer: reorg deeper than stored checkpoints, re-indexing ${chain.network.key} from block ${restartBlock + 1}.`
+  );
+  await db.rollbackIndexedEvents(chainId, contractAddress, restartBlock, null);
+  return restartBlock;
+}
+
+/**
+ * Indexes the next batch of confirmed blocks on one network.
+ * @param {string|null} [networkKey] The network key; the default network if omitted.
+ * @returns {Promise<{fromBlock: number, toBlock: number, events: number, caughtUp: boolean}|null>}
+ *   What was indexed, or null if there were no new confirmed blocks.
+ */
+async function indexNextBatch(networkKey) {
+  const chain = blockchain.forNetwork(networkKey);
+  const contractAddress = chain.CONTRACT_ADDRESS;
+  if (!contractAddress) {
+    throw new Error(
+      `No contract address is configured for network ${chain.network.key}; cannot index events.`
+    );
+  }
+  const confirmations =
+    chain.network.confirmations !== null
+      ? chain.network.confirmations
+      : INDEXER_CONFIRMATIONS;
+
+  const chainId = await chain.getChainId();
+  const cursor = await db.getIndexerCursor(chainId, contractAddress);
+  let lastIndexedBlock = cursor
+    ? Number(cursor.last_indexed_block)
+    : startBlockFor(chain.network) - 1;
+
+  // Detect reorgs: the block we last indexed must still have the same hash
+  if (cursor && cursor.last_block_hash) {
+    const canonicalHash = await chain.getBlockHash(lastIndexedBlock);
+    if (canonicalHash !== cursor.last_block_hash) {
+      lastIndexedBlock = await rollbackToCommonAncestor(
+        chain,
+        chainId,
+        contractAddress
+      );
+    }
+  }
+
+  const latestBlock = await chain.getLatestBlockNumber();
+  const confirmedBlock = latestBlock - confirmations;
+  if (confirmedBlock <= lastIndexedBlock) {
+    return null;
+  }
+
+  const fromBlock = lastIndexedBlock + 1;
+  const toBlock = Math.min(lastIndexedBlock + INDEXER_BATCH_SIZE, confirmedBlock);
+  const events = (await chain.getContractEvents(fromBlock, toBlock))
+    .map(normalizeEvent)
+    .filter(Boolean);
+  const toBlockHash = await chain.getBlockHash(toBlock);
+
+  await db.saveIndexedBlockRange(
+    chainId,
+    contractAddress,
+    events,
+    toBlock,
+    toBlockHash
+  );
+  await db.pruneIndexerCheckpoints(
+    chainId,
+    contractAddress,
+    INDEXER_CHECKPOINTS_TO_KEEP
+  );
+
+  if (events.length > 0) {
+    console.log(
+      `Indexer: stored ${events.length} event(s) from ${chain.network.key} blocks ${fromBlock}-${toBlock}.`
+    );
+  }
+  return {
+    fromBlock,
+    toBlock,
+    events: events.length,
+    caughtUp: toBlock === confirmedBlock,
+  };
+}
+
+/**
+ * Starts the indexing loop over every enabled network. It catches up as fast as possible, then polls.
+ * @returns {{stop: function(): void}} A handle to stop the loop.
+ */
+function startIndexer() {
+  let stopped = false;
+  let timer = null;
+
+  const tick = async () => {
+    let delay = INDEXER_POLL_INTERVAL_MS;
+    for (const network of networks.listEnabledNetworks()) {
+      try {
+        const result = await indexNextBatch(network.key);
+        if (result && !result.caughtUp) {
+          delay = 0; // Still catching up, continue immediately
+        }
+      } catch (error) {
+        console.error(
+          `Indexer: error while indexing events on ${network.key}:`,
+          error.message
+        );
+      }
+    }
+    if (!stopped) {
+      timer = setTimeout(tick, delay);
+    }
+  };
+
+  console.log(
+    `Indexer: starting (start block ${INDEXER_START_BLOCK}, ${INDEXER_CONFIRMATIONS} confirmation(s)).`
+  );
+  tick();
+
+  return {
+    stop() {
+      stopped = true;
+      if (timer) {
+        clearTimeout(timer);
+      }
+    },
+  };
+}
+
+module.exports = {
+  startIndexer,
+  indexNextBatch,
+};
+
+if (require.main === module) {
+  startIndexer();
+}
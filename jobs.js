@@ -0,0 +1,260 @@
+// Background job worker for the work that follows link creation.
+// Routes queue jobs in the LinkJobs table (in the same DB transaction as the link, so none is
+// lost on restart) and this in-process worker runs them. Job types:
+//   extract_metadata        - fills in the metadata the creator did not provide, then queues the other two
+//   cache_media             - replaces the link's thumbnail and author picture with cached copies (mediaCache.js)
+//   generate_social_posts   - writes the link's social posts (socialPosts.js)
+// Job states: queued -> running -> completed | dead. A failed job is retried with exponential
+// backoff; after JOB_MAX_ATTEMPTS attempts, or on an error retrying cannot fix, it is
+// dead-lettered and stays visible on the link until it is requeued.
+//   JOB_MAX_ATTEMPTS         - attempts per job (default 5)
+//   JOBS_POLL_INTERVAL_MS    - how often the worker looks for due jobs when idle
+//   JOB_LOCK_SECONDS         - how long a job may run before another worker takes it over
+
+const db = require("./database");
+const { extractMetadata } = require("./metadataExtractors");
+const { UrlPolicyError } = require("./fetchPolicy");
+const mediaCache = require("./mediaCache");
+const socialPosts = require("./socialPosts");
+
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 5;
+const JOBS_POLL_INTERVAL_MS =
+  parseInt(process.env.JOBS_POLL_INTERVAL_MS) || 2000;
+const JOB_LOCK_SECONDS = parseInt(process.env.JOB_LOCK_SECONDS) || 600;
+
+const IMAGE_FIELDS = ["content_vignette_url", "author_profile_picture_url"];
+
+/**
+ * Exponential backoff for failed jobs: 10s, 20s, 40s, ... capped at 10 minutes.
+ * @param {number} attempts Number of attempts made so far.
+ * @returns {number} Delay in seconds.
+ */
+function backoffSeconds(attempts) {
+  return Math.min(10 * 2 ** (attempts - 1), 600);
+}
+
+/**
+ * Creates an error that dead-letters its job right away.
+ * @param {string} message
+ * @returns {Error}
+ */
+function permanentError(message) {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+}
+
+/**
+ * Picks the jobs to queue for a newly stored link.
+ * A link the creator described fully skips extraction.
+ * @param {object} linkData The GatedLinks row being stored.
+ * @returns {string[]}
+ */
+function initialJobTypes(linkData) {
+  if (
+    !linkData.title ||
+    !linkData.description ||
+    !linkData.content_vignette_url
+  ) {
+    return ["extract_metadata"];
+  }
+  return ["cache_media", "generate_social_posts"];
+}
+
+/**
+ * Extracts metadata and fills in the fields the link does not have yet. What the creator
+ * provided is kept.
+ * @param {object} job
+ * @param {object} link
+ * @returns {Promise<void>}
+ */
+async function runExtractMetadata(job, link) {
+  let extracted;
+  try {
+    extracted = await extractMetadata(link.original_url);
+  } catch (error) {
+    if (error instanceof UrlPolicyError) {
+      throw permanentError(error.message); // The URL will not become allowed
+    }
+    throw error;
+  }
+  if (extracted.extracted_metadata.placeholder) {
+    throw new Error(extracted.description); // Worth another attempt later
+  }
+
+  const fields = [
+    "title",
+    "description",
+    "author_name",
+    "author_profile_picture_url",
+    "content_vignette_url",
+    "publication_date",
+  ];
+  const merged = {};
+  for (const field of fields) {
+    merged[field] = link[field] || extracted[field] || null;
+  }
+  if (fields.some((field) => merged[field] !== (link[field] || null))) {
+    await db.addMetadataRevision(link.link_hash, {
+      source: "extractor",
+      ...merged,
+      extracted_metadata: extracted.extracted_metadata,
+    });
+  }
+
+  await db.enqueueLinkJob("cache_media", link.link_hash);
+  await db.enqueueLinkJob("generate_social_posts", link.link_hash);
+}
+
+/**
+ * Caches the link's images and points the link at the copies.
+ * Images that were cached stay swapped even if another one fails and the job is retried.
+ * @param {object} job
+ * @param {object} link
+ * @returns {Promise<void>}
+ */
+async function runCacheMedia(job, link) {
+  const replacements = {};
+  const failures = [];
+  for (const field of IMAGE_FIELDS) {
+    const url = link[field];
+    if (!url || mediaCache.isMediaUrl(url)) {
+      continue;
+    }
+    try {
+      replacements[field] = {
+        from: url,
+        to: mediaCache.mediaUrl(await mediaCache.cacheImage(url)),
+      };
+    } catch (error) {
+      failures.push(`${field}: ${error.message}`);
+    }
+  }
+  if (Object.keys(replacements).length > 0) {
+    await db.replaceLinkImageUrls(link.link_hash, replacements);
+  }
+  if (failures.length > 0) {
+    throw new Error(`Could not cache ${failures.join("; ")}`);
+  }
+}
+
+/**
+ * Generates and stores the link's social posts.
+ * @param {object} job
+ * @param {object} link
+ * @returns {Promise<void>}
+ */
+async function runGenerateSocialPosts(job, link) {
+  try {
+    await socialPosts.generateLinkSocialPosts(link, {
+      variations: job.payload.variations || 1,
+    });
+  } catch (error) {
+    if (error.code === "AI_NOT_CONFIGURED") {
+      throw permanentError(error.message);
+    }
+    throw error;
+  }
+}
+
+const JOB_HANDLERS = {
+  extract_metadata: runExtractMetadata,
+  cache_media: runCacheMedia,
+  generate_social_posts: runGenerateSocialPosts,
+};
+
+/**
+ * Runs a claimed job and records the outcome.
+ * @param {object} job
+ * @returns {Promise<void>}
+ */
+async function runJob(job) {
+  try {
+    const handler = JOB_HANDLERS[job.job_type];
+    if (!handler) {
+      throw permanentError(`Unknown job type: ${job.job_type}`);
+    }
+    const link = await db.getLinkByHash(job.link_hash);
+    if (!link) {
+      throw permanentError(`Link ${job.link_hash} not found.`);
+    }
+    await handler(job, link);
+    await db.finishLinkJob(job.id, { status: "completed" });
+    console.log(
+      `Jobs: ${job.job_type} job ${job.id} for link ${job.link_hash} completed.`
+    );
+  } catch (error) {
+    console.error(
+      `Jobs: ${job.job_type} job ${job.id} failed (attempt ${job.attempts}):`,
+      error.message
+    );
+    if (error.permanent || job.attempts >= JOB_MAX_ATTEMPTS) {
+      await db.finishLinkJob(job.id, { status: "dead", error: error.message });
+    } else {
+      await db.finishLinkJob(job.id, {
+        status: "queued",
+        error: error.message,
+        delaySeconds: backoffSeconds(job.attempts),
+      });
+    }
+  }
+}
+
+/**
+ * Claims and runs the next due job.
+ * @returns {Promise<boolean>} True if a job was run.
+ */
+async function processNextJob() {
+  const job = await db.claimNextLinkJob(JOB_LOCK_SECONDS);
+  if (!job) {
+    return false;
+  }
+  try {
+    await runJob(job);
+  } catch (error) {
+    // DB hiccup while recording the outcome: the lock expires and the job is picked up again
+    console.error(`Jobs: error processing job ${job.id}:`, error.message);
+  }
+  return true;
+}
+
+/**
+ * Starts the job worker loop.
+ * @returns {{stop: function(): void}} A handle to stop the loop.
+ */
+function startJobWorker() {
+  let stopped = false;
+  let timer = null;
+
+  const tick = async () => {
+    let delay = JOBS_POLL_INTERVAL_MS;
+    try {
+      if (await processNextJob()) {
+        delay = 0; // Drain the queue before sleeping
+      }
+    } catch (error) {
+      console.error("Jobs: error while polling jobs:", error.message);
+    }
+    if (!stopped) {
+      timer = setTimeout(tick, delay);
+    }
+  };
+
+  console.log("Jobs: background job worker started.");
+  tick();
+
+  return {
+    stop() {
+      stopped = true;
+      if (timer) {
+        clearTimeout(timer);
+      }
+    },
+  };
+}
+
+module.exports = {
+  initialJobTypes,
+  startJobWorker,
+  processNextJob,
+};
@@ -0,0 +1,128 @@
+// Input parsing for POST /create-gated-links/batch.
+// A batch is either a JSON array of {url, price | priceInERC20, title} objects (optionally
+// wrapped as {links: [...]}) or a CSV body (Content-Type: text/csv) with a header row naming
+// the url, price (a token amount) or priceInERC20 (base units) and optional title columns.
+
+const BATCH_MAX_ROWS = parseInt(process.env.BATCH_MAX_ROWS) || 200;
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF line endings).
+ * @param {string} text
+ * @returns {Array<Array<string>>} The records; blank lines are skipped.
+ * @throws {Error} If a quoted field is not closed.
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      record.push(field);
+      if (record.some((value) => value.trim() !== "")) {
+        records.push(record);
+      }
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (inQuotes) {
+    throw new Error("Unterminated quoted field in CSV.");
+  }
+  record.push(field);
+  if (record.some((value) => value.trim() !== "")) {
+    records.push(record);
+  }
+  return records;
+}
+
+/**
+ * Converts CSV text into batch rows.
+ * @param {string} text
+ * @returns {Array<object>} Rows of {url, price, priceInERC20, title}; one of the prices is null.
+ * @throws {Error} If the header row lacks the url or price column.
+ */
+function csvToRows(text) {
+  const [header, ...records] = parseCsv(text.replace(/^\uFEFF/, ""));
+  if (!header) {
+    return [];
+  }
+  const columns = header.map((name) => name.trim().toLowerCase());
+  const urlIndex = columns.indexOf("url");
+  const priceIndex = columns.indexOf("price");
+  const baseUnitsIndex = columns.indexOf("priceinerc20");
+  const titleIndex = columns.indexOf("title");
+  if (urlIndex === -1 || (priceIndex === -1 && baseUnitsIndex === -1)) {
+    throw new Error(
+      "CSV header must include url and price (or priceInERC20) columns."
+    );
+  }
+  const column = (record, index) =>
+    index === -1 ? null : (record[index] || "").trim() || null;
+  return records.map((record) => ({
+    url: (record[urlIndex] || "").trim(),
+    price: column(record, priceIndex),
+    priceInERC20: column(record, baseUnitsIndex),
+    title: column(record, titleIndex),
+  }));
+}
+
+/**
+ * Extracts the batch rows from a request body.
+ * @param {object|Array|string} body The parsed JSON body, or the raw text of a CSV upload.
+ * @returns {{rows: Array<object>}|{error: string}}
+ */
+function parseLinkBatch(body) {
+  let rows;
+  if (typeof body === "string") {
+    try {
+      rows = csvToRows(body);
+    } catch (error) {
+      return { error: error.message };
+    }
+  } else if (Array.isArray(body)) {
+    rows = body;
+  } else if (body && Array.isArray(body.links)) {
+    rows = body.links;
+  } else {
+    return {
+      error:
+        "Request body must be a JSON array of links, {links: [...]}, or a text/csv upload.",
+    };
+  }
+
+  if (rows.length === 0) {
+    return { error: "Batch contains no links." };
+  }
+  if (rows.length > BATCH_MAX_ROWS) {
+    return {
+      error: `Batch contains ${rows.length} links; the maximum is ${BATCH_MAX_ROWS}.`,
+    };
+  }
+  return { rows };
+}
+
+module.exports = {
+  parseLinkBatch,
+};
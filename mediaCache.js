@@ -0,0 +1,208 @@
+// Media cache for link thumbnails and author avatars.
+// Extracted image URLs are hotlinks that break when the source rotates URLs or blocks
+// hotlinking, so at extraction time the images are downloaded (through the fetch policy),
+// validated and re-encoded as WebP in a few sizes, and the link stores our /media URL instead.
+// Images are addressed by the SHA-256 of the downloaded bytes, so their URLs never change
+// and can be cached forever.
+//   MEDIA_PUBLIC_BASE_URL   - base of the /media URLs we hand out (default GIVABIT_APP_URL)
+//   MEDIA_MAX_PIXELS        - largest source image accepted, in pixels
+
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { getMediaStorage } = require("./mediaStorage");
+const { policyFetch } = require("./fetchPolicy");
+
+const MEDIA_PUBLIC_BASE_URL =
+  process.env.MEDIA_PUBLIC_BASE_URL ||
+  process.env.GIVABIT_APP_URL ||
+  "https://givabit-server-krlus.ondigitalocean.app";
+const MEDIA_MAX_PIXELS = parseInt(process.env.MEDIA_MAX_PIXELS) || 40000000;
+
+// Widths of the stored variants; smaller images are never enlarged
+const MEDIA_VARIANTS = {
+  thumb: 160,
+  small: 480,
+  large: 1200,
+};
+const DEFAULT_MEDIA_VARIANT = "large";
+const MEDIA_CONTENT_TYPE = "image/webp";
+// Formats we accept from sources. SVG is left out: it is a document, not an image
+const ACCEPTED_CONTENT_TYPES = new Set([
+  "image/jpeg",
+  "image/png",
+  "image/webp",
+  "image/gif",
+  "image/avif",
+]);
+const FETCH_USER_AGENT =
+  "Mozilla/5.0 (compatible; GivaBitBot/1.0; +https://givabit-server-krlus.ondigitalocean.app)";
+
+/**
+ * Builds the storage key of a variant.
+ * @param {string} hash
+ * @param {string} variant
+ * @returns {string}
+ */
+function mediaKey(hash, variant) {
+  return `${hash}/${variant}.webp`;
+}
+
+/**
+ * Builds the public URL of a cached image.
+ * @param {string} hash
+ * @returns {string}
+ */
+function mediaUrl(hash) {
+  return `${MEDIA_PUBLIC_BASE_URL}/media/${hash}`;
+}
+
+/**
+ * Checks whether a URL already points to our media route.
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isMediaUrl(url) {
+  return url.startsWith(`${MEDIA_PUBLIC_BASE_URL}/media/`);
+}
+
+/**
+ * Identifies an image format from its first bytes.
+ * Done before decoding so that only these formats ever reach the image library.
+ * @param {Buffer} data
+ * @returns {string|null} "jpeg", "png", "gif", "webp" or "avif", or null for anything else.
+ */
+function sniffImageFormat(data) {
+  if (data.length < 12) {
+    return null;
+  }
+  if (data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) {
+    return "jpeg";
+  }
+  if (data.subarray(0, 8).equals(Buffer.from("89504e470d0a1a0a", "hex"))) {
+    return "png";
+  }
+  if (data.toString("latin1", 0, 4) === "GIF8") {
+    return "gif";
+  }
+  if (
+    data.toString("latin1", 0, 4) === "RIFF" &&
+    data.toString("latin1", 8, 12) === "WEBP"
+  ) {
+    return "webp";
+  }
+  if (
+    data.toString("latin1", 4, 8) === "ftyp" &&
+    ["avif", "avis"].includes(data.toString("latin1", 8, 12))
+  ) {
+    return "avif";
+  }
+  return null;
+}
+
+/**
+ * Downloads an image, validates it and stores its variants.
+ * @param {string} url
+ * @returns {Promise<string>} The image's hash.
+ * @throws {Error} If the download fails or the response is not an accepted image.
+ */
+async function cacheImage(url) {
+  const response = await policyFetch(url, {
+    headers: { "User-Agent": FETCH_USER_AGENT, Accept: "image/*" },
+  });
+  if (!response.ok) {
+    throw new Error(`${url} responded with HTTP ${response.status}`);
+  }
+  const contentType = (response.headers["content-type"] || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+  if (!ACCEPTED_CONTENT_TYPES.has(contentType)) {
+    throw new Error(
+      `${url} is not a supported image (content type ${contentType || "missing"}).`
+    );
+  }
+
+  const source = response.body;
+  const hash = crypto.createHash("sha256").update(source).digest("hex");
+  const storage = getMediaStorage();
+  if (await storage.has(mediaKey(hash, DEFAULT_MEDIA_VARIANT))) {
+    return hash; // Same bytes cached before
+  }
+
+  // The header can lie; check what the bytes actually are
+  if (!sniffImageFormat(source)) {
+    throw new Error(`${url} is not a supported image (unrecognized data).`);
+  }
+  const image = sharp(source, { limitInputPixels: MEDIA_MAX_PIXELS });
+
+  // The default variant goes last: its presence marks the image as fully cached
+  const variants = [
+    ...Object.keys(MEDIA_VARIANTS).filter(
+      (variant) => variant !== DEFAULT_MEDIA_VARIANT
+    ),
+    DEFAULT_MEDIA_VARIANT,
+  ];
+  for (const variant of variants) {
+    const output = await image
+      .clone()
+      .rotate() // Apply EXIF orientation before metadata is stripped
+      .resize({ width: MEDIA_VARIANTS[variant], withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+    await storage.put(mediaKey(hash, variant), output);
+  }
+  return hash;
+}
+
+/**
+ * Replaces the image URLs of extracted metadata with cached copies.
+ * An image that cannot be cached keeps its original URL; extraction never fails because of it.
+ * @param {object} metadata Normalized metadata from extractMetadata.
+ * @returns {Promise<object>} The metadata with our /media URLs. The original URLs are kept in
+ *   `extracted_metadata.source_images`.
+ */
+async function cacheMetadataImages(metadata) {
+  const fields = ["content_vignette_url", "author_profile_picture_url"];
+  const result = {
+    ...metadata,
+    extracted_metadata: { ...metadata.extracted_metadata, source_images: {} },
+  };
+  await Promise.all(
+    fields.map(async (field) => {
+      const url = metadata[field];
+      if (!url || isMediaUrl(url)) {
+        return;
+      }
+      result.extracted_metadata.source_images[field] = url;
+      try {
+        result[field] = mediaUrl(await cacheImage(url));
+      } catch (error) {
+        console.warn(`Media: could not cache ${url}:`, error.message);
+      }
+    })
+  );
+  return result;
+}
+
+/**
+ * Reads a cached image variant.
+ * @param {string} hash
+ * @param {string} [variant] One of MEDIA_VARIANTS; the default variant if omitted.
+ * @returns {Promise<{body: Buffer, contentType: string}|null>} The image, or null if unknown.
+ */
+async function readMedia(hash, variant = DEFAULT_MEDIA_VARIANT) {
+  if (!/^[0-9a-f]{64}$/.test(hash) || !Object.hasOwn(MEDIA_VARIANTS, variant)) {
+    return null;
+  }
+  const body = await getMediaStorage().get(mediaKey(hash, variant));
+  return body ? { body: body, contentType: MEDIA_CONTENT_TYPE } : null;
+}
+
+module.exports = {
+  MEDIA_VARIANTS,
+  mediaUrl,
+  isMediaUrl,
+  cacheImage,
+  cacheMetadataImages,
+  readMedia,
+};
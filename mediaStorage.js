@@ -0,0 +1,88 @@
+// Storage for cached media (thumbnails and avatars, see mediaCache.js).
+// The cache only talks to the small interface below, so the local disk backend can be
+// swapped for object storage (S3, Spaces) with setMediaStorage() without touching callers.
+// Keys look like "<sha256>/<variant>.webp" and are never rewritten once stored.
+//   MEDIA_STORAGE_DIR   - directory for the local disk backend (default ./media-cache)
+
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+
+const MEDIA_STORAGE_DIR =
+  process.env.MEDIA_STORAGE_DIR || path.join(__dirname, "media-cache");
+
+/**
+ * @typedef {object} MediaStorage
+ * @property {function(string): Promise<boolean>} has Whether an object exists.
+ * @property {function(string, Buffer): Promise<void>} put Stores an object.
+ * @property {function(string): Promise<Buffer|null>} get Reads an object, or null if missing.
+ */
+
+/**
+ * Creates a MediaStorage that keeps objects as files under a directory.
+ * @param {string} rootDir
+ * @returns {MediaStorage}
+ */
+function createLocalDiskStorage(rootDir) {
+  const filePath = (key) => {
+    if (!/^[0-9a-z]+(\/[0-9a-z]+\.[a-z]+)*$/.test(key)) {
+      throw new Error(`Invalid media key: ${key}`);
+    }
+    return path.join(rootDir, key.slice(0, 2), key); // Shard by hash prefix
+  };
+
+  return {
+    async has(key) {
+      try {
+        await fs.access(filePath(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    async put(key, data) {
+      const target = filePath(key);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      // Write then rename, so readers never see a partial file
+      const temporary = `${target}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+      await fs.writeFile(temporary, data);
+      await fs.rename(temporary, target);
+    },
+
+    async get(key) {
+      try {
+        return await fs.readFile(filePath(key));
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          return null;
+        }
+        throw error;
+      }
+    },
+  };
+}
+
+let storage = createLocalDiskStorage(MEDIA_STORAGE_DIR);
+
+/**
+ * Returns the storage backend in use.
+ * @returns {MediaStorage}
+ */
+function getMediaStorage() {
+  return storage;
+}
+
+/**
+ * Replaces the storage backend, e.g. with an object storage implementation.
+ * @param {MediaStorage} mediaStorage
+ */
+function setMediaStorage(mediaStorage) {
+  storage = mediaStorage;
+}
+
+module.exports = {
+  createLocalDiskStorage,
+  getMediaStorage,
+  setMediaStorage,
+};
@@ -0,0 +1,448 @@
+// Metadata extractor registry.
+// Each extractor declares which URLs it handles (`matches`) and returns link metadata in the
+// shape stored on GatedLinks:
+//   { title, description, author_name, author_profile_picture_url, content_vignette_url,
+//     publication_date, extracted_metadata }
+// extracted_metadata records which extractor ran and the provider's raw fields (`raw`).
+// Extractors are tried in order; one that returns null or throws passes the URL on to the next
+// matching extractor. The generic fallbacks come last: oEmbed discovery, the page's static
+// Open Graph/Twitter tags, and finally rendering the page in the shared browser pool.
+// Extractors share one fetch of the page per extraction via `context.fetchPage`.
+// All page and provider fetches go through the fetch policy (fetchPolicy.js); a URL it refuses
+// ends the extraction with its UrlPolicyError instead of falling through to the next extractor.
+//   BROWSER_NETWORK_IDLE_MS    - how long a rendered page may wait for late requests (e.g. tags set by JS)
+
+const htmlMeta = require("./htmlMeta");
+const { withPage } = require("./browserPool");
+const youtube = require("./youtube");
+const {
+  UrlPolicyError,
+  policyFetch,
+  resolveAllowedUrl,
+} = require("./fetchPolicy");
+
+const BROWSER_NETWORK_IDLE_MS =
+  parseInt(process.env.BROWSER_NETWORK_IDLE_MS) || 3000;
+// Sent on plain HTTP fetches; many sites only serve full Open Graph tags to link-preview bots
+const FETCH_USER_AGENT =
+  "Mozilla/5.0 (compatible; GivaBitBot/1.0; +https://givabit-server-krlus.ondigitalocean.app)";
+
+// --- Fetch helpers ---
+
+/**
+ * Fetches a URL under the fetch policy, with our user agent.
+ * @param {string} url
+ * @param {string} accept The Accept header.
+ * @returns {Promise<object>} The policyFetch response.
+ * @throws {UrlPolicyError} If the fetch policy refuses the URL or a redirect.
+ * @throws {Error} On network errors, timeouts and non-2xx responses.
+ */
+async function fetchWithTimeout(url, accept) {
+  const response = await policyFetch(url, {
+    headers: { "User-Agent": FETCH_USER_AGENT, Accept: accept },
+  });
+  if (!response.ok) {
+    throw new Error(`${url} responded with HTTP ${response.status}`);
+  }
+  return response;
+}
+
+/**
+ * Fetches and parses a JSON document (e.g. an oEmbed response).
+ * @param {string} url
+ * @returns {Promise<object>}
+ */
+async function fetchJson(url) {
+  const response = await fetchWithTimeout(url, "application/json");
+  return response.json();
+}
+
+/**
+ * Fetches an HTML page and parses its metadata tags.
+ * @param {string} url
+ * @returns {Promise<{url: string, parsed: object}>} The final URL (after redirects) and the parsed page.
+ */
+async function fetchPage(url) {
+  const response = await fetchWithTimeout(
+    url,
+    "text/html,application/xhtml+xml"
+  );
+  return {
+    url: response.url,
+    parsed: htmlMeta.parseHtmlMetadata(response.text(), response.url),
+  };
+}
+
+/**
+ * Builds the metadata for an oEmbed response.
+ * @param {object} oembed The oEmbed JSON.
+ * @returns {object}
+ */
+function fromOembed(oembed) {
+  return {
+    title: oembed.title || null,
+    description: oembed.description || null,
+    author_name: oembed.author_name || null,
+    content_vignette_url: oembed.thumbnail_url || null,
+    publication_date: oembed.upload_date || null,
+    extracted_metadata: { raw: oembed },
+  };
+}
+
+/**
+ * Checks whether a hostname is the given domain or one of its subdomains.
+ * @param {string} hostname
+ * @param {string} domain
+ * @returns {boolean}
+ */
+function isHostOf(hostname, domain) {
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+// --- YouTube (Data API v3, see youtube.js) ---
+
+const youtubeExtractor = {
+  name: "youtube",
+  matches: (url) => youtube.parseYoutubeUrl(url) !== null,
+  async extract(url) {
+    const client = youtube.getYoutubeClient();
+    if (!client) {
+      console.warn(
+        "YOUTUBE_API_KEY not configured. Falling back to oEmbed for YouTube video details."
+      );
+      return null;
+    }
+    const target = youtube.parseYoutubeUrl(url);
+    return target.kind === "playlist"
+      ? youtube.getPlaylistMetadata(client, target)
+      : youtube.getVideoMetadata(client, target);
+  },
+};
+
+// --- Vimeo and Spotify (oEmbed endpoints) ---
+
+const vimeoExtractor = {
+  name: "vimeo",
+  matches: (url) => isHostOf(url.hostname, "vimeo.com"),
+  async extract(url) {
+    const oembed = await fetchJson(
+      `https://vimeo.com/api/oembed.json?url=${encodeURIComponent(url.href)}`
+    );
+    return fromOembed(oembed);
+  },
+};
+
+const spotifyExtractor = {
+  name: "spotify",
+  matches: (url) => url.hostname === "open.spotify.com",
+  async extract(url) {
+    const oembed = await fetchJson(
+      `https://open.spotify.com/oembed?url=${encodeURIComponent(url.href)}`
+    );
+    return fromOembed(oembed);
+  },
+};
+
+// --- Substack and Medium (article pages with Open Graph and JSON-LD) ---
+
+const articleExtractor = {
+  name: "article",
+  matches: (url) =>
+    (isHostOf(url.hostname, "substack.com") &&
+      url.pathname.startsWith("/p/")) ||
+    isHostOf(url.hostname, "medium.com"),
+  async extract(url, context) {
+    const page = await context.fetchPage();
+    const metadata = htmlMeta.toLinkMetadata(page.parsed, page.url);
+    if (!metadata.title) {
+      return null;
+    }
+    return {
+      ...metadata,
+      extracted_metadata: {
+        raw: { meta: page.parsed.meta, jsonLd: page.parsed.jsonLd },
+      },
+    };
+  },
+};
+
+// --- X / Twitter posts (publish.twitter.com oEmbed) ---
+
+const xPostExtractor = {
+  name: "x",
+  matches: (url) =>
+    (isHostOf(url.hostname, "x.com") ||
+      isHostOf(url.hostname, "twitter.com")) &&
+    /^\/[^/]+\/status\/\d+/.test(url.pathname),
+  async extract(url) {
+    const oembed = await fetchJson(
+      `https://publish.twitter.com/oembed?omit_script=true&url=${encodeURIComponent(url.href)}`
+    );
+    // The embed HTML is a blockquote: <p>post text</p> &mdash; Author (@handle) <a>Month D, YYYY</a>
+    const html = oembed.html || "";
+    const textMatch = html.match(/<p\b[^>]*>([\s\S]*?)<\/p>/i);
+    const text = textMatch
+      ? htmlMeta
+          .decodeEntities(
+            textMatch[1].replace(/<br\s*\/?>/gi, "\n").replace(/<[^>]+>/g, "")
+          )
+          .trim()
+      : null;
+    const dateMatch = html.match(/<a\b[^>]*>([A-Z][a-z]+ \d{1,2}, \d{4})<\/a>/);
+
+    return {
+      title: oembed.author_name ? `${oembed.author_name} on X` : "Post on X",
+      description: text,
+      author_name: oembed.author_name || null,
+      publication_date: dateMatch ? dateMatch[1] : null,
+      extracted_metadata: { raw: oembed },
+    };
+  },
+};
+
+// --- Any page that advertises an oEmbed endpoint ---
+
+const oembedDiscoveryExtractor = {
+  name: "oembed",
+  matches: (url) => url.protocol === "http:" || url.protocol === "https:",
+  async extract(url, context) {
+    const page = await context.fetchPage();
+    const oembedLink = page.parsed.links.find(
+      (link) =>
+        link.rel.split(/\s+/).includes("alternate") &&
+        link.type === "application/json+oembed"
+    );
+    if (!oembedLink) {
+      return null;
+    }
+    const oembed = await fetchJson(oembedLink.href);
+    const pageMetadata = htmlMeta.toLinkMetadata(page.parsed, page.url);
+    const oembedMetadata = fromOembed(oembed);
+    return {
+      title: oembedMetadata.title || pageMetadata.title,
+      description: oembedMetadata.description || pageMetadata.description,
+      author_name: oembedMetadata.author_name || pageMetadata.author_name,
+      author_profile_picture_url: pageMetadata.author_profile_picture_url,
+      content_vignette_url:
+        oembedMetadata.content_vignette_url ||
+        pageMetadata.content_vignette_url,
+      publication_date:
+        oembedMetadata.publication_date || pageMetadata.publication_date,
+      extracted_metadata: { raw: { oembed: oembed, meta: page.parsed.meta } },
+    };
+  },
+};
+
+// --- Pages with Open Graph or Twitter tags in their HTML (no browser needed) ---
+
+const staticHtmlExtractor = {
+  name: "html",
+  matches: (url) => url.protocol === "http:" || url.protocol === "https:",
+  async extract(url, context) {
+    const page = await context.fetchPage();
+    if (!htmlMeta.hasSocialTags(page.parsed)) {
+      return null; // Likely rendered client-side; leave it to the browser
+    }
+    return {
+      ...htmlMeta.toLinkMetadata(page.parsed, page.url),
+      extracted_metadata: {
+        raw: { meta: page.parsed.meta, jsonLd: page.parsed.jsonLd },
+      },
+    };
+  },
+};
+
+// --- Last resort: render the page in Chromium ---
+
+/**
+ * Reads the metadata tags of a rendered page. Runs inside the browser.
+ * @returns {object}
+ */
+function readRenderedMetadata() {
+  const getMetaContent = (name) => {
+    const element =
+      document.querySelector(`meta[name="${name}"]`) ||
+      document.querySelector(`meta[property="${name}"]`);
+    return element ? element.content : null;
+  };
+
+  let title =
+    getMetaContent("og:title") ||
+    getMetaContent("twitter:title") ||
+    document.title;
+  let description =
+    getMetaContent("og:description") ||
+    getMetaContent("twitter:description") ||
+    getMetaContent("description");
+  let authorName = getMetaContent("author") || getMetaContent("og:site_name"); // or specific author tags if known
+  let contentVignetteUrl =
+    getMetaContent("og:image:secure_url") ||
+    getMetaContent("og:image") ||
+    getMetaContent("twitter:image"); // This is often content image, not author profile
+  let publicationDate =
+    getMetaContent("article:published_time") ||
+    getMetaContent("og:updated_time");
+
+  // Keep every meta tag as the raw provider data
+  const meta = {};
+  document.querySelectorAll("meta[content]").forEach((element) => {
+    const key =
+      element.getAttribute("property") || element.getAttribute("name");
+    if (key && !(key in meta)) {
+      meta[key] = element.content;
+    }
+  });
+
+  return {
+    title: title || "Untitled Page",
+    description: description,
+    author_name: authorName,
+    author_profile_picture_url: null, // Hard to get reliably without specific site knowledge or more complex scraping
+    content_vignette_url: contentVignetteUrl,
+    publication_date: publicationDate,
+    extracted_metadata: { raw: { meta: meta } },
+  };
+}
+
+const browserExtractor = {
+  name: "browser",
+  matches: () => true,
+  async extract(url, context) {
+    try {
+      return await withPage(async (page) => {
+        await page.goto(url.href, { waitUntil: "domcontentloaded" });
+        // Give client-side rendering a moment to set the tags, without waiting on trackers forever
+        await page
+          .waitForLoadState("networkidle", { timeout: BROWSER_NETWORK_IDLE_MS })
+          .catch(() => {});
+        return page.evaluate(readRenderedMetadata);
+      });
+    } catch (error) {
+      console.error(
+        `Playwright - Error fetching generic page metadata for ${url.href}:`,
+        error.message
+      );
+      if (error instanceof UrlPolicyError) {
+        throw error;
+      }
+      // Whatever the static HTML had (e.g. just a <title>) beats a placeholder
+      const page = await context.fetchPage().catch(() => null);
+      if (page && page.parsed.title) {
+        return {
+          ...htmlMeta.toLinkMetadata(page.parsed, page.url),
+          extracted_metadata: { raw: { meta: page.parsed.meta } },
+        };
+      }
+      return {
+        title: `Web Page at ${url.href.substring(0, 50)}...`, // Truncate long URLs
+        description: `Could not fetch details: ${error.message}`,
+        extracted_metadata: { placeholder: true }, // Nothing was actually fetched
+      };
+    }
+  },
+};
+
+// --- Registry ---
+
+const extractors = [
+  youtubeExtractor,
+  vimeoExtractor,
+  spotifyExtractor,
+  articleExtractor,
+  xPostExtractor,
+  oembedDiscoveryExtractor,
+];
+
+/**
+ * Registers an extractor. It is tried after the built-in site extractors and before the
+ * generic fallbacks. `extract(url, context)` may call `context.fetchPage()` for the page's
+ * parsed HTML ({url, parsed}); the fetch is shared with the other extractors.
+ * @param {{name: string, matches: function(URL): boolean, extract: function(URL, object): Promise<object|null>}} extractor
+ */
+function registerExtractor(extractor) {
+  extractors.splice(extractors.indexOf(oembedDiscoveryExtractor), 0, extractor);
+}
+
+/**
+ * Fills in the normalized metadata shape.
+ * @param {object} metadata An extractor's result.
+ * @param {string} extractorName
+ * @returns {object}
+ */
+function normalizeMetadata(metadata, extractorName) {
+  const text = (value) =>
+    typeof value === "string" && value.trim() ? value.trim() : null;
+  const publicationDate = metadata.publication_date
+    ? new Date(metadata.publication_date)
+    : null;
+  return {
+    title: text(metadata.title),
+    description: text(metadata.description),
+    author_name: text(metadata.author_name),
+    author_profile_picture_url: text(metadata.author_profile_picture_url),
+    content_vignette_url: text(metadata.content_vignette_url),
+    publication_date:
+      publicationDate && !isNaN(publicationDate.getTime())
+        ? publicationDate
+        : null,
+    extracted_metadata: {
+      ...metadata.extracted_metadata,
+      extractor: extractorName,
+    },
+  };
+}
+
+/**
+ * Extracts metadata for a URL with the first matching extractor that returns a result.
+ * @param {string} url
+ * @returns {Promise<object>} The normalized metadata; `extracted_metadata.extractor` names the extractor used.
+ *   `extracted_metadata.placeholder` is set when the page could not be fetched at all.
+ * @throws {UrlPolicyError} If the fetch policy refuses the URL, a redirect or a response.
+ */
+async function extractMetadata(url) {
+  const { url: parsedUrl } = await resolveAllowedUrl(url);
+  let pagePromise = null;
+  const context = {
+    fetchPage() {
+      if (!pagePromise) {
+        pagePromise = fetchPage(parsedUrl.href);
+      }
+      return pagePromise;
+    },
+  };
+
+  for (const extractor of [
+    ...extractors,
+    staticHtmlExtractor,
+    browserExtractor,
+  ]) {
+    if (!extractor.matches(parsedUrl)) {
+      continue;
+    }
+    try {
+      const metadata = await extractor.extract(parsedUrl, context);
+      if (metadata) {
+        console.log(
+          `Metadata: extracted ${url} with the ${extractor.name} extractor.`
+        );
+        return normalizeMetadata(metadata, extractor.name);
+      }
+    } catch (error) {
+      if (error instanceof UrlPolicyError) {
+        console.warn(`Metadata: refused to fetch ${url}:`, error.message);
+        throw error;
+      }
+      console.warn(
+        `Metadata: ${extractor.name} extractor failed for ${url}:`,
+        error.message
+      );
+    }
+  }
+  return normalizeMetadata({}, null);
+}
+
+module.exports = {
+  extractMetadata,
+  registerExtractor,
+  extractYoutubeVideoId: youtube.extractYoutubeVideoId,
+};
@@ -0,0 +1,10 @@
+CREATE TABLE IF NOT EXISTS AccessChallenges (
+  nonce TEXT PRIMARY KEY,
+  access_short_code TEXT NOT NULL,
+  wallet_address TEXT NOT NULL,
+  message TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_access_challenges_expires_at ON AccessChallenges (expires_at);
@@ -0,0 +1,87 @@
+CREATE TABLE IF NOT EXISTS IndexerCursors (
+  contract_address TEXT PRIMARY KEY,
+  last_indexed_block BIGINT NOT NULL,
+  last_block_hash TEXT NULL,
+  updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS IndexerCheckpoints (
+  contract_address TEXT NOT NULL,
+  block_number BIGINT NOT NULL,
+  block_hash TEXT NOT NULL,
+  PRIMARY KEY (contract_address, block_number)
+);
+
+CREATE TABLE IF NOT EXISTS PaymentEvents (
+  id SERIAL PRIMARY KEY,
+  contract_address TEXT NOT NULL,
+  link_hash TEXT NOT NULL,
+  buyer_address TEXT NOT NULL,
+  creator_address TEXT NOT NULL,
+  amount_paid NUMERIC(78, 0) NOT NULL,
+  block_number BIGINT NOT NULL,
+  block_hash TEXT NOT NULL,
+  tx_hash TEXT NOT NULL,
+  log_index INT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (tx_hash, log_index)
+);
+CREATE INDEX IF NOT EXISTS idx_payment_events_creator ON PaymentEvents (creator_address);
+CREATE INDEX IF NOT EXISTS idx_payment_events_buyer ON PaymentEvents (buyer_address);
+
+CREATE TABLE IF NOT EXISTS AccessGrantEvents (
+  id SERIAL PRIMARY KEY,
+  contract_address TEXT NOT NULL,
+  link_hash TEXT NOT NULL,
+  beneficiary_address TEXT NOT NULL,
+  block_number BIGINT NOT NULL,
+  block_hash TEXT NOT NULL,
+  tx_hash TEXT NOT NULL,
+  log_index INT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (tx_hash, log_index)
+);
+CREATE INDEX IF NOT EXISTS idx_access_grant_events_beneficiary ON AccessGrantEvents (beneficiary_address, link_hash);
+
+CREATE TABLE IF NOT EXISTS LinkCreatedEvents (
+  id SERIAL PRIMARY KEY,
+  contract_address TEXT NOT NULL,
+  link_hash TEXT NOT NULL,
+  creator_address TEXT NOT NULL,
+  price_in_erc20 NUMERIC(78, 0) NOT NULL,
+  is_active BOOLEAN NOT NULL,
+  block_number BIGINT NOT NULL,
+  block_hash TEXT NOT NULL,
+  tx_hash TEXT NOT NULL,
+  log_index INT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (tx_hash, log_index)
+);
+
+CREATE TABLE IF NOT EXISTS LinkActivityEvents (
+  id SERIAL PRIMARY KEY,
+  contract_address TEXT NOT NULL,
+  link_hash TEXT NOT NULL,
+  is_active BOOLEAN NOT NULL,
+  block_number BIGINT NOT NULL,
+  block_hash TEXT NOT NULL,
+  tx_hash TEXT NOT NULL,
+  log_index INT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (tx_hash, log_index)
+);
+
+CREATE TABLE IF NOT EXISTS MetaTransactionEvents (
+  id SERIAL PRIMARY KEY,
+  contract_address TEXT NOT NULL,
+  link_hash TEXT NOT NULL,
+  payer_address TEXT NOT NULL,
+  beneficiary_address TEXT NOT NULL,
+  relayer_address TEXT NOT NULL,
+  block_number BIGINT NOT NULL,
+  block_hash TEXT NOT NULL,
+  tx_hash TEXT NOT NULL,
+  log_index INT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (tx_hash, log_index)
+);
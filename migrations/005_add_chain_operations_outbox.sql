@@ -0,0 +1,20 @@
+ALTER TABLE GatedLinks ADD COLUMN IF NOT EXISTS chain_status TEXT NOT NULL DEFAULT 'confirmed';
+
+CREATE TABLE IF NOT EXISTS ChainOperations (
+  id SERIAL PRIMARY KEY,
+  operation_type TEXT NOT NULL,
+  link_hash TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'queued',
+  tx_hash TEXT NULL,
+  attempts INT NOT NULL DEFAULT 0,
+  last_error TEXT NULL,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  locked_until TIMESTAMPTZ NULL,
+  submitted_at TIMESTAMPTZ NULL,
+  confirmed_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_chain_operations_due ON ChainOperations (status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_chain_operations_link_hash ON ChainOperations (link_hash);
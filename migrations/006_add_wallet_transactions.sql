@@ -0,0 +1,26 @@
+CREATE TABLE IF NOT EXISTS WalletTransactions (
+  id SERIAL PRIMARY KEY,
+  wallet_address TEXT NOT NULL,
+  chain_id TEXT NOT NULL,
+  nonce BIGINT NOT NULL,
+  label TEXT NULL,
+  to_address TEXT NOT NULL,
+  data TEXT NOT NULL,
+  value TEXT NOT NULL DEFAULT '0',
+  gas_limit TEXT NOT NULL,
+  max_fee_per_gas TEXT NULL,
+  max_priority_fee_per_gas TEXT NULL,
+  gas_price TEXT NULL,
+  tx_hash TEXT NOT NULL,
+  replaced_hashes TEXT[] NOT NULL DEFAULT '{}',
+  replacement_count INT NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'pending',
+  mined_tx_hash TEXT NULL,
+  block_number BIGINT NULL,
+  last_broadcast_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_wallet_transactions_pending ON WalletTransactions (wallet_address, chain_id, status, nonce);
+CREATE INDEX IF NOT EXISTS idx_wallet_transactions_tx_hash ON WalletTransactions (tx_hash);
+CREATE INDEX IF NOT EXISTS idx_wallet_transactions_replaced_hashes ON WalletTransactions USING GIN (replaced_hashes);
@@ -0,0 +1,9 @@
+CREATE TABLE IF NOT EXISTS ReconciliationReports (
+  id SERIAL PRIMARY KEY,
+  dry_run BOOLEAN NOT NULL,
+  links_checked INT NOT NULL,
+  drift_count INT NOT NULL,
+  repaired_count INT NOT NULL,
+  report JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
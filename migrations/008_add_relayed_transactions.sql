@@ -0,0 +1,18 @@
+CREATE TABLE IF NOT EXISTS RelayedTransactions (
+  id SERIAL PRIMARY KEY,
+  link_hash TEXT NOT NULL,
+  payer_address TEXT NOT NULL,
+  beneficiary_address TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  tx_hash TEXT NULL,
+  gas_used NUMERIC(78, 0) NULL,
+  effective_gas_price NUMERIC(78, 0) NULL,
+  fee_wei NUMERIC(78, 0) NULL,
+  error TEXT NULL,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_relayed_transactions_payer ON RelayedTransactions (payer_address, created_at);
+CREATE INDEX IF NOT EXISTS idx_relayed_transactions_beneficiary ON RelayedTransactions (beneficiary_address, created_at);
+CREATE INDEX IF NOT EXISTS idx_relayed_transactions_link ON RelayedTransactions (link_hash, created_at);
+CREATE INDEX IF NOT EXISTS idx_relayed_transactions_created_at ON RelayedTransactions (created_at);
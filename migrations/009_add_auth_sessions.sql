@@ -0,0 +1,16 @@
+CREATE TABLE IF NOT EXISTS AuthNonces (
+  nonce TEXT PRIMARY KEY,
+  wallet_address TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS AuthSessions (
+  token_hash TEXT PRIMARY KEY,
+  wallet_address TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_wallet ON AuthSessions (wallet_address);
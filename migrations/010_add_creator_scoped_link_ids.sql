@@ -0,0 +1,14 @@
+-- Link IDs are now keccak256(abi.encode(canonicalUrl, creator, version)) instead of keccak256(url).
+-- Existing rows keep their URL-only IDs and are marked with link_id_scheme = 'url'.
+ALTER TABLE GatedLinks ADD COLUMN IF NOT EXISTS canonical_url TEXT NULL;
+ALTER TABLE GatedLinks ADD COLUMN IF NOT EXISTS link_version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE GatedLinks ADD COLUMN IF NOT EXISTS link_id_scheme TEXT NOT NULL DEFAULT 'url';
+
+-- Relist history: the new link points back to the one it replaced, and vice versa
+ALTER TABLE GatedLinks ADD COLUMN IF NOT EXISTS previous_link_hash TEXT NULL;
+ALTER TABLE GatedLinks ADD COLUMN IF NOT EXISTS superseded_by_link_hash TEXT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_gated_links_creator_url_version
+  ON GatedLinks (creator_address, canonical_url, link_version)
+  WHERE canonical_url IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_gated_links_previous_link_hash ON GatedLinks (previous_link_hash);
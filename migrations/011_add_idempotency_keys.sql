@@ -0,0 +1,17 @@
+CREATE TABLE IF NOT EXISTS IdempotencyKeys (
+  idempotency_key TEXT NOT NULL,
+  wallet_address TEXT NOT NULL,
+  scope TEXT NOT NULL,
+  request_hash TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'in_progress',
+  response_status INT NULL,
+  response_body JSONB NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (idempotency_key, wallet_address, scope)
+);
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON IdempotencyKeys (expires_at);
+
+CREATE INDEX IF NOT EXISTS idx_gated_links_canonical_url ON GatedLinks (canonical_url);
+CREATE INDEX IF NOT EXISTS idx_gated_links_original_url ON GatedLinks (original_url);
@@ -0,0 +1,8 @@
+CREATE TABLE IF NOT EXISTS LinkBatches (
+  id SERIAL PRIMARY KEY,
+  wallet_address TEXT NOT NULL,
+  row_count INT NOT NULL,
+  results JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_link_batches_wallet ON LinkBatches (wallet_address);
@@ -0,0 +1,5 @@
+-- The network (registry key), chain id and contract each link was created on.
+-- Rows from before multi-network support have NULLs and belong to DEFAULT_NETWORK.
+ALTER TABLE GatedLinks ADD COLUMN IF NOT EXISTS network TEXT NULL;
+ALTER TABLE GatedLinks ADD COLUMN IF NOT EXISTS chain_id TEXT NULL;
+ALTER TABLE GatedLinks ADD COLUMN IF NOT EXISTS contract_address TEXT NULL;
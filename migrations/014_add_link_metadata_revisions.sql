@@ -0,0 +1,25 @@
+-- Every version of a link's metadata. GatedLinks holds the values in use (metadata_revision);
+-- revisions record where each version came from so creators can pin, edit or roll back.
+-- source: initial (what the link had before revisions were kept), extractor (first extraction),
+-- refresh (re-extraction), creator_edit, rollback (a copy of based_on_revision).
+CREATE TABLE IF NOT EXISTS LinkMetadataRevisions (
+  id SERIAL PRIMARY KEY,
+  link_hash TEXT NOT NULL,
+  revision INT NOT NULL,
+  source TEXT NOT NULL,
+  title TEXT NULL,
+  description TEXT NULL,
+  author_name TEXT NULL,
+  author_profile_picture_url TEXT NULL,
+  content_vignette_url TEXT NULL,
+  publication_date TIMESTAMPTZ NULL,
+  extracted_metadata JSONB NULL,
+  based_on_revision INT NULL,
+  created_by TEXT NULL,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (link_hash, revision)
+);
+
+ALTER TABLE GatedLinks ADD COLUMN IF NOT EXISTS metadata_revision INT NULL;
+-- A pinned link keeps its metadata when it is refreshed; the refresh is still recorded as a revision
+ALTER TABLE GatedLinks ADD COLUMN IF NOT EXISTS metadata_pinned BOOLEAN NOT NULL DEFAULT FALSE;
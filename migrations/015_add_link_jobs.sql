@@ -0,0 +1,23 @@
+-- Background work for a link after it is created (metadata extraction, media caching,
+-- social post generation). Statuses: queued -> running -> completed | dead.
+-- A job that fails is retried with backoff; once out of attempts it stays 'dead' (dead-lettered).
+CREATE TABLE IF NOT EXISTS LinkJobs (
+  id SERIAL PRIMARY KEY,
+  job_type TEXT NOT NULL,
+  link_hash TEXT NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'queued',
+  attempts INT NOT NULL DEFAULT 0,
+  last_error TEXT NULL,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  locked_until TIMESTAMPTZ NULL,
+  started_at TIMESTAMPTZ NULL,
+  completed_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_link_jobs_due ON LinkJobs (status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_link_jobs_link_hash ON LinkJobs (link_hash);
+-- At most one pending job of each type per link
+CREATE UNIQUE INDEX IF NOT EXISTS idx_link_jobs_pending
+  ON LinkJobs (link_hash, job_type) WHERE status IN ('queued', 'running');
@@ -0,0 +1,14 @@
+-- Brand voice profiles that shape a creator's generated social posts. Every save is a new
+-- version (the highest is current), so stored posts can record the version that produced them.
+CREATE TABLE IF NOT EXISTS CreatorVoiceProfiles (
+  id SERIAL PRIMARY KEY,
+  creator_address TEXT NOT NULL,
+  version INT NOT NULL,
+  tone TEXT NULL,
+  audience TEXT NULL,
+  banned_words JSONB NOT NULL DEFAULT '[]',
+  preferred_hashtags JSONB NOT NULL DEFAULT '[]',
+  default_language TEXT NOT NULL DEFAULT 'en',
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (creator_address, version)
+);
@@ -0,0 +1,47 @@
+-- Every version of a link's social posts. GatedLinks.ai_social_posts holds the posts in use
+-- (social_posts_revision); a revision is saved on every change so edited, favorited and
+-- deleted posts stay queryable after later regenerations.
+-- source: initial (what the link had before revisions were kept), generated, creator_edit,
+-- marked (favorite/used flags), deleted. platforms lists the platforms the change touched.
+CREATE TABLE IF NOT EXISTS SocialPostRevisions (
+  id SERIAL PRIMARY KEY,
+  link_hash TEXT NOT NULL,
+  revision INT NOT NULL,
+  source TEXT NOT NULL,
+  platforms TEXT[] NOT NULL DEFAULT '{}',
+  post_id TEXT NULL,
+  social_posts JSONB NOT NULL,
+  created_by TEXT NULL,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (link_hash, revision)
+);
+
+ALTER TABLE GatedLinks ADD COLUMN IF NOT EXISTS social_posts_revision INT NULL;
+
+-- Posts are addressed by id from now on; give the stored ones theirs.
+-- Only platforms holding an array of posts are rewritten; any other value is kept as it is.
+UPDATE GatedLinks g
+SET ai_social_posts = g.ai_social_posts || COALESCE((
+  SELECT jsonb_object_agg(
+    platform.key,
+    (
+      SELECT COALESCE(
+        jsonb_agg(
+          CASE
+            WHEN jsonb_typeof(post) <> 'object' OR post ? 'id' THEN post
+            ELSE post || jsonb_build_object(
+              'id', substr(md5(random()::text || clock_timestamp()::text), 1, 10)
+            )
+          END
+          ORDER BY ordinality
+        ),
+        '[]'::jsonb
+      )
+      FROM jsonb_array_elements(platform.value) WITH ORDINALITY AS element(post, ordinality)
+    )
+  )
+  FROM jsonb_each(g.ai_social_posts) AS platform
+  WHERE jsonb_typeof(platform.value) = 'array'
+), '{}'::jsonb)
+WHERE jsonb_typeof(g.ai_social_posts) = 'object'
+  AND g.ai_social_posts <> '{}'::jsonb;
@@ -0,0 +1,69 @@
+-- Indexer state and events are per chain: two networks can share a contract address
+-- (deterministic deployments, e.g. on local anvil nodes), so the contract alone does not
+-- identify a cursor, and a reorg on one chain must not delete another chain's events.
+-- Existing rows take the chain id of the links created on their contract. Rows whose chain
+-- cannot be told are dropped; the indexer re-indexes them from the network's start block.
+ALTER TABLE IndexerCursors ADD COLUMN IF NOT EXISTS chain_id TEXT NULL;
+ALTER TABLE IndexerCheckpoints ADD COLUMN IF NOT EXISTS chain_id TEXT NULL;
+ALTER TABLE PaymentEvents ADD COLUMN IF NOT EXISTS chain_id TEXT NULL;
+ALTER TABLE AccessGrantEvents ADD COLUMN IF NOT EXISTS chain_id TEXT NULL;
+ALTER TABLE LinkCreatedEvents ADD COLUMN IF NOT EXISTS chain_id TEXT NULL;
+ALTER TABLE LinkActivityEvents ADD COLUMN IF NOT EXISTS chain_id TEXT NULL;
+ALTER TABLE MetaTransactionEvents ADD COLUMN IF NOT EXISTS chain_id TEXT NULL;
+
+CREATE TEMP TABLE contract_chains AS
+SELECT contract_address, MIN(chain_id) AS chain_id
+FROM GatedLinks
+WHERE contract_address IS NOT NULL AND chain_id IS NOT NULL
+GROUP BY contract_address
+HAVING COUNT(DISTINCT chain_id) = 1;
+
+UPDATE IndexerCursors t SET chain_id = c.chain_id FROM contract_chains c
+WHERE t.chain_id IS NULL AND t.contract_address = c.contract_address;
+UPDATE IndexerCheckpoints t SET chain_id = c.chain_id FROM contract_chains c
+WHERE t.chain_id IS NULL AND t.contract_address = c.contract_address;
+UPDATE PaymentEvents t SET chain_id = c.chain_id FROM contract_chains c
+WHERE t.chain_id IS NULL AND t.contract_address = c.contract_address;
+UPDATE AccessGrantEvents t SET chain_id = c.chain_id FROM contract_chains c
+WHERE t.chain_id IS NULL AND t.contract_address = c.contract_address;
+UPDATE LinkCreatedEvents t SET chain_id = c.chain_id FROM contract_chains c
+WHERE t.chain_id IS NULL AND t.contract_address = c.contract_address;
+UPDATE LinkActivityEvents t SET chain_id = c.chain_id FROM contract_chains c
+WHERE t.chain_id IS NULL AND t.contract_address = c.contract_address;
+UPDATE MetaTransactionEvents t SET chain_id = c.chain_id FROM contract_chains c
+WHERE t.chain_id IS NULL AND t.contract_address = c.contract_address;
+
+DROP TABLE contract_chains;
+
+DELETE FROM IndexerCursors WHERE chain_id IS NULL;
+DELETE FROM IndexerCheckpoints WHERE chain_id IS NULL;
+DELETE FROM PaymentEvents WHERE chain_id IS NULL;
+DELETE FROM AccessGrantEvents WHERE chain_id IS NULL;
+DELETE FROM LinkCreatedEvents WHERE chain_id IS NULL;
+DELETE FROM LinkActivityEvents WHERE chain_id IS NULL;
+DELETE FROM MetaTransactionEvents WHERE chain_id IS NULL;
+
+ALTER TABLE IndexerCursors ALTER COLUMN chain_id SET NOT NULL;
+ALTER TABLE IndexerCheckpoints ALTER COLUMN chain_id SET NOT NULL;
+ALTER TABLE PaymentEvents ALTER COLUMN chain_id SET NOT NULL;
+ALTER TABLE AccessGrantEvents ALTER COLUMN chain_id SET NOT NULL;
+ALTER TABLE LinkCreatedEvents ALTER COLUMN chain_id SET NOT NULL;
+ALTER TABLE LinkActivityEvents ALTER COLUMN chain_id SET NOT NULL;
+ALTER TABLE MetaTransactionEvents ALTER COLUMN chain_id SET NOT NULL;
+
+ALTER TABLE IndexerCursors DROP CONSTRAINT IF EXISTS indexercursors_pkey;
+ALTER TABLE IndexerCursors ADD PRIMARY KEY (chain_id, contract_address);
+ALTER TABLE IndexerCheckpoints DROP CONSTRAINT IF EXISTS indexercheckpoints_pkey;
+ALTER TABLE IndexerCheckpoints ADD PRIMARY KEY (chain_id, contract_address, block_number);
+
+-- A transaction hash is only unique on its own chain
+ALTER TABLE PaymentEvents DROP CONSTRAINT IF EXISTS paymentevents_tx_hash_log_index_key;
+ALTER TABLE PaymentEvents ADD CONSTRAINT paymentevents_chain_tx_log_key UNIQUE (chain_id, tx_hash, log_index);
+ALTER TABLE AccessGrantEvents DROP CONSTRAINT IF EXISTS accessgrantevents_tx_hash_log_index_key;
+ALTER TABLE AccessGrantEvents ADD CONSTRAINT accessgrantevents_chain_tx_log_key UNIQUE (chain_id, tx_hash, log_index);
+ALTER TABLE LinkCreatedEvents DROP CONSTRAINT IF EXISTS linkcreatedevents_tx_hash_log_index_key;
+ALTER TABLE LinkCreatedEvents ADD CONSTRAINT linkcreatedevents_chain_tx_log_key UNIQUE (chain_id, tx_hash, log_index);
+ALTER TABLE LinkActivityEvents DROP CONSTRAINT IF EXISTS linkactivityevents_tx_hash_log_index_key;
+ALTER TABLE LinkActivityEvents ADD CONSTRAINT linkactivityevents_chain_tx_log_key UNIQUE (chain_id, tx_hash, log_index);
+ALTER TABLE MetaTransactionEvents DROP CONSTRAINT IF EXISTS metatransactionevents_tx_hash_log_index_key;
+ALTER TABLE MetaTransactionEvents ADD CONSTRAINT metatransactionevents_chain_tx_log_key UNIQUE (chain_id, tx_hash, log_index);
@@ -0,0 +1,12 @@
+-- Relay rate limits and gas caps are counted per chain, and a pending relay counts
+-- towards the gas caps at the maximum fee it may cost until its receipt is recorded.
+ALTER TABLE RelayedTransactions ADD COLUMN IF NOT EXISTS chain_id TEXT NULL;
+ALTER TABLE RelayedTransactions ADD COLUMN IF NOT EXISTS max_fee_wei NUMERIC(78, 0) NULL;
+
+-- Earlier relays ran on the network of their link
+UPDATE RelayedTransactions rt
+SET chain_id = gl.chain_id
+FROM GatedLinks gl
+WHERE rt.chain_id IS NULL AND gl.link_hash = rt.link_hash AND gl.chain_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_relayed_transactions_chain_created_at ON RelayedTransactions (chain_id, created_at);
@@ -0,0 +1,4 @@
+-- The SIWE message issued with each nonce; signing in requires the signed message to be
+-- exactly this one, so a message for another chain, URI or domain is refused.
+-- Nonces issued before this column existed cannot be used (they expire within minutes).
+ALTER TABLE AuthNonces ADD COLUMN IF NOT EXISTS message TEXT NULL;
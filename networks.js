@@ -0,0 +1,193 @@
+// Network registry.
+// Every network the server can create links on: chain id, RPC URLs (tried in order, with
+// failover), the GatedLinkAccessManager deployment and, optionally, the payment token.
+// A network is enabled once it has RPC URLs and a contract address. The subnet has no public
+// RPC endpoint, so it needs SUBNET_RPC_URLS (or AVALANCHE_RPC_URL while it is the default).
+//
+// Built-in entries can be configured per network through the environment, using the
+// upper-cased key as prefix (e.g. FUJI_RPC_URLS, FUJI_CONTRACT_ADDRESS):
+//   <KEY>_RPC_URLS           - comma-separated RPC URLs, in priority order
+//   <KEY>_CHAIN_ID           - expected chain id (required for networks without a default)
+//   <KEY>_CONTRACT_ADDRESS   - GatedLinkAccessManager address
+//   <KEY>_TOKEN_ADDRESS      - payment token; read from the contract when unset
+//   <KEY>_INDEXER_START_BLOCK - first block the indexer reads (default INDEXER_START_BLOCK)
+// NETWORKS_FILE points to a JSON file of extra or overriding entries:
+//   { "mysubnet": { "name": "...", "chainId": "...", "rpcUrls": ["..."], "contractAddress": "0x..." } }
+// DEFAULT_NETWORK selects the network used when a request or a (legacy) link names none.
+// For backwards compatibility AVALANCHE_RPC_URL and CONTRACT_ADDRESS configure the default network.
+
+const fs = require("fs");
+
+const BUILT_IN_NETWORKS = {
+  avalanche: {
+    name: "Avalanche C-Chain",
+    chainId: "43114",
+    rpcUrls: ["https://api.avax.network/ext/bc/C/rpc"],
+  },
+  fuji: {
+    name: "Avalanche Fuji Testnet",
+    chainId: "43113",
+    rpcUrls: ["https://api.avax-test.network/ext/bc/C/rpc"],
+  },
+  subnet: {
+    name: "GivaBit Subnet",
+    chainId: null, // Read from the RPC on first use unless SUBNET_CHAIN_ID is set
+    rpcUrls: [],
+  },
+  anvil: {
+    name: "Local Anvil",
+    chainId: "31337",
+    rpcUrls: ["http://127.0.0.1:8545"],
+    confirmations: 0, // Local nodes only mine on demand
+  },
+};
+
+const DEFAULT_NETWORK = process.env.DEFAULT_NETWORK || "subnet";
+
+/**
+ * Splits a comma-separated list of URLs.
+ * @param {string|undefined} value
+ * @returns {Array<string>|null} The URLs, or null if the value is unset.
+ */
+function parseUrlList(value) {
+  if (!value) {
+    return null;
+  }
+  return value
+    .split(",")
+    .map((url) => url.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Reads the extra network entries from NETWORKS_FILE.
+ * @returns {object}
+ */
+function loadNetworksFile() {
+  if (!process.env.NETWORKS_FILE) {
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(process.env.NETWORKS_FILE, "utf8"));
+  } catch (error) {
+    console.error(
+      `Networks: failed to read NETWORKS_FILE ${process.env.NETWORKS_FILE}:`,
+      error.message
+    );
+    return {};
+  }
+}
+
+/**
+ * Builds the registry from the built-in entries, NETWORKS_FILE and the environment.
+ * @returns {Map<string, object>} Network key -> network.
+ */
+function buildRegistry() {
+  const fileNetworks = loadNetworksFile();
+  const keys = new Set([
+    ...Object.keys(BUILT_IN_NETWORKS),
+    ...Object.keys(fileNetworks),
+  ]);
+  const registry = new Map();
+
+  for (const key of keys) {
+    const base = { ...BUILT_IN_NETWORKS[key], ...fileNetworks[key] };
+    const prefix = key.toUpperCase().replace(/[^A-Z0-9]/g, "_");
+    const isDefault = key === DEFAULT_NETWORK;
+    const env = (name) => process.env[`${prefix}_${name}`];
+
+    const rpcUrls =
+      parseUrlList(env("RPC_URLS")) ||
+      (isDefault ? parseUrlList(process.env.AVALANCHE_RPC_URL) : null) ||
+      base.rpcUrls ||
+      [];
+    const contractAddress =
+      env("CONTRACT_ADDRESS") ||
+      (isDefault ? process.env.CONTRACT_ADDRESS : null) ||
+      base.contractAddress ||
+      null;
+    const chainId = env("CHAIN_ID") || base.chainId || null;
+    const startBlock = parseInt(env("INDEXER_START_BLOCK"));
+
+    registry.set(key, {
+      key: key,
+      name: base.name || key,
+      chainId: chainId !== null ? String(chainId) : null,
+      rpcUrls: rpcUrls,
+      contractAddress: contractAddress,
+      tokenAddress: env("TOKEN_ADDRESS") || base.tokenAddress || null,
+      confirmations:
+        base.confirmations !== undefined ? base.confirmations : null,
+      indexerStartBlock: !isNaN(startBlock)
+        ? startBlock
+        : base.indexerStartBlock !== undefined
+          ? base.indexerStartBlock
+          : null,
+      enabled: !!contractAddress && rpcUrls.length > 0,
+    });
+  }
+  return registry;
+}
+
+const registry = buildRegistry();
+
+if (!registry.has(DEFAULT_NETWORK)) {
+  console.error(
+    `Networks: DEFAULT_NETWORK "${DEFAULT_NETWORK}" is not a known network.`
+  );
+} else if (!registry.get(DEFAULT_NETWORK).enabled) {
+  const prefix = DEFAULT_NETWORK.toUpperCase().replace(/[^A-Z0-9]/g, "_");
+  console.error(
+    `Networks: default network "${DEFAULT_NETWORK}" is disabled; set ${prefix}_RPC_URLS and ${prefix}_CONTRACT_ADDRESS.`
+  );
+}
+
+/**
+ * Returns a network by key.
+ * @param {string|null|undefined} key The network key; the default network if omitted.
+ * @returns {object} The network.
+ * @throws {Error} If the key is unknown.
+ */
+function getNetwork(key) {
+  const network = registry.get(key || DEFAULT_NETWORK);
+  if (!network) {
+    throw new Error(`Unknown network: ${key}`);
+  }
+  return network;
+}
+
+/**
+ * Resolves a network named by key or chain id, as accepted from API clients.
+ * @param {string|number|null|undefined} value
+ * @returns {string|null} The network key, or null if nothing matches.
+ */
+function resolveNetworkKey(value) {
+  if (value === undefined || value === null || value === "") {
+    return DEFAULT_NETWORK;
+  }
+  const asString = String(value).toLowerCase();
+  if (registry.has(asString)) {
+    return asString;
+  }
+  for (const network of registry.values()) {
+    if (network.chainId === asString) {
+      return network.key;
+    }
+  }
+  return null;
+}
+
+/**
+ * Lists the networks that have a contract configured.
+ * @returns {Array<object>}
+ */
+function listEnabledNetworks() {
+  return [...registry.values()].filter((network) => network.enabled);
+}
+
+module.exports = {
+  DEFAULT_NETWORK,
+  getNetwork,
+  resolveNetworkKey,
+  listEnabledNetworks,
+};
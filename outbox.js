@@ -0,0 +1,241 @@
+// Transaction outbox worker.
+// Routes queue on-chain operations in the ChainOperations table and return 202 right away;
+// this worker submits them, waits for confirmations, retries failures and finally applies
+// the result to GatedLinks. Operation states: queued -> submitted -> confirmed | failed.
+// Each operation is sent on the network its link was created on.
+
+const ethers = require("ethers");
+const blockchain = require("./blockchain");
+const db = require("./database");
+
+const TX_CONFIRMATIONS = parseInt(process.env.TX_CONFIRMATIONS) || 1;
+const TX_MAX_ATTEMPTS = parseInt(process.env.TX_MAX_ATTEMPTS) || 5;
+const TX_RECEIPT_POLL_SECONDS = parseInt(process.env.TX_RECEIPT_POLL_SECONDS) || 3;
+const OUTBOX_POLL_INTERVAL_MS =
+  parseInt(process.env.OUTBOX_POLL_INTERVAL_MS) || 2000;
+const OUTBOX_LOCK_SECONDS = 60;
+
+/**
+ * Exponential backoff for failed submissions: 5s, 10s, 20s, ... capped at 5 minutes.
+ * @param {number} attempts Number of attempts made so far.
+ * @returns {number} Delay in seconds.
+ */
+function backoffSeconds(attempts) {
+  return Math.min(5 * 2 ** attempts, 300);
+}
+
+/**
+ * Checks whether the chain already reflects an operation, so a retry after a crash
+ * (tx sent but never recorded) does not send it twice.
+ * @param {object} operation
+ * @returns {Promise<boolean>} True if the change is already on-chain.
+ * @throws {Error} If the link belongs to a different creator on-chain.
+ */
+async function isAlreadyAppliedOnChain(operation) {
+  const chain = await blockchain.forLink(operation);
+  const details = await chain.getLinkDetailsOnChain(operation.link_hash);
+  if (operation.operation_type === "create_link") {
+    if (details.creator === ethers.ZeroAddress) {
+      return false;
+    }
+    if (
+      details.creator.toLowerCase() !==
+      operation.payload.creatorAddress.toLowerCase()
+    ) {
+      const error = new Error(
+        `linkId ${operation.link_hash} is already registered on-chain by ${details.creator}.`
+      );
+      error.permanent = true;
+      throw error;
+    }
+    return true;
+  }
+  if (operation.operation_type === "set_link_activity") {
+    return details.isActive === operation.payload.isActive;
+  }
+  return false;
+}
+
+/**
+ * Broadcasts the transaction for an operation.
+ * @param {object} operation
+ * @returns {Promise<string>} The transaction hash.
+ */
+async function submitOperation(operation) {
+  const { payload } = operation;
+  const chain = await blockchain.forLink(operation);
+  switch (operation.operation_type) {
+    case "create_link":
+      return chain.sendCreateLinkTransaction(
+        operation.link_hash,
+        payload.creatorAddress,
+        payload.priceInERC20,
+        payload.initialIsActive
+      );
+    case "set_link_activity":
+      return chain.sendSetLinkActivityTransaction(
+        operation.link_hash,
+        payload.isActive
+      );
+    default: {
+      const error = new Error(
+        `Unknown operation type: ${operation.operation_type}`
+      );
+      error.permanent = true;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Submits a queued operation, or records why it could not be submitted.
+ * @param {object} operation
+ * @returns {Promise<void>}
+ */
+async function processQueuedOperation(operation) {
+  try {
+    if (await isAlreadyAppliedOnChain(operation)) {
+      console.log(
+        `Outbox: operation ${operation.id} already applied on-chain, confirming.`
+      );
+      await db.completeChainOperation(operation, null);
+      return;
+    }
+    const txHash = await submitOperation(operation);
+    await db.markChainOperationSubmitted(
+      operation.id,
+      txHash,
+      TX_RECEIPT_POLL_SECONDS
+    );
+  } catch (error) {
+    console.error(
+      `Outbox: failed to submit operation ${operation.id}:`,
+      error.message
+    );
+    if (error.permanent || operation.attempts + 1 >= TX_MAX_ATTEMPTS) {
+      await db.failChainOperation(operation, error.message);
+    } else {
+      await db.rescheduleChainOperation(operation.id, {
+        error: error.message,
+        delaySeconds: backoffSeconds(operation.attempts),
+      });
+    }
+  }
+}
+
+/**
+ * Checks a submitted operation's transaction and finalizes it once confirmed.
+ * Stuck transactions are sped up by the wallet's transaction manager, so the hash
+ * that gets mined may differ from the one recorded at submission.
+ * @param {object} operation
+ * @returns {Promise<void>}
+ */
+async function processSubmittedOperation(operation) {
+  const chain = await blockchain.forLink(operation);
+  const txStatus = await chain.getTransactionStatus(operation.tx_hash);
+
+  if (txStatus.state === "dropped") {
+    // Go back to queued, where the chain is re-checked before resubmitting
+    console.warn(
+      `Outbox: transaction ${operation.tx_hash} for operation ${operation.id} was dropped, requeuing.`
+    );
+    await db.rescheduleChainOperation(operation.id, {
+      status: "queued",
+      error: `Transaction ${operation.tx_hash} was dropped.`,
+      delaySeconds: 0,
+    });
+    return;
+  }
+
+  if (txStatus.state === "pending") {
+    await db.rescheduleChainOperation(operation.id, {
+      delaySeconds: TX_RECEIPT_POLL_SECONDS,
+    });
+    return;
+  }
+
+  if (txStatus.status === 0) {
+    await db.failChainOperation(
+      operation,
+      `Transaction ${txStatus.hash} reverted in block ${txStatus.blockNumber}.`
+    );
+    return;
+  }
+
+  if (txStatus.confirmations < TX_CONFIRMATIONS) {
+    await db.rescheduleChainOperation(operation.id, {
+      delaySeconds: TX_RECEIPT_POLL_SECONDS,
+    });
+    return;
+  }
+
+  await db.completeChainOperation(operation, txStatus.hash);
+  console.log(
+    `Outbox: operation ${operation.id} (${operation.operation_type}) confirmed in tx ${txStatus.hash}.`
+  );
+}
+
+/**
+ * Claims and processes the next due operation.
+ * @returns {Promise<boolean>} True if an operation was processed.
+ */
+async function processNextOperation() {
+  const operation = await db.claimNextChainOperation(OUTBOX_LOCK_SECONDS);
+  if (!operation) {
+    return false;
+  }
+  try {
+    if (operation.status === "queued") {
+      await processQueuedOperation(operation);
+    } else if (operation.status === "submitted") {
+      await processSubmittedOperation(operation);
+    }
+  } catch (error) {
+    // RPC or DB hiccup: the lock expires and the operation is picked up again
+    console.error(
+      `Outbox: error processing operation ${operation.id}:`,
+      error.message
+    );
+  }
+  return true;
+}
+
+/**
+ * Starts the outbox worker loop.
+ * @returns {{stop: function(): void}} A handle to stop the loop.
+ */
+function startOutboxWorker() {
+  let stopped = false;
+  let timer = null;
+
+  const tick = async () => {
+    let delay = OUTBOX_POLL_INTERVAL_MS;
+    try {
+      if (await processNextOperation()) {
+        delay = 0; // Drain the queue before sleeping
+      }
+    } catch (error) {
+      console.error("Outbox: error while polling operations:", error.message);
+    }
+    if (!stopped) {
+      timer = setTimeout(tick, delay);
+    }
+  };
+
+  console.log("Outbox: transaction worker started.");
+  tick();
+
+  return {
+    stop() {
+      stopped = true;
+      if (timer) {
+        clearTimeout(timer);
+      }
+    },
+  };
+}
+
+module.exports = {
+  startOutboxWorker,
+  processNextOperation,
+};
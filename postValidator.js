@@ -0,0 +1,244 @@
+// Validation of generated social posts (see aiProviders.js).
+// Language models do not reliably follow length, link and hashtag instructions, so every
+// post is checked against its platform's rules before it is stored:
+//   - it must contain the buy link,
+//   - it may have at most MAX_HASHTAGS hashtags,
+//   - it must fit the platform's length limit. X counts the way X does: every URL as 23
+//     characters (t.co wrapping), and emoji and most non-Latin characters as 2,
+//   - it may not use the creator's banned words (brand voice profile).
+// Model answers are parsed here too, tolerating the markdown fences models like to add.
+
+const MAX_HASHTAGS = 3;
+
+// Length limits per platform (lowercase name, as stored in ai_social_posts)
+const PLATFORM_RULES = {
+  x: { maxLength: 280, weighted: true },
+  instagram: { maxLength: 2200 }, // Caption
+  facebook: { maxLength: 63206 },
+  telegram: { maxLength: 4096 }, // Message text
+  discord: { maxLength: 2000 }, // Message without Nitro
+};
+const DEFAULT_RULES = { maxLength: 2000 };
+
+// X's counting (twitter-text v3): these code point ranges count 1, everything else 2
+const X_URL_LENGTH = 23;
+const X_LIGHT_RANGES = [
+  [0x0000, 0x10ff],
+  [0x2000, 0x200d],
+  [0x2010, 0x201f],
+  [0x2032, 0x2037],
+];
+const URL_PATTERN = /https?:\/\/[^\s]+/gi;
+const HASHTAG_PATTERN =
+  /(?:^|[^\p{L}\p{N}_&])[#＃]([\p{L}\p{N}_]*\p{L}[\p{L}\p{N}_]*)/gu;
+const graphemes = new Intl.Segmenter(undefined, { granularity: "grapheme" });
+
+/**
+ * A model answer that could not be read as a list of posts.
+ */
+class PostFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PostFormatError";
+  }
+}
+
+/**
+ * Returns the rules of a platform.
+ * @param {string} platform Any case, e.g. "X" or "x".
+ * @returns {{maxLength: number, weighted?: boolean}}
+ */
+function getPlatformRules(platform) {
+  return PLATFORM_RULES[platform.toLowerCase()] || DEFAULT_RULES;
+}
+
+/**
+ * Counts a text the way X does.
+ * @param {string} text
+ * @returns {number}
+ */
+function countXLength(text) {
+  let length = 0;
+  const withoutUrls = text.replace(URL_PATTERN, () => {
+    length += X_URL_LENGTH;
+    return "";
+  });
+  for (const { segment } of graphemes.segment(withoutUrls)) {
+    if (/\p{Extended_Pictographic}/u.test(segment)) {
+      length += 2; // An emoji counts 2, however many code points it has
+      continue;
+    }
+    for (const character of segment) {
+      const codePoint = character.codePointAt(0);
+      length += X_LIGHT_RANGES.some(
+        ([first, last]) => codePoint >= first && codePoint <= last
+      )
+        ? 1
+        : 2;
+    }
+  }
+  return length;
+}
+
+/**
+ * Measures a post for a platform.
+ * @param {string} platform
+ * @param {string} text
+ * @returns {number}
+ */
+function measurePost(platform, text) {
+  return getPlatformRules(platform).weighted
+    ? countXLength(text)
+    : [...text].length;
+}
+
+/**
+ * Counts the hashtags in a text.
+ * @param {string} text
+ * @returns {number}
+ */
+function countHashtags(text) {
+  return [...text.matchAll(HASHTAG_PATTERN)].length;
+}
+
+/**
+ * Finds the banned words a text uses, as whole words and ignoring case.
+ * @param {string} text
+ * @param {string[]} bannedWords
+ * @returns {string[]}
+ */
+function findBannedWords(text, bannedWords) {
+  return bannedWords.filter((word) =>
+    new RegExp(
+      `(?<![\\p{L}\\p{N}_])${word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}(?![\\p{L}\\p{N}_])`,
+      "iu"
+    ).test(text)
+  );
+}
+
+/**
+ * Checks one post against its platform's rules.
+ * @param {string} platform
+ * @param {string} text
+ * @param {string} buyLink
+ * @param {object} [options]
+ * @param {string[]} [options.bannedWords] Words the post may not contain.
+ * @returns {{valid: boolean, length: number, maxLength: number, hashtags: number, issues: Array<{rule: string, message: string}>}}
+ */
+function validatePost(platform, text, buyLink, { bannedWords = [] } = {}) {
+  const { maxLength } = getPlatformRules(platform);
+  const length = measurePost(platform, text);
+  const hashtags = countHashtags(text);
+  const issues = [];
+
+  if (!text.trim()) {
+    issues.push({ rule: "empty", message: "The post is empty." });
+  }
+  if (!text.includes(buyLink)) {
+    issues.push({
+      rule: "buy_link",
+      message: `The post does not contain the buy link ${buyLink}.`,
+    });
+  }
+  if (length > maxLength) {
+    issues.push({
+      rule: "max_length",
+      message: `The post is ${length} characters long; ${platform} allows ${maxLength}.`,
+    });
+  }
+  if (hashtags > MAX_HASHTAGS) {
+    issues.push({
+      rule: "hashtags",
+      message: `The post has ${hashtags} hashtags; at most ${MAX_HASHTAGS} are allowed.`,
+    });
+  }
+  const banned = findBannedWords(text, bannedWords);
+  if (banned.length > 0) {
+    issues.push({
+      rule: "banned_words",
+      message: `The post uses banned words: ${banned.join(", ")}.`,
+    });
+  }
+  return {
+    valid: issues.length === 0,
+    length: length,
+    maxLength: maxLength,
+    hashtags: hashtags,
+    issues: issues,
+  };
+}
+
+/**
+ * Validates stored posts, e.g. ai_social_posts, per platform.
+ * @param {Object<string, Array<{text: string}>>} socialPosts Posts keyed by lowercase platform.
+ * @param {string} buyLink
+ * @param {object} [options] As for validatePost().
+ * @returns {Object<string, {valid: boolean, posts: Array<object>}>}
+ */
+function validateSocialPosts(socialPosts, buyLink, options) {
+  const report = {};
+  for (const [platform, posts] of Object.entries(socialPosts || {})) {
+    const postReports = (posts || []).map((post) =>
+      validatePost(platform, post.text || "", buyLink, options)
+    );
+    report[platform] = {
+      valid: postReports.every((post) => post.valid),
+      posts: postReports,
+    };
+  }
+  return report;
+}
+
+/**
+ * Removes markdown code fences around a text.
+ * @param {string} text
+ * @returns {string}
+ */
+function stripCodeFences(text) {
+  return text
+    .trim()
+    .replace(/^```(?:[\w-]*\n)?\s*/, "") // With its language tag, if any
+    .replace(/\s*```$/, "")
+    .trim();
+}
+
+/**
+ * Parses a model's answer into post texts.
+ * Fences are stripped and text around the JSON array is ignored; each post is trimmed and
+ * loses its own fences too.
+ * @param {string} text
+ * @returns {string[]}
+ * @throws {PostFormatError} If the answer is not a non-empty JSON array of strings.
+ */
+function parsePostsOutput(text) {
+  let json = stripCodeFences(text);
+  const start = json.indexOf("[");
+  const end = json.lastIndexOf("]");
+  if (start !== -1 && end > start) {
+    json = json.slice(start, end + 1); // Prose before or after the array
+  }
+  let posts;
+  try {
+    posts = JSON.parse(json);
+  } catch (error) {
+    throw new PostFormatError(`Response is not valid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(posts) || !posts.every((p) => typeof p === "string")) {
+    throw new PostFormatError("Response is not a JSON array of strings.");
+  }
+  posts = posts.map(stripCodeFences).filter(Boolean);
+  if (posts.length === 0) {
+    throw new PostFormatError("Response contains no posts.");
+  }
+  return posts;
+}
+
+module.exports = {
+  MAX_HASHTAGS,
+  PostFormatError,
+  getPlatformRules,
+  measurePost,
+  validatePost,
+  validateSocialPosts,
+  parsePostsOutput,
+};
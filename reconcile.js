@@ -0,0 +1,205 @@
+// DB <-> chain reconciliation.
+// Compares every GatedLinks row with the link record of the contract on its network and reports drift:
+//   - rows whose linkId is not registered on-chain,
+//   - links created on-chain (seen by the event indexer) that have no GatedLinks row,
+//   - creator, price and isActive mismatches.
+// With repair enabled, the DB is brought in line with the chain (the chain is the source of truth).
+// Run manually (dry-run unless --repair is passed):
+//   node reconcile.js [--repair]
+// or on a schedule inside the server with RECONCILE_INTERVAL_MINUTES (and RECONCILE_AUTO_REPAIR=true).
+
+require("dotenv").config(); // Needed when run standalone; a no-op for already-set variables
+
+const ethers = require("ethers");
+const blockchain = require("./blockchain");
+const db = require("./database");
+
+const RECONCILE_INTERVAL_MINUTES =
+  parseInt(process.env.RECONCILE_INTERVAL_MINUTES) || 0; // 0 disables the scheduled job
+const RECONCILE_AUTO_REPAIR = process.env.RECONCILE_AUTO_REPAIR === "true";
+const RECONCILE_RPC_CONCURRENCY = 5;
+
+/**
+ * Compares one DB row with its on-chain record.
+ * @param {object} link The GatedLinks row.
+ * @param {object} onChain The result of getLinkDetailsOnChain on the link's network.
+ * @returns {object} Field name -> {db, chain} for each mismatching field.
+ */
+function diffLink(link, onChain) {
+  const fields = {};
+  if (onChain.creator.toLowerCase() !== link.creator_address.toLowerCase()) {
+    fields.creatorAddress = {
+      db: link.creator_address,
+      chain: onChain.creator.toLowerCase(),
+    };
+  }
+  if (onChain.priceInERC20 !== link.price_in_erc20) {
+    fields.priceInERC20 = {
+      db: link.price_in_erc20,
+      chain: onChain.priceInERC20,
+    };
+  }
+  if (onChain.isActive !== link.is_active) {
+    fields.isActive = { db: link.is_active, chain: onChain.isActive };
+  }
+  return fields;
+}
+
+/**
+ * Runs a reconciliation pass.
+ * @param {object} options
+ * @param {boolean} [options.repair=false] Apply chain values to the DB; otherwise only report (dry run).
+ * @returns {Promise<object>} The drift report.
+ */
+async function reconcileLinks({ repair = false } = {}) {
+  const links = await db.getAllGatedLinks();
+  const report = {
+    checkedAt: new Date().toISOString(),
+    dryRun: !repair,
+    linksChecked: 0,
+    skippedPending: [],
+    missingOnChain: [],
+    missingInDb: [],
+    mismatches: [],
+    errors: [],
+    driftCount: 0,
+    repairedCount: 0,
+  };
+
+  const checkLink = async (link) => {
+    if (link.chain_status === "pending") {
+      // Still owned by the transaction outbox
+      report.skippedPending.push(link.link_hash);
+      return;
+    }
+    report.linksChecked++;
+
+    let onChain;
+    try {
+      const chain = await blockchain.forLink(link);
+      onChain = await chain.getLinkDetailsOnChain(link.link_hash);
+    } catch (error) {
+      report.errors.push({ linkId: link.link_hash, error: error.message });
+      return;
+    }
+
+    if (onChain.creator === ethers.ZeroAddress) {
+      if (link.chain_status === "failed" && !link.is_active) {
+        return; // Already known: creation failed and the link is hidden
+      }
+      report.missingOnChain.push({
+        linkId: link.link_hash,
+        buyShortCode: link.buy_short_code,
+        chainStatus: link.chain_status,
+      });
+      if (repair) {
+        report.repairedCount += await db.repairGatedLinkFromChain(
+          link.link_hash,
+          {
+            creator_address: link.creator_address,
+            price_in_erc20: link.price_in_erc20,
+            is_active: false,
+            chain_status: "failed",
+          }
+        );
+      }
+      return;
+    }
+
+    const fields = diffLink(link, onChain);
+    if (Object.keys(fields).length === 0 && link.chain_status === "confirmed") {
+      return;
+    }
+    report.mismatches.push({
+      linkId: link.link_hash,
+      buyShortCode: link.buy_short_code,
+      chainStatus: link.chain_status,
+      fields: fields,
+    });
+    if (repair) {
+      report.repairedCount += await db.repairGatedLinkFromChain(
+        link.link_hash,
+        {
+          creator_address: onChain.creator,
+          price_in_erc20: onChain.priceInERC20,
+          is_active: onChain.isActive,
+          chain_status: "confirmed",
+        }
+      );
+    }
+  };
+
+  for (let i = 0; i < links.length; i += RECONCILE_RPC_CONCURRENCY) {
+    await Promise.all(
+      links.slice(i, i + RECONCILE_RPC_CONCURRENCY).map(checkLink)
+    );
+  }
+
+  // On-chain links without a DB row can only be found through indexed LinkCreated events.
+  // They cannot be repaired automatically since the original URL is unknown.
+  const knownHashes = new Set(links.map((link) => link.link_hash));
+  const indexedLinks = await db.getIndexedCreatedLinks();
+  for (const indexed of indexedLinks) {
+    if (!knownHashes.has(indexed.link_hash)) {
+      report.missingInDb.push({
+        linkId: indexed.link_hash,
+        creatorAddress: indexed.creator_address,
+        priceInERC20: indexed.price_in_erc20,
+        transactionHash: indexed.tx_hash,
+        blockNumber: Number(indexed.block_number),
+      });
+    }
+  }
+
+  report.driftCount =
+    report.missingOnChain.length +
+    report.missingInDb.length +
+    report.mismatches.length;
+  await db.storeReconciliationReport(report);
+
+  console.log(
+    `Reconcile: checked ${report.linksChecked} link(s), ${report.driftCount} drift(s), ${report.repairedCount} repaired${report.dryRun ? " (dry run)" : ""}.`
+  );
+  return report;
+}
+
+/**
+ * Starts the scheduled reconciliation job if RECONCILE_INTERVAL_MINUTES is set.
+ * @returns {{stop: function(): void}|null} A handle to stop the job, or null if disabled.
+ */
+function startReconciliationJob() {
+  if (!RECONCILE_INTERVAL_MINUTES) {
+    return null;
+  }
+  const run = () =>
+    reconcileLinks({ repair: RECONCILE_AUTO_REPAIR }).catch((error) =>
+      console.error("Reconcile: scheduled run failed:", error.message)
+    );
+  const timer = setInterval(run, RECONCILE_INTERVAL_MINUTES * 60 * 1000);
+  console.log(
+    `Reconcile: scheduled every ${RECONCILE_INTERVAL_MINUTES} minute(s)${RECONCILE_AUTO_REPAIR ? " with auto-repair" : " (dry run)"}.`
+  );
+  return {
+    stop() {
+      clearInterval(timer);
+    },
+  };
+}
+
+module.exports = {
+  reconcileLinks,
+  startReconciliationJob,
+};
+
+if (require.main === module) {
+  const repair = process.argv.includes("--repair");
+  reconcileLinks({ repair })
+    .then((report) => {
+      console.log(JSON.stringify(report, null, 2));
+      process.exit(report.driftCount > 0 && !repair ? 1 : 0);
+    })
+    .catch((error) => {
+      console.error("Reconcile: failed:", error);
+      process.exit(2);
+    });
+}
@@ -0,0 +1,249 @@
+// Relayer policy: decides whether the server wallet may pay gas for a signed payment,
+// and records what each relayed transaction cost.
+// Limits (all optional, set through the environment):
+//   RELAYER_MAX_PER_PAYER_PER_HOUR, RELAYER_MAX_PER_BENEFICIARY_PER_HOUR, RELAYER_MAX_PER_LINK_PER_HOUR
+//   RELAYER_DAILY_GAS_CAP_AVAX          - total gas the relayer may spend per UTC day
+//   RELAYER_PAYER_DAILY_GAS_CAP_AVAX    - gas the relayer may spend per payer per UTC day
+//   RELAYER_MIN_BALANCE_AVAX            - refuse to relay (and report unhealthy) below this balance
+// Every limit applies per network (chain id). Checking the limits and reserving the relay happen
+// in one database transaction, and a relay counts towards the gas caps at its maximum fee until
+// its receipt is recorded, so concurrent relays cannot overshoot a cap.
+
+const ethers = require("ethers");
+const blockchain = require("./blockchain");
+const db = require("./database");
+
+/**
+ * Parses an AVAX amount from the environment into wei.
+ * @param {string|undefined} value
+ * @param {string|null} fallback Default amount in AVAX, or null for "no limit".
+ * @returns {bigint|null}
+ */
+function parseAvaxEnv(value, fallback) {
+  const amount = value !== undefined && value !== "" ? value : fallback;
+  return amount === null ? null : ethers.parseEther(amount);
+}
+
+const RELAYER_MAX_PER_PAYER_PER_HOUR =
+  parseInt(process.env.RELAYER_MAX_PER_PAYER_PER_HOUR) || 10;
+const RELAYER_MAX_PER_BENEFICIARY_PER_HOUR =
+  parseInt(process.env.RELAYER_MAX_PER_BENEFICIARY_PER_HOUR) || 10;
+const RELAYER_MAX_PER_LINK_PER_HOUR =
+  parseInt(process.env.RELAYER_MAX_PER_LINK_PER_HOUR) || 100;
+const RELAYER_DAILY_GAS_CAP_WEI = parseAvaxEnv(
+  process.env.RELAYER_DAILY_GAS_CAP_AVAX,
+  "1"
+);
+const RELAYER_PAYER_DAILY_GAS_CAP_WEI = parseAvaxEnv(
+  process.env.RELAYER_PAYER_DAILY_GAS_CAP_AVAX,
+  "0.05"
+);
+const RELAYER_MIN_BALANCE_WEI = parseAvaxEnv(
+  process.env.RELAYER_MIN_BALANCE_AVAX,
+  "0.1"
+);
+
+/**
+ * Start of the current UTC day, the window for daily gas caps.
+ * @returns {Date}
+ */
+function startOfUtcDay() {
+  const now = new Date();
+  return new Date(
+    Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())
+  );
+}
+
+/**
+ * Seconds until the next UTC midnight, used as Retry-After for daily caps.
+ * @returns {number}
+ */
+function secondsUntilNextUtcDay() {
+  return Math.ceil(
+    (startOfUtcDay().getTime() + 24 * 60 * 60 * 1000 - Date.now()) / 1000
+  );
+}
+
+/**
+ * Checks every relayer limit for a payment and, if it passes, reserves a relay slot; call before
+ * sending so concurrent requests see it in the rate limits and gas caps.
+ * @param {object} request
+ * @param {string} request.linkId
+ * @param {string} request.payerAddress
+ * @param {string} request.beneficiaryAddress
+ * @param {string|null} request.network The network the payment will be relayed on.
+ * @param {bigint} request.maxFeeWei The most the relay may cost, counted against the gas caps.
+ * @returns {Promise<{allowed: true, reservationId: number}|{allowed: false, status: number, error: string, retryAfterSeconds?: number}>}
+ *   The reservation ID is passed to recordRelayOutcome.
+ */
+async function reserveRelay({
+  linkId,
+  payerAddress,
+  beneficiaryAddress,
+  network,
+  maxFeeWei,
+}) {
+  const chain = blockchain.forNetwork(network);
+
+  // 1. Low-balance guard
+  const balance = await chain.getWalletBalance();
+  if (RELAYER_MIN_BALANCE_WEI !== null && balance < RELAYER_MIN_BALANCE_WEI) {
+    console.error(
+      `Relayer: wallet balance ${ethers.formatEther(balance)} AVAX is below the ${ethers.formatEther(RELAYER_MIN_BALANCE_WEI)} AVAX threshold.`
+    );
+    return {
+      allowed: false,
+      status: 503,
+      error: "Relayer is temporarily unavailable (low balance).",
+    };
+  }
+
+  const reservation = await db.reserveRelayedTransaction(
+    {
+      chain_id: await chain.getChainId(),
+      link_hash: linkId,
+      payer_address: payerAddress,
+      beneficiary_address: beneficiaryAddress,
+      max_fee_wei: maxFeeWei.toString(),
+    },
+    {
+      rateLimitSince: new Date(Date.now() - 60 * 60 * 1000),
+      feesSince: startOfUtcDay(),
+    },
+    (usage) => {
+      // 2. Rate limits over the last hour
+      const rateLimits = [
+        ["payer_address", RELAYER_MAX_PER_PAYER_PER_HOUR, "payer"],
+        [
+          "beneficiary_address",
+          RELAYER_MAX_PER_BENEFICIARY_PER_HOUR,
+          "beneficiary",
+        ],
+        ["link_hash", RELAYER_MAX_PER_LINK_PER_HOUR, "link"],
+      ];
+      for (const [column, limit, label] of rateLimits) {
+        if (usage[column] >= limit) {
+          return {
+            allowed: false,
+            status: 429,
+            error: `Relay rate limit reached for this ${label} (${limit} per hour).`,
+            retryAfterSeconds: 60 * 60,
+          };
+        }
+      }
+
+      // 3. Daily gas caps, including this relay's maximum fee
+      if (
+        RELAYER_DAILY_GAS_CAP_WEI !== null &&
+        usage.spent_wei + maxFeeWei > RELAYER_DAILY_GAS_CAP_WEI
+      ) {
+        return {
+          allowed: false,
+          status: 429,
+          error: "Relayer daily gas budget exhausted.",
+          retryAfterSeconds: secondsUntilNextUtcDay(),
+        };
+      }
+      if (
+        RELAYER_PAYER_DAILY_GAS_CAP_WEI !== null &&
+        usage.payer_spent_wei + maxFeeWei > RELAYER_PAYER_DAILY_GAS_CAP_WEI
+      ) {
+        return {
+          allowed: false,
+          status: 429,
+          error: "Relayer daily gas budget exhausted for this payer.",
+          retryAfterSeconds: secondsUntilNextUtcDay(),
+        };
+      }
+
+      return null;
+    }
+  );
+  if (reservation.rejection) {
+    return reservation.rejection;
+  }
+  return { allowed: true, reservationId: reservation.id };
+}
+
+/**
+ * Records the gas cost of a relayed transaction, or why it failed.
+ * A relay that reverted on-chain is recorded with the fee it paid, and one whose outcome is
+ * unknown (e.g. the wait timed out) stays pending at its maximum fee until the transaction
+ * monitor settles it; both keep counting towards the limits. Only relays that never reached
+ * the chain are recorded as failed.
+ * @param {number} reservationId
+ * @param {import("ethers").TransactionReceipt|null} receipt
+ * @param {Error|null} error The relay error; see blockchain relayPayForAccessWithSignature.
+ * @returns {Promise<void>}
+ */
+async function recordRelayOutcome(reservationId, receipt, error = null) {
+  const paid = receipt || (error && error.receipt);
+  let outcome;
+  if (paid) {
+    outcome = {
+      status: receipt ? "confirmed" : "reverted",
+      tx_hash: paid.hash,
+      gas_used: paid.gasUsed.toString(),
+      effective_gas_price: paid.gasPrice.toString(),
+      fee_wei: paid.fee.toString(),
+      error: receipt ? null : error.message,
+    };
+  } else if (error && error.txHash && error.code !== "TX_DROPPED") {
+    outcome = {
+      status: "pending",
+      tx_hash: error.txHash,
+      error: error.message,
+    };
+  } else {
+    outcome = { status: "failed", error: error ? error.message : null };
+  }
+  try {
+    await db.updateRelayedTransaction(reservationId, outcome);
+  } catch (dbError) {
+    console.error(
+      `Relayer: failed to record outcome of relay ${reservationId}:`,
+      dbError.message
+    );
+  }
+}
+
+/**
+ * Reports whether the relayer can currently operate on a network.
+ * @param {string|null} network The network key; the default network if omitted.
+ * @returns {Promise<object>} Health details; `healthy` is false below the balance threshold or over the daily cap.
+ */
+async function getRelayerHealth(network) {
+  const chain = blockchain.forNetwork(network);
+  const [balance, spentToday] = await Promise.all([
+    chain.getWalletBalance(),
+    chain
+      .getChainId()
+      .then((chainId) => db.sumRelayFeesSince(chainId, startOfUtcDay())),
+  ]);
+  const lowBalance =
+    RELAYER_MIN_BALANCE_WEI !== null && balance < RELAYER_MIN_BALANCE_WEI;
+  const budgetExhausted =
+    RELAYER_DAILY_GAS_CAP_WEI !== null &&
+    spentToday >= RELAYER_DAILY_GAS_CAP_WEI;
+  return {
+    healthy: !lowBalance && !budgetExhausted,
+    balanceAvax: ethers.formatEther(balance),
+    minBalanceAvax:
+      RELAYER_MIN_BALANCE_WEI !== null
+        ? ethers.formatEther(RELAYER_MIN_BALANCE_WEI)
+        : null,
+    lowBalance: lowBalance,
+    spentTodayAvax: ethers.formatEther(spentToday),
+    dailyGasCapAvax:
+      RELAYER_DAILY_GAS_CAP_WEI !== null
+        ? ethers.formatEther(RELAYER_DAILY_GAS_CAP_WEI)
+        : null,
+    budgetExhausted: budgetExhausted,
+  };
+}
+
+module.exports = {
+  reserveRelay,
+  recordRelayOutcome,
+  getRelayerHealth,
+};
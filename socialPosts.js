@@ -0,0 +1,462 @@
+// Social post generation for a link, shared by GET /social-posts/:buy_short_code and the
+// generate_social_posts background job (jobs.js).
+// Posts are written by the AI provider chain (aiProviders.js) for every platform in parallel
+// and stored in GatedLinks.ai_social_posts, keyed by lowercase platform name.
+// The creator's latest voice profile (CreatorVoiceProfiles) shapes the prompt and supplies the
+// default language; each post records its locale and the profile version that produced it.
+// Generating for some platforms only replaces those platforms' posts and keeps the others.
+// Posts have ids so creators can edit, favorite, mark as used or delete them. Regenerating a
+// platform keeps its favorite and edited posts, and every change is saved as a revision
+// (SocialPostRevisions), so replaced posts stay in the history.
+
+const { nanoid } = require("nanoid");
+const db = require("./database");
+const aiProviders = require("./aiProviders");
+const postValidator = require("./postValidator");
+
+const GIVABIT_BASE_URL =
+  process.env.GIVABIT_APP_URL ||
+  "https://givabit-server-krlus.ondigitalocean.app";
+const SOCIAL_PLATFORMS = ["X", "Instagram", "Facebook", "Telegram", "Discord"];
+const PLATFORM_ALIASES = { twitter: "x" };
+const DEFAULT_LOCALE = "en";
+// Posts per platform one request may ask for; each one is written by the AI provider
+const MAX_POST_VARIATIONS = 10;
+
+/**
+ * Builds the buy link that posts share.
+ * @param {object} link
+ * @returns {string}
+ */
+function shareableBuyLinkFor(link) {
+  return `${GIVABIT_BASE_URL}/buy/${link.buy_short_code}`;
+}
+
+/**
+ * Parses a comma-separated platform list, e.g. "x,telegram".
+ * @param {string} [value] Empty or missing means every platform.
+ * @returns {{platforms: string[]}|{error: string}} Platform names as in SOCIAL_PLATFORMS.
+ */
+function parsePlatforms(value) {
+  if (!value) {
+    return { platforms: SOCIAL_PLATFORMS };
+  }
+  const platforms = [];
+  for (const item of value.split(",")) {
+    const name = item.trim().toLowerCase();
+    if (!name) {
+      continue;
+    }
+    const platform = SOCIAL_PLATFORMS.find(
+      (p) => p.toLowerCase() === (PLATFORM_ALIASES[name] || name)
+    );
+    if (!platform) {
+      return {
+        error: `Unknown platform "${item.trim()}". Valid platforms: ${SOCIAL_PLATFORMS.map((p) => p.toLowerCase()).join(", ")}.`,
+      };
+    }
+    if (!platforms.includes(platform)) {
+      platforms.push(platform);
+    }
+  }
+  return platforms.length > 0
+    ? { platforms: platforms }
+    : { platforms: SOCIAL_PLATFORMS };
+}
+
+/**
+ * Parses a requested number of posts per platform, from a query string or a JSON body.
+ * @param {string|number} value
+ * @returns {number|null} Null unless it is a whole number from 1 to MAX_POST_VARIATIONS.
+ */
+function parseVariations(value) {
+  const variations =
+    typeof value === "string" && /^\d+$/.test(value) ? Number(value) : value;
+  return Number.isInteger(variations) &&
+    variations >= 1 &&
+    variations <= MAX_POST_VARIATIONS
+    ? variations
+    : null;
+}
+
+/**
+ * Canonicalizes a BCP 47 language tag, e.g. "pt-br" to "pt-BR".
+ * @param {string} value
+ * @returns {string|null} Null if it is not a valid tag.
+ */
+function parseLocale(value) {
+  try {
+    const [locale] = Intl.getCanonicalLocales(value);
+    return locale || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Picks a platform's posts in a locale. Posts stored before locales were recorded count as
+ * DEFAULT_LOCALE.
+ * @param {Array<object>} [posts]
+ * @param {string} locale
+ * @returns {Array<object>}
+ */
+function postsInLocale(posts, locale) {
+  return (posts || []).filter(
+    (post) => (post.locale || DEFAULT_LOCALE) === locale
+  );
+}
+
+/**
+ * Returns the stored posts for the given platforms if every platform has posts in the locale.
+ * @param {object} storedPosts GatedLinks.ai_social_posts.
+ * @param {string[]} platforms
+ * @param {string} locale
+ * @returns {object|null} The posts in the locale keyed by lowercase platform, or null if a
+ *   platform has none.
+ */
+function cachedPostsFor(storedPosts, platforms, locale) {
+  const cached = {};
+  for (const platform of platforms) {
+    const posts = postsInLocale(
+      storedPosts && storedPosts[platform.toLowerCase()],
+      locale
+    );
+    if (posts.length === 0) {
+      return null;
+    }
+    cached[platform.toLowerCase()] = posts;
+  }
+  return cached;
+}
+
+/**
+ * Whether regenerating a platform keeps a post: the creator favorited or edited it.
+ * @param {object} post
+ * @returns {boolean}
+ */
+function isKeptPost(post) {
+  return !!post.favorite || !!post.edited_at;
+}
+
+/**
+ * Finds a post by id.
+ * @param {object} storedPosts GatedLinks.ai_social_posts.
+ * @param {string} postId
+ * @returns {{platform: string, index: number}|null} Its lowercase platform and position.
+ */
+function findPost(storedPosts, postId) {
+  for (const [platform, posts] of Object.entries(storedPosts || {})) {
+    const index = (posts || []).findIndex((post) => post.id === postId);
+    if (index !== -1) {
+      return { platform: platform, index: index };
+    }
+  }
+  return null;
+}
+
+/**
+ * Creates an error with a `code` for callers to map to a response.
+ * @param {string} code
+ * @param {string} message
+ * @returns {Error}
+ */
+function codedError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Turns a CreatorVoiceProfiles row into the voice of a post request.
+ * @param {object|null} profile
+ * @returns {object|undefined} See the Voice typedef in aiProviders.js.
+ */
+function voiceFromProfile(profile) {
+  if (!profile) {
+    return undefined;
+  }
+  return {
+    tone: profile.tone,
+    audience: profile.audience,
+    bannedWords: profile.banned_words || [],
+    preferredHashtags: profile.preferred_hashtags || [],
+  };
+}
+
+/**
+ * Generates posts for the requested platforms and stores them on the link, keeping the
+ * stored posts of the other platforms and the kept (favorite or edited) posts of these.
+ * A platform that fails is left out; its error is in the validation report.
+ * @param {object} link The GatedLinks row.
+ * @param {object} [options]
+ * @param {number} [options.variations] Posts per platform (default 1).
+ * @param {string[]} [options.platforms] Names from SOCIAL_PLATFORMS (default all).
+ * @param {string} [options.locale] Language of the posts (default the creator's default
+ *   language, else DEFAULT_LOCALE).
+ * @param {string} [options.createdBy] Wallet that asked for the posts, for the revision.
+ * @returns {Promise<{socialPosts: object, validation: object, locale: string, voiceProfileVersion: number|null, revision: number}>}
+ *   The generated platforms' stored posts in the locale (kept posts first), the per-platform
+ *   validation report of the new posts (see postValidator.js) and the new revision.
+ * @throws {Error} If no AI provider is configured (`code` "AI_NOT_CONFIGURED"), no platform
+ *   got any post (`code` "NO_POSTS", with `validation`), or storing fails.
+ */
+async function generateLinkSocialPosts(
+  link,
+  { variations = 1, platforms = SOCIAL_PLATFORMS, locale, createdBy } = {}
+) {
+  if (aiProviders.getProviderChain().length === 0) {
+    throw codedError("AI_NOT_CONFIGURED", "AI service not configured.");
+  }
+
+  const profile = await db.getVoiceProfile(link.creator_address);
+  const postLocale =
+    locale || (profile && profile.default_language) || DEFAULT_LOCALE;
+  const voiceProfileVersion = profile ? profile.version : null;
+  const request = {
+    variations: variations,
+    title: link.title || "Exclusive Content",
+    description: link.description || "Check out this amazing piece of content!",
+    authorName: link.author_name || null,
+    buyLink: shareableBuyLinkFor(link),
+    locale: postLocale,
+    voice: voiceFromProfile(profile),
+  };
+
+  const settledPlatformResults = await Promise.allSettled(
+    platforms.map(async (platform) => {
+      console.log(`Generating content for ${platform} (parallel)...`);
+      // Falls back to the next configured provider if one fails (see aiProviders.js)
+      const generated = await aiProviders.generateSocialPosts({
+        ...request,
+        platform: platform,
+      });
+      return {
+        posts: generated.posts.map((postText) => ({
+          id: nanoid(10),
+          text: postText,
+          generated_at: new Date().toISOString(),
+          model_used: generated.model,
+          provider: generated.provider,
+          locale: postLocale,
+          voice_profile_version: voiceProfileVersion,
+          favorite: false,
+          used_at: null,
+          edited_at: null,
+        })),
+        validation: { provider: generated.provider, ...generated.validation },
+      };
+    })
+  );
+
+  const socialPosts = {};
+  const validation = {};
+  settledPlatformResults.forEach((result, index) => {
+    const platformName = platforms[index].toLowerCase();
+    if (result.status === "fulfilled") {
+      socialPosts[platformName] = result.value.posts;
+      validation[platformName] = result.value.validation;
+    } else {
+      console.error(
+        `Failed to generate content for ${platforms[index]}:`,
+        result.reason
+      );
+      validation[platformName] = { error: result.reason.message };
+    }
+  });
+
+  if (Object.keys(socialPosts).length === 0) {
+    const error = codedError(
+      "NO_POSTS",
+      "All platform generation attempts either failed or returned no content."
+    );
+    error.validation = validation;
+    throw error;
+  }
+
+  const stored = await db.updateSocialPosts(
+    link.link_hash,
+    (current) => {
+      const updated = { ...current };
+      for (const [platform, posts] of Object.entries(socialPosts)) {
+        updated[platform] = [
+          ...(current[platform] || []).filter(isKeptPost),
+          ...posts,
+        ];
+      }
+      return updated;
+    },
+    {
+      source: "generated",
+      platforms: Object.keys(socialPosts),
+      createdBy: createdBy,
+    }
+  );
+  if (!stored) {
+    throw new Error(
+      `Failed to store generated social posts for link: ${link.link_hash}.`
+    );
+  }
+  const storedPosts = {};
+  for (const platform of Object.keys(socialPosts)) {
+    storedPosts[platform] = postsInLocale(
+      stored.link.ai_social_posts[platform],
+      postLocale
+    );
+  }
+  return {
+    socialPosts: storedPosts,
+    validation: validation,
+    locale: postLocale,
+    voiceProfileVersion: voiceProfileVersion,
+    revision: stored.revision.revision,
+  };
+}
+
+/**
+ * Edits a post's text and/or its favorite and used flags.
+ * A new text is checked against the platform's rules and the creator's banned words first.
+ * @param {object} link The GatedLinks row.
+ * @param {string} postId
+ * @param {object} changes
+ * @param {string} [changes.text]
+ * @param {boolean} [changes.favorite]
+ * @param {boolean} [changes.used] Sets used_at to now, or clears it.
+ * @param {string} createdBy Wallet making the change.
+ * @returns {Promise<{platform: string, post: object, validation: object|null, revision: number|null}>}
+ *   The post as stored, the validation of the new text (null if the text did not change) and
+ *   the new revision (null if nothing changed).
+ * @throws {Error} If the post does not exist (`code` "POST_NOT_FOUND") or the new text breaks
+ *   a rule (`code` "INVALID_POST", with `validation`).
+ */
+async function updateLinkSocialPost(link, postId, changes, createdBy) {
+  // A post never changes platform; the lookup is repeated below on the locked row
+  let found = findPost(link.ai_social_posts, postId);
+  if (!found) {
+    throw codedError("POST_NOT_FOUND", `Post ${postId} not found.`);
+  }
+  const profile = await db.getVoiceProfile(link.creator_address);
+  const voice = voiceFromProfile(profile);
+  let validation = null;
+  const textChanged = (post) =>
+    changes.text !== undefined && changes.text !== post.text;
+
+  const stored = await db.updateSocialPosts(
+    link.link_hash,
+    (current) => {
+      found = findPost(current, postId);
+      if (!found) {
+        return null;
+      }
+      const post = current[found.platform][found.index];
+      const updatedPost = { ...post };
+      if (textChanged(post)) {
+        validation = postValidator.validatePost(
+          found.platform,
+          changes.text,
+          shareableBuyLinkFor(link),
+          { bannedWords: voice ? voice.bannedWords : [] }
+        );
+        if (!validation.valid) {
+          return null;
+        }
+        updatedPost.text = changes.text;
+        updatedPost.edited_at = new Date().toISOString();
+      }
+      if (changes.favorite !== undefined) {
+        updatedPost.favorite = changes.favorite;
+      }
+      if (changes.used !== undefined && changes.used !== !!post.used_at) {
+        updatedPost.used_at = changes.used ? new Date().toISOString() : null;
+      }
+      if (JSON.stringify(updatedPost) === JSON.stringify(post)) {
+        return null; // Nothing to record
+      }
+      const posts = [...current[found.platform]];
+      posts[found.index] = updatedPost;
+      return { ...current, [found.platform]: posts };
+    },
+    {
+      source: textChanged(link.ai_social_posts[found.platform][found.index])
+        ? "creator_edit"
+        : "marked",
+      platforms: [found.platform],
+      postId: postId,
+      createdBy: createdBy,
+    }
+  );
+
+  if (!stored || !found) {
+    throw codedError("POST_NOT_FOUND", `Post ${postId} not found.`);
+  }
+  if (validation && !validation.valid) {
+    const error = codedError(
+      "INVALID_POST",
+      "The edited post breaks the platform's rules."
+    );
+    error.validation = validation;
+    throw error;
+  }
+  return {
+    platform: found.platform,
+    post: stored.link.ai_social_posts[found.platform][found.index],
+    validation: validation,
+    revision: stored.revision ? stored.revision.revision : null,
+  };
+}
+
+/**
+ * Deletes a post. A platform left without posts is removed, so its posts are generated
+ * again when next requested.
+ * @param {object} link The GatedLinks row.
+ * @param {string} postId
+ * @param {string} createdBy Wallet making the change.
+ * @returns {Promise<{platform: string, revision: number}>}
+ * @throws {Error} If the post does not exist (`code` "POST_NOT_FOUND").
+ */
+async function deleteLinkSocialPost(link, postId, createdBy) {
+  let found = findPost(link.ai_social_posts, postId);
+  if (!found) {
+    throw codedError("POST_NOT_FOUND", `Post ${postId} not found.`);
+  }
+  const stored = await db.updateSocialPosts(
+    link.link_hash,
+    (current) => {
+      found = findPost(current, postId);
+      if (!found) {
+        return null;
+      }
+      const updated = { ...current };
+      updated[found.platform] = current[found.platform].filter(
+        (post) => post.id !== postId
+      );
+      if (updated[found.platform].length === 0) {
+        delete updated[found.platform];
+      }
+      return updated;
+    },
+    {
+      source: "deleted",
+      platforms: [found.platform],
+      postId: postId,
+      createdBy: createdBy,
+    }
+  );
+  if (!stored || !found) {
+    throw codedError("POST_NOT_FOUND", `Post ${postId} not found.`);
+  }
+  return { platform: found.platform, revision: stored.revision.revision };
+}
+
+module.exports = {
+  SOCIAL_PLATFORMS,
+  MAX_POST_VARIATIONS,
+  shareableBuyLinkFor,
+  parsePlatforms,
+  parseVariations,
+  parseLocale,
+  cachedPostsFor,
+  voiceFromProfile,
+  generateLinkSocialPosts,
+  updateLinkSocialPost,
+  deleteLinkSocialPost,
+};
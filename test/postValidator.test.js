@@ -0,0 +1,186 @@
+// Social post validation and parsing of model answers.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  MAX_HASHTAGS,
+  PostFormatError,
+  getPlatformRules,
+  measurePost,
+  validatePost,
+  validateSocialPosts,
+  parsePostsOutput,
+} = require("../postValidator");
+
+const BUY_LINK = "https://givabit.example/b/abc123";
+
+test("getPlatformRules knows each platform's limit, in any case", () => {
+  assert.equal(getPlatformRules("X").maxLength, 280);
+  assert.equal(getPlatformRules("x").maxLength, 280);
+  assert.equal(getPlatformRules("Instagram").maxLength, 2200);
+  assert.equal(getPlatformRules("Telegram").maxLength, 4096);
+  assert.equal(getPlatformRules("Mastodon").maxLength, 2000);
+});
+
+test("measurePost counts X posts the way X does", () => {
+  assert.equal(measurePost("X", "hello"), 5);
+  // Every URL counts 23, however long it is
+  assert.equal(measurePost("X", `Read ${BUY_LINK}`), 5 + 23);
+  assert.equal(measurePost("X", "http://a.b"), 23);
+  // Emoji count 2, including multi-code-point ones
+  assert.equal(measurePost("X", "🔥"), 2);
+  assert.equal(measurePost("X", "👩‍💻"), 2);
+  assert.equal(measurePost("X", "👍🏽"), 2);
+  // CJK counts 2, accented Latin and typographic punctuation 1
+  assert.equal(measurePost("X", "日本語"), 6);
+  assert.equal(measurePost("X", "café"), 4);
+  assert.equal(measurePost("X", "“quote” — ok"), 12);
+});
+
+test("measurePost counts other platforms in code points", () => {
+  assert.equal(
+    measurePost("Instagram", `🔥 日本 ${BUY_LINK}`),
+    5 + BUY_LINK.length
+  );
+});
+
+test("validatePost accepts an X post of exactly 280 and rejects 281", () => {
+  const prefix = "a".repeat(280 - 23 - 1);
+  const atLimit = validatePost("X", `${prefix} ${BUY_LINK}`, BUY_LINK);
+  assert.equal(atLimit.length, 280);
+  assert.equal(atLimit.valid, true);
+
+  const overLimit = validatePost("X", `${prefix}b ${BUY_LINK}`, BUY_LINK);
+  assert.equal(overLimit.length, 281);
+  assert.deepEqual(overLimit.issues, [
+    {
+      rule: "max_length",
+      message: "The post is 281 characters long; X allows 280.",
+    },
+  ]);
+
+  // A CJK character at the end weighs 2
+  const weighted = validatePost(
+    "X",
+    `${prefix.slice(1)}日 ${BUY_LINK}`,
+    BUY_LINK
+  );
+  assert.equal(weighted.length, 281);
+  assert.equal(weighted.valid, false);
+});
+
+test("validatePost allows at most three hashtags, counting fullwidth ones", () => {
+  const three = validatePost("X", `#one #two ＃three ${BUY_LINK}`, BUY_LINK);
+  assert.equal(three.hashtags, MAX_HASHTAGS);
+  assert.equal(three.valid, true);
+
+  const four = validatePost(
+    "Instagram",
+    `#one #two ＃three #four ${BUY_LINK}`,
+    BUY_LINK
+  );
+  assert.equal(four.hashtags, 4);
+  assert.deepEqual(four.issues, [
+    {
+      rule: "hashtags",
+      message: "The post has 4 hashtags; at most 3 are allowed.",
+    },
+  ]);
+});
+
+test("validatePost does not count anchors, numbers or HTML entities as hashtags", () => {
+  const report = validatePost(
+    "Telegram",
+    `Issue #42, tom&#39;s page#section ${BUY_LINK}#top`,
+    BUY_LINK
+  );
+  assert.equal(report.hashtags, 0);
+});
+
+test("validatePost requires the buy link and a non-empty text", () => {
+  assert.deepEqual(validatePost("X", "Great read, no link", BUY_LINK).issues, [
+    {
+      rule: "buy_link",
+      message: `The post does not contain the buy link ${BUY_LINK}.`,
+    },
+  ]);
+  assert.deepEqual(
+    validatePost("X", "   ", BUY_LINK).issues.map((issue) => issue.rule),
+    ["empty", "buy_link"]
+  );
+});
+
+test("validatePost rejects banned words as whole words, ignoring case", () => {
+  const options = { bannedWords: ["hype", "c++", "amazing deal"] };
+  assert.deepEqual(
+    validatePost(
+      "X",
+      `No HYPE, just C++ and an Amazing Deal ${BUY_LINK}`,
+      BUY_LINK,
+      options
+    ).issues,
+    [
+      {
+        rule: "banned_words",
+        message: "The post uses banned words: hype, c++, amazing deal.",
+      },
+    ]
+  );
+  // Inside other words they are allowed
+  assert.equal(
+    validatePost("X", `Hyperlinks galore ${BUY_LINK}`, BUY_LINK, options).valid,
+    true
+  );
+});
+
+test("validateSocialPosts reports per platform", () => {
+  const report = validateSocialPosts(
+    {
+      x: [{ text: `Read it ${BUY_LINK}` }],
+      telegram: [{ text: `Read it ${BUY_LINK}` }, { text: "no link" }],
+    },
+    BUY_LINK
+  );
+  assert.equal(report.x.valid, true);
+  assert.equal(report.telegram.valid, false);
+  assert.deepEqual(
+    report.telegram.posts.map((post) => post.valid),
+    [true, false]
+  );
+});
+
+test("parsePostsOutput reads a plain JSON array", () => {
+  assert.deepEqual(parsePostsOutput('["one", " two "]'), ["one", "two"]);
+});
+
+test("parsePostsOutput strips code fences and surrounding prose", () => {
+  assert.deepEqual(parsePostsOutput('```json\n["one", "two"]\n```'), [
+    "one",
+    "two",
+  ]);
+  assert.deepEqual(parsePostsOutput('```\n["one"]\n```'), ["one"]);
+  assert.deepEqual(
+    parsePostsOutput('Here are your posts:\n["one", "two"]\nEnjoy!'),
+    ["one", "two"]
+  );
+  // Fences around a single post go too, and empty posts are dropped
+  assert.deepEqual(parsePostsOutput('["```one```", ""]'), ["one"]);
+});
+
+test("parsePostsOutput throws PostFormatError for answers that are not posts", () => {
+  const cases = [
+    ["Sorry, I cannot help with that.", /not valid JSON/],
+    ['{"post": "one"}', /not a JSON array of strings/],
+    ['["one", 2]', /not a JSON array of strings/],
+    ["[]", /no posts/],
+    ['["", "  "]', /no posts/],
+  ];
+  for (const [answer, message] of cases) {
+    assert.throws(
+      () => parsePostsOutput(answer),
+      (error) =>
+        error instanceof PostFormatError && message.test(error.message),
+      answer
+    );
+  }
+});
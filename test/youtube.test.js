@@ -0,0 +1,162 @@
+// YouTube URL parsing and metadata, answered from the fixtures in fixtures/youtube.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const {
+  parseYoutubeUrl,
+  extractYoutubeVideoId,
+  createFixtureClient,
+  getVideoMetadata,
+  getPlaylistMetadata,
+} = require("../youtube");
+
+const FIXTURES_DIR = path.join(__dirname, "..", "fixtures", "youtube");
+const VIDEO_ID = "dQw4w9WgXcQ";
+const PLAYLIST_ID = "PLFgquLnL59alCl_2TQvOiD5Vgm1hCaGSI";
+
+const parse = (url) => parseYoutubeUrl(new URL(url));
+
+test("parseYoutubeUrl recognizes video URLs and their format", () => {
+  const cases = [
+    [`https://www.youtube.com/watch?v=${VIDEO_ID}`, "video"],
+    [`https://youtu.be/${VIDEO_ID}`, "video"],
+    [`https://m.youtube.com/watch?v=${VIDEO_ID}&t=42`, "video"],
+    [`https://www.youtube-nocookie.com/embed/${VIDEO_ID}`, "video"],
+    [`https://www.youtube.com/shorts/${VIDEO_ID}`, "short"],
+    [`https://youtube.com/shorts/${VIDEO_ID}?feature=share`, "short"],
+    [`https://www.youtube.com/live/${VIDEO_ID}`, "live"],
+    [`https://music.youtube.com/watch?v=${VIDEO_ID}`, "music"],
+  ];
+  for (const [url, format] of cases) {
+    assert.deepEqual(
+      parse(url),
+      { kind: "video", videoId: VIDEO_ID, format: format },
+      url
+    );
+  }
+});
+
+test("parseYoutubeUrl recognizes playlists", () => {
+  assert.deepEqual(
+    parse(`https://www.youtube.com/playlist?list=${PLAYLIST_ID}`),
+    { kind: "playlist", playlistId: PLAYLIST_ID }
+  );
+  assert.deepEqual(
+    parse(`https://music.youtube.com/playlist?list=${PLAYLIST_ID}`),
+    { kind: "playlist", playlistId: PLAYLIST_ID }
+  );
+});
+
+test("parseYoutubeUrl treats a video in a playlist as the video", () => {
+  assert.deepEqual(
+    parse(`https://www.youtube.com/watch?v=${VIDEO_ID}&list=${PLAYLIST_ID}`),
+    { kind: "video", videoId: VIDEO_ID, format: "video" }
+  );
+});
+
+test("parseYoutubeUrl rejects other URLs", () => {
+  const urls = [
+    "https://www.youtube.com/watch?v=tooShort",
+    "https://www.youtube.com/shorts/",
+    "https://www.youtube.com/playlist?list=short",
+    "https://www.youtube.com/@rickastleyyt",
+    `https://notyoutube.com/watch?v=${VIDEO_ID}`,
+    `https://vimeo.com/${VIDEO_ID}`,
+  ];
+  for (const url of urls) {
+    assert.equal(parse(url), null, url);
+  }
+});
+
+test("extractYoutubeVideoId returns the id of videos only", () => {
+  assert.equal(
+    extractYoutubeVideoId(`https://www.youtube.com/shorts/${VIDEO_ID}`),
+    VIDEO_ID
+  );
+  assert.equal(
+    extractYoutubeVideoId(
+      `https://www.youtube.com/playlist?list=${PLAYLIST_ID}`
+    ),
+    null
+  );
+  assert.equal(extractYoutubeVideoId("not a url"), null);
+});
+
+test("getVideoMetadata builds a video's metadata from the API", async () => {
+  const metadata = await getVideoMetadata(createFixtureClient(FIXTURES_DIR), {
+    videoId: VIDEO_ID,
+    format: "short",
+  });
+
+  assert.equal(
+    metadata.title,
+    "Rick Astley - Never Gonna Give You Up (Official Music Video)"
+  );
+  assert.equal(metadata.author_name, "Rick Astley");
+  assert.equal(
+    metadata.author_profile_picture_url,
+    "https://yt3.ggpht.com/rick-astley-avatar=s800"
+  );
+  assert.equal(
+    metadata.content_vignette_url,
+    "https://i.ytimg.com/vi/dQw4w9WgXcQ/maxresdefault.jpg"
+  );
+  assert.equal(metadata.publication_date, "2009-10-25T06:57:33Z");
+  assert.deepEqual(metadata.extracted_metadata.youtube, {
+    kind: "video",
+    videoId: VIDEO_ID,
+    format: "short",
+    channelId: "UCuAXFkgsw1L7xaCfnd5JJOw",
+    durationSeconds: 213,
+    viewCount: 1600000000,
+    likeCount: 18000000,
+    commentCount: 2300000,
+    tags: ["rick astley", "never gonna give you up", "80s music"],
+  });
+  assert.equal(metadata.extracted_metadata.raw.videoId, VIDEO_ID);
+});
+
+test("getVideoMetadata fails for an unknown video", async () => {
+  await assert.rejects(
+    getVideoMetadata(createFixtureClient(FIXTURES_DIR), {
+      videoId: "aaaaaaaaaaa",
+      format: "video",
+    }),
+    /Video not found/
+  );
+});
+
+test("getPlaylistMetadata builds a playlist's metadata and first videos", async () => {
+  const metadata = await getPlaylistMetadata(
+    createFixtureClient(FIXTURES_DIR),
+    { playlistId: PLAYLIST_ID }
+  );
+
+  assert.equal(metadata.title, "Rick Astley - Greatest Hits");
+  assert.equal(metadata.author_name, "Rick Astley");
+  assert.equal(
+    metadata.author_profile_picture_url,
+    "https://yt3.ggpht.com/rick-astley-avatar=s800"
+  );
+  assert.equal(
+    metadata.content_vignette_url,
+    "https://i.ytimg.com/vi/dQw4w9WgXcQ/hqdefault.jpg"
+  );
+  assert.deepEqual(metadata.extracted_metadata.youtube, {
+    kind: "playlist",
+    playlistId: PLAYLIST_ID,
+    channelId: "UCuAXFkgsw1L7xaCfnd5JJOw",
+    itemCount: 2,
+    videoIds: [VIDEO_ID, "yPYZpwSpKmA"],
+  });
+});
+
+test("getPlaylistMetadata fails for an unknown playlist", async () => {
+  await assert.rejects(
+    getPlaylistMetadata(createFixtureClient(FIXTURES_DIR), {
+      playlistId: "PLunknownPlaylistId",
+    }),
+    /Playlist not found/
+  );
+});
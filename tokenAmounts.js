@@ -0,0 +1,74 @@
+// Conversion between payment token amounts as people write them ("0.1") and the
+// base units the contract stores (priceInERC20, "100000000000000000" for an 18-decimal token).
+// Decimals and symbol come from the token itself, via blockchain.getPaymentTokenInfo().
+
+const ethers = require("ethers");
+
+const MAX_UINT256 = ethers.MaxUint256;
+
+/**
+ * Resolves a price given either as a token amount or in base units.
+ * @param {object} fields
+ * @param {string|number} [fields.price] A decimal token amount, e.g. "0.1" or "5".
+ * @param {string|number} [fields.priceInERC20] An integer amount in the token's smallest unit.
+ * @param {number} decimals The token's decimals.
+ * @returns {{priceInERC20: string}|{error: string}} The price in base units, or a validation error.
+ */
+function parsePrice({ price, priceInERC20 }, decimals) {
+  const hasPrice = price !== undefined && price !== null && price !== "";
+  const hasBaseUnits =
+    priceInERC20 !== undefined && priceInERC20 !== null && priceInERC20 !== "";
+  if (hasPrice === hasBaseUnits) {
+    return {
+      error:
+        'Send exactly one of price (a token amount, e.g. "0.1") or priceInERC20 (base units).',
+    };
+  }
+
+  let baseUnits;
+  if (hasBaseUnits) {
+    const value = String(priceInERC20).trim();
+    if (!/^\d+$/.test(value)) {
+      return {
+        error:
+          "priceInERC20 must be an integer in the token's smallest unit. Use price for decimal amounts.",
+      };
+    }
+    baseUnits = BigInt(value);
+  } else {
+    const value = String(price).trim();
+    if (!/^\d+(\.\d+)?$/.test(value)) {
+      return { error: 'price must be a decimal number, e.g. "0.1".' };
+    }
+    const fraction = value.split(".")[1] || "";
+    if (fraction.length > decimals) {
+      return {
+        error: `price has more than ${decimals} decimal places, the token's precision.`,
+      };
+    }
+    baseUnits = ethers.parseUnits(value, decimals);
+  }
+
+  if (baseUnits === 0n) {
+    return { error: "Price must be greater than zero." };
+  }
+  if (baseUnits > MAX_UINT256) {
+    return { error: "Price does not fit in a uint256." };
+  }
+  return { priceInERC20: baseUnits.toString() };
+}
+
+/**
+ * Formats a base-unit amount as a token amount, without trailing zeros ("0.1", "5").
+ * @param {string|bigint} baseUnits
+ * @param {number} decimals The token's decimals.
+ * @returns {string}
+ */
+function formatPrice(baseUnits, decimals) {
+  return ethers.formatUnits(BigInt(baseUnits), decimals).replace(/\.0$/, "");
+}
+
+module.exports = {
+  parsePrice,
+  formatPrice,
+};
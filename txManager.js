@@ -0,0 +1,461 @@
+// Transaction manager for the server wallet.
+// Every write (createLink, setLinkActivity, payForAccessWithSignature) is sent through it so that:
+//   - nonces are handed out one at a time, even when requests arrive concurrently;
+//   - each broadcast transaction is persisted in WalletTransactions;
+//   - transactions pending longer than TX_STUCK_AFTER_SECONDS are re-sent with the same nonce
+//     and higher fees (a "speed up"), and dropped ones are re-broadcast;
+//   - after a restart, the next nonce is recovered from the chain and the persisted pending rows.
+// Nonce allocation is serialized within this process; only one server process should send
+// from a given wallet.
+
+const db = require("./database");
+
+const TX_STUCK_AFTER_SECONDS = parseInt(process.env.TX_STUCK_AFTER_SECONDS) || 120;
+const TX_FEE_BUMP_PERCENT = parseInt(process.env.TX_FEE_BUMP_PERCENT) || 20; // Nodes require at least +10% to accept a replacement
+const TX_MAX_REPLACEMENTS = parseInt(process.env.TX_MAX_REPLACEMENTS) || 5;
+const TX_MONITOR_INTERVAL_MS =
+  parseInt(process.env.TX_MONITOR_INTERVAL_MS) || 15000;
+const TX_WAIT_POLL_INTERVAL_MS = 2000;
+
+/**
+ * True for send errors that mean our local nonce is out of sync with the node.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isNonceError(error) {
+  return (
+    error.code === "NONCE_EXPIRED" ||
+    error.code === "REPLACEMENT_UNDERPRICED" ||
+    /nonce too low|already known/i.test(error.message || "")
+  );
+}
+
+/**
+ * Creates an error saying how far a waited-on transaction got: "TX_REVERTED" (mined; the
+ * `receipt` is attached), "TX_DROPPED" or "TX_TIMEOUT" (may still be mined later).
+ * @param {string} code
+ * @param {string} message
+ * @param {object} details Attached to the error, e.g. {txHash, receipt}.
+ * @returns {Error}
+ */
+function transactionError(code, message, details) {
+  return Object.assign(new Error(message), { code: code }, details);
+}
+
+/**
+ * Raises each fee by TX_FEE_BUMP_PERCENT, without going below the current network fees.
+ * @param {object} fees Previous fees ({maxFeePerGas, maxPriorityFeePerGas} or {gasPrice}) as bigints.
+ * @param {object} networkFees Current fees in the same shape.
+ * @returns {object} The bumped fees.
+ */
+function bumpFees(fees, networkFees) {
+  const bump = (value, floor) => {
+    const bumped = (value * BigInt(100 + TX_FEE_BUMP_PERCENT)) / 100n;
+    return floor !== undefined && floor > bumped ? floor : bumped;
+  };
+  if (fees.gasPrice !== undefined) {
+    return { gasPrice: bump(fees.gasPrice, networkFees.gasPrice) };
+  }
+  return {
+    maxFeePerGas: bump(fees.maxFeePerGas, networkFees.maxFeePerGas),
+    maxPriorityFeePerGas: bump(
+      fees.maxPriorityFeePerGas,
+      networkFees.maxPriorityFeePerGas
+    ),
+  };
+}
+
+/**
+ * Converts fee fields to the string columns stored in WalletTransactions.
+ * @param {object} fees
+ * @returns {{max_fee_per_gas: string|null, max_priority_fee_per_gas: string|null, gas_price: string|null}}
+ */
+function feesToColumns(fees) {
+  return {
+    max_fee_per_gas:
+      fees.maxFeePerGas !== undefined ? fees.maxFeePerGas.toString() : null,
+    max_priority_fee_per_gas:
+      fees.maxPriorityFeePerGas !== undefined
+        ? fees.maxPriorityFeePerGas.toString()
+        : null,
+    gas_price: fees.gasPrice !== undefined ? fees.gasPrice.toString() : null,
+  };
+}
+
+/**
+ * Converts a WalletTransactions row's fee columns back to bigints.
+ * @param {object} row
+ * @returns {object}
+ */
+function feesFromRow(row) {
+  if (row.gas_price !== null) {
+    return { gasPrice: BigInt(row.gas_price) };
+  }
+  return {
+    maxFeePerGas: BigInt(row.max_fee_per_gas),
+    maxPriorityFeePerGas: BigInt(row.max_priority_fee_per_gas),
+  };
+}
+
+/**
+ * Creates a transaction manager bound to a wallet.
+ * @param {import("ethers").Wallet} wallet A wallet connected to a provider.
+ * @returns {object} The manager API.
+ */
+function createTxManager(wallet) {
+  const provider = wallet.provider;
+  let nextNonce = null; // null means "resync from chain + DB before the next send"
+  let chainId = null;
+  let queue = Promise.resolve();
+
+  /**
+   * Runs `fn` after every previously scheduled call has finished.
+   * @param {function(): Promise<*>} fn
+   * @returns {Promise<*>}
+   */
+  function withNonceLock(fn) {
+    const run = queue.then(fn, fn);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  async function getChainIdString() {
+    if (!chainId) {
+      const network = await provider.getNetwork();
+      chainId = network.chainId.toString();
+    }
+    return chainId;
+  }
+
+  /**
+   * Recomputes the next nonce. The chain's pending count can lag behind our own pending
+   * transactions if the node restarted and lost its mempool, so the DB is consulted too.
+   */
+  async function syncNonce() {
+    const [pendingCount, maxPendingNonce] = await Promise.all([
+      provider.getTransactionCount(wallet.address, "pending"),
+      db.getMaxPendingWalletNonce(wallet.address, await getChainIdString()),
+    ]);
+    nextNonce = Math.max(
+      pendingCount,
+      maxPendingNonce === null ? 0 : maxPendingNonce + 1
+    );
+    console.log(`TxManager: next nonce for ${wallet.address} is ${nextNonce}.`);
+  }
+
+  async function getNetworkFees() {
+    const feeData = await provider.getFeeData();
+    if (feeData.maxFeePerGas !== null && feeData.maxPriorityFeePerGas !== null) {
+      return {
+        maxFeePerGas: feeData.maxFeePerGas,
+        maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
+      };
+    }
+    return { gasPrice: feeData.gasPrice };
+  }
+
+  /**
+   * Signs and broadcasts a transaction with the next nonce and persists it.
+   * @param {object} txRequest A populated transaction ({to, data, value?, gasLimit?}).
+   * @param {string} label A short description stored with the transaction (e.g. "createLink").
+   * @returns {Promise<{hash: string, nonce: number}>}
+   * @throws {Error} If gas estimation (e.g. a revert) or broadcasting fails.
+   */
+  async function sendTransaction(txRequest, label) {
+    return withNonceLock(async () => {
+      const currentChainId = await getChainIdString();
+      // Estimating first surfaces reverts before a nonce is consumed
+      const gasLimit =
+        txRequest.gasLimit ||
+        (await wallet.estimateGas({ ...txRequest, from: wallet.address }));
+      const fees = await getNetworkFees();
+
+      for (let attempt = 0; attempt < 2; attempt++) {
+        if (nextNonce === null) {
+          await syncNonce();
+        }
+        const nonce = nextNonce;
+        let response;
+        try {
+          response = await wallet.sendTransaction({
+            ...txRequest,
+            gasLimit,
+            nonce,
+            chainId: BigInt(currentChainId),
+            ...fees,
+          });
+        } catch (error) {
+          // The nonce may or may not have been consumed; resync before the next send
+          nextNonce = null;
+          if (attempt === 0 && isNonceError(error)) {
+            console.warn(
+              `TxManager: nonce ${nonce} rejected (${error.message}), resyncing and retrying.`
+            );
+            continue;
+          }
+          throw error;
+        }
+        nextNonce = nonce + 1;
+
+        try {
+          await db.insertWalletTransaction({
+            wallet_address: wallet.address,
+            chain_id: currentChainId,
+            nonce: nonce,
+            label: label,
+            to_address: txRequest.to,
+            data: txRequest.data,
+            value: txRequest.value ? txRequest.value.toString() : "0",
+            gas_limit: gasLimit.toString(),
+            ...feesToColumns(fees),
+            tx_hash: response.hash,
+          });
+        } catch (dbError) {
+          // The transaction is already out; it just won't be sped up if it gets stuck
+          console.error(
+            `TxManager: failed to persist transaction ${response.hash}:`,
+            dbError.message
+          );
+        }
+        return { hash: response.hash, nonce };
+      }
+    });
+  }
+
+  /**
+   * Re-sends a pending transaction with the same nonce and bumped fees.
+   * @param {object} row The WalletTransactions row.
+   * @returns {Promise<string|null>} The new hash, or null if the nonce was already used.
+   */
+  async function replaceTransaction(row) {
+    return withNonceLock(async () => {
+      const fees = bumpFees(feesFromRow(row), await getNetworkFees());
+      try {
+        const response = await wallet.sendTransaction({
+          to: row.to_address,
+          data: row.data,
+          value: BigInt(row.value),
+          gasLimit: BigInt(row.gas_limit),
+          nonce: Number(row.nonce),
+          chainId: BigInt(row.chain_id),
+          ...fees,
+        });
+        await db.recordWalletTransactionReplacement(
+          row.id,
+          response.hash,
+          feesToColumns(fees)
+        );
+        console.warn(
+          `TxManager: replaced stuck transaction ${row.tx_hash} (nonce ${row.nonce}) with ${response.hash}.`
+        );
+        return response.hash;
+      } catch (error) {
+        if (isNonceError(error)) {
+          return null; // Mined in the meantime; the next monitor pass records it
+        }
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Returns the mined receipt for any of the given hashes.
+   * @param {Array<string>} hashes
+   * @returns {Promise<import("ethers").TransactionReceipt|null>}
+   */
+  async function findMinedReceipt(hashes) {
+    for (const hash of hashes) {
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (receipt) {
+        return receipt;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Reports the state of a transaction, following fee-bump replacements.
+   * @param {string} txHash The hash returned by sendTransaction (or any replacement).
+   * @returns {Promise<{state: string, hash: string, status?: number, blockNumber?: number, confirmations?: number}>}
+   *   `state` is "pending", "mined" or "dropped". For mined transactions `hash` is the hash that was included.
+   */
+  async function getTransactionStatus(txHash) {
+    const row = await db.findWalletTransactionByHash(txHash);
+    const hashes = row ? [row.tx_hash, ...row.replaced_hashes] : [txHash];
+
+    const receipt = await findMinedReceipt(hashes);
+    if (receipt) {
+      return {
+        state: "mined",
+        hash: receipt.hash,
+        status: receipt.status,
+        blockNumber: receipt.blockNumber,
+        confirmations: await receipt.confirmations(),
+      };
+    }
+    if (row) {
+      return { state: row.status === "dropped" ? "dropped" : "pending", hash: row.tx_hash };
+    }
+    // Not sent through the manager: all we can tell is whether the node still knows it
+    const tx = await provider.getTransaction(txHash);
+    return { state: tx ? "pending" : "dropped", hash: txHash };
+  }
+
+  /**
+   * Waits until a transaction (or one of its replacements) is mined.
+   * @param {string} txHash
+   * @param {number} timeoutMs
+   * @returns {Promise<import("ethers").TransactionReceipt>} The receipt of the mined transaction.
+   * @throws {Error} If the transaction reverts, is dropped or does not confirm in time (see transactionError).
+   */
+  async function waitForTransaction(txHash, timeoutMs = 5 * 60 * 1000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      const status = await getTransactionStatus(txHash);
+      if (status.state === "mined") {
+        const receipt = await provider.getTransactionReceipt(status.hash);
+        if (status.status === 0) {
+          throw transactionError(
+            "TX_REVERTED",
+            `Transaction ${status.hash} reverted in block ${status.blockNumber}.`,
+            { txHash: txHash, receipt: receipt }
+          );
+        }
+        return receipt;
+      }
+      if (status.state === "dropped") {
+        throw transactionError(
+          "TX_DROPPED",
+          `Transaction ${txHash} was dropped.`,
+          { txHash: txHash }
+        );
+      }
+      await new Promise((resolve) =>
+        setTimeout(resolve, TX_WAIT_POLL_INTERVAL_MS)
+      );
+    }
+    throw transactionError(
+      "TX_TIMEOUT",
+      `Timed out waiting for transaction ${txHash} after ${timeoutMs}ms.`,
+      { txHash: txHash }
+    );
+  }
+
+  /**
+   * One pass over the wallet's pending transactions: record mined ones, detect nonces
+   * consumed elsewhere, and speed up or re-broadcast stuck ones.
+   * @returns {Promise<void>}
+   */
+  async function monitorPendingTransactions() {
+    const currentChainId = await getChainIdString();
+    const rows = await db.getPendingWalletTransactions(
+      wallet.address,
+      currentChainId
+    );
+    if (rows.length === 0) {
+      return;
+    }
+    const latestNonce = await provider.getTransactionCount(
+      wallet.address,
+      "latest"
+    );
+
+    for (const row of rows) {
+      const receipt = await findMinedReceipt([
+        row.tx_hash,
+        ...row.replaced_hashes,
+      ]);
+      if (receipt) {
+        await db.finalizeWalletTransaction(
+          row.id,
+          receipt.status === 1 ? "mined" : "reverted",
+          receipt.hash,
+          receipt.blockNumber
+        );
+        // Relays whose wait timed out stay pending until this settles them
+        await db.settlePendingRelayedTransactions(
+          [row.tx_hash, ...row.replaced_hashes],
+          {
+            status: receipt.status === 1 ? "confirmed" : "reverted",
+            tx_hash: receipt.hash,
+            gas_used: receipt.gasUsed.toString(),
+            effective_gas_price: receipt.gasPrice.toString(),
+            fee_wei: receipt.fee.toString(),
+          }
+        );
+        continue;
+      }
+      if (Number(row.nonce) < latestNonce) {
+        // The nonce was used by a transaction we did not track
+        console.warn(
+          `TxManager: nonce ${row.nonce} was consumed by another transaction; marking ${row.tx_hash} dropped.`
+        );
+        await db.finalizeWalletTransaction(row.id, "dropped", null, null);
+        await db.settlePendingRelayedTransactions(
+          [row.tx_hash, ...row.replaced_hashes],
+          { status: "failed", error: `Transaction ${row.tx_hash} was dropped.` }
+        );
+        continue;
+      }
+
+      const knownToNode = await provider.getTransaction(row.tx_hash);
+      const pendingSeconds =
+        (Date.now() - new Date(row.last_broadcast_at).getTime()) / 1000;
+      if (knownToNode && pendingSeconds < TX_STUCK_AFTER_SECONDS) {
+        continue;
+      }
+      if (row.replacement_count >= TX_MAX_REPLACEMENTS) {
+        console.error(
+          `TxManager: transaction ${row.tx_hash} (nonce ${row.nonce}) still pending after ${row.replacement_count} replacements.`
+        );
+        continue;
+      }
+      await replaceTransaction(row);
+    }
+  }
+
+  /**
+   * Starts the periodic monitor of pending transactions.
+   * @returns {{stop: function(): void}} A handle to stop the loop.
+   */
+  function startMonitor() {
+    let stopped = false;
+    let timer = null;
+
+    const tick = async () => {
+      try {
+        await monitorPendingTransactions();
+      } catch (error) {
+        console.error(
+          "TxManager: error while monitoring pending transactions:",
+          error.message
+        );
+      }
+      if (!stopped) {
+        timer = setTimeout(tick, TX_MONITOR_INTERVAL_MS);
+      }
+    };
+    tick();
+
+    return {
+      stop() {
+        stopped = true;
+        if (timer) {
+          clearTimeout(timer);
+        }
+      },
+    };
+  }
+
+  return {
+    sendTransaction,
+    getTransactionStatus,
+    waitForTransaction,
+    monitorPendingTransactions,
+    startMonitor,
+  };
+}
+
+module.exports = {
+  createTxManager,
+};
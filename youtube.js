@@ -0,0 +1,350 @@
+// YouTube Data API v3 access for the youtube metadata extractor (metadataExtractors.js).
+// Recognizes videos (watch, youtu.be, Shorts, live, embed and music.youtube.com URLs) and
+// playlists; a playlist link gates the whole playlist as one unit.
+// The API is reached through a small client with the googleapis call shape
+// (`client.videos.list(params)` -> `{data: {items}}`), so a fixture-backed fake can stand in
+// for it in development and tests.
+//   YOUTUBE_API_KEY        - YouTube Data API key; without it (and fixtures) YouTube links use oEmbed discovery
+//   YOUTUBE_FIXTURES_DIR   - answer API calls from JSON fixtures instead: <dir>/<resource>/<id>.json
+
+const fs = require("fs");
+const path = require("path");
+const { google } = require("googleapis");
+
+const YOUTUBE_API_KEY = process.env.YOUTUBE_API_KEY;
+const YOUTUBE_FIXTURES_DIR = process.env.YOUTUBE_FIXTURES_DIR;
+const YOUTUBE_HOSTS = [
+  "youtube.com",
+  "www.youtube.com",
+  "m.youtube.com",
+  "music.youtube.com",
+  "youtube-nocookie.com",
+  "www.youtube-nocookie.com",
+];
+const VIDEO_ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+const PLAYLIST_ID_PATTERN = /^[A-Za-z0-9_-]{12,}$/;
+// Path prefixes followed by a video id, and the format they mean
+const VIDEO_PATH_FORMATS = {
+  shorts: "short",
+  live: "live",
+  embed: "video",
+  v: "video",
+  e: "video",
+};
+const PLAYLIST_PREVIEW_ITEMS = 50;
+
+// --- URLs ---
+
+/**
+ * Works out what a YouTube URL points to.
+ * A watch URL that is also in a playlist (`watch?v=...&list=...`) is the video, not the playlist.
+ * @param {URL} url
+ * @returns {{kind: "video", videoId: string, format: "video"|"short"|"live"|"music"}|{kind: "playlist", playlistId: string}|null}
+ *   Null if the URL is not a YouTube video or playlist.
+ */
+function parseYoutubeUrl(url) {
+  const hostname = url.hostname.toLowerCase();
+  const segments = url.pathname.split("/").filter(Boolean);
+  const video = (videoId, format) =>
+    VIDEO_ID_PATTERN.test(videoId || "")
+      ? { kind: "video", videoId: videoId, format: format }
+      : null;
+
+  if (hostname === "youtu.be" || hostname === "www.youtu.be") {
+    return video(segments[0], "video");
+  }
+  if (!YOUTUBE_HOSTS.includes(hostname)) {
+    return null;
+  }
+
+  const isMusic = hostname === "music.youtube.com";
+  if (segments[0] === "watch") {
+    return video(url.searchParams.get("v"), isMusic ? "music" : "video");
+  }
+  if (segments[0] === "playlist") {
+    const playlistId = url.searchParams.get("list") || "";
+    return PLAYLIST_ID_PATTERN.test(playlistId)
+      ? { kind: "playlist", playlistId: playlistId }
+      : null;
+  }
+  if (segments.length >= 2 && VIDEO_PATH_FORMATS[segments[0]]) {
+    return video(segments[1], VIDEO_PATH_FORMATS[segments[0]]);
+  }
+  return null;
+}
+
+/**
+ * Extracts the 11-character video id from a YouTube URL.
+ * @param {string} url
+ * @returns {string|null}
+ */
+function extractYoutubeVideoId(url) {
+  try {
+    const target = parseYoutubeUrl(new URL(url));
+    return target && target.kind === "video" ? target.videoId : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// --- API clients ---
+
+/**
+ * Creates a client backed by the YouTube Data API.
+ * @param {string} apiKey
+ * @returns {object}
+ */
+function createApiClient(apiKey) {
+  return google.youtube({ version: "v3", auth: apiKey });
+}
+
+/**
+ * Creates a fake client that answers from JSON files instead of the API.
+ * `<dir>/<resource>/<id>.json` holds one API resource (e.g. `videos/dQw4w9WgXcQ.json` is one
+ * item of a videos.list response). For playlistItems the id is the playlist id and the file
+ * holds an array of items. Unknown ids return no items, as the API does.
+ * @param {string} dir
+ * @returns {object}
+ */
+function createFixtureClient(dir) {
+  const resource = (name) => ({
+    async list(params) {
+      const ids = String(params.id || params.playlistId || "").split(",");
+      const items = ids.flatMap((id) => {
+        const file = path.join(dir, name, `${path.basename(id)}.json`);
+        if (!id || !fs.existsSync(file)) {
+          return [];
+        }
+        const fixture = JSON.parse(fs.readFileSync(file, "utf8"));
+        return Array.isArray(fixture) ? fixture : [fixture];
+      });
+      return { data: { items: items } };
+    },
+  });
+  return {
+    videos: resource("videos"),
+    channels: resource("channels"),
+    playlists: resource("playlists"),
+    playlistItems: resource("playlistItems"),
+  };
+}
+
+let client = YOUTUBE_FIXTURES_DIR
+  ? createFixtureClient(YOUTUBE_FIXTURES_DIR)
+  : YOUTUBE_API_KEY
+    ? createApiClient(YOUTUBE_API_KEY)
+    : null;
+
+/**
+ * Returns the client in use, or null if neither an API key nor fixtures are configured.
+ * @returns {object|null}
+ */
+function getYoutubeClient() {
+  return client;
+}
+
+/**
+ * Replaces the client, e.g. with createFixtureClient() in tests.
+ * @param {object|null} youtubeClient
+ */
+function setYoutubeClient(youtubeClient) {
+  client = youtubeClient;
+}
+
+// --- Metadata ---
+
+/**
+ * Converts an ISO 8601 duration ("PT1H2M3S", "P1DT2H") into seconds.
+ * @param {string|undefined} duration
+ * @returns {number|null}
+ */
+function parseIsoDuration(duration) {
+  const match = (duration || "").match(
+    /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/
+  );
+  if (!match) {
+    return null;
+  }
+  const [, days, hours, minutes, seconds] = match.map((part) =>
+    part === undefined ? 0 : Number(part)
+  );
+  return days * 86400 + hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * Converts an API count (sent as a string, absent when hidden) into a number.
+ * @param {string|undefined} value
+ * @returns {number|null}
+ */
+function parseCount(value) {
+  return value === undefined || value === null ? null : Number(value);
+}
+
+/**
+ * Picks the largest thumbnail.
+ * @param {object|undefined} thumbnails
+ * @returns {string|null}
+ */
+function bestThumbnail(thumbnails) {
+  if (!thumbnails) {
+    return null;
+  }
+  const best =
+    thumbnails.maxres ||
+    thumbnails.standard ||
+    thumbnails.high ||
+    thumbnails.medium ||
+    thumbnails.default;
+  return best ? best.url : null;
+}
+
+/**
+ * Fetches a channel's snippet, for its avatar. A failure only costs the avatar.
+ * @param {object} youtube The client.
+ * @param {string} channelId
+ * @returns {Promise<object|null>}
+ */
+async function getChannelSnippet(youtube, channelId) {
+  try {
+    const response = await youtube.channels.list({
+      part: "snippet",
+      id: channelId,
+    });
+    const channel = (response.data.items || [])[0];
+    return channel ? channel.snippet : null;
+  } catch (error) {
+    console.warn(
+      `YouTube: could not fetch channel ${channelId}:`,
+      error.message
+    );
+    return null;
+  }
+}
+
+/**
+ * Builds the metadata of a video.
+ * @param {object} youtube The client.
+ * @param {{videoId: string, format: string}} target
+ * @returns {Promise<object>}
+ * @throws {Error} If the video does not exist or the API call fails.
+ */
+async function getVideoMetadata(youtube, { videoId, format }) {
+  const response = await youtube.videos.list({
+    part: "snippet,contentDetails,statistics",
+    id: videoId,
+  });
+  if (!response.data.items || response.data.items.length === 0) {
+    throw new Error("Video not found or API error.");
+  }
+
+  const video = response.data.items[0];
+  const snippet = video.snippet;
+  const contentDetails = video.contentDetails || {};
+  const statistics = video.statistics || {};
+  const channel = await getChannelSnippet(youtube, snippet.channelId);
+
+  return {
+    title: snippet.title,
+    description: snippet.description,
+    author_name: snippet.channelTitle,
+    author_profile_picture_url: channel
+      ? bestThumbnail(channel.thumbnails)
+      : null,
+    content_vignette_url: bestThumbnail(snippet.thumbnails),
+    publication_date: snippet.publishedAt,
+    extracted_metadata: {
+      youtube: {
+        kind: "video",
+        videoId: videoId,
+        format:
+          snippet.liveBroadcastContent &&
+          snippet.liveBroadcastContent !== "none"
+            ? "live"
+            : format,
+        channelId: snippet.channelId,
+        durationSeconds: parseIsoDuration(contentDetails.duration),
+        viewCount: parseCount(statistics.viewCount),
+        likeCount: parseCount(statistics.likeCount),
+        commentCount: parseCount(statistics.commentCount),
+        tags: snippet.tags || [],
+      },
+      raw: {
+        videoId: videoId,
+        snippet: snippet,
+        contentDetails: video.contentDetails,
+        statistics: video.statistics,
+        channel: channel,
+      },
+    },
+  };
+}
+
+/**
+ * Builds the metadata of a playlist, including the ids of its first videos.
+ * @param {object} youtube The client.
+ * @param {{playlistId: string}} target
+ * @returns {Promise<object>}
+ * @throws {Error} If the playlist does not exist or the API call fails.
+ */
+async function getPlaylistMetadata(youtube, { playlistId }) {
+  const response = await youtube.playlists.list({
+    part: "snippet,contentDetails",
+    id: playlistId,
+  });
+  if (!response.data.items || response.data.items.length === 0) {
+    throw new Error("Playlist not found or API error.");
+  }
+
+  const playlist = response.data.items[0];
+  const snippet = playlist.snippet;
+  const [channel, itemsResponse] = await Promise.all([
+    getChannelSnippet(youtube, snippet.channelId),
+    youtube.playlistItems.list({
+      part: "contentDetails",
+      playlistId: playlistId,
+      maxResults: PLAYLIST_PREVIEW_ITEMS,
+    }),
+  ]);
+  const videoIds = (itemsResponse.data.items || [])
+    .map((item) => item.contentDetails && item.contentDetails.videoId)
+    .filter(Boolean);
+
+  return {
+    title: snippet.title,
+    description: snippet.description,
+    author_name: snippet.channelTitle,
+    author_profile_picture_url: channel
+      ? bestThumbnail(channel.thumbnails)
+      : null,
+    content_vignette_url: bestThumbnail(snippet.thumbnails),
+    publication_date: snippet.publishedAt,
+    extracted_metadata: {
+      youtube: {
+        kind: "playlist",
+        playlistId: playlistId,
+        channelId: snippet.channelId,
+        itemCount: playlist.contentDetails
+          ? playlist.contentDetails.itemCount
+          : videoIds.length,
+        videoIds: videoIds, // The first PLAYLIST_PREVIEW_ITEMS only
+      },
+      raw: {
+        playlistId: playlistId,
+        snippet: snippet,
+        contentDetails: playlist.contentDetails,
+        channel: channel,
+      },
+    },
+  };
+}
+
+module.exports = {
+  parseYoutubeUrl,
+  extractYoutubeVideoId,
+  createApiClient,
+  createFixtureClient,
+  getYoutubeClient,
+  setYoutubeClient,
+  getVideoMetadata,
+  getPlaylistMetadata,
+};